@@ -0,0 +1,91 @@
+/**
+ * Permissions
+ *
+ * Named permissions and the staff roles that grant them. Admin accounts
+ * (admins collection) hold every permission once their session has passed 2FA.
+ * Student accounts can be given extra staff roles via users/{uid}.roles
+ * (assigned with PUT /api/admin/users/:uid/roles); staff act within their own
+ * tenant because their requests are tenant-scoped like any other student's.
+ *
+ * Routes guard on permissions, never on role names:
+ *
+ *   router.patch('/:id/approve', requireAuth, requirePermission(PERMISSIONS.EVENTS_APPROVE), ...)
+ *   if (hasPermission(req.user, PERMISSIONS.GROUPS_MANAGE)) { ... }
+ */
+
+export const PERMISSIONS = {
+  USERS_READ: 'users:read',
+  USERS_MANAGE: 'users:manage', // create, edit profiles, reset passwords, disable, revoke sessions
+  USERS_DELETE: 'users:delete',
+  ROLES_ASSIGN: 'roles:assign',
+  TENANTS_MANAGE: 'tenants:manage',
+  EVENTS_APPROVE: 'events:approve',
+  GROUPS_APPROVE: 'groups:approve',
+  GROUPS_MANAGE: 'groups:manage', // edit any group and its leads
+  GROUPS_MANAGE_OWN: 'groups:manage_own', // edit groups the user created or leads
+  HELP_MANAGE: 'help:manage',
+  CONTENT_MODERATE: 'content:moderate',
+  ANALYTICS_READ: 'analytics:read',
+  AI_MONITOR: 'ai:monitor',
+  SETTINGS_MANAGE: 'settings:manage',
+  AUDIT_READ: 'audit:read',
+};
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+// Staff roles that can be assigned to student accounts ('admin' is an account type, not assignable here)
+export const STAFF_ROLES = {
+  moderator: {
+    label: 'Moderator',
+    permissions: [PERMISSIONS.EVENTS_APPROVE, PERMISSIONS.GROUPS_APPROVE, PERMISSIONS.CONTENT_MODERATE],
+  },
+  support: {
+    label: 'Support staff',
+    permissions: [PERMISSIONS.HELP_MANAGE],
+  },
+  society_lead: {
+    label: 'Society lead',
+    permissions: [PERMISSIONS.GROUPS_MANAGE_OWN],
+  },
+};
+
+/**
+ * Check that a role name is an assignable staff role
+ * @param {string} role
+ * @returns {boolean}
+ */
+export const isStaffRole = (role) => Object.prototype.hasOwnProperty.call(STAFF_ROLES, role);
+
+/**
+ * Resolve the permissions an account holds
+ * @param {{type: 'admin'|'user', data: Object}} account - Account from getAccount()
+ * @param {Object} options
+ * @param {boolean} options.mfa - Whether the session passed 2FA (admins get nothing without it)
+ * @returns {string[]}
+ */
+export const getAccountPermissions = (account, { mfa = false } = {}) => {
+  if (account.type === 'admin') return mfa ? [...ALL_PERMISSIONS] : [];
+
+  const roles = Array.isArray(account.data?.roles) ? account.data.roles : [];
+  const granted = new Set();
+  roles.filter(isStaffRole).forEach((role) => {
+    STAFF_ROLES[role].permissions.forEach((permission) => granted.add(permission));
+  });
+  return [...granted];
+};
+
+/**
+ * Check whether an authenticated user holds a permission
+ * @param {Object} user - req.user
+ * @param {string} permission
+ * @returns {boolean}
+ */
+export const hasPermission = (user, permission) => !!user?.permissions?.includes(permission);
+
+export default {
+  PERMISSIONS,
+  STAFF_ROLES,
+  isStaffRole,
+  getAccountPermissions,
+  hasPermission,
+};
@@ -0,0 +1,109 @@
+/**
+ * Tenant Scope
+ *
+ * Scoped data access for multi-tenant isolation. requireAuth attaches a scope
+ * to every request as req.tenant, so routes read and write through it instead
+ * of hitting collections directly:
+ *
+ *   const snapshot = await req.tenant.query('groups').where('status', '==', 'approved').get();
+ *   if (!req.tenant.includes(doc.data())) return sendError(res, 404, 'Group not found');
+ *   await groupsRef.add(req.tenant.stamp(groupData));
+ *
+ * Students are always scoped to their own tenant. Admins are global unless they
+ * pick a tenant with the X-Tenant-Id header.
+ */
+
+import { firestore } from '../config/firebaseAdmin.js';
+
+// Tenant for accounts created before tenants existed (matches roleResolver's fallback)
+export const DEFAULT_TENANT_ID = 'default';
+
+export const TENANT_HEADER = 'x-tenant-id';
+
+/**
+ * Get the tenant a document belongs to (legacy docs without tenantId belong to the default tenant)
+ * @param {Object} data - Firestore document data
+ * @returns {string}
+ */
+export const getDocTenantId = (data) => data?.tenantId || DEFAULT_TENANT_ID;
+
+/**
+ * Create a tenant scope
+ * @param {Object} options
+ * @param {string|null} options.tenantId - Tenant to scope to (null = all tenants, admins only)
+ * @param {boolean} options.isAdmin - Whether the caller is an admin
+ * @returns {Object} - Tenant scope
+ */
+export const createTenantScope = ({ tenantId, isAdmin = false }) => ({
+  id: tenantId || null,
+  isAdmin,
+  isGlobal: !tenantId,
+
+  /**
+   * Scoped query over a collection
+   * @param {string} collectionName
+   * @returns {Object} - Firestore query
+   */
+  query(collectionName) {
+    return this.apply(firestore.collection(collectionName));
+  },
+
+  /**
+   * Add the tenant filter to an existing query
+   * @param {Object} query - Firestore query or collection reference
+   * @returns {Object} - Firestore query
+   */
+  apply(query) {
+    return tenantId ? query.where('tenantId', '==', tenantId) : query;
+  },
+
+  /**
+   * Whether a document is visible in this scope
+   * @param {Object} data - Firestore document data
+   * @returns {boolean}
+   */
+  includes(data) {
+    return !tenantId || getDocTenantId(data) === tenantId;
+  },
+
+  /**
+   * Tag new document data with the scope's tenant
+   * @param {Object} data
+   * @returns {Object}
+   */
+  stamp(data) {
+    return { ...data, tenantId: tenantId || null };
+  },
+
+  /**
+   * Resolve the tenant for a request that names one (e.g. AI graph input).
+   * Only admins may target a tenant other than their scope.
+   * @param {string} requestedTenantId
+   * @returns {string|null}
+   */
+  resolve(requestedTenantId) {
+    return isAdmin ? (requestedTenantId || tenantId || null) : tenantId;
+  },
+});
+
+/**
+ * Build the scope for an authenticated request
+ * @param {Object} req - Express request
+ * @param {{type: 'admin'|'user', data: Object}} account - Account from getAccount()
+ * @returns {Object} - Tenant scope
+ */
+export const createRequestTenantScope = (req, account) => {
+  if (account.type === 'admin') {
+    const requested = (req.get(TENANT_HEADER) || '').trim();
+    return createTenantScope({ tenantId: requested || null, isAdmin: true });
+  }
+  return createTenantScope({ tenantId: getDocTenantId(account.data), isAdmin: false });
+};
+
+export default {
+  DEFAULT_TENANT_ID,
+  TENANT_HEADER,
+  getDocTenantId,
+  createTenantScope,
+  createRequestTenantScope,
+};
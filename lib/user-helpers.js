@@ -147,143 +147,15 @@ export async function isDisabled(uid) {
 }
 
 /**
- * Request account deletion for a user
- * Creates a deletion request document for admin review
+ * Record that a user has confirmed ownership of their email address
  * @param {string} uid - User ID
- * @param {string} reason - Reason for deletion
- * @returns {Promise<boolean>} Success status
+ * @returns {Promise<void>}
  */
-export async function requestUserDeletion(uid, reason = 'User requested') {
-  try {
-    const userDoc = await getUserDoc(uid);
-    if (!userDoc) {
-      throw new Error('User not found');
-    }
-
-    // Create deletion request
-    await firestore.collection('deletion_requests').doc(uid).set({
-      uid,
-      email: userDoc.email,
-      name: userDoc.name,
-      reason,
-      requestedAt: admin.firestore.Timestamp.now(),
-      status: 'pending', // 'pending', 'approved', 'rejected'
-    });
-
-    // Mark user as disabled (soft-delete)
-    await firestore.collection('users').doc(uid).update({
-      disabled: true,
-      updatedAt: admin.firestore.Timestamp.now(),
-    });
-
-    // Mark profile as disabled
-    const profileDoc = await getUserProfile(uid);
-    if (profileDoc) {
-      await firestore.collection('profiles').doc(uid).update({
-        disabled: true,
-        updatedAt: admin.firestore.Timestamp.now(),
-      });
-    }
-
-    return true;
-  } catch (error) {
-    console.error(`Error requesting deletion for ${uid}:`, error);
-    return false;
-  }
-}
-
-/**
- * Approve a deletion request and hard-delete user data
- * @param {string} uid - User ID
- * @param {string} adminUid - Admin who approved
- * @returns {Promise<boolean>} Success status
- */
-export async function approveDeletion(uid, adminUid) {
-  try {
-    // Verify admin
-    const isAdminUser = await isAdmin(adminUid);
-    if (!isAdminUser) {
-      throw new Error('Only admins can approve deletions');
-    }
-
-    // Delete user document
-    await firestore.collection('users').doc(uid).delete();
-
-    // Delete profile
-    await firestore.collection('profiles').doc(uid).delete();
-
-    // Update deletion request
-    await firestore.collection('deletion_requests').doc(uid).update({
-      status: 'approved',
-      approvedBy: adminUid,
-      approvedAt: admin.firestore.Timestamp.now(),
-    });
-
-    return true;
-  } catch (error) {
-    console.error(`Error approving deletion for ${uid}:`, error);
-    return false;
-  }
-}
-
-/**
- * Reject a deletion request and restore user account
- * @param {string} uid - User ID
- * @param {string} adminUid - Admin who rejected
- * @returns {Promise<boolean>} Success status
- */
-export async function rejectDeletion(uid, adminUid) {
-  try {
-    // Verify admin
-    const isAdminUser = await isAdmin(adminUid);
-    if (!isAdminUser) {
-      throw new Error('Only admins can reject deletions');
-    }
-
-    // Re-enable user
-    await firestore.collection('users').doc(uid).update({
-      disabled: false,
-      updatedAt: admin.firestore.Timestamp.now(),
-    });
-
-    // Re-enable profile
-    const profileDoc = await getUserProfile(uid);
-    if (profileDoc) {
-      await firestore.collection('profiles').doc(uid).update({
-        disabled: false,
-        updatedAt: admin.firestore.Timestamp.now(),
-      });
-    }
-
-    // Update deletion request
-    await firestore.collection('deletion_requests').doc(uid).update({
-      status: 'rejected',
-      rejectedBy: adminUid,
-      rejectedAt: admin.firestore.Timestamp.now(),
-    });
-
-    return true;
-  } catch (error) {
-    console.error(`Error rejecting deletion for ${uid}:`, error);
-    return false;
-  }
-}
-
-/**
- * Get all pending deletion requests
- * @returns {Promise<Array>} Array of deletion requests
- */
-export async function getPendingDeletions() {
-  try {
-    const snapshot = await firestore
-      .collection('deletion_requests')
-      .where('status', '==', 'pending')
-      .orderBy('requestedAt', 'desc')
-      .get();
-
-    return snapshot.docs.map(doc => ({ uid: doc.id, ...doc.data() }));
-  } catch (error) {
-    console.error('Error fetching pending deletions:', error);
-    return [];
-  }
+export async function markEmailVerified(uid) {
+  const now = new Date().toISOString();
+  await firestore.collection('users').doc(uid).set({
+    emailVerified: true,
+    emailVerifiedAt: now,
+    updatedAt: now,
+  }, { merge: true });
 }
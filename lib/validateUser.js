@@ -26,6 +26,9 @@ const USER_REQUIRED_FIELDS = {
 };
 
 const USER_OPTIONAL_FIELDS = {
+  tenantId: 'string',
+  emailVerified: 'boolean',
+  roles: 'array',
   disabled: 'boolean',
   updatedAt: 'timestamp',
 };
@@ -39,6 +42,7 @@ const PROFILE_REQUIRED_FIELDS = {
 };
 
 const PROFILE_OPTIONAL_FIELDS = {
+  tenantId: 'string',
   major: 'string',
   year: 'number',
   bio: 'string',
@@ -348,7 +352,7 @@ export const cleanUserDoc = (rawData) => {
   const cleaned = {};
 
   // Copy allowed fields
-  ['uid', 'email', 'role', 'createdAt', 'disabled', 'updatedAt'].forEach((field) => {
+  ['uid', 'email', 'role', 'roles', 'tenantId', 'emailVerified', 'createdAt', 'disabled', 'updatedAt'].forEach((field) => {
     if (field in rawData) {
       cleaned[field] = rawData[field];
     }
@@ -1,6 +1,11 @@
 // Auth middleware for JWT validation and role checks
 import { verifyToken } from '../utils/jwt.js';
-import { getAccount } from '../lib/user-helpers.js';
+import { firebaseAuth } from '../config/firebaseAdmin.js';
+import { getAccount, markEmailVerified } from '../lib/user-helpers.js';
+import { getActiveSession, touchSession } from '../services/sessionService.js';
+import { getActiveSuspension, suspensionErrorBody, SUSPENSION_MODE } from '../services/enforcementService.js';
+import { createRequestTenantScope } from '../lib/tenantScope.js';
+import { PERMISSIONS, getAccountPermissions, hasPermission } from '../lib/permissions.js';
 
 export const requireAuth = async (req, res, next) => {
   const authHeader = req.headers.authorization || '';
@@ -12,7 +17,16 @@ export const requireAuth = async (req, res, next) => {
 
   try {
     const decoded = verifyToken(token);
-    const { uid, email } = decoded;
+    const { uid, email, sid } = decoded;
+
+    // Tokens must be bound to a live server-side session (revoked on logout)
+    const session = await getActiveSession(sid, uid);
+    if (!session) {
+      return res.status(401).json({ success: false, error: 'Session revoked or expired' });
+    }
+    touchSession(session, { ip: req.ip }).catch((err) => {
+      console.error('Session touch error:', err.message);
+    });
 
     // Get account from correct collection (admin or user)
     const account = await getAccount(uid);
@@ -28,6 +42,15 @@ export const requireAuth = async (req, res, next) => {
       });
     }
 
+    // Suspensions lapse on their own at endsAt; restricted modes are checked per route (requireUnrestricted)
+    const suspension = getActiveSuspension(account.data);
+    if (suspension?.mode === SUSPENSION_MODE.FULL) {
+      return res.status(403).json(suspensionErrorBody(suspension));
+    }
+
+    // Second factor passed: claim in the token and still set on the session (cleared when 2FA is turned off)
+    const mfa = decoded.mfa === true && session.mfa === true;
+
     // Attach user info to request
     req.user = {
       uid,
@@ -36,8 +59,16 @@ export const requireAuth = async (req, res, next) => {
       accountType: account.type, // 'admin' or 'user'
       data: account.data, // Full account data
       role: account.type === 'admin' ? 'admin' : (account.data.role || 'user'), // Legacy role for compatibility
+      sessionId: sid,
+      mfa,
+      roles: Array.isArray(account.data.roles) ? account.data.roles : [], // Staff roles (lib/permissions.js)
+      permissions: getAccountPermissions(account, { mfa }),
+      suspension, // restricted mode in force, or null
     };
 
+    // Tenant scope for all data access in this request (students: own tenant; admins: X-Tenant-Id or global)
+    req.tenant = createRequestTenantScope(req, account);
+
     return next();
   } catch (err) {
     console.error('Auth error:', err.message);
@@ -45,13 +76,67 @@ export const requireAuth = async (req, res, next) => {
   }
 };
 
+// Block accounts that registered but have not confirmed their email yet.
+// Must run after requireAuth. Accounts created before verification existed (no flag) and admins pass.
+export const requireVerifiedEmail = async (req, res, next) => {
+  if (req.user?.isAdmin || req.user?.data?.emailVerified !== false) return next();
+
+  try {
+    // The user may have clicked the link since the flag was written; Firebase Auth is the source of truth
+    const userRecord = await firebaseAuth.getUser(req.user.uid);
+    if (userRecord.emailVerified) {
+      await markEmailVerified(req.user.uid);
+      req.user.data.emailVerified = true;
+      return next();
+    }
+  } catch (err) {
+    console.error('Email verification check error:', err.message);
+  }
+
+  return res.status(403).json({
+    success: false,
+    error: 'Please verify your email address to continue',
+    code: 'EMAIL_NOT_VERIFIED',
+  });
+};
+
+// Admin routes also require a session that passed TOTP (see routes/auth.routes.js /2fa/*)
 export const requireAdmin = (req, res, next) => {
-  if (req.user?.isAdmin) return next();
-  return res.status(403).json({ success: false, error: 'Admin only' });
+  if (!req.user?.isAdmin) {
+    return res.status(403).json({ success: false, error: 'Admin only' });
+  }
+  if (!req.user.mfa) {
+    return res.status(403).json({
+      success: false,
+      error: 'Two-factor authentication required',
+      code: 'TWO_FACTOR_REQUIRED',
+    });
+  }
+  return next();
+};
+
+// Require a named permission (see lib/permissions.js). Must run after requireAuth.
+export const requirePermission = (permission) => (req, res, next) => {
+  if (hasPermission(req.user, permission)) return next();
+  // Admins hold every permission, but only once the session has passed 2FA
+  if (req.user?.isAdmin && !req.user.mfa) {
+    return res.status(403).json({
+      success: false,
+      error: 'Two-factor authentication required',
+      code: 'TWO_FACTOR_REQUIRED',
+    });
+  }
+  return res.status(403).json({ success: false, error: 'Forbidden', permission });
+};
+
+// Refuse requests from users under the given restricted mode (e.g. chat_read_only). Must run after requireAuth.
+export const requireUnrestricted = (mode) => (req, res, next) => {
+  if (req.user?.suspension?.mode !== mode) return next();
+  return res.status(403).json(suspensionErrorBody(req.user.suspension));
 };
 
 export const requireOwnership = (param = 'id') => (req, res, next) => {
-  if (req.user?.role === 'admin') return next();
+  if (hasPermission(req.user, PERMISSIONS.USERS_MANAGE)) return next();
   if (req.user?.uid === req.params[param]) return next();
   return res.status(403).json({ success: false, error: 'Forbidden' });
 };
@@ -0,0 +1,65 @@
+/**
+ * Rate limiting middleware
+ */
+import { getDefaultRateLimitStore } from '../services/rateLimitStore.js';
+
+// Built-in key strategies; each falls back to the client IP when its identity is missing
+const KEY_RESOLVERS = {
+  ip: (req) => req.ip || 'unknown',
+  uid: (req) => (req.user?.uid ? `uid:${req.user.uid}` : `ip:${req.ip || 'unknown'}`),
+  email: (req) => {
+    const email = typeof req.body?.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+    return email ? `email:${email}` : `ip:${req.ip || 'unknown'}`;
+  },
+};
+
+/**
+ * Create a fixed-window rate limiter
+ * Sends RateLimit-Limit / RateLimit-Remaining / RateLimit-Reset headers, plus Retry-After when limited.
+ * If the store is unreachable the request is allowed through (fail open).
+ * @param {Object} options
+ * @param {string} options.name - Limiter name, used to namespace keys in the store
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {number} options.max - Requests allowed per key per window
+ * @param {string|Function} options.keyBy - 'ip' | 'uid' | 'email' or (req) => string
+ * @param {string} options.message - Error message when limited
+ * @param {Object} options.store - Rate limit store (defaults to the shared store)
+ * @returns {Function} - Express middleware
+ */
+export const createRateLimiter = ({
+  name,
+  windowMs,
+  max,
+  keyBy = 'ip',
+  message = 'Too many requests. Please try again later.',
+  store,
+}) => {
+  if (!name) throw new Error('Rate limiter name is required');
+  const resolveKey = typeof keyBy === 'function' ? keyBy : KEY_RESOLVERS[keyBy];
+  if (!resolveKey) throw new Error(`Unknown rate limit key strategy: ${keyBy}`);
+
+  return async (req, res, next) => {
+    let result;
+    try {
+      const activeStore = store || getDefaultRateLimitStore();
+      result = await activeStore.increment(`${name}:${resolveKey(req)}`, windowMs);
+    } catch (err) {
+      console.error(`Rate limiter "${name}" store error:`, err.message);
+      return next();
+    }
+
+    const resetSeconds = Math.max(0, Math.ceil((result.resetAt - Date.now()) / 1000));
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(0, max - result.count)));
+    res.set('RateLimit-Reset', String(resetSeconds));
+
+    if (result.count > max) {
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(429).json({ success: false, error: message, retryAfter: resetSeconds });
+    }
+
+    return next();
+  };
+};
+
+export default createRateLimiter;
@@ -1,18 +1,102 @@
 // Admin API routes for management tasks
 import express from 'express';
 import { firestore, firebaseAuth } from '../config/firebaseAdmin.js';
-import { requireAuth, requireAdmin } from '../middleware/auth.js';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS, STAFF_ROLES, isStaffRole, hasPermission } from '../lib/permissions.js';
 import { asyncHandler, sendSuccess, sendError } from '../middleware/errorHandler.js';
 import { validateQuery, validateBody, validateParams } from '../middleware/validation.js';
-import { syncRoleToAllSources } from '../utils/roleResolver.js';
+import { syncRoleToAllSources, getRoleFromFirestore } from '../utils/roleResolver.js';
 import { validateUserDoc, validateProfileDoc, validateProfileUpdate } from '../lib/validateUser.js';
+import { revokeAllSessions } from '../services/sessionService.js';
+import {
+  recordAudit,
+  listAuditEntries,
+  formatAuditCsv,
+  MAX_AUDIT_PAGE_SIZE,
+  MAX_AUDIT_EXPORT_SIZE,
+} from '../services/auditService.js';
+import {
+  listTenants,
+  getTenant,
+  resolveTenantForEmail,
+  saveTenant,
+  addTenantDomain,
+  removeTenantDomain,
+  isValidDomain,
+} from '../services/tenantService.js';
+import {
+  listReports,
+  getReport,
+  reviewReport,
+  REPORT_REASONS,
+  REPORT_STATUS,
+  MAX_REPORT_PAGE_SIZE,
+} from '../services/reportService.js';
+import {
+  listHeldMessages,
+  getHeldMessage,
+  approveHeldMessage,
+  rejectHeldMessage,
+  HELD_MESSAGE_STATUS,
+  MAX_HELD_MESSAGE_PAGE_SIZE,
+} from '../services/heldMessageService.js';
+import { isValidChatSafetyPolicy } from '../services/safetyService.js';
+import {
+  listDeletionRequests,
+  getDeletionRequest,
+  approveAccountDeletion,
+  rejectAccountDeletion,
+  eraseUserData,
+  DELETION_STATUS,
+  MAX_DELETION_REQUEST_PAGE_SIZE,
+} from '../services/userDataService.js';
+import {
+  getRetentionPolicy,
+  updateRetentionPolicy,
+  isValidRetentionValue,
+  runRetention,
+  listRetentionRuns,
+  DEFAULT_RETENTION_POLICY,
+  RETENTION_POLICY_FIELDS,
+  RETENTION_RULE,
+  RETENTION_TRIGGER,
+  MAX_RETENTION_RUN_PAGE_SIZE,
+} from '../services/retentionService.js';
+import { JOB_NAME, acquireLease, renewLease, releaseLease } from '../scheduler/scheduler.js';
+import {
+  listCases,
+  getCase,
+  claimCase,
+  releaseCase,
+  addCaseNote,
+  resolveCase,
+  closeCasesForTarget,
+  CASE_STATUS,
+  CASE_SOURCE,
+  CASE_TARGET,
+  RESOLUTION_ACTION,
+  MAX_CASE_PAGE_SIZE,
+  MAX_CASE_NOTE_LENGTH,
+} from '../services/moderationService.js';
+import {
+  issueStrike,
+  revokeStrike,
+  listStrikes,
+  suspendUser,
+  liftSuspension,
+  listSuspensions,
+  getActiveSuspension,
+  SUSPENSION_MODE,
+  MAX_SUSPENSION_HOURS,
+  MAX_ENFORCEMENT_REASON_LENGTH,
+} from '../services/enforcementService.js';
 // AI service client used for admin monitoring calls.
 import { runAiGraph } from '../services/aiServiceClient.js';
 
 const router = express.Router();
 
-// All admin routes require authentication and admin role
-router.use(requireAuth, requireAdmin);
+// All admin routes require authentication; each route checks its own permission (lib/permissions.js)
+router.use(requireAuth);
 
 // Helper: Safely parse JSON from query strings for admin test endpoints.
 const safeParseJson = (value) => {
@@ -54,6 +138,7 @@ const buildEventsGroupsMetrics = (aiResponse, latencyMs) => {
 
 // Admin-only AI matching test → graph: matching.
 router.get('/ai/matching/test',
+  requirePermission(PERMISSIONS.AI_MONITOR),
   validateQuery({
     userId: { type: 'string', required: true },
     tenantId: { type: 'string', required: true },
@@ -92,6 +177,7 @@ router.get('/ai/matching/test',
 
 // Admin-only AI events/groups test → graph: events_communities.
 router.get('/ai/events-groups/test',
+  requirePermission(PERMISSIONS.AI_MONITOR),
   validateQuery({
     userId: { type: 'string', required: true },
     tenantId: { type: 'string', required: true },
@@ -135,6 +221,21 @@ router.get('/ai/events-groups/test',
 
 // ============ USERS MANAGEMENT ============
 
+// Helper: Revoke all sessions for a user and drop their live sockets
+const killUserSessions = async (req, uid, reason) => {
+  const revokedIds = await revokeAllSessions(uid, reason);
+  const io = req.app.get('io');
+  revokedIds.forEach((sessionId) => io?.disconnectSession?.(sessionId));
+  return revokedIds;
+};
+
+const SUSPENSION_MODES = Object.values(SUSPENSION_MODE);
+
+// { mode?, durationHours? } as accepted when suspending a user
+const isValidSuspensionTerms = ({ mode, durationHours }) =>
+  (mode === undefined || SUSPENSION_MODES.includes(mode))
+  && (durationHours === undefined || (typeof durationHours === 'number' && durationHours >= 1 && durationHours <= MAX_SUSPENSION_HOURS));
+
 // Helper to list all users from Firebase Auth
 const listAllUsers = async () => {
   let all = [];
@@ -149,6 +250,7 @@ const listAllUsers = async () => {
 
 // Get all users with pagination
 router.get('/users',
+  requirePermission(PERMISSIONS.USERS_READ),
   validateQuery({
     page: { type: 'number', min: 1 },
     limit: { type: 'number', min: 1, max: 100 },
@@ -185,12 +287,15 @@ router.get('/users',
           email: u.email || userData.email,
           role,
           disabled: !!u.disabled || !!userData.disabled,
+          suspension: getActiveSuspension(userData),
+          strikeCount: userData.strikeCount || 0,
           createdAt: u.metadata?.creationTime || userData.createdAt,
           name: userData.name || profileData.name || '',
           avatarUrl: userData.avatarUrl || profileData.avatarUrl || '',
           major: profileData.major || '',
           year: profileData.year || '',
           interests: profileData.interests || [],
+          tenantId: userData.tenantId || profileData.tenantId || null,
         };
       })
     );
@@ -204,15 +309,27 @@ router.get('/users',
 
 // Create a new user (admin)
 router.post('/users',
+  requirePermission(PERMISSIONS.USERS_MANAGE),
   validateBody({
     email: { required: true, type: 'string', pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/ },
     password: { required: true, type: 'string', minLength: 6 },
     role: { type: 'string', validator: (v) => ['user', 'admin'].includes(v) || 'Invalid role' },
     name: { type: 'string', maxLength: 100 },
+    tenantId: { type: 'string', maxLength: 100 },
   }),
   asyncHandler(async (req, res) => {
     const { email, password, role = 'user', name = '' } = req.body;
 
+    // Students belong to a tenant: explicit override, else resolved from the email domain
+    let tenantId = null;
+    if (role !== 'admin') {
+      const tenant = req.body.tenantId ? await getTenant(req.body.tenantId) : await resolveTenantForEmail(email);
+      if (!tenant) {
+        return sendError(res, 400, req.body.tenantId ? 'Unknown tenant' : 'No tenant is registered for this email domain');
+      }
+      tenantId = tenant.id;
+    }
+
     const userRecord = await firebaseAuth.createUser({
       email,
       password,
@@ -226,6 +343,7 @@ router.post('/users',
       uid: userRecord.uid,
       email,
       role,
+      ...(tenantId && { tenantId }),
       createdAt: now,
       disabled: false,
       updatedAt: now,
@@ -246,6 +364,7 @@ router.post('/users',
     // Create profiles/{uid} document with canonical schema
     const profileDoc = {
       name: name || '',
+      ...(tenantId && { tenantId }),
       major: '',
       year: null,
       bio: '',
@@ -268,6 +387,14 @@ router.post('/users',
 
     await firestore.collection('profiles').doc(userRecord.uid).set(profileDoc);
 
+    await recordAudit(req, {
+      action: 'user.create',
+      targetType: 'user',
+      targetId: userRecord.uid,
+      tenantId,
+      after: { email, role, tenantId, name: profileDoc.name },
+    });
+
     return sendSuccess(res, {
       user: {
         uid: userRecord.uid,
@@ -286,6 +413,7 @@ router.post('/users',
 
 // Get user details by UID
 router.get('/users/:uid',
+  requirePermission(PERMISSIONS.USERS_READ),
   validateParams({
     uid: { required: true },
   }),
@@ -308,6 +436,7 @@ router.get('/users/:uid',
 
 // Update user role
 router.patch('/users/:uid/role',
+  requirePermission(PERMISSIONS.ROLES_ASSIGN),
   validateParams({ uid: { required: true } }),
   validateBody({
     role: { required: true, type: 'string', validator: (v) => ['user', 'admin'].includes(v) || 'Invalid role' },
@@ -319,16 +448,74 @@ router.patch('/users/:uid/role',
     // Get user email for sync function
     const userRecord = await firebaseAuth.getUser(uid);
     const email = userRecord.email || '';
+    const previousRole = await getRoleFromFirestore(uid);
 
     // Use shared sync function to update both Firestore and custom claims
-    await syncRoleToAllSources(firebaseAuth, uid, email, role);
+    try {
+      await syncRoleToAllSources(firebaseAuth, uid, email, role);
+    } catch (err) {
+      if (err.status) return sendError(res, err.status, err.message);
+      throw err;
+    }
+
+    await recordAudit(req, {
+      action: 'user.role_change',
+      targetType: 'user',
+      targetId: uid,
+      before: { role: previousRole },
+      after: { role },
+    });
 
     return sendSuccess(res, { message: `User role updated to ${role}` });
   })
 );
 
+// List assignable staff roles and the permissions they grant
+router.get('/roles', requirePermission(PERMISSIONS.ROLES_ASSIGN), asyncHandler(async (req, res) => {
+  const roles = Object.entries(STAFF_ROLES).map(([id, role]) => ({ id, ...role }));
+  return sendSuccess(res, { roles, permissions: Object.values(PERMISSIONS) });
+}));
+
+// Replace a student account's staff roles (e.g. ["moderator"]); an empty list removes them all
+router.put('/users/:uid/roles',
+  requirePermission(PERMISSIONS.ROLES_ASSIGN),
+  validateParams({ uid: { required: true } }),
+  validateBody({
+    roles: {
+      required: true,
+      type: 'array',
+      maxItems: 10,
+      validator: (v) => v.every(isStaffRole) || `roles must be any of: ${Object.keys(STAFF_ROLES).join(', ')}`,
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    const { uid } = req.params;
+    const roles = [...new Set(req.body.roles)];
+
+    const userRef = firestore.collection('users').doc(uid);
+    const userDoc = await userRef.get();
+    if (!userDoc.exists) {
+      return sendError(res, 404, 'User not found (staff roles can only be given to student accounts)');
+    }
+
+    await userRef.update({ roles, updatedAt: new Date().toISOString() });
+
+    await recordAudit(req, {
+      action: 'user.staff_roles_change',
+      targetType: 'user',
+      targetId: uid,
+      tenantId: userDoc.data().tenantId || null,
+      before: { roles: userDoc.data().roles || [] },
+      after: { roles },
+    });
+
+    return sendSuccess(res, { uid, roles });
+  })
+);
+
 // Update user profile (admin override)
 router.patch('/users/:uid/profile',
+  requirePermission(PERMISSIONS.USERS_MANAGE),
   validateParams({ uid: { required: true } }),
   validateBody({
     name: { type: 'string', maxLength: 100 },
@@ -356,8 +543,19 @@ router.patch('/users/:uid/profile',
     });
 
     if (Object.keys(profilePayload).length > 0) {
+      const profileRef = firestore.collection('profiles').doc(uid);
+      const previous = (await profileRef.get()).data() || {};
       profilePayload.updatedAt = firestore.Timestamp.now();
-      await firestore.collection('profiles').doc(uid).set(profilePayload, { merge: true });
+      await profileRef.set(profilePayload, { merge: true });
+
+      await recordAudit(req, {
+        action: 'user.profile_update',
+        targetType: 'user',
+        targetId: uid,
+        tenantId: previous.tenantId || null,
+        before: Object.fromEntries(Object.keys(profilePayload).map((field) => [field, previous[field]])),
+        after: profilePayload,
+      });
     }
 
     return sendSuccess(res, { profile: profilePayload });
@@ -366,6 +564,7 @@ router.patch('/users/:uid/profile',
 
 // Set/reset password (admin)
 router.patch('/users/:uid/password',
+  requirePermission(PERMISSIONS.USERS_MANAGE),
   validateParams({ uid: { required: true } }),
   validateBody({
     password: { required: true, type: 'string', minLength: 6 },
@@ -375,12 +574,23 @@ router.patch('/users/:uid/password',
     const { password } = req.body;
 
     await firebaseAuth.updateUser(uid, { password });
+
+    // The diff only records that the password changed, never its value
+    await recordAudit(req, {
+      action: 'user.password_reset',
+      targetType: 'user',
+      targetId: uid,
+      before: { password: null },
+      after: { password },
+    });
+
     return sendSuccess(res, { message: 'Password updated' });
   })
 );
 
 // Disable/enable user account
 router.patch('/users/:uid/disable',
+  requirePermission(PERMISSIONS.USERS_MANAGE),
   validateParams({ uid: { required: true } }),
   validateBody({
     disabled: { required: true, type: 'boolean' },
@@ -395,28 +605,295 @@ router.patch('/users/:uid/disable',
       updatedAt: firestore.Timestamp.now(),
     });
 
-    return sendSuccess(res, { message: `User ${disabled ? 'disabled' : 'enabled'}` });
+    // Disabling also signs the user out everywhere
+    const revokedSessions = disabled ? await killUserSessions(req, uid, 'account_disabled') : [];
+
+    await recordAudit(req, {
+      action: disabled ? 'user.disable' : 'user.enable',
+      targetType: 'user',
+      targetId: uid,
+      before: { disabled: !disabled },
+      after: { disabled },
+      metadata: { revokedSessions: revokedSessions.length },
+    });
+
+    return sendSuccess(res, {
+      message: `User ${disabled ? 'disabled' : 'enabled'}`,
+      revokedSessions: revokedSessions.length,
+    });
+  })
+);
+
+// Revoke every active session for a user (force sign-out on all devices)
+router.delete('/users/:uid/sessions',
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  validateParams({ uid: { required: true } }),
+  asyncHandler(async (req, res) => {
+    const { uid } = req.params;
+    const revokedSessions = await killUserSessions(req, uid, 'admin_revoked');
+
+    await recordAudit(req, {
+      action: 'user.sessions_revoke',
+      targetType: 'user',
+      targetId: uid,
+      metadata: { revokedSessions: revokedSessions.length },
+    });
+
+    return sendSuccess(res, {
+      message: 'All sessions revoked',
+      revokedSessions: revokedSessions.length,
+    });
   })
 );
 
 // Delete user
 router.delete('/users/:uid',
+  requirePermission(PERMISSIONS.USERS_DELETE),
   validateParams({ uid: { required: true } }),
   asyncHandler(async (req, res) => {
     const { uid } = req.params;
-
-    await firebaseAuth.deleteUser(uid);
-    await firestore.collection('users').doc(uid).delete();
-    await firestore.collection('profiles').doc(uid).delete();
+    const userSnap = await firestore.collection('users').doc(uid).get();
+    const userData = userSnap.exists ? userSnap.data() : {};
+
+    await killUserSessions(req, uid, 'account_deleted');
+    req.app.get('io')?.disconnectUser?.(uid);
+    const erasure = await eraseUserData(uid);
+
+    await recordAudit(req, {
+      action: 'user.delete',
+      targetType: 'user',
+      targetId: uid,
+      tenantId: userData.tenantId || null,
+      before: { email: userData.email || null, role: userData.role || null, tenantId: userData.tenantId || null },
+      metadata: { erasure },
+    });
 
     return sendSuccess(res, { message: 'User deleted' });
   })
 );
 
+// ============ ACCOUNT DELETION REQUESTS ============
+
+const DELETION_STATUSES = Object.values(DELETION_STATUS);
+
+// Deletion requests from users (POST /api/users/me/deletion-request), oldest first
+router.get('/deletion-requests',
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  validateQuery({
+    status: { type: 'string', validator: (v) => DELETION_STATUSES.includes(v) || `status must be one of: ${DELETION_STATUSES.join(', ')}` },
+    tenantId: { type: 'string', maxLength: 100 },
+    limit: { type: 'number', min: 1, max: MAX_DELETION_REQUEST_PAGE_SIZE },
+    cursor: { type: 'string', maxLength: 128 },
+  }),
+  asyncHandler(async (req, res) => {
+    const { deletionRequests, nextCursor } = await listDeletionRequests({
+      status: req.query.status,
+      tenantId: req.tenant.resolve(req.query.tenantId) || undefined,
+      limit: Number(req.query.limit) || 50,
+      cursor: req.query.cursor,
+    });
+    return sendSuccess(res, { deletionRequests, nextCursor });
+  })
+);
+
+// Approve (erase the account and its data) or reject (re-enable the account) a deletion request
+const reviewDeletionRequest = (decision) => asyncHandler(async (req, res) => {
+  const { uid } = req.params;
+  const pending = await getDeletionRequest(uid);
+  if (!pending || !req.tenant.includes(pending)) return sendError(res, 404, 'Deletion request not found');
+
+  const review = { reviewerId: req.user.uid, note: req.body.note };
+  let deletionRequest;
+  try {
+    if (decision === DELETION_STATUS.APPROVED) {
+      req.app.get('io')?.disconnectUser?.(uid);
+      deletionRequest = await approveAccountDeletion(uid, review);
+    } else {
+      deletionRequest = await rejectAccountDeletion(uid, review);
+    }
+  } catch (err) {
+    if (err.status) return sendError(res, err.status, err.message);
+    throw err;
+  }
+
+  await recordAudit(req, {
+    action: decision === DELETION_STATUS.APPROVED ? 'user.deletion_approve' : 'user.deletion_reject',
+    targetType: 'user',
+    targetId: uid,
+    tenantId: pending.tenantId,
+    before: { status: pending.status },
+    after: { status: deletionRequest.status, reviewNote: deletionRequest.reviewNote },
+    metadata: { requestedAt: pending.requestedAt, ...(deletionRequest.erasure && { erasure: deletionRequest.erasure }) },
+  });
+
+  return sendSuccess(res, { deletionRequest });
+});
+
+router.post('/deletion-requests/:uid/approve',
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  validateParams({ uid: { required: true } }),
+  validateBody({ note: { type: 'string', maxLength: 2000 } }),
+  reviewDeletionRequest(DELETION_STATUS.APPROVED)
+);
+
+router.post('/deletion-requests/:uid/reject',
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  validateParams({ uid: { required: true } }),
+  validateBody({ note: { type: 'string', maxLength: 2000 } }),
+  reviewDeletionRequest(DELETION_STATUS.REJECTED)
+);
+
+// ============ TENANTS (campus email domains) ============
+
+const tenantDomainsValidator = (v) =>
+  (Array.isArray(v) && v.every((d) => typeof d === 'string' && isValidDomain(d))) ||
+  'domains must be an array of email domains (e.g. uel.ac.uk)';
+
+const SSO_CLAIM_KEYS = ['subject', 'email', 'name'];
+
+// OIDC settings for university single sign-on (the client secret comes from SSO_CLIENT_SECRET_<TENANT_ID>)
+const tenantSsoValidator = (v) => {
+  const message = 'sso must be { enabled: boolean, issuer: URL, clientId: string, scopes?: string[], claims?: { subject?, email?, name? } }';
+  if (!v || typeof v !== 'object' || Array.isArray(v)) return message;
+  if (typeof v.enabled !== 'boolean') return message;
+  if (v.enabled && (typeof v.issuer !== 'string' || !/^https?:\/\/\S+$/.test(v.issuer))) return message;
+  if (v.enabled && (typeof v.clientId !== 'string' || !v.clientId.trim())) return message;
+  if (v.scopes !== undefined && !(Array.isArray(v.scopes) && v.scopes.every((sc) => typeof sc === 'string'))) return message;
+  if (v.claims !== undefined) {
+    if (!v.claims || typeof v.claims !== 'object') return message;
+    if (!Object.entries(v.claims).every(([k, c]) => SSO_CLAIM_KEYS.includes(k) && typeof c === 'string')) return message;
+  }
+  return true;
+};
+
+const tenantChatSafetyValidator = (v) =>
+  isValidChatSafetyPolicy(v) || "chatSafety must be { action: 'allow' | 'warn' | 'hold' | 'block', failMode?: 'open' | 'closed' }";
+
+// List tenants and their registration domains
+router.get('/tenants', requirePermission(PERMISSIONS.TENANTS_MANAGE), asyncHandler(async (req, res) => {
+  const tenants = await listTenants();
+  return sendSuccess(res, { tenants });
+}));
+
+// Create a tenant
+router.post('/tenants',
+  requirePermission(PERMISSIONS.TENANTS_MANAGE),
+  validateBody({
+    id: { required: true, type: 'string', pattern: /^[a-z0-9][a-z0-9-]{1,49}$/ },
+    name: { required: true, type: 'string', maxLength: 200 },
+    domains: { required: true, type: 'array', maxItems: 50, validator: tenantDomainsValidator },
+    registrationEnabled: { type: 'boolean' },
+    sso: { type: 'object', validator: tenantSsoValidator },
+    chatSafety: { type: 'object', validator: tenantChatSafetyValidator },
+  }),
+  asyncHandler(async (req, res) => {
+    const { id, name, domains, registrationEnabled, sso, chatSafety } = req.body;
+    const existing = await getTenant(id);
+    if (existing?.source === 'firestore') return sendError(res, 409, 'Tenant already exists');
+
+    try {
+      const tenant = await saveTenant(id, { name, domains, registrationEnabled, sso, chatSafety }, req.user.uid);
+      await recordAudit(req, { action: 'tenant.create', targetType: 'tenant', targetId: id, tenantId: id, after: tenant });
+      return sendSuccess(res, { tenant }, 201);
+    } catch (err) {
+      if (err.status) return sendError(res, err.status, err.message);
+      throw err;
+    }
+  })
+);
+
+// Update a tenant (name, full domain list, registration on/off, SSO settings, chat safety policy)
+router.patch('/tenants/:tenantId',
+  requirePermission(PERMISSIONS.TENANTS_MANAGE),
+  validateParams({ tenantId: { required: true } }),
+  validateBody({
+    name: { type: 'string', maxLength: 200 },
+    domains: { type: 'array', maxItems: 50, validator: tenantDomainsValidator },
+    registrationEnabled: { type: 'boolean' },
+    sso: { type: 'object', validator: tenantSsoValidator },
+    chatSafety: { type: 'object', validator: tenantChatSafetyValidator },
+  }),
+  asyncHandler(async (req, res) => {
+    const { tenantId } = req.params;
+    const previous = await getTenant(tenantId);
+    if (!previous) return sendError(res, 404, 'Tenant not found');
+
+    const { name, domains, registrationEnabled, sso, chatSafety } = req.body;
+    const changes = { name, domains, registrationEnabled, sso, chatSafety };
+    // Only the fields this request wrote, as stored
+    const fields = Object.keys(changes).filter((field) => changes[field] !== undefined);
+    try {
+      const tenant = await saveTenant(tenantId, changes, req.user.uid);
+      await recordAudit(req, {
+        action: 'tenant.update',
+        targetType: 'tenant',
+        targetId: tenantId,
+        tenantId,
+        before: Object.fromEntries(fields.map((field) => [field, previous[field] ?? null])),
+        after: Object.fromEntries(fields.map((field) => [field, tenant[field]])),
+      });
+      return sendSuccess(res, { tenant });
+    } catch (err) {
+      if (err.status) return sendError(res, err.status, err.message);
+      throw err;
+    }
+  })
+);
+
+// Add a single domain to a tenant
+router.post('/tenants/:tenantId/domains',
+  requirePermission(PERMISSIONS.TENANTS_MANAGE),
+  validateParams({ tenantId: { required: true } }),
+  validateBody({
+    domain: { required: true, type: 'string', validator: (v) => isValidDomain(v) || 'Invalid domain' },
+  }),
+  asyncHandler(async (req, res) => {
+    const { tenantId } = req.params;
+    try {
+      const previous = await getTenant(tenantId);
+      const tenant = await addTenantDomain(tenantId, req.body.domain, req.user.uid);
+      if (!tenant) return sendError(res, 404, 'Tenant not found');
+      await recordAudit(req, {
+        action: 'tenant.domain_add',
+        targetType: 'tenant',
+        targetId: tenantId,
+        tenantId,
+        before: { domains: previous?.domains || [] },
+        after: { domains: tenant.domains },
+      });
+      return sendSuccess(res, { tenant });
+    } catch (err) {
+      if (err.status) return sendError(res, err.status, err.message);
+      throw err;
+    }
+  })
+);
+
+// Remove a domain from a tenant (existing users keep their tenant)
+router.delete('/tenants/:tenantId/domains/:domain',
+  requirePermission(PERMISSIONS.TENANTS_MANAGE),
+  validateParams({ tenantId: { required: true }, domain: { required: true } }),
+  asyncHandler(async (req, res) => {
+    const { tenantId } = req.params;
+    const previous = await getTenant(tenantId);
+    const tenant = await removeTenantDomain(tenantId, req.params.domain, req.user.uid);
+    if (!tenant) return sendError(res, 404, 'Tenant not found');
+    await recordAudit(req, {
+      action: 'tenant.domain_remove',
+      targetType: 'tenant',
+      targetId: tenantId,
+      tenantId,
+      before: { domains: previous?.domains || [] },
+      after: { domains: tenant.domains },
+    });
+    return sendSuccess(res, { tenant });
+  })
+);
+
 // ============ SYSTEM ANALYTICS ============
 
 // Get system statistics
-router.get('/analytics/stats', asyncHandler(async (req, res) => {
+router.get('/analytics/stats', requirePermission(PERMISSIONS.ANALYTICS_READ), asyncHandler(async (req, res) => {
   const [usersCount, profilesCount, connectionsCount, matchesCount] = await Promise.all([
     firestore.collection('users').count().get(),
     firestore.collection('profiles').count().get(),
@@ -450,7 +927,7 @@ router.get('/analytics/stats', asyncHandler(async (req, res) => {
 }));
 
 // Get system health
-router.get('/analytics/health', asyncHandler(async (req, res) => {
+router.get('/analytics/health', requirePermission(PERMISSIONS.ANALYTICS_READ), asyncHandler(async (req, res) => {
   const memUsage = process.memoryUsage();
   const health = {
     status: 'healthy',
@@ -468,69 +945,535 @@ router.get('/analytics/health', asyncHandler(async (req, res) => {
   return sendSuccess(res, health);
 }));
 
-// ============ CONTENT MANAGEMENT ============
+// ============ STRIKES & SUSPENSIONS ============
+
+// Load a student account in the caller's tenant scope, or send 404 (403 for the caller's own)
+const loadEnforceableUser = async (req, res) => {
+  if (req.params.uid === req.user.uid) {
+    sendError(res, 403, 'Cannot manage strikes or suspensions on your own account');
+    return null;
+  }
+  const userDoc = await firestore.collection('users').doc(req.params.uid).get();
+  if (!userDoc.exists || !req.tenant.includes(userDoc.data())) {
+    sendError(res, 404, 'User not found');
+    return null;
+  }
+  return userDoc.data();
+};
+
+// A user's strikes (revoked ones too) and suspension history
+router.get('/users/:uid/enforcement',
+  requirePermission(PERMISSIONS.CONTENT_MODERATE),
+  validateParams({ uid: { required: true } }),
+  asyncHandler(async (req, res) => {
+    const user = await loadEnforceableUser(req, res);
+    if (!user) return;
+    const [strikes, suspensions] = await Promise.all([
+      listStrikes(req.params.uid, { includeRevoked: true }),
+      listSuspensions(req.params.uid),
+    ]);
+    return sendSuccess(res, {
+      activeStrikes: strikes.filter((strike) => !strike.revokedAt).length,
+      strikes,
+      suspension: getActiveSuspension(user),
+      suspensions,
+    });
+  })
+);
+
+router.post('/users/:uid/strikes',
+  requirePermission(PERMISSIONS.CONTENT_MODERATE),
+  validateParams({ uid: { required: true } }),
+  validateBody({
+    reason: {
+      type: 'string',
+      required: true,
+      maxLength: MAX_ENFORCEMENT_REASON_LENGTH,
+      validator: (v) => v.trim().length > 0 || 'reason is required',
+    },
+    caseId: { type: 'string', maxLength: 128 },
+  }),
+  asyncHandler(async (req, res) => {
+    if (!(await loadEnforceableUser(req, res))) return;
+    const { uid } = req.params;
+    const strike = await issueStrike(uid, { reason: req.body.reason, issuedBy: req.user.uid, caseId: req.body.caseId || null });
+
+    await recordAudit(req, {
+      action: 'user.strike',
+      targetType: 'user',
+      targetId: uid,
+      tenantId: strike.tenantId,
+      after: { reason: strike.reason },
+      metadata: { strikeId: strike.id, caseId: strike.caseId },
+    });
+
+    req.app.get('io')?.emitToUser?.(uid, 'moderation:strike', { id: strike.id, reason: strike.reason, createdAt: strike.createdAt });
+    return sendSuccess(res, { strike }, 201);
+  })
+);
+
+// Withdraw a strike issued in error
+router.delete('/users/:uid/strikes/:strikeId',
+  requirePermission(PERMISSIONS.CONTENT_MODERATE),
+  validateParams({ uid: { required: true }, strikeId: { required: true } }),
+  asyncHandler(async (req, res) => {
+    if (!(await loadEnforceableUser(req, res))) return;
+    let strike;
+    try {
+      strike = await revokeStrike(req.params.uid, req.params.strikeId, req.user.uid);
+    } catch (err) {
+      if (err.status) return sendError(res, err.status, err.message);
+      throw err;
+    }
+
+    await recordAudit(req, {
+      action: 'user.strike_revoke',
+      targetType: 'user',
+      targetId: req.params.uid,
+      tenantId: strike.tenantId,
+      before: { reason: strike.reason },
+      metadata: { strikeId: strike.id },
+    });
+
+    return sendSuccess(res, { strike });
+  })
+);
+
+// Suspend a user for durationHours (or until lifted); replaces any current suspension
+router.post('/users/:uid/suspension',
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  validateParams({ uid: { required: true } }),
+  validateBody({
+    mode: {
+      type: 'string',
+      required: true,
+      validator: (v) => SUSPENSION_MODES.includes(v) || `mode must be one of: ${SUSPENSION_MODES.join(', ')}`,
+    },
+    reason: {
+      type: 'string',
+      required: true,
+      maxLength: MAX_ENFORCEMENT_REASON_LENGTH,
+      validator: (v) => v.trim().length > 0 || 'reason is required',
+    },
+    durationHours: { type: 'number', min: 1, max: MAX_SUSPENSION_HOURS },
+    caseId: { type: 'string', maxLength: 128 },
+  }),
+  asyncHandler(async (req, res) => {
+    const user = await loadEnforceableUser(req, res);
+    if (!user) return;
+    const { uid } = req.params;
+    const { mode, reason, durationHours, caseId } = req.body;
+    const before = getActiveSuspension(user);
+    const suspension = await suspendUser(uid, { mode, reason, durationHours, issuedBy: req.user.uid, caseId: caseId || null });
+
+    await recordAudit(req, {
+      action: 'user.suspend',
+      targetType: 'user',
+      targetId: uid,
+      tenantId: suspension.tenantId,
+      before: { suspension: before },
+      after: { mode, reason: suspension.reason, endsAt: suspension.endsAt },
+      metadata: { suspensionId: suspension.id, caseId: suspension.caseId },
+    });
 
-// Get all content/posts
-router.get('/content',
+    // Reconnecting sockets pick up the suspension in the handshake
+    req.app.get('io')?.disconnectUser?.(uid);
+    return sendSuccess(res, { suspension }, 201);
+  })
+);
+
+// End a suspension early
+router.delete('/users/:uid/suspension',
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  validateParams({ uid: { required: true } }),
+  asyncHandler(async (req, res) => {
+    if (!(await loadEnforceableUser(req, res))) return;
+    const { uid } = req.params;
+    let suspension;
+    try {
+      suspension = await liftSuspension(uid, req.user.uid);
+    } catch (err) {
+      if (err.status) return sendError(res, err.status, err.message);
+      throw err;
+    }
+
+    await recordAudit(req, {
+      action: 'user.unsuspend',
+      targetType: 'user',
+      targetId: uid,
+      before: { mode: suspension.mode, endsAt: suspension.endsAt },
+      after: { suspension: null },
+      metadata: { suspensionId: suspension.id },
+    });
+
+    req.app.get('io')?.disconnectUser?.(uid);
+    return sendSuccess(res, { suspension });
+  })
+);
+
+// ============ MODERATION CASES ============
+
+const CASE_STATUSES = Object.values(CASE_STATUS);
+const CASE_SOURCES = Object.values(CASE_SOURCE);
+const CASE_TARGETS = Object.values(CASE_TARGET);
+const RESOLUTION_ACTIONS = Object.values(RESOLUTION_ACTION);
+
+// Load a case in the caller's tenant scope, or send 404 (403 for a case about the caller)
+const loadCase = async (req, res) => {
+  const moderationCase = await getCase(req.params.caseId);
+  if (!moderationCase || !req.tenant.includes(moderationCase)) {
+    sendError(res, 404, 'Case not found');
+    return null;
+  }
+  if (moderationCase.subjectUserId === req.user.uid) {
+    sendError(res, 403, 'Cannot handle a case about yourself');
+    return null;
+  }
+  return moderationCase;
+};
+
+// Moderation queue, newest first; assigneeId accepts 'me' and 'none'
+router.get('/moderation/cases',
+  requirePermission(PERMISSIONS.CONTENT_MODERATE),
   validateQuery({
-    page: { type: 'number', min: 1 },
-    limit: { type: 'number', min: 1, max: 100 },
+    status: { type: 'string', validator: (v) => CASE_STATUSES.includes(v) || `status must be one of: ${CASE_STATUSES.join(', ')}` },
+    source: { type: 'string', validator: (v) => CASE_SOURCES.includes(v) || `source must be one of: ${CASE_SOURCES.join(', ')}` },
+    targetType: { type: 'string', validator: (v) => CASE_TARGETS.includes(v) || `targetType must be one of: ${CASE_TARGETS.join(', ')}` },
+    assigneeId: { type: 'string', maxLength: 128 },
+    subjectUserId: { type: 'string', maxLength: 128 },
+    tenantId: { type: 'string', maxLength: 100 },
+    limit: { type: 'number', min: 1, max: MAX_CASE_PAGE_SIZE },
+    cursor: { type: 'string', maxLength: 128 },
   }),
   asyncHandler(async (req, res) => {
-    const { page = 1, limit = 20 } = req.query;
-    const pageNum = Number(page);
-    const pageSize = Number(limit);
-    const offset = (pageNum - 1) * pageSize;
+    const { status, source, targetType, assigneeId, subjectUserId, cursor } = req.query;
+    const assignee = { me: req.user.uid, none: null }[assigneeId];
+    const { cases, nextCursor } = await listCases({
+      status,
+      source,
+      targetType,
+      assigneeId: assigneeId === undefined ? undefined : (assignee === undefined ? assigneeId : assignee),
+      subjectUserId,
+      tenantId: req.tenant.resolve(req.query.tenantId) || undefined,
+      limit: Number(req.query.limit) || 50,
+      cursor,
+    });
+    return sendSuccess(res, { cases, nextCursor });
+  })
+);
 
-    const [contentCount, snap] = await Promise.all([
-      firestore.collection('posts').count().get(),
-      firestore.collection('posts').orderBy('createdAt', 'desc').limit(pageSize).offset(offset).get(),
-    ]);
+router.get('/moderation/cases/:caseId',
+  requirePermission(PERMISSIONS.CONTENT_MODERATE),
+  validateParams({ caseId: { required: true } }),
+  asyncHandler(async (req, res) => {
+    const moderationCase = await loadCase(req, res);
+    if (!moderationCase) return;
+    return sendSuccess(res, { case: moderationCase });
+  })
+);
 
-    const total = contentCount.data().count;
-    const content = snap.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+// Claim a case for review; force takes it over from another moderator
+router.post('/moderation/cases/:caseId/claim',
+  requirePermission(PERMISSIONS.CONTENT_MODERATE),
+  validateParams({ caseId: { required: true } }),
+  validateBody({ force: { type: 'boolean' } }),
+  asyncHandler(async (req, res) => {
+    const before = await loadCase(req, res);
+    if (!before) return;
 
-    return sendSuccess(res, {
-      content,
-      pagination: { page: pageNum, limit: pageSize, total, pages: Math.ceil(total / pageSize) },
+    let moderationCase;
+    try {
+      moderationCase = await claimCase(before.id, req.user.uid, { force: req.body.force === true });
+    } catch (err) {
+      if (err.status) return sendError(res, err.status, err.message);
+      throw err;
+    }
+
+    await recordAudit(req, {
+      action: 'moderation.case_claim',
+      targetType: 'moderation_case',
+      targetId: before.id,
+      tenantId: before.tenantId,
+      before: { status: before.status, assigneeId: before.assigneeId },
+      after: { status: moderationCase.status, assigneeId: moderationCase.assigneeId },
     });
+
+    return sendSuccess(res, { case: moderationCase });
+  })
+);
+
+// Return a claimed case to the queue
+router.post('/moderation/cases/:caseId/release',
+  requirePermission(PERMISSIONS.CONTENT_MODERATE),
+  validateParams({ caseId: { required: true } }),
+  asyncHandler(async (req, res) => {
+    const before = await loadCase(req, res);
+    if (!before) return;
+    try {
+      return sendSuccess(res, { case: await releaseCase(before.id, req.user.uid) });
+    } catch (err) {
+      if (err.status) return sendError(res, err.status, err.message);
+      throw err;
+    }
+  })
+);
+
+router.post('/moderation/cases/:caseId/notes',
+  requirePermission(PERMISSIONS.CONTENT_MODERATE),
+  validateParams({ caseId: { required: true } }),
+  validateBody({
+    text: {
+      type: 'string',
+      required: true,
+      maxLength: MAX_CASE_NOTE_LENGTH,
+      validator: (v) => v.trim().length > 0 || 'text is required',
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    const moderationCase = await loadCase(req, res);
+    if (!moderationCase) return;
+    const note = await addCaseNote(moderationCase.id, req.user.uid, req.body.text);
+    return sendSuccess(res, { note }, 201);
   })
 );
 
-// Moderate/approve content
-router.patch('/content/:postId/moderate',
-  validateParams({ postId: { required: true } }),
+// Resolve a case with any of warn, hide_content and suspend_user; no actions dismisses it
+router.post('/moderation/cases/:caseId/resolve',
+  requirePermission(PERMISSIONS.CONTENT_MODERATE),
+  validateParams({ caseId: { required: true } }),
   validateBody({
-    approved: { required: true, type: 'boolean' },
+    actions: {
+      type: 'array',
+      required: true,
+      maxItems: RESOLUTION_ACTIONS.length,
+      validator: (v) => v.every((action) => RESOLUTION_ACTIONS.includes(action))
+        || `actions must be drawn from: ${RESOLUTION_ACTIONS.join(', ')}`,
+    },
+    note: { type: 'string', maxLength: MAX_CASE_NOTE_LENGTH },
+    suspension: {
+      type: 'object',
+      validator: (v) => (!Array.isArray(v) && isValidSuspensionTerms(v))
+        || `suspension must be { mode?: ${SUSPENSION_MODES.join(' | ')}, durationHours?: 1-${MAX_SUSPENSION_HOURS} }`,
+    },
   }),
   asyncHandler(async (req, res) => {
-    const { postId } = req.params;
-    const { approved } = req.body;
+    const before = await loadCase(req, res);
+    if (!before) return;
+    const actions = [...new Set(req.body.actions)];
+    // Suspending an account is a user-management power, not just a moderation one
+    if (actions.includes(RESOLUTION_ACTION.SUSPEND_USER) && !hasPermission(req.user, PERMISSIONS.USERS_MANAGE)) {
+      return sendError(res, 403, 'You do not have permission to suspend users');
+    }
+
+    let moderationCase;
+    try {
+      moderationCase = await resolveCase(before.id, {
+        moderatorId: req.user.uid,
+        actions,
+        note: req.body.note,
+        suspension: req.body.suspension,
+        io: req.app.get('io'),
+      });
+    } catch (err) {
+      if (err.status) return sendError(res, err.status, err.message);
+      throw err;
+    }
 
-    await firestore.collection('posts').doc(postId).update({
-      approved,
-      moderatedAt: new Date().toISOString(),
-      moderatedBy: req.user.uid,
+    await recordAudit(req, {
+      action: 'moderation.case_resolve',
+      targetType: 'moderation_case',
+      targetId: before.id,
+      tenantId: before.tenantId,
+      before: { status: before.status },
+      after: { status: moderationCase.status, resolution: moderationCase.resolution },
+      metadata: {
+        source: before.source,
+        targetType: before.targetType,
+        targetId: before.targetId,
+        subjectUserId: before.subjectUserId,
+        reportIds: before.reportIds,
+      },
     });
 
-    return sendSuccess(res, { message: `Content ${approved ? 'approved' : 'rejected'}` });
+    return sendSuccess(res, { case: moderationCase });
+  })
+);
+
+// ============ USER REPORTS ============
+
+const REPORT_STATUSES = Object.values(REPORT_STATUS);
+
+// Moderation queue of reported users, newest first
+router.get('/reports',
+  requirePermission(PERMISSIONS.CONTENT_MODERATE),
+  validateQuery({
+    status: { type: 'string', validator: (v) => REPORT_STATUSES.includes(v) || `status must be one of: ${REPORT_STATUSES.join(', ')}` },
+    reason: { type: 'string', validator: (v) => REPORT_REASONS.includes(v) || `reason must be one of: ${REPORT_REASONS.join(', ')}` },
+    reportedUserId: { type: 'string', maxLength: 128 },
+    tenantId: { type: 'string', maxLength: 100 },
+    limit: { type: 'number', min: 1, max: MAX_REPORT_PAGE_SIZE },
+    cursor: { type: 'string', maxLength: 128 },
+  }),
+  asyncHandler(async (req, res) => {
+    const { status, reason, reportedUserId, cursor } = req.query;
+    const { reports, nextCursor } = await listReports({
+      status,
+      reason,
+      reportedUserId,
+      tenantId: req.tenant.resolve(req.query.tenantId) || undefined,
+      limit: Number(req.query.limit) || 50,
+      cursor,
+    });
+    return sendSuccess(res, { reports, nextCursor });
   })
 );
 
-// Delete content
-router.delete('/content/:postId',
-  validateParams({ postId: { required: true } }),
+router.get('/reports/:reportId',
+  requirePermission(PERMISSIONS.CONTENT_MODERATE),
+  validateParams({ reportId: { required: true } }),
   asyncHandler(async (req, res) => {
-    const { postId } = req.params;
-    await firestore.collection('posts').doc(postId).delete();
-    return sendSuccess(res, { message: 'Content deleted' });
+    const report = await getReport(req.params.reportId);
+    if (!report || !req.tenant.includes(report)) return sendError(res, 404, 'Report not found');
+    return sendSuccess(res, { report });
   })
 );
 
+// Resolve, dismiss or reopen a report
+router.patch('/reports/:reportId',
+  requirePermission(PERMISSIONS.CONTENT_MODERATE),
+  validateParams({ reportId: { required: true } }),
+  validateBody({
+    status: { type: 'string', required: true, validator: (v) => REPORT_STATUSES.includes(v) || `status must be one of: ${REPORT_STATUSES.join(', ')}` },
+    note: { type: 'string', maxLength: 2000 },
+  }),
+  asyncHandler(async (req, res) => {
+    const { reportId } = req.params;
+    const before = await getReport(reportId);
+    if (!before || !req.tenant.includes(before)) return sendError(res, 404, 'Report not found');
+    if (before.reportedUserId === req.user.uid) return sendError(res, 403, 'Cannot review a report about yourself');
+
+    const report = await reviewReport(reportId, { status: req.body.status, note: req.body.note, reviewerId: req.user.uid });
+
+    await recordAudit(req, {
+      action: 'report.review',
+      targetType: 'report',
+      targetId: reportId,
+      tenantId: report.tenantId,
+      before: { status: before.status, resolutionNote: before.resolutionNote },
+      after: { status: report.status, resolutionNote: report.resolutionNote },
+      metadata: { reportedUserId: report.reportedUserId },
+    });
+
+    return sendSuccess(res, { report });
+  })
+);
+
+// ============ HELD CHAT MESSAGES ============
+
+const HELD_MESSAGE_STATUSES = Object.values(HELD_MESSAGE_STATUS);
+
+// Chat messages held by safety screening, newest first
+router.get('/held-messages',
+  requirePermission(PERMISSIONS.CONTENT_MODERATE),
+  validateQuery({
+    status: { type: 'string', validator: (v) => HELD_MESSAGE_STATUSES.includes(v) || `status must be one of: ${HELD_MESSAGE_STATUSES.join(', ')}` },
+    conversationId: { type: 'string', maxLength: 256 },
+    senderId: { type: 'string', maxLength: 128 },
+    tenantId: { type: 'string', maxLength: 100 },
+    limit: { type: 'number', min: 1, max: MAX_HELD_MESSAGE_PAGE_SIZE },
+    cursor: { type: 'string', maxLength: 128 },
+  }),
+  asyncHandler(async (req, res) => {
+    const { status, conversationId, senderId, cursor } = req.query;
+    const { heldMessages, nextCursor } = await listHeldMessages({
+      status,
+      conversationId,
+      senderId,
+      tenantId: req.tenant.resolve(req.query.tenantId) || undefined,
+      limit: Number(req.query.limit) || 50,
+      cursor,
+    });
+    return sendSuccess(res, { heldMessages, nextCursor });
+  })
+);
+
+router.get('/held-messages/:heldMessageId',
+  requirePermission(PERMISSIONS.CONTENT_MODERATE),
+  validateParams({ heldMessageId: { required: true } }),
+  asyncHandler(async (req, res) => {
+    const heldMessage = await getHeldMessage(req.params.heldMessageId);
+    if (!heldMessage || !req.tenant.includes(heldMessage)) return sendError(res, 404, 'Held message not found');
+    return sendSuccess(res, { heldMessage });
+  })
+);
+
+// Approve (deliver) or reject (discard) a held message; the sender gets chat:message-reviewed
+const reviewHeldMessage = (decision) => asyncHandler(async (req, res) => {
+  const { heldMessageId } = req.params;
+  const pending = await getHeldMessage(heldMessageId);
+  if (!pending || !req.tenant.includes(pending)) return sendError(res, 404, 'Held message not found');
+
+  const io = req.app.get('io');
+  const review = { reviewerId: req.user.uid, note: req.body.note };
+  let heldMessage;
+  let message = null;
+  try {
+    if (decision === HELD_MESSAGE_STATUS.APPROVED) {
+      ({ heldMessage, message } = await approveHeldMessage(heldMessageId, { ...review, io }));
+    } else {
+      heldMessage = await rejectHeldMessage(heldMessageId, review);
+    }
+  } catch (err) {
+    if (err.status) return sendError(res, err.status, err.message);
+    throw err;
+  }
+  // The message's moderation case is settled by the same decision
+  await closeCasesForTarget(CASE_TARGET.HELD_MESSAGE, heldMessageId, {
+    moderatorId: req.user.uid,
+    actions: decision === HELD_MESSAGE_STATUS.REJECTED ? [RESOLUTION_ACTION.HIDE_CONTENT] : [],
+    note: req.body.note,
+  });
+
+  await recordAudit(req, {
+    action: decision === HELD_MESSAGE_STATUS.APPROVED ? 'held_message.approve' : 'held_message.reject',
+    targetType: 'message',
+    targetId: heldMessageId,
+    tenantId: heldMessage.tenantId,
+    before: { status: pending.status },
+    after: { status: heldMessage.status, reviewNote: heldMessage.reviewNote },
+    metadata: { conversationId: heldMessage.conversationId, senderId: heldMessage.senderId, flags: heldMessage.safety?.flags || [] },
+  });
+
+  if (io?.emitToUser) {
+    io.emitToUser(heldMessage.senderId, 'chat:message-reviewed', {
+      id: heldMessageId,
+      conversationId: heldMessage.conversationId,
+      status: heldMessage.status,
+      reviewedAt: heldMessage.reviewedAt,
+    });
+  }
+
+  return sendSuccess(res, { heldMessage, message });
+});
+
+router.post('/held-messages/:heldMessageId/approve',
+  requirePermission(PERMISSIONS.CONTENT_MODERATE),
+  validateParams({ heldMessageId: { required: true } }),
+  validateBody({ note: { type: 'string', maxLength: 2000 } }),
+  reviewHeldMessage(HELD_MESSAGE_STATUS.APPROVED)
+);
+
+router.post('/held-messages/:heldMessageId/reject',
+  requirePermission(PERMISSIONS.CONTENT_MODERATE),
+  validateParams({ heldMessageId: { required: true } }),
+  validateBody({ note: { type: 'string', maxLength: 2000 } }),
+  reviewHeldMessage(HELD_MESSAGE_STATUS.REJECTED)
+);
+
 // ============ ADMIN SETTINGS ============
 
 // Get system settings
-router.get('/settings', asyncHandler(async (req, res) => {
+router.get('/settings', requirePermission(PERMISSIONS.SETTINGS_MANAGE), asyncHandler(async (req, res) => {
   const settingsDoc = await firestore.collection('admin').doc('settings').get();
 
   const settings = settingsDoc.exists
@@ -547,6 +1490,7 @@ router.get('/settings', asyncHandler(async (req, res) => {
 
 // Update system settings
 router.patch('/settings',
+  requirePermission(PERMISSIONS.SETTINGS_MANAGE),
   validateBody({
     maintenanceMode: { type: 'boolean' },
     signupEnabled: { type: 'boolean' },
@@ -555,8 +1499,10 @@ router.patch('/settings',
   }),
   asyncHandler(async (req, res) => {
     const settings = req.body;
+    const settingsRef = firestore.collection('admin').doc('settings');
+    const previous = (await settingsRef.get()).data() || {};
 
-    await firestore.collection('admin').doc('settings').set(
+    await settingsRef.set(
       {
         ...settings,
         updatedAt: new Date().toISOString(),
@@ -565,6 +1511,15 @@ router.patch('/settings',
       { merge: true }
     );
 
+    await recordAudit(req, {
+      action: 'settings.update',
+      targetType: 'settings',
+      targetId: 'settings',
+      tenantId: null,
+      before: Object.fromEntries(Object.keys(settings).map((key) => [key, previous[key]])),
+      after: settings,
+    });
+
     return sendSuccess(res, { settings });
   })
 );
@@ -572,7 +1527,7 @@ router.patch('/settings',
 // ============ GEOFENCE SETTINGS ============
 
 // Get geofence settings
-router.get('/geofence-settings', asyncHandler(async (req, res) => {
+router.get('/geofence-settings', requirePermission(PERMISSIONS.SETTINGS_MANAGE), asyncHandler(async (req, res) => {
   const geofenceDoc = await firestore.collection('admin').doc('geofence').get();
 
   // Default values (fallback to env vars if not set)
@@ -592,6 +1547,7 @@ router.get('/geofence-settings', asyncHandler(async (req, res) => {
 
 // Update geofence settings
 router.patch('/geofence-settings',
+  requirePermission(PERMISSIONS.SETTINGS_MANAGE),
   validateBody({
     enabled: { type: 'boolean' },
     centerLat: { type: 'number', min: -90, max: 90 },
@@ -600,8 +1556,10 @@ router.patch('/geofence-settings',
   }),
   asyncHandler(async (req, res) => {
     const settings = req.body;
+    const geofenceRef = firestore.collection('admin').doc('geofence');
+    const previous = (await geofenceRef.get()).data() || {};
 
-    await firestore.collection('admin').doc('geofence').set(
+    await geofenceRef.set(
       {
         ...settings,
         updatedAt: new Date().toISOString(),
@@ -610,8 +1568,165 @@ router.patch('/geofence-settings',
       { merge: true }
     );
 
+    await recordAudit(req, {
+      action: 'settings.geofence_update',
+      targetType: 'settings',
+      targetId: 'geofence',
+      tenantId: null,
+      before: Object.fromEntries(Object.keys(settings).map((key) => [key, previous[key]])),
+      after: settings,
+    });
+
     return sendSuccess(res, { settings });
   })
 );
 
+// ============ DATA RETENTION ============
+
+const RETENTION_RULES = Object.values(RETENTION_RULE);
+
+// Each policy field: whole minutes/days in range, or null to keep the data forever
+const retentionPolicySchema = Object.fromEntries(Object.entries(RETENTION_POLICY_FIELDS).map(([field, { min, max }]) => [
+  field,
+  { type: 'number', validator: (v) => isValidRetentionValue(field, v) || `${field} must be a whole number from ${min} to ${max}, or null` },
+]));
+
+// Current retention policy and the latest run
+router.get('/retention', requirePermission(PERMISSIONS.SETTINGS_MANAGE), asyncHandler(async (req, res) => {
+  const [policy, { runs }] = await Promise.all([getRetentionPolicy(), listRetentionRuns({ limit: 1 })]);
+  return sendSuccess(res, { policy, defaults: DEFAULT_RETENTION_POLICY, lastRun: runs[0] || null });
+}));
+
+// Change retention rules (null keeps that data forever)
+router.patch('/retention',
+  requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+  validateBody(retentionPolicySchema),
+  asyncHandler(async (req, res) => {
+    const changes = Object.fromEntries(Object.keys(RETENTION_POLICY_FIELDS)
+      .filter((field) => req.body[field] !== undefined)
+      .map((field) => [field, req.body[field]]));
+    if (Object.keys(changes).length === 0) {
+      return sendError(res, 400, `Provide at least one of: ${Object.keys(RETENTION_POLICY_FIELDS).join(', ')}`);
+    }
+    const { before, policy } = await updateRetentionPolicy(changes, req.user.uid);
+
+    await recordAudit(req, {
+      action: 'retention.update',
+      targetType: 'settings',
+      targetId: 'retention',
+      tenantId: null,
+      before: Object.fromEntries(Object.keys(changes).map((field) => [field, before[field]])),
+      after: changes,
+    });
+
+    return sendSuccess(res, { policy });
+  })
+);
+
+// Reports of retention runs, newest first
+router.get('/retention/runs',
+  requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+  validateQuery({
+    limit: { type: 'number', min: 1, max: MAX_RETENTION_RUN_PAGE_SIZE },
+    cursor: { type: 'string', maxLength: 128 },
+  }),
+  asyncHandler(async (req, res) => {
+    const { runs, nextCursor } = await listRetentionRuns({ limit: Number(req.query.limit) || 20, cursor: req.query.cursor });
+    return sendSuccess(res, { runs, nextCursor });
+  })
+);
+
+// Apply the policy now (dryRun counts what would be removed without removing it)
+router.post('/retention/run',
+  requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+  validateBody({
+    dryRun: { type: 'boolean' },
+    rules: {
+      type: 'array',
+      maxItems: RETENTION_RULES.length,
+      validator: (v) => v.every((rule) => RETENTION_RULES.includes(rule)) || `rules must be from: ${RETENTION_RULES.join(', ')}`,
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    const dryRun = req.body.dryRun === true;
+    if (!(await acquireLease(JOB_NAME.RETENTION))) {
+      return sendError(res, 409, 'A retention run is already in progress');
+    }
+    let run;
+    try {
+      run = await runRetention({
+        trigger: RETENTION_TRIGGER.ADMIN,
+        triggeredBy: req.user.uid,
+        dryRun,
+        rules: req.body.rules,
+        renewLease: () => renewLease(JOB_NAME.RETENTION),
+      });
+    } finally {
+      await releaseLease(JOB_NAME.RETENTION);
+    }
+
+    if (!dryRun) {
+      await recordAudit(req, {
+        action: 'retention.run',
+        targetType: 'settings',
+        targetId: 'retention',
+        tenantId: null,
+        metadata: { runId: run.id, status: run.status, rules: run.rules },
+      });
+    }
+
+    return sendSuccess(res, { run });
+  })
+);
+
+// ============ AUDIT LOG ============
+
+const isDateString = (key) => (v) =>
+  !Number.isNaN(Date.parse(v)) || `${key} must be an ISO date (e.g. 2025-01-31 or 2025-01-31T12:00:00Z)`;
+
+// List privileged actions, newest first (?format=csv downloads the same filtered list as CSV)
+router.get('/audit',
+  requirePermission(PERMISSIONS.AUDIT_READ),
+  validateQuery({
+    actor: { type: 'string', maxLength: 128 },
+    targetType: { type: 'string', maxLength: 50 },
+    targetId: { type: 'string', maxLength: 256 },
+    action: { type: 'string', maxLength: 100 },
+    tenantId: { type: 'string', maxLength: 100 },
+    from: { type: 'string', validator: isDateString('from') },
+    to: { type: 'string', validator: isDateString('to') },
+    limit: { type: 'number', min: 1, max: MAX_AUDIT_EXPORT_SIZE },
+    cursor: { type: 'string', maxLength: 128 },
+    format: { type: 'string', validator: (v) => ['json', 'csv'].includes(v) || 'format must be json or csv' },
+  }),
+  asyncHandler(async (req, res) => {
+    const { actor, targetType, targetId, action, from, to, cursor, format = 'json' } = req.query;
+    const asCsv = format === 'csv';
+    const maxLimit = asCsv ? MAX_AUDIT_EXPORT_SIZE : MAX_AUDIT_PAGE_SIZE;
+    const limit = Math.min(Number(req.query.limit) || (asCsv ? MAX_AUDIT_EXPORT_SIZE : 50), maxLimit);
+
+    const { entries, nextCursor } = await listAuditEntries({
+      actorUid: actor,
+      targetType,
+      targetId,
+      action,
+      tenantId: req.tenant.resolve(req.query.tenantId) || undefined,
+      from,
+      to,
+      limit,
+      cursor,
+    });
+
+    if (asCsv) {
+      const filename = `audit-${new Date().toISOString().slice(0, 10)}.csv`;
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${filename}"`);
+      if (nextCursor) res.set('X-Next-Cursor', nextCursor);
+      return res.send(formatAuditCsv(entries));
+    }
+
+    return sendSuccess(res, { entries, nextCursor });
+  })
+);
+
 export default router;
@@ -40,7 +40,7 @@ router.post('/propose',
     // Build AI input using body with fallbacks from authenticated user.
     const { userId, tenantId, preferences } = req.body || {};
     const resolvedUserId = userId || req.user.uid;
-    const resolvedTenantId = tenantId || req.user?.data?.tenantId || null;
+    const resolvedTenantId = req.tenant.resolve(tenantId);
 
     try {
       // AI-driven matching call.
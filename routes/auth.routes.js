@@ -1,8 +1,30 @@
 // Authentication and session-related routes
 import express from 'express';
 import { firebaseAuth, firestore } from '../config/firebaseAdmin.js';
-import { signToken } from '../utils/jwt.js';
 import { requireAuth } from '../middleware/auth.js';
+import { createRateLimiter } from '../middleware/rateLimit.js';
+import {
+  createSession,
+  rotateRefreshToken,
+  elevateSession,
+  clearSessionsMfa,
+  revokeSession,
+  getActiveSession,
+  listActiveSessions,
+} from '../services/sessionService.js';
+import {
+  getTwoFactorStatus,
+  isTwoFactorEnabled,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  disableTwoFactor,
+  createLoginChallenge,
+  verifyLoginChallenge,
+} from '../services/twoFactorService.js';
+import { getAccount, markEmailVerified } from '../lib/user-helpers.js';
+import { resolveTenantForEmail } from '../services/tenantService.js';
+import { getActiveSuspension, suspensionErrorBody, SUSPENSION_MODE } from '../services/enforcementService.js';
 import {
   resolveExpectedRole,
   resolveRoleFromEmail,
@@ -22,35 +44,44 @@ const adminsRef = firestore.collection('admins');
 
 const sendError = (res, status, message) => res.status(status).json({ success: false, error: message });
 
-// Simple in-memory rate limiter for auth routes.
-// This mitigates brute-force attacks by limiting repeated attempts per IP over a time window.
-const createRateLimiter = ({ windowMs, maxAttempts }) => {
-  const hits = new Map();
-
-  return (req, res, next) => {
-    const now = Date.now();
-    const key = req.ip || 'unknown';
-    const entry = hits.get(key) || { count: 0, first: now };
-
-    if (now - entry.first > windowMs) {
-      entry.count = 0;
-      entry.first = now;
-    }
-
-    entry.count += 1;
-    hits.set(key, entry);
+// Device details recorded on the session so users can recognise where they are signed in
+const getClientInfo = (req) => ({
+  ip: req.ip || null,
+  userAgent: req.get('user-agent') || null,
+});
 
-    if (entry.count > maxAttempts) {
-      return sendError(res, 429, 'Too many authentication attempts. Please try again later.');
-    }
+// Rate limits for auth routes.
+// These mitigate brute-force attacks by limiting repeated attempts per IP and per target account.
+const authRateLimit = createRateLimiter({
+  name: 'auth',
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20, // per IP per window across auth endpoints
+  keyBy: 'ip',
+  message: 'Too many authentication attempts. Please try again later.',
+});
 
-    return next();
-  };
-};
+const authEmailRateLimit = createRateLimiter({
+  name: 'auth-email',
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // per email per window, regardless of source IP
+  keyBy: 'email',
+  message: 'Too many authentication attempts. Please try again later.',
+});
 
-const authRateLimit = createRateLimiter({
+// Per-account limit on second-factor attempts, so a stolen challenge cannot be brute-forced from many IPs
+const twoFactorRateLimit = createRateLimiter({
+  name: '2fa',
   windowMs: 15 * 60 * 1000, // 15 minutes
-  maxAttempts: 20, // per IP per window across auth endpoints
+  max: 10,
+  keyBy: (req) => {
+    if (req.user?.uid) return `uid:${req.user.uid}`;
+    try {
+      return `uid:${verifyLoginChallenge(req.body?.challengeToken).uid}`;
+    } catch (err) {
+      return `ip:${req.ip || 'unknown'}`;
+    }
+  },
+  message: 'Too many verification attempts. Please try again later.',
 });
 
 const callFirebaseAuth = async (path, body) => {
@@ -73,6 +104,33 @@ const callFirebaseAuth = async (path, body) => {
   return data;
 };
 
+// Send a Firebase VERIFY_EMAIL link. Without an ID token (e.g. resend), sign in via a custom token to get one.
+const sendVerificationEmail = async ({ uid, idToken }) => {
+  let userIdToken = idToken;
+  if (!userIdToken) {
+    const customToken = await firebaseAuth.createCustomToken(uid);
+    const signInData = await callFirebaseAuth('accounts:signInWithCustomToken', {
+      token: customToken,
+      returnSecureToken: true,
+    });
+    userIdToken = signInData.idToken;
+  }
+
+  await callFirebaseAuth('accounts:sendOobCode', {
+    requestType: 'VERIFY_EMAIL',
+    idToken: userIdToken,
+  });
+};
+
+// Per-user cap on verification email resends
+const verifyEmailRateLimit = createRateLimiter({
+  name: 'verify-email',
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5,
+  keyBy: 'uid',
+  message: 'Too many verification emails requested. Please try again later.',
+});
+
 // Log admin emails on startup for debugging
 const adminEmails = getAdminEmails();
 if (adminEmails.length > 0) {
@@ -83,9 +141,16 @@ if (adminEmails.length > 0) {
 
 router.post('/register', authRateLimit, async (req, res) => {
   try {
-    const { email, password, name } = req.body || {};
+    const { email, password, name, deviceId, deviceName } = req.body || {};
     if (!email || !password) return sendError(res, 400, 'email and password are required');
 
+    // Students must register with an address from a known campus domain (checked before creating the Firebase user)
+    const isAdminEmail = resolveRoleFromEmail(email) === 'admin';
+    const tenant = isAdminEmail ? null : await resolveTenantForEmail(email);
+    if (!isAdminEmail && !tenant) {
+      return sendError(res, 400, 'Registration is limited to supported campus email addresses');
+    }
+
     const authData = await callFirebaseAuth('accounts:signUp', {
       email,
       password,
@@ -98,10 +163,13 @@ router.post('/register', authRateLimit, async (req, res) => {
     const role = await resolveExpectedRole(decoded.uid, decoded.email || '');
 
     // Sync role to all sources (Firestore + custom claims)
-    const syncUpdates = await syncRoleToAllSources(firebaseAuth, decoded.uid, decoded.email, role);
+    const syncUpdates = await syncRoleToAllSources(firebaseAuth, decoded.uid, decoded.email, role, {
+      emailVerified: decoded.email_verified === true,
+    });
     console.log(`✅ Register synced role for ${decoded.email}: ${syncUpdates.join(', ')}`);
 
     const displayName = name || decoded.email?.split('@')?.[0] || '';
+    const emailVerified = decoded.email_verified === true;
 
     if (role === 'admin') {
       await adminsRef.doc(decoded.uid).set({
@@ -114,11 +182,14 @@ router.post('/register', authRateLimit, async (req, res) => {
         name: displayName,
         email: decoded.email,
         role: 'user',
+        tenantId: tenant?.id || null,
+        emailVerified,
         updatedAt: new Date().toISOString(),
       }, { merge: true });
 
       await profilesRef.doc(decoded.uid).set({
         uid: decoded.uid,
+        tenantId: tenant?.id || null,
         name: displayName,
         major: '',
         year: null,
@@ -130,13 +201,42 @@ router.post('/register', authRateLimit, async (req, res) => {
       }, { merge: true });
     }
 
-    // Issue JWT with resolved role (single source of truth)
-    const jwt = signToken({ uid: decoded.uid, email: decoded.email, role });
+    // Students must confirm they own the address before messaging, connecting or creating events
+    let verificationEmailSent = false;
+    if (role !== 'admin' && !emailVerified) {
+      try {
+        await sendVerificationEmail({ uid: decoded.uid, idToken: authData.idToken });
+        verificationEmailSent = true;
+      } catch (verifyErr) {
+        console.error(`Failed to send verification email to ${decoded.email}:`, verifyErr.message);
+      }
+    }
+
+    // Issue short-lived JWT + refresh token bound to a new session (resolved role is the single source of truth)
+    const session = await createSession({
+      uid: decoded.uid,
+      email: decoded.email,
+      role,
+      deviceId,
+      deviceName,
+      ...getClientInfo(req),
+    });
 
     return res.json({
       success: true,
-      token: jwt,
-      user: { uid: decoded.uid, email: decoded.email, name: displayName, role },
+      token: session.token,
+      refreshToken: session.refreshToken,
+      user: {
+        uid: decoded.uid,
+        email: decoded.email,
+        name: displayName,
+        role,
+        emailVerified,
+        tenantId: tenant?.id || null,
+      },
+      verificationEmailSent,
+      // New admins must enrol in 2FA before they can use admin routes
+      ...(role === 'admin' && { twoFactorSetupRequired: true }),
     });
   } catch (err) {
     console.error('Register error:', err);
@@ -144,9 +244,9 @@ router.post('/register', authRateLimit, async (req, res) => {
   }
 });
 
-router.post('/login', authRateLimit, async (req, res) => {
+router.post('/login', authRateLimit, authEmailRateLimit, async (req, res) => {
   try {
-    const { email, password } = req.body || {};
+    const { email, password, deviceId, deviceName } = req.body || {};
     if (!email || !password) return sendError(res, 400, 'email and password are required');
 
     const authData = await callFirebaseAuth('accounts:signInWithPassword', {
@@ -169,26 +269,167 @@ router.post('/login', authRateLimit, async (req, res) => {
 
     // Sync role to all sources if it changed
     if (existingClaimRole !== expectedRole || !firestoreRole) {
-      const syncUpdates = await syncRoleToAllSources(firebaseAuth, decoded.uid, decoded.email, expectedRole);
+      const syncUpdates = await syncRoleToAllSources(firebaseAuth, decoded.uid, decoded.email, expectedRole, {
+        emailVerified: decoded.email_verified === true,
+      });
       console.log(`✅ Synced role for ${decoded.email}: ${syncUpdates.join(', ')}`);
     }
 
-    // Issue JWT with the resolved role (single source of truth)
-    const jwt = signToken({ uid: decoded.uid, email: decoded.email, role: expectedRole });
+    // Pick up email verification completed since registration
+    const emailVerified = decoded.email_verified === true;
+    if (expectedRole !== 'admin' && emailVerified) {
+      const userSnap = await usersRef.doc(decoded.uid).get();
+      if (userSnap.exists && userSnap.data().emailVerified === false) {
+        await markEmailVerified(decoded.uid);
+      }
+    }
+
+    // Fully suspended accounts get no session; restricted modes are enforced per request
+    const suspension = getActiveSuspension((await getAccount(decoded.uid))?.data);
+    if (suspension?.mode === SUSPENSION_MODE.FULL) {
+      return res.status(403).json(suspensionErrorBody(suspension));
+    }
+
+    // Admins with 2FA get a challenge instead of a session; POST /2fa/challenge completes the login
+    if (expectedRole === 'admin' && await isTwoFactorEnabled(decoded.uid)) {
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: createLoginChallenge({
+          uid: decoded.uid,
+          email: decoded.email,
+          role: expectedRole,
+          deviceId,
+          deviceName,
+        }),
+        user: { uid: decoded.uid, email: decoded.email, role: expectedRole },
+      });
+    }
+
+    // Issue short-lived JWT + refresh token bound to a new session (resolved role is the single source of truth)
+    const session = await createSession({
+      uid: decoded.uid,
+      email: decoded.email,
+      role: expectedRole,
+      deviceId,
+      deviceName,
+      ...getClientInfo(req),
+    });
 
     return res.json({
       success: true,
-      token: jwt,
-      user: { uid: decoded.uid, email: decoded.email, role: expectedRole },
+      token: session.token,
+      refreshToken: session.refreshToken,
+      user: { uid: decoded.uid, email: decoded.email, role: expectedRole, emailVerified },
+      // Admins without 2FA can only reach /2fa/setup until they enrol
+      ...(expectedRole === 'admin' && { twoFactorSetupRequired: true }),
     });
   } catch (err) {
     console.error('❌ Login error:', err);
     console.error('Error code:', err.code);
     console.error('Error message:', err.message);
+    if (err.status) return sendError(res, err.status, err.message);
     return sendError(res, 400, err.message || 'Login failed');
   }
 });
 
+// Complete an admin login with a TOTP code (or a recovery code) for the challenge returned by /login
+router.post('/2fa/challenge', authRateLimit, twoFactorRateLimit, async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body || {};
+    if (!challengeToken) return sendError(res, 400, 'challengeToken is required');
+
+    const challenge = verifyLoginChallenge(challengeToken);
+    const result = await verifySecondFactor(challenge.uid, { code, recoveryCode });
+
+    const session = await createSession({
+      uid: challenge.uid,
+      email: challenge.email,
+      role: challenge.role,
+      deviceId: challenge.deviceId,
+      deviceName: challenge.deviceName,
+      mfa: true,
+      ...getClientInfo(req),
+    });
+
+    return res.json({
+      success: true,
+      token: session.token,
+      refreshToken: session.refreshToken,
+      user: { uid: challenge.uid, email: challenge.email, role: challenge.role },
+      recoveryCodesRemaining: result.recoveryCodesRemaining,
+    });
+  } catch (err) {
+    if (err.status) return sendError(res, err.status, err.message);
+    console.error('2FA challenge error:', err);
+    return sendError(res, 500, 'Failed to verify second factor');
+  }
+});
+
+// 2FA is for admin accounts only
+const requireAdminAccount = (req, res, next) => {
+  if (req.user?.isAdmin) return next();
+  return sendError(res, 403, 'Two-factor authentication is only available for admin accounts');
+};
+
+// Current 2FA status for the signed-in admin
+router.get('/2fa', requireAuth, requireAdminAccount, async (req, res) => {
+  try {
+    const status = await getTwoFactorStatus(req.user.uid);
+    return res.json({ success: true, ...status, sessionVerified: req.user.mfa });
+  } catch (err) {
+    console.error('2FA status error:', err);
+    return sendError(res, 500, 'Failed to load two-factor status');
+  }
+});
+
+// Start TOTP enrolment: returns the secret and an otpauth:// URL for the authenticator app (render as QR code)
+router.post('/2fa/setup', requireAuth, requireAdminAccount, async (req, res) => {
+  try {
+    const { secret, otpauthUrl } = await startEnrollment(req.user.uid, req.user.email);
+    return res.json({ success: true, secret, otpauthUrl });
+  } catch (err) {
+    if (err.status) return sendError(res, err.status, err.message);
+    console.error('2FA setup error:', err);
+    return sendError(res, 500, 'Failed to start two-factor setup');
+  }
+});
+
+// Finish enrolment with a code from the app. Returns recovery codes (shown once) and an upgraded access token.
+router.post('/2fa/verify', requireAuth, requireAdminAccount, twoFactorRateLimit, async (req, res) => {
+  try {
+    const { code } = req.body || {};
+    if (!code) return sendError(res, 400, 'code is required');
+
+    const { recoveryCodes } = await confirmEnrollment(req.user.uid, code);
+    const token = await elevateSession(req.user.sessionId, {
+      uid: req.user.uid,
+      email: req.user.email,
+      role: req.user.role,
+    });
+
+    return res.json({ success: true, token, recoveryCodes });
+  } catch (err) {
+    if (err.status) return sendError(res, err.status, err.message);
+    console.error('2FA verify error:', err);
+    return sendError(res, 500, 'Failed to verify two-factor setup');
+  }
+});
+
+// Turn 2FA off (requires a current code or recovery code). Sessions lose admin access until 2FA is set up again.
+router.post('/2fa/disable', requireAuth, requireAdminAccount, twoFactorRateLimit, async (req, res) => {
+  try {
+    const { code, recoveryCode } = req.body || {};
+    await disableTwoFactor(req.user.uid, { code, recoveryCode });
+    await clearSessionsMfa(req.user.uid);
+    return res.json({ success: true });
+  } catch (err) {
+    if (err.status) return sendError(res, err.status, err.message);
+    console.error('2FA disable error:', err);
+    return sendError(res, 500, 'Failed to disable two-factor authentication');
+  }
+});
+
 // Simple authenticated echo endpoint
 router.get('/me', requireAuth, async (req, res) => {
   try {
@@ -199,6 +440,7 @@ router.get('/me', requireAuth, async (req, res) => {
         email: req.user.email,
         role: req.user.role,
         name: req.user?.data?.name,
+        emailVerified: req.user?.data?.emailVerified !== false,
       },
     });
   } catch (err) {
@@ -207,11 +449,95 @@ router.get('/me', requireAuth, async (req, res) => {
   }
 });
 
+// Exchange a refresh token for a new access/refresh token pair (the old refresh token stops working)
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+    if (!refreshToken) return sendError(res, 400, 'refreshToken is required');
+
+    const session = await rotateRefreshToken(refreshToken, getClientInfo(req));
+
+    return res.json({
+      success: true,
+      token: session.token,
+      refreshToken: session.refreshToken,
+      user: session.user,
+    });
+  } catch (err) {
+    if (err.suspension) return res.status(403).json(suspensionErrorBody(err.suspension));
+    if (err.status) return sendError(res, err.status, err.message);
+    console.error('Refresh error:', err);
+    return sendError(res, 500, 'Failed to refresh session');
+  }
+});
+
+// Revoke the current session so its access and refresh tokens can no longer be used
 router.post('/logout', requireAuth, async (req, res) => {
-  return res.json({ success: true });
+  try {
+    await revokeSession(req.user.sessionId, 'logout');
+    req.app.get('io')?.disconnectSession?.(req.user.sessionId);
+    return res.json({ success: true });
+  } catch (err) {
+    console.error('Logout error:', err);
+    return sendError(res, 500, 'Failed to log out');
+  }
+});
+
+// Resend the email verification link to the current user
+router.post('/verify-email/resend', requireAuth, verifyEmailRateLimit, async (req, res) => {
+  try {
+    if (req.user.isAdmin || req.user.data?.emailVerified !== false) {
+      return res.json({ success: true, alreadyVerified: true });
+    }
+
+    const userRecord = await firebaseAuth.getUser(req.user.uid);
+    if (userRecord.emailVerified) {
+      await markEmailVerified(req.user.uid);
+      return res.json({ success: true, alreadyVerified: true });
+    }
+
+    await sendVerificationEmail({ uid: req.user.uid });
+    return res.json({ success: true, alreadyVerified: false });
+  } catch (err) {
+    console.error('Resend verification email error:', err);
+    return sendError(res, 502, 'Failed to send verification email. Please try again later.');
+  }
+});
+
+// List the current user's active sessions (device, IP, last seen)
+router.get('/sessions', requireAuth, async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user.uid);
+    return res.json({
+      success: true,
+      sessions: sessions.map((session) => ({
+        ...session,
+        current: session.id === req.user.sessionId,
+      })),
+    });
+  } catch (err) {
+    console.error('List sessions error:', err);
+    return sendError(res, 500, 'Failed to load sessions');
+  }
+});
+
+// Remotely sign out one of the current user's sessions
+router.delete('/sessions/:id', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const session = await getActiveSession(id, req.user.uid);
+    if (!session) return sendError(res, 404, 'Session not found');
+
+    await revokeSession(id, 'user_revoked');
+    req.app.get('io')?.disconnectSession?.(id);
+    return res.json({ success: true, sessionId: id, current: id === req.user.sessionId });
+  } catch (err) {
+    console.error('Revoke session error:', err);
+    return sendError(res, 500, 'Failed to revoke session');
+  }
 });
 
-router.post('/forgot-password', authRateLimit, async (req, res) => {
+router.post('/forgot-password', authRateLimit, authEmailRateLimit, async (req, res) => {
   try {
     const { email } = req.body || {};
     if (!email) return sendError(res, 400, 'email is required');
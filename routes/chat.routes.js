@@ -1,13 +1,73 @@
 // Chat and messaging routes
 import express from 'express';
+import multer from 'multer';
 import { firestore } from '../config/firebaseAdmin.js';
 import { FieldValue } from 'firebase-admin/firestore';
-import { requireAuth } from '../middleware/auth.js';
+import { requireAuth, requireVerifiedEmail, requireUnrestricted } from '../middleware/auth.js';
 import { asyncHandler, sendSuccess, sendError } from '../middleware/errorHandler.js';
 import { runAiGraph } from '../services/aiServiceClient.js';
 import { validateBody, validateQuery, validateParams } from '../middleware/validation.js';
+import { createRateLimiter } from '../middleware/rateLimit.js';
 import { getUserProfile } from '../lib/user-helpers.js';
-import { canAccessConversation, getParticipantsForConversation } from '../services/chatService.js';
+import { isBlockedBetween } from '../services/blockService.js';
+import { screenChatMessage, SAFETY_ACTION } from '../services/safetyService.js';
+import { SUSPENSION_MODE } from '../services/enforcementService.js';
+import {
+  holdMessage,
+  listHeldMessages,
+  HELD_MESSAGE_STATUS,
+  MAX_HELD_MESSAGE_PAGE_SIZE,
+} from '../services/heldMessageService.js';
+import { deliverMessage, retractMessage } from '../services/messageDeliveryService.js';
+import { flagForModeration, CASE_SOURCE, CASE_TARGET } from '../services/moderationService.js';
+import {
+  canAccessConversation,
+  getParticipantsForConversation,
+  listUserConversations,
+  areConnected,
+  isGroupConversation,
+  isBlockedFromConversation,
+  MAX_GROUP_PARTICIPANTS,
+  MESSAGE_TYPE,
+  SYSTEM_ACTION,
+  postSystemMessage,
+  updateGroupDetails,
+  addGroupParticipants,
+  removeGroupParticipant,
+  leaveGroup,
+  getConversationPreferences,
+  updateConversationPreferences,
+  sharesReadReceipts,
+  markConversationDelivered,
+  markConversationRead,
+  getReadReceipts,
+} from '../services/chatService.js';
+import {
+  MAX_ATTACHMENTS_PER_MESSAGE,
+  getMaxAttachmentBytes,
+  createAttachment,
+  getAttachment,
+  toMessageAttachment,
+  claimAttachments,
+  signAttachmentUrls,
+  verifyDownloadSignature,
+  openAttachment,
+  isInlineType,
+} from '../services/attachmentService.js';
+import {
+  MAX_INBOX_PAGE_SIZE,
+  createInboxEntries,
+  refreshInboxEntries,
+  ensureInboxBuilt,
+  listInbox,
+  removeInboxEntries,
+} from '../services/inboxService.js';
+import {
+  MAX_SEARCH_QUERY_LENGTH,
+  MAX_SEARCH_PAGE_SIZE,
+  indexMessage,
+  searchMessages,
+} from '../services/chatSearchService.js';
 
 const router = express.Router();
 const conversationsRef = firestore.collection('conversations');
@@ -18,6 +78,82 @@ const connectionsRef = firestore.collection('connections');
 const CONVERSATION_TYPE = { COMMUNITY: 'community', PRIVATE: 'private' };
 const CONNECTION_STATUS = { ACCEPTED: 'accepted' };
 
+// Users suspended to read-only chat can still read, delete their own messages and leave, but not write
+const requireChatWrite = requireUnrestricted(SUSPENSION_MODE.CHAT_READ_ONLY);
+
+// Per-user cap on message sends to stop flooding conversations
+const messageRateLimit = createRateLimiter({
+  name: 'chat-message',
+  windowMs: 60 * 1000,
+  max: 30,
+  keyBy: 'uid',
+  message: 'You are sending messages too quickly. Please slow down.',
+});
+
+// Minutes after sending during which a message can be edited (CHAT_EDIT_WINDOW_MINUTES, 0 disables editing)
+const DEFAULT_EDIT_WINDOW_MINUTES = 15;
+const getEditWindowMs = () => {
+  const minutes = process.env.CHAT_EDIT_WINDOW_MINUTES ? Number(process.env.CHAT_EDIT_WINDOW_MINUTES) : NaN;
+  return (Number.isFinite(minutes) && minutes >= 0 ? minutes : DEFAULT_EDIT_WINDOW_MINUTES) * 60 * 1000;
+};
+
+// Distinct emoji a single message can collect
+const MAX_REACTIONS_PER_MESSAGE = 20;
+// One emoji, including skin tones, ZWJ sequences, flags and keycaps
+const EMOJI_PATTERN = /^(?:\p{Extended_Pictographic}|\p{Regional_Indicator}|\p{Emoji_Modifier}|\u200d|\ufe0f|\u20e3|[#*0-9])+$/u;
+const isEmoji = (value) =>
+  typeof value === 'string' &&
+  value.length <= 32 &&
+  EMOJI_PATTERN.test(value) &&
+  /\p{Extended_Pictographic}|\p{Regional_Indicator}|\u20e3/u.test(value);
+
+const reactionRateLimit = createRateLimiter({
+  name: 'chat-reaction',
+  windowMs: 60 * 1000,
+  max: 60,
+  keyBy: 'uid',
+  message: 'You are reacting too quickly. Please slow down.',
+});
+
+const uploadRateLimit = createRateLimiter({
+  name: 'chat-upload',
+  windowMs: 60 * 1000,
+  max: 10,
+  keyBy: 'uid',
+  message: 'You are uploading files too quickly. Please slow down.',
+});
+
+const searchRateLimit = createRateLimiter({
+  name: 'chat-search',
+  windowMs: 60 * 1000,
+  max: 30,
+  keyBy: 'uid',
+  message: 'You are searching too quickly. Please slow down.',
+});
+
+// One file per request in the multipart field "file", held in memory until it is checked and stored
+const uploadSingleFile = (req, res, next) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: getMaxAttachmentBytes(), files: 1 },
+  }).single('file');
+
+  upload(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return sendError(res, 413, `Files must be at most ${getMaxAttachmentBytes() / 1024 / 1024} MB`);
+    }
+    if (err instanceof multer.MulterError) return sendError(res, 400, err.message);
+    return next(err);
+  });
+};
+
+const chatError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
 // Build stable ID for 1:1 conversation from sorted participant IDs
 const buildPrivateConvId = (userIds) => userIds.slice().sort().join('_');
 
@@ -27,6 +163,7 @@ const getConversationName = async (conversation, currentUserId) => {
     const groupDoc = await groupsRef.doc(conversation.communityId).get();
     if (groupDoc.exists) return groupDoc.data().title || 'Community';
   }
+  if (conversation.name && isGroupConversation(conversation)) return conversation.name;
   const otherIds = (conversation.participantIds || []).filter((id) => id !== currentUserId);
   if (otherIds.length === 0) return 'Chat';
   const names = await Promise.all(
@@ -38,91 +175,264 @@ const getConversationName = async (conversation, currentUserId) => {
   return names.join(', ');
 };
 
+// Reactions are stored as { emoji: [userId, ...] } and returned as counts per emoji
+const summarizeReactions = (reactions) =>
+  Object.entries(reactions || {})
+    .filter(([, userIds]) => Array.isArray(userIds) && userIds.length > 0)
+    .map(([emoji, userIds]) => ({ emoji, count: userIds.length, userIds }));
+
+// Shape stored messages for API responses: sender display names, reaction counts
+// and attachment download URLs signed for the viewer
+const presentMessages = async (rawMessages, viewerId) => {
+  const senderIds = [...new Set(rawMessages.map((m) => m.senderId).filter(Boolean))];
+  const senderNames = {};
+  await Promise.all(
+    senderIds.map(async (uid) => {
+      const p = await getUserProfile(uid);
+      senderNames[uid] = p?.displayName || p?.name || uid.slice(0, 8);
+    })
+  );
+  return rawMessages.map((m) => ({
+    ...m,
+    senderName: senderNames[m.senderId] || 'Unknown',
+    reactions: summarizeReactions(m.reactions),
+    attachments: (m.attachments || []).map((a) => ({ ...a, ...signAttachmentUrls(a, viewerId) })),
+  }));
+};
+
+// A held message as its sender sees it (no screening details)
+const presentHeldMessage = (held) => ({
+  id: held.id,
+  conversationId: held.conversationId,
+  content: held.message.content,
+  ...(held.message.replyToId && { replyToId: held.message.replyToId, threadId: held.message.threadId }),
+  attachments: held.message.attachments || [],
+  status: held.status,
+  createdAt: held.createdAt,
+});
+
+// Attachment record for API responses: no storage keys, download URLs signed for the viewer
+const presentAttachment = (attachment, viewerId) => ({
+  ...toMessageAttachment(attachment),
+  conversationId: attachment.conversationId,
+  uploaderId: attachment.uploaderId,
+  messageId: attachment.messageId,
+  createdAt: attachment.createdAt,
+  ...signAttachmentUrls(attachment, viewerId),
+});
+
+// Load a conversation the user can access
+const loadAccessibleConversation = async (conversationId, userId) => {
+  const convDoc = await conversationsRef.doc(conversationId).get();
+  if (!convDoc.exists) return { status: 404, error: 'Conversation not found' };
+  const conversation = { id: convDoc.id, ...convDoc.data() };
+  const allowed = await canAccessConversation(conversation, userId);
+  if (!allowed) return { status: 403, error: 'Access denied' };
+  return { conversation };
+};
+
 /**
  * GET /api/chat/conversations
- * List conversations for the authenticated user (community + private)
+ * List conversations for the authenticated user (community + private), one page at a time
+ * from their inbox index: pinned first, then by latest message.
+ * ?archived=true lists archived conversations instead; pass nextCursor back as ?cursor= for the next page.
  */
 router.get(
   '/conversations',
   requireAuth,
   validateQuery({
-    limit: { type: 'number', min: 1, max: 100 },
-    offset: { type: 'number', min: 0 },
+    limit: { type: 'number', min: 1, max: MAX_INBOX_PAGE_SIZE },
+    cursor: { type: 'string', maxLength: 1024 },
+    archived: { type: 'string', validator: (v) => ['true', 'false'].includes(v) || 'archived must be true or false' },
   }),
   asyncHandler(async (req, res) => {
     const userId = req.user.uid;
-    const { limit = 50, offset = 0 } = req.query;
-    const limitNum = Number(limit);
-    const offsetNum = Number(offset);
-
-    // 1. Private: conversations where participantIds contains userId
-    const privateSnap = await conversationsRef
-      .where('type', '==', CONVERSATION_TYPE.PRIVATE)
-      .where('participantIds', 'array-contains', userId)
-      .orderBy('lastMessageAt', 'desc')
-      .get();
+    const limitNum = Number(req.query.limit || 50);
+    const archived = req.query.archived === 'true';
 
-    // 2. Community: get user's joined groups, then conversations for those groups
-    const groupsSnap = await groupsRef
-      .where('members', 'array-contains', userId)
-      .where('status', '==', 'approved')
-      .get();
-    const groupIds = groupsSnap.docs.map((d) => d.id);
-
-    const communityConvs = [];
-    if (groupIds.length > 0) {
-      // Firestore 'in' limit is 10, batch if needed
-      for (let i = 0; i < groupIds.length; i += 10) {
-        const batch = groupIds.slice(i, i + 10);
-        const snap = await conversationsRef
-          .where('type', '==', CONVERSATION_TYPE.COMMUNITY)
-          .where('communityId', 'in', batch)
-          .get();
-        communityConvs.push(...snap.docs);
-      }
+    await ensureInboxBuilt(userId, () => listUserConversations(userId));
+    let page;
+    try {
+      page = await listInbox(userId, { archived, limit: limitNum, cursor: req.query.cursor });
+    } catch (err) {
+      if (err.status) return sendError(res, err.status, err.message);
+      throw err;
     }
 
-    const allConvs = [
-      ...privateSnap.docs.map((d) => ({ id: d.id, ...d.data() })),
-      ...communityConvs.map((d) => ({ id: d.id, ...d.data() })),
-    ];
+    // Community access follows group membership, which can also end when a group is rejected:
+    // drop (and clean up) entries for communities the user can no longer open
+    const communityIds = [...new Set(page.entries.filter((e) => e.type === CONVERSATION_TYPE.COMMUNITY).map((e) => e.communityId))];
+    const groupDocs = communityIds.length > 0 ? await firestore.getAll(...communityIds.map((gid) => groupsRef.doc(gid))) : [];
+    const groups = new Map(groupDocs.filter((doc) => doc.exists).map((doc) => [doc.id, doc.data()]));
+    const isStale = (entry) => {
+      if (entry.type !== CONVERSATION_TYPE.COMMUNITY) return false;
+      const group = groups.get(entry.communityId);
+      return !group || group.status !== 'approved' || !(group.members || []).includes(userId);
+    };
+    const stale = page.entries.filter(isStale);
+    await Promise.all(stale.map((entry) => removeInboxEntries(entry.conversationId, [userId])));
+
+    const now = new Date().toISOString();
+    const conversations = await Promise.all(
+      page.entries.filter((entry) => !isStale(entry)).map(async (entry) => {
+        const conversation = {
+          id: entry.conversationId,
+          type: entry.type,
+          communityId: entry.communityId,
+          isGroup: entry.isGroup,
+          ownerId: entry.ownerId,
+          avatarUrl: entry.avatarUrl,
+          participantIds: entry.participantIds,
+          lastMessage: entry.lastMessage,
+          lastMessageId: entry.lastMessageId,
+          lastMessageAt: entry.lastMessageAt,
+          createdAt: entry.createdAt,
+          name: entry.name,
+        };
+        const communityTitle = groups.get(entry.communityId)?.title;
+        const name = entry.type === CONVERSATION_TYPE.COMMUNITY
+          ? communityTitle || 'Community'
+          : await getConversationName(conversation, userId);
+        return { ...conversation, name, ...getConversationPreferences(entry, now) };
+      })
+    );
 
-    // Sort by lastMessageAt desc, handle nulls
-    allConvs.sort((a, b) => {
-      const aTime = a.lastMessageAt || a.createdAt || '';
-      const bTime = b.lastMessageAt || b.createdAt || '';
-      return bTime.localeCompare(aTime);
+    return sendSuccess(res, {
+      conversations,
+      limit: limitNum,
+      nextCursor: page.nextCursor,
+      archived,
     });
+  })
+);
 
-    const paginated = allConvs.slice(offsetNum, offsetNum + limitNum);
+const isDateString = (key) => (v) =>
+  !Number.isNaN(Date.parse(v)) || `${key} must be an ISO date (e.g. 2025-01-31 or 2025-01-31T12:00:00Z)`;
 
-    // Enrich with display names and unreadCount (from participantReads subcollection)
-    const enriched = await Promise.all(
-      paginated.map(async (c) => {
-        const name = await getConversationName(c, userId);
-        const readDoc = await conversationsRef.doc(c.id).collection('participantReads').doc(userId).get();
-        const unreadCount = readDoc.exists ? (readDoc.data().unreadCount ?? 0) : 0;
-        return { ...c, name, unreadCount };
+/**
+ * PATCH /api/chat/conversations/:id/preferences
+ * Your own settings for a conversation: { muted?, mutedUntil?, archived?, pinned? }
+ * A mute without mutedUntil lasts until it is turned off.
+ */
+router.patch(
+  '/conversations/:id/preferences',
+  requireAuth,
+  validateParams({ id: { required: true } }),
+  validateBody({
+    muted: { type: 'boolean', required: false },
+    mutedUntil: { type: 'string', required: false, validator: isDateString('mutedUntil') },
+    archived: { type: 'boolean', required: false },
+    pinned: { type: 'boolean', required: false },
+  }),
+  asyncHandler(async (req, res) => {
+    const userId = req.user.uid;
+    const { id } = req.params;
+    const { muted, mutedUntil, archived, pinned } = req.body;
+    if ([muted, archived, pinned].every((v) => v === undefined)) {
+      return sendError(res, 400, 'Provide muted, archived and/or pinned');
+    }
+    if (mutedUntil && muted !== true) return sendError(res, 400, 'mutedUntil requires muted: true');
+
+    const loaded = await loadAccessibleConversation(id, userId);
+    if (loaded.error) return sendError(res, loaded.status, loaded.error);
+
+    let preferences;
+    try {
+      preferences = await updateConversationPreferences(id, userId, { muted, mutedUntil, archived, pinned });
+    } catch (err) {
+      if (err.status) return sendError(res, err.status, err.message);
+      throw err;
+    }
+    return sendSuccess(res, { conversationId: id, ...preferences });
+  })
+);
+
+/**
+ * GET /api/chat/search?q=
+ * Search messages in every conversation you can access, newest first.
+ * Words must all match; "quoted words" must appear together. Optional filters:
+ * conversationId, senderId, from, to. Each result has a snippet with highlight offsets.
+ */
+router.get(
+  '/search',
+  requireAuth,
+  searchRateLimit,
+  validateQuery({
+    q: { type: 'string', required: true, maxLength: MAX_SEARCH_QUERY_LENGTH },
+    conversationId: { type: 'string' },
+    senderId: { type: 'string' },
+    from: { type: 'string', validator: isDateString('from') },
+    to: { type: 'string', validator: isDateString('to') },
+    limit: { type: 'number', min: 1, max: MAX_SEARCH_PAGE_SIZE },
+    offset: { type: 'number', min: 0 },
+  }),
+  asyncHandler(async (req, res) => {
+    const userId = req.user.uid;
+    const { q, conversationId, senderId, from, to, limit = 20, offset = 0 } = req.query;
+    const limitNum = Number(limit);
+    const offsetNum = Number(offset);
+
+    let found;
+    try {
+      found = await searchMessages({
+        userId,
+        query: q,
+        conversationId,
+        senderId,
+        from,
+        to,
+        limit: limitNum,
+        offset: offsetNum,
+      });
+    } catch (err) {
+      if (err.status) return sendError(res, err.status, err.message);
+      throw err;
+    }
+
+    const messages = await presentMessages(found.results.map((r) => r.message), userId);
+    const conversationNames = {};
+    await Promise.all(
+      [...new Set(messages.map((m) => m.conversationId))].map(async (convId) => {
+        conversationNames[convId] = await getConversationName(found.conversations[convId], userId);
       })
     );
 
     return sendSuccess(res, {
-      conversations: enriched,
-      total: allConvs.length,
+      results: messages.map((message, i) => ({
+        message,
+        conversationName: conversationNames[message.conversationId],
+        snippet: found.results[i].snippet,
+        highlights: found.results[i].highlights,
+      })),
+      total: found.total,
       limit: limitNum,
       offset: offsetNum,
     });
   })
 );
 
+const GROUP_NAME_MAX_LENGTH = 100;
+
+const isHttpUrl = (key) => (v) => {
+  if (v === null || v === '') return true;
+  try {
+    return ['http:', 'https:'].includes(new URL(v).protocol) || `${key} must be an http(s) URL`;
+  } catch {
+    return `${key} must be an http(s) URL`;
+  }
+};
+
 /**
  * POST /api/chat/conversations
  * Create new 1:1 or group conversation
- * Body: { type: 'private', participantIds: string[] } or { type: 'community', communityId: string }
+ * Body: { type: 'private', participantIds: string[], name?, avatarUrl? } or { type: 'community', communityId: string }
+ * A private conversation with more than one other participant, or with a name, is a group owned by its creator.
  */
 router.post(
   '/conversations',
   requireAuth,
+  requireVerifiedEmail,
+  requireChatWrite,
   validateBody({
     type: {
       type: 'string',
@@ -133,10 +443,13 @@ router.post(
     },
     participantIds: { type: 'array', required: false },
     communityId: { type: 'string', required: false },
+    name: { type: 'string', required: false, maxLength: GROUP_NAME_MAX_LENGTH },
+    avatarUrl: { type: 'string', required: false, maxLength: 2048, validator: isHttpUrl('avatarUrl') },
   }),
   asyncHandler(async (req, res) => {
     const userId = req.user.uid;
-    const { type, participantIds = [], communityId } = req.body;
+    const { type, participantIds = [], communityId, avatarUrl } = req.body;
+    const name = (req.body.name || '').trim();
 
     if (type === CONVERSATION_TYPE.COMMUNITY) {
       if (!communityId) return sendError(res, 400, 'communityId is required for community conversations');
@@ -169,6 +482,7 @@ router.post(
         updatedAt: now,
       };
       const docRef = await conversationsRef.add(convData);
+      await createInboxEntries({ id: docRef.id, ...convData }, group.members || []);
       return sendSuccess(res, { conversation: { id: docRef.id, ...convData } }, 201);
     }
 
@@ -176,25 +490,65 @@ router.post(
     const ids = [...new Set([userId, ...participantIds])].filter(Boolean);
     if (ids.length < 2) return sendError(res, 400, 'At least one other participant is required');
 
+    if (ids.length > MAX_GROUP_PARTICIPANTS) {
+      return sendError(res, 400, `Group conversations can have at most ${MAX_GROUP_PARTICIPANTS} participants`);
+    }
+
     // Verify all participants are accepted connections (for 1:1 or small group)
     for (const otherId of ids) {
       if (otherId === userId) continue;
-      const connectionId = [userId, otherId].sort().join('_');
-      const connDoc = await connectionsRef.doc(connectionId).get();
-      if (!connDoc.exists || connDoc.data().status !== CONNECTION_STATUS.ACCEPTED) {
+      if (!(await areConnected(userId, otherId))) {
         return sendError(res, 403, `You must be connected with all participants before messaging`);
       }
+      if (await isBlockedBetween(userId, otherId)) {
+        return sendError(res, 403, 'You cannot message this user');
+      }
+    }
+
+    const now = new Date().toISOString();
+
+    // Groups get their own ID so members can change; 1:1 conversations stay unique per pair
+    if (ids.length > 2 || name) {
+      const convRef = conversationsRef.doc();
+      const convData = {
+        id: convRef.id,
+        type: CONVERSATION_TYPE.PRIVATE,
+        communityId: null,
+        isGroup: true,
+        ownerId: userId,
+        name: name || null,
+        avatarUrl: avatarUrl || null,
+        participantIds: ids,
+        lastMessage: null,
+        lastMessageAt: now,
+        createdAt: now,
+        updatedAt: now,
+      };
+      await convRef.set(convData);
+      await createInboxEntries(convData, ids);
+      const systemMessage = await postSystemMessage(convData, {
+        action: SYSTEM_ACTION.CREATED,
+        actorId: userId,
+        name: convData.name,
+      });
+      const conversation = {
+        ...convData,
+        lastMessage: systemMessage.content,
+        lastMessageId: systemMessage.id,
+        lastMessageAt: systemMessage.createdAt,
+      };
+      const convName = await getConversationName(conversation, userId);
+      return sendSuccess(res, { conversation: { ...conversation, name: convName } }, 201);
     }
 
     const convId = buildPrivateConvId(ids);
     const existingDoc = await conversationsRef.doc(convId).get();
     if (existingDoc.exists) {
       const existing = { id: existingDoc.id, ...existingDoc.data() };
-      const name = await getConversationName(existing, userId);
-      return sendSuccess(res, { conversation: { ...existing, name } }, 200);
+      const existingName = await getConversationName(existing, userId);
+      return sendSuccess(res, { conversation: { ...existing, name: existingName } }, 200);
     }
 
-    const now = new Date().toISOString();
     const convData = {
       id: convId,
       type: CONVERSATION_TYPE.PRIVATE,
@@ -206,8 +560,172 @@ router.post(
       updatedAt: now,
     };
     await conversationsRef.doc(convId).set(convData);
-    const name = await getConversationName(convData, userId);
-    return sendSuccess(res, { conversation: { ...convData, name } }, 201);
+    await createInboxEntries(convData, ids);
+    const convName = await getConversationName(convData, userId);
+    return sendSuccess(res, { conversation: { ...convData, name: convName } }, 201);
+  })
+);
+
+// Tell the conversation's room about a group change: the system message and the new details
+const announceGroupChange = async (req, conversation, systemMessages) => {
+  const io = req.app.get('io');
+  if (!io?.emitToConversation) return;
+  const presented = await presentMessages(systemMessages, null);
+  presented.forEach((message) => io.emitToConversation(conversation.id, 'chat:new-message', message));
+  io.emitToConversation(conversation.id, 'chat:conversation-updated', {
+    conversationId: conversation.id,
+    name: conversation.name || null,
+    avatarUrl: conversation.avatarUrl || null,
+    ownerId: conversation.ownerId || null,
+    participantIds: conversation.participantIds || [],
+  });
+};
+
+// Run a group change from chatService, mapping its errors to responses
+const runGroupChange = async (res, change) => {
+  try {
+    return await change();
+  } catch (err) {
+    if (err.status) {
+      sendError(res, err.status, err.message);
+      return null;
+    }
+    throw err;
+  }
+};
+
+/**
+ * PATCH /api/chat/conversations/:id
+ * Rename a group conversation or change its avatar (owner only)
+ * Body: { name?, avatarUrl? } (null or '' clears)
+ */
+router.patch(
+  '/conversations/:id',
+  requireAuth,
+  requireVerifiedEmail,
+  requireChatWrite,
+  validateParams({ id: { required: true } }),
+  validateBody({
+    name: { type: 'string', required: false, maxLength: GROUP_NAME_MAX_LENGTH },
+    avatarUrl: { type: 'string', required: false, maxLength: 2048, validator: isHttpUrl('avatarUrl') },
+  }),
+  asyncHandler(async (req, res) => {
+    const userId = req.user.uid;
+    const { id } = req.params;
+    const { name, avatarUrl } = req.body;
+    if (name === undefined && avatarUrl === undefined) return sendError(res, 400, 'Nothing to update');
+
+    const result = await runGroupChange(res, () => updateGroupDetails(id, userId, {
+      name: typeof name === 'string' ? name.trim() : name,
+      avatarUrl,
+    }));
+    if (!result) return undefined;
+    const { conversation, changed } = result;
+
+    const systemMessages = [];
+    if (changed.includes('name')) {
+      systemMessages.push(await postSystemMessage(conversation, { action: SYSTEM_ACTION.RENAMED, actorId: userId, name: conversation.name }));
+    }
+    if (changed.includes('avatarUrl')) {
+      systemMessages.push(await postSystemMessage(conversation, { action: SYSTEM_ACTION.AVATAR_CHANGED, actorId: userId }));
+    }
+    if (systemMessages.length > 0) await announceGroupChange(req, conversation, systemMessages);
+
+    const convName = await getConversationName(conversation, userId);
+    return sendSuccess(res, { conversation: { ...conversation, name: convName } });
+  })
+);
+
+/**
+ * POST /api/chat/conversations/:id/participants
+ * Add people to a group conversation (owner only; each must be connected with the owner)
+ * Body: { userIds: string[] }
+ */
+router.post(
+  '/conversations/:id/participants',
+  requireAuth,
+  requireVerifiedEmail,
+  requireChatWrite,
+  validateParams({ id: { required: true } }),
+  validateBody({
+    userIds: { type: 'array', required: true, maxItems: MAX_GROUP_PARTICIPANTS },
+  }),
+  asyncHandler(async (req, res) => {
+    const userId = req.user.uid;
+    const { id } = req.params;
+    const { userIds } = req.body;
+    if (!userIds.every((uid) => typeof uid === 'string' && uid)) {
+      return sendError(res, 400, 'userIds must be a list of user IDs');
+    }
+
+    const result = await runGroupChange(res, () => addGroupParticipants(id, userId, userIds));
+    if (!result) return undefined;
+    const { conversation, added } = result;
+
+    if (added.length > 0) {
+      const systemMessage = await postSystemMessage(conversation, { action: SYSTEM_ACTION.ADDED, actorId: userId, userIds: added });
+      await announceGroupChange(req, conversation, [systemMessage]);
+    }
+
+    return sendSuccess(res, { conversationId: id, participantIds: conversation.participantIds, added });
+  })
+);
+
+/**
+ * DELETE /api/chat/conversations/:id/participants/:userId
+ * Remove someone from a group conversation (owner only)
+ */
+router.delete(
+  '/conversations/:id/participants/:userId',
+  requireAuth,
+  validateParams({ id: { required: true }, userId: { required: true } }),
+  asyncHandler(async (req, res) => {
+    const userId = req.user.uid;
+    const { id, userId: removedUserId } = req.params;
+
+    const result = await runGroupChange(res, () => removeGroupParticipant(id, userId, removedUserId));
+    if (!result) return undefined;
+    const { conversation } = result;
+
+    const systemMessage = await postSystemMessage(conversation, {
+      action: SYSTEM_ACTION.REMOVED,
+      actorId: userId,
+      userIds: [removedUserId],
+    });
+    await announceGroupChange(req, conversation, [systemMessage]);
+    req.app.get('io')?.removeFromConversation?.(id, removedUserId);
+
+    return sendSuccess(res, { conversationId: id, participantIds: conversation.participantIds, removed: removedUserId });
+  })
+);
+
+/**
+ * POST /api/chat/conversations/:id/leave
+ * Leave a group conversation. If the owner leaves, the longest-standing member becomes owner.
+ */
+router.post(
+  '/conversations/:id/leave',
+  requireAuth,
+  validateParams({ id: { required: true } }),
+  asyncHandler(async (req, res) => {
+    const userId = req.user.uid;
+    const { id } = req.params;
+
+    const result = await runGroupChange(res, () => leaveGroup(id, userId));
+    if (!result) return undefined;
+    const { conversation, newOwnerId } = result;
+
+    if (conversation.participantIds.length > 0) {
+      const systemMessage = await postSystemMessage(conversation, {
+        action: SYSTEM_ACTION.LEFT,
+        actorId: userId,
+        userIds: newOwnerId ? [newOwnerId] : [],
+      });
+      await announceGroupChange(req, conversation, [systemMessage]);
+    }
+    req.app.get('io')?.removeFromConversation?.(id, userId);
+
+    return sendSuccess(res, { conversationId: id, left: true, ownerId: conversation.ownerId });
   })
 );
 
@@ -229,14 +747,13 @@ router.get(
     if (!allowed) return sendError(res, 403, 'Access denied');
     const name = await getConversationName(conversation, userId);
     const readDoc = await conversationsRef.doc(id).collection('participantReads').doc(userId).get();
-    const unreadCount = readDoc.exists ? (readDoc.data().unreadCount ?? 0) : 0;
-    return sendSuccess(res, { conversation: { ...conversation, name, unreadCount } });
+    return sendSuccess(res, { conversation: { ...conversation, name, ...getConversationPreferences(readDoc.data()) } });
   })
 );
 
 /**
  * GET /api/chat/conversations/:id/messages
- * Fetch paginated message history
+ * Fetch paginated message history (also marks the messages as delivered to the caller)
  */
 router.get(
   '/conversations/:id/messages',
@@ -272,40 +789,40 @@ router.get(
 
     const snapshot = await query.get();
     const rawMessages = snapshot.docs.map((d) => ({ id: d.id, ...d.data() })).reverse();
-    // Enrich with sender display names
-    const senderIds = [...new Set(rawMessages.map((m) => m.senderId).filter(Boolean))];
-    const senderNames = {};
-    await Promise.all(
-      senderIds.map(async (uid) => {
-        const p = await getUserProfile(uid);
-        senderNames[uid] = p?.displayName || p?.name || uid.slice(0, 8);
-      })
-    );
-    const messages = rawMessages.map((m) => ({
-      ...m,
-      senderName: senderNames[m.senderId] || 'Unknown',
-    }));
+    const [presented, receipts] = await Promise.all([
+      presentMessages(rawMessages, userId),
+      getReadReceipts(conversation, userId, rawMessages),
+    ]);
+    // Your own messages carry { status: 'sent'|'delivered'|'seen', deliveredTo, seenBy }
+    const messages = presented.map((m) => (receipts[m.id] ? { ...m, receipt: receipts[m.id] } : m));
+    await markConversationDelivered(id, userId);
     return sendSuccess(res, { messages });
   })
 );
 
 /**
  * POST /api/chat/conversations/:id/messages
- * Send a new message
+ * Send a new message (replyToId answers another message and joins its thread;
+ * attachmentIds attach files uploaded with POST /conversations/:id/attachments)
  */
 router.post(
   '/conversations/:id/messages',
   requireAuth,
+  requireVerifiedEmail,
+  requireChatWrite,
+  messageRateLimit,
   validateParams({ id: { required: true } }),
   validateBody({
-    content: { type: 'string', required: true, maxLength: 5000 },
+    content: { type: 'string', required: false, maxLength: 5000 },
+    replyToId: { type: 'string', required: false },
+    attachmentIds: { type: 'array', required: false, maxItems: MAX_ATTACHMENTS_PER_MESSAGE },
   }),
   asyncHandler(async (req, res) => {
     const userId = req.user.uid;
     const { id } = req.params;
-    const { content } = req.body;
+    const { content, replyToId, attachmentIds = [] } = req.body;
     const trimmed = (content || '').trim();
-    if (!trimmed) return sendError(res, 400, 'Message content is required');
+    if (!trimmed && attachmentIds.length === 0) return sendError(res, 400, 'Message content is required');
 
     const convDoc = await conversationsRef.doc(id).get();
     if (!convDoc.exists) return sendError(res, 404, 'Conversation not found');
@@ -313,60 +830,516 @@ router.post(
     const allowed = await canAccessConversation(conversation, userId);
     if (!allowed) return sendError(res, 403, 'Access denied');
 
-    const now = new Date().toISOString();
+    if (await isBlockedFromConversation(conversation, userId)) return sendError(res, 403, 'You cannot message this user');
+
+    // Threads are one level deep: a reply to a reply joins the original message's thread
+    let threadId = null;
+    if (replyToId) {
+      const parentDoc = await messagesRef.doc(replyToId).get();
+      if (!parentDoc.exists || parentDoc.data().conversationId !== id) {
+        return sendError(res, 400, 'replyToId must be a message in this conversation');
+      }
+      if (parentDoc.data().deleted) return sendError(res, 400, 'Cannot reply to a deleted message');
+      threadId = parentDoc.data().threadId || parentDoc.id;
+    }
+
+    let screening;
+    try {
+      screening = await screenChatMessage({ userId, tenantId: req.tenant.id, content: trimmed });
+    } catch (err) {
+      if (err.status) return sendError(res, err.status, err.message);
+      throw err;
+    }
+    if (screening.action === SAFETY_ACTION.BLOCK) {
+      return sendError(res, 422, 'This message was blocked by safety screening', { flags: screening.flags });
+    }
+
+    const messageRef = messagesRef.doc();
+    let attachments = [];
+    try {
+      attachments = await claimAttachments(attachmentIds, { conversationId: id, uploaderId: userId, messageId: messageRef.id });
+    } catch (err) {
+      if (err.status) return sendError(res, err.status, err.message);
+      throw err;
+    }
+
     const messageData = {
       conversationId: id,
       senderId: userId,
       content: trimmed,
-      createdAt: now,
+      ...(threadId && { replyToId, threadId }),
+      ...(attachments.length > 0 && { attachments }),
+      createdAt: new Date().toISOString(),
     };
-    const messageRef = await messagesRef.add(messageData);
-    const message = { id: messageRef.id, ...messageData };
 
-    // Update conversation lastMessage
-    await conversationsRef.doc(id).update({
-      lastMessage: trimmed.slice(0, 100),
-      lastMessageAt: now,
-      updatedAt: now,
+    // Held messages reach the conversation only once a moderator approves them
+    if (screening.action === SAFETY_ACTION.HOLD) {
+      const held = await holdMessage({ messageId: messageRef.id, tenantId: req.tenant.id, messageData, screening });
+      await flagForModeration({
+        source: CASE_SOURCE.CHAT_SCREENING,
+        targetType: CASE_TARGET.HELD_MESSAGE,
+        targetId: held.id,
+        subjectUserId: userId,
+        tenantId: req.tenant.id,
+        content: trimmed,
+        context: { conversationId: id },
+        flags: screening.flags,
+        confidence: screening.confidence,
+      });
+      return sendSuccess(res, { held: true, heldMessage: presentHeldMessage(held) }, 202);
+    }
+
+    const message = await deliverMessage(req.app.get('io'), conversation, messageRef.id, messageData);
+    // Warned messages are delivered, and a moderator decides whether they stay
+    if (screening.action === SAFETY_ACTION.WARN) {
+      await flagForModeration({
+        source: CASE_SOURCE.CHAT_SCREENING,
+        targetType: CASE_TARGET.MESSAGE,
+        targetId: message.id,
+        subjectUserId: userId,
+        tenantId: req.tenant.id,
+        content: trimmed,
+        context: { conversationId: id },
+        flags: screening.flags,
+        confidence: screening.confidence,
+      });
+    }
+    return sendSuccess(res, {
+      message: (await presentMessages([message], userId))[0],
+      ...(screening.action === SAFETY_ACTION.WARN && { safety: { action: SAFETY_ACTION.WARN, flags: screening.flags } }),
+    }, 201);
+  })
+);
+
+/**
+ * GET /api/chat/conversations/:id/held-messages
+ * Your messages in this conversation that are waiting for moderator review
+ */
+router.get(
+  '/conversations/:id/held-messages',
+  requireAuth,
+  validateParams({ id: { required: true } }),
+  asyncHandler(async (req, res) => {
+    const userId = req.user.uid;
+    const loaded = await loadAccessibleConversation(req.params.id, userId);
+    if (loaded.error) return sendError(res, loaded.status, loaded.error);
+
+    const { heldMessages } = await listHeldMessages({
+      conversationId: req.params.id,
+      senderId: userId,
+      status: HELD_MESSAGE_STATUS.PENDING,
+      limit: MAX_HELD_MESSAGE_PAGE_SIZE,
     });
+    return sendSuccess(res, { heldMessages: heldMessages.map(presentHeldMessage) });
+  })
+);
 
-    // Increment unread for all participants except sender
-    const participants = await getParticipantsForConversation(conversation);
-    const participantReadsRef = conversationsRef.doc(id).collection('participantReads');
-    await Promise.all(
-      participants
-        .filter((uid) => uid !== userId)
-        .map((uid) =>
-          participantReadsRef.doc(uid).set(
-            { unreadCount: FieldValue.increment(1) },
-            { merge: true }
-          )
-        )
-    );
+// Load a message the user sent, in a conversation they can still access
+const loadOwnMessage = async (conversationId, messageId, userId) => {
+  const loaded = await loadAccessibleConversation(conversationId, userId);
+  if (loaded.error) return loaded;
+  const { conversation } = loaded;
+
+  const messageRef = messagesRef.doc(messageId);
+  const messageDoc = await messageRef.get();
+  if (!messageDoc.exists || messageDoc.data().conversationId !== conversationId) {
+    return { status: 404, error: 'Message not found' };
+  }
+  const message = { id: messageDoc.id, ...messageDoc.data() };
+  if (message.senderId !== userId || message.type === MESSAGE_TYPE.SYSTEM) {
+    return { status: 403, error: 'You can only change messages you sent' };
+  }
+  if (message.deleted) return { status: 410, error: 'Message has been deleted' };
+  return { conversation, messageRef, message };
+};
+
+/**
+ * PATCH /api/chat/conversations/:id/messages/:messageId
+ * Edit a message you sent (within the edit window); the previous text is kept in messages/{id}/edits
+ */
+router.patch(
+  '/conversations/:id/messages/:messageId',
+  requireAuth,
+  requireVerifiedEmail,
+  requireChatWrite,
+  messageRateLimit,
+  validateParams({ id: { required: true }, messageId: { required: true } }),
+  validateBody({
+    content: { type: 'string', required: true, maxLength: 5000 },
+  }),
+  asyncHandler(async (req, res) => {
+    const userId = req.user.uid;
+    const { id, messageId } = req.params;
+    const trimmed = (req.body.content || '').trim();
+    if (!trimmed) return sendError(res, 400, 'Message content is required');
+
+    const loaded = await loadOwnMessage(id, messageId, userId);
+    if (loaded.error) return sendError(res, loaded.status, loaded.error);
+    const { conversation, messageRef, message } = loaded;
+    if (await isBlockedFromConversation(conversation, userId)) return sendError(res, 403, 'You cannot message this user');
+
+    if (Date.now() - new Date(message.createdAt).getTime() > getEditWindowMs()) {
+      return sendError(res, 403, 'This message can no longer be edited');
+    }
+    if (trimmed === message.content) return sendSuccess(res, { message: (await presentMessages([message], userId))[0] });
+
+    // Edits are screened like new messages, but an edit can't wait for review: held edits are refused
+    let screening;
+    try {
+      screening = await screenChatMessage({ userId, tenantId: req.tenant.id, content: trimmed });
+    } catch (err) {
+      if (err.status) return sendError(res, err.status, err.message);
+      throw err;
+    }
+    if (screening.action === SAFETY_ACTION.BLOCK || screening.action === SAFETY_ACTION.HOLD) {
+      return sendError(res, 422, 'This edit was blocked by safety screening', { flags: screening.flags });
+    }
+
+    const now = new Date().toISOString();
+    const batch = firestore.batch();
+    batch.set(messageRef.collection('edits').doc(), {
+      content: message.content,
+      createdAt: message.editedAt || message.createdAt, // when this version was written
+      replacedAt: now,
+    });
+    batch.update(messageRef, {
+      content: trimmed,
+      editedAt: now,
+      editCount: FieldValue.increment(1),
+    });
+    if (conversation.lastMessageId === messageId) {
+      batch.update(conversationsRef.doc(id), { lastMessage: trimmed.slice(0, 100), updatedAt: now });
+    }
+    await batch.commit();
+    if (conversation.lastMessageId === messageId) {
+      const participants = await getParticipantsForConversation(conversation);
+      await refreshInboxEntries({ ...conversation, lastMessage: trimmed.slice(0, 100) }, participants);
+    }
+
+    const updated = { ...message, content: trimmed, editedAt: now, editCount: (message.editCount || 0) + 1 };
+    await indexMessage(updated);
+    if (screening.action === SAFETY_ACTION.WARN) {
+      await flagForModeration({
+        source: CASE_SOURCE.CHAT_SCREENING,
+        targetType: CASE_TARGET.MESSAGE,
+        targetId: messageId,
+        subjectUserId: userId,
+        tenantId: req.tenant.id,
+        content: trimmed,
+        context: { conversationId: id, edited: true },
+        flags: screening.flags,
+        confidence: screening.confidence,
+      });
+    }
+
+    const io = req.app.get('io');
+    if (io?.emitToConversation) {
+      io.emitToConversation(id, 'chat:message-updated', {
+        id: messageId,
+        conversationId: id,
+        content: updated.content,
+        editedAt: now,
+        editCount: updated.editCount,
+      });
+    }
+
+    return sendSuccess(res, {
+      message: (await presentMessages([updated], userId))[0],
+      ...(screening.action === SAFETY_ACTION.WARN && { safety: { action: SAFETY_ACTION.WARN, flags: screening.flags } }),
+    });
+  })
+);
+
+/**
+ * DELETE /api/chat/conversations/:id/messages/:messageId
+ * Delete a message you sent. A tombstone (deleted: true, no content) keeps its place in the history;
+ * the text, its edit history and its attachments are removed.
+ */
+router.delete(
+  '/conversations/:id/messages/:messageId',
+  requireAuth,
+  validateParams({ id: { required: true }, messageId: { required: true } }),
+  asyncHandler(async (req, res) => {
+    const userId = req.user.uid;
+    const { id, messageId } = req.params;
+
+    const loaded = await loadOwnMessage(id, messageId, userId);
+    if (loaded.error) return sendError(res, loaded.status, loaded.error);
+    const { conversation } = loaded;
+
+    const now = await retractMessage(req.app.get('io'), conversation, messageId);
+    return sendSuccess(res, { id: messageId, deleted: true, deletedAt: now });
+  })
+);
+
+/**
+ * POST /api/chat/conversations/:id/attachments
+ * Upload one file (multipart field "file") to attach to your next message with attachmentIds
+ */
+router.post(
+  '/conversations/:id/attachments',
+  requireAuth,
+  requireVerifiedEmail,
+  requireChatWrite,
+  uploadRateLimit,
+  validateParams({ id: { required: true } }),
+  uploadSingleFile,
+  asyncHandler(async (req, res) => {
+    const userId = req.user.uid;
+    const { id } = req.params;
+
+    const loaded = await loadAccessibleConversation(id, userId);
+    if (loaded.error) return sendError(res, loaded.status, loaded.error);
+
+    let attachment;
+    try {
+      attachment = await createAttachment({ conversationId: id, uploaderId: userId, file: req.file });
+    } catch (err) {
+      if (err.status) return sendError(res, err.status, err.message);
+      throw err;
+    }
+
+    return sendSuccess(res, { attachment: presentAttachment(attachment, userId) }, 201);
+  })
+);
 
-    // Emit via Socket.io for real-time delivery
+/**
+ * GET /api/chat/conversations/:id/attachments/:attachmentId
+ * Attachment details with fresh download URLs (e.g. after chat:new-message, which carries no URLs)
+ */
+router.get(
+  '/conversations/:id/attachments/:attachmentId',
+  requireAuth,
+  validateParams({ id: { required: true }, attachmentId: { required: true } }),
+  asyncHandler(async (req, res) => {
+    const userId = req.user.uid;
+    const { id, attachmentId } = req.params;
+
+    const loaded = await loadAccessibleConversation(id, userId);
+    if (loaded.error) return sendError(res, loaded.status, loaded.error);
+
+    const attachment = await getAttachment(attachmentId);
+    // Uploads not yet sent in a message are only visible to the uploader
+    if (!attachment || attachment.conversationId !== id || (!attachment.messageId && attachment.uploaderId !== userId)) {
+      return sendError(res, 404, 'Attachment not found');
+    }
+
+    return sendSuccess(res, { attachment: presentAttachment(attachment, userId) });
+  })
+);
+
+/**
+ * GET /api/chat/attachments/:attachmentId/download?variant&uid&expires&sig
+ * Serve a file from a signed URL (no Authorization header, so it works in <img> and links).
+ * The signer must still be able to access the conversation.
+ */
+router.get(
+  '/attachments/:attachmentId/download',
+  validateParams({ attachmentId: { required: true } }),
+  validateQuery({
+    variant: { type: 'string', validator: (v) => ['original', 'thumbnail'].includes(v) || 'variant must be original or thumbnail' },
+    uid: { type: 'string', required: true },
+    expires: { type: 'string', required: true },
+    sig: { type: 'string', required: true },
+  }),
+  asyncHandler(async (req, res) => {
+    const { attachmentId } = req.params;
+    const { variant = 'original', uid, expires, sig } = req.query;
+
+    if (!verifyDownloadSignature({ attachmentId, variant, uid, expires, sig })) {
+      return sendError(res, 403, 'Invalid or expired download link');
+    }
+
+    const attachment = await getAttachment(attachmentId);
+    if (!attachment || (!attachment.messageId && attachment.uploaderId !== uid)) {
+      return sendError(res, 404, 'Attachment not found');
+    }
+    const loaded = await loadAccessibleConversation(attachment.conversationId, uid);
+    if (loaded.error) return sendError(res, 403, 'Access denied');
+
+    const file = openAttachment(attachment, variant);
+    if (!file) return sendError(res, 404, 'Attachment not found');
+
+    const disposition = isInlineType(file.contentType) ? 'inline' : 'attachment';
+    res.set({
+      'Content-Type': file.contentType,
+      'Content-Disposition': `${disposition}; filename*=UTF-8''${encodeURIComponent(attachment.fileName)}`,
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': `private, max-age=${Math.max(0, Number(expires) - Math.floor(Date.now() / 1000))}`,
+      ...(file.size && { 'Content-Length': String(file.size) }),
+    });
+
+    file.stream.on('error', (err) => {
+      if (res.headersSent) return res.destroy(err);
+      res.removeHeader('Content-Length');
+      res.removeHeader('Content-Disposition');
+      if (err.code === 'ENOENT') return sendError(res, 404, 'Attachment not found');
+      console.error('Attachment download error:', err);
+      return sendError(res, 500, 'Failed to read attachment');
+    });
+    file.stream.pipe(res);
+  })
+);
+
+// Add or remove the user's reaction on a message; returns the updated reactions map and whether it changed
+const toggleReaction = async ({ conversationId, messageId, userId, emoji, add }) => {
+  const messageRef = messagesRef.doc(messageId);
+  return firestore.runTransaction(async (tx) => {
+    const snap = await tx.get(messageRef);
+    if (!snap.exists || snap.data().conversationId !== conversationId) throw chatError(404, 'Message not found');
+    const data = snap.data();
+    if (data.deleted) throw chatError(410, 'Message has been deleted');
+
+    const reactions = { ...(data.reactions || {}) };
+    const userIds = reactions[emoji] || [];
+    if (add === userIds.includes(userId)) return { reactions, changed: false };
+
+    if (add) {
+      if (!reactions[emoji] && Object.keys(reactions).length >= MAX_REACTIONS_PER_MESSAGE) {
+        throw chatError(400, `A message can have at most ${MAX_REACTIONS_PER_MESSAGE} different reactions`);
+      }
+      reactions[emoji] = [...userIds, userId];
+    } else {
+      const remaining = userIds.filter((uid) => uid !== userId);
+      if (remaining.length > 0) reactions[emoji] = remaining;
+      else delete reactions[emoji];
+    }
+    tx.update(messageRef, { reactions });
+    return { reactions, changed: true };
+  });
+};
+
+const reactionHandler = (add) =>
+  asyncHandler(async (req, res) => {
+    const userId = req.user.uid;
+    const { id, messageId, emoji } = req.params;
+
+    const loaded = await loadAccessibleConversation(id, userId);
+    if (loaded.error) return sendError(res, loaded.status, loaded.error);
+    // Taking a reaction back is always allowed
+    if (add && await isBlockedFromConversation(loaded.conversation, userId)) {
+      return sendError(res, 403, 'You cannot message this user');
+    }
+
+    let result;
+    try {
+      result = await toggleReaction({ conversationId: id, messageId, userId, emoji, add });
+    } catch (err) {
+      if (err.status) return sendError(res, err.status, err.message);
+      throw err;
+    }
+
+    const reactions = summarizeReactions(result.reactions);
     const io = req.app.get('io');
-    if (io) {
-      const room = `conv:${id}`;
-      const senderProfile = await getUserProfile(userId);
-      io.to(room).emit('chat:new-message', {
-        ...message,
-        senderName: senderProfile?.displayName || senderProfile?.name || 'Unknown',
+    if (result.changed && io?.emitToConversation) {
+      io.emitToConversation(id, 'chat:reaction-updated', {
+        id: messageId,
+        conversationId: id,
+        emoji,
+        userId,
+        action: add ? 'added' : 'removed',
+        reactions,
       });
     }
 
-    return sendSuccess(res, { message }, 201);
+    return sendSuccess(res, { id: messageId, reactions });
+  });
+
+const reactionParams = validateParams({
+  id: { required: true },
+  messageId: { required: true },
+  emoji: { required: true, validator: (v) => isEmoji(v) || 'emoji must be a single emoji' },
+});
+
+/**
+ * PUT /api/chat/conversations/:id/messages/:messageId/reactions/:emoji
+ * React to a message (idempotent); the emoji is URL-encoded in the path
+ */
+router.put(
+  '/conversations/:id/messages/:messageId/reactions/:emoji',
+  requireAuth,
+  requireChatWrite,
+  reactionRateLimit,
+  reactionParams,
+  reactionHandler(true)
+);
+
+/**
+ * DELETE /api/chat/conversations/:id/messages/:messageId/reactions/:emoji
+ * Remove your reaction from a message
+ */
+router.delete(
+  '/conversations/:id/messages/:messageId/reactions/:emoji',
+  requireAuth,
+  reactionRateLimit,
+  reactionParams,
+  reactionHandler(false)
+);
+
+/**
+ * GET /api/chat/conversations/:id/messages/:messageId/thread
+ * Fetch a thread: its first message and the replies, oldest first (messageId can be any message in the thread)
+ */
+router.get(
+  '/conversations/:id/messages/:messageId/thread',
+  requireAuth,
+  validateParams({ id: { required: true }, messageId: { required: true } }),
+  validateQuery({
+    limit: { type: 'number', min: 1, max: 100 },
+    after: { type: 'string', required: false },
+  }),
+  asyncHandler(async (req, res) => {
+    const userId = req.user.uid;
+    const { id, messageId } = req.params;
+    const { limit = 50, after } = req.query;
+    const limitNum = Number(limit);
+
+    const loaded = await loadAccessibleConversation(id, userId);
+    if (loaded.error) return sendError(res, loaded.status, loaded.error);
+
+    const messageDoc = await messagesRef.doc(messageId).get();
+    if (!messageDoc.exists || messageDoc.data().conversationId !== id) {
+      return sendError(res, 404, 'Message not found');
+    }
+    const rootId = messageDoc.data().threadId || messageDoc.id;
+    const rootDoc = rootId === messageDoc.id ? messageDoc : await messagesRef.doc(rootId).get();
+    if (!rootDoc.exists) return sendError(res, 404, 'Thread not found');
+
+    let query = messagesRef
+      .where('threadId', '==', rootId)
+      .orderBy('createdAt', 'asc')
+      .limit(limitNum);
+
+    if (after) {
+      const afterDoc = await messagesRef.doc(after).get();
+      if (afterDoc.exists) {
+        query = query.startAfter(afterDoc);
+      }
+    }
+
+    const snapshot = await query.get();
+    const [root, ...replies] = await presentMessages([
+      { id: rootDoc.id, ...rootDoc.data() },
+      ...snapshot.docs.map((d) => ({ id: d.id, ...d.data() })),
+    ], userId);
+    const nextCursor = replies.length === limitNum ? replies[replies.length - 1].id : null;
+
+    return sendSuccess(res, { root, replies, nextCursor });
   })
 );
 
 /**
- * POST /api/chat/conversations/:id/read (optional)
- * Mark conversation as read for current user
+ * POST /api/chat/conversations/:id/read
+ * Mark the conversation as read up to a message (default: the latest) and notify the room,
+ * unless the reader turned read receipts off
  */
 router.post(
   '/conversations/:id/read',
   requireAuth,
   validateParams({ id: { required: true } }),
+  validateBody({
+    messageId: { type: 'string', required: false },
+  }),
   asyncHandler(async (req, res) => {
     const userId = req.user.uid;
     const { id } = req.params;
@@ -376,12 +1349,30 @@ router.post(
     const allowed = await canAccessConversation(conversation, userId);
     if (!allowed) return sendError(res, 403, 'Access denied');
 
-    // Reset unread for this user and conversation
-    await conversationsRef.doc(id).collection('participantReads').doc(userId).set(
-      { unreadCount: 0 },
-      { merge: true }
-    );
-    return sendSuccess(res, { read: true });
+    let readState;
+    try {
+      readState = await markConversationRead(conversation, userId, req.body?.messageId || null);
+    } catch (err) {
+      if (err.status) return sendError(res, err.status, err.message);
+      throw err;
+    }
+
+    const io = req.app.get('io');
+    if (readState.advanced && io?.emitToConversation && (await sharesReadReceipts(userId))) {
+      io.emitToConversation(id, 'chat:read-receipt', {
+        conversationId: id,
+        userId,
+        lastReadMessageId: readState.lastReadMessageId,
+        lastReadAt: readState.lastReadAt,
+      });
+    }
+
+    return sendSuccess(res, {
+      read: true,
+      lastReadMessageId: readState.lastReadMessageId,
+      lastReadAt: readState.lastReadAt,
+      unreadCount: readState.unreadCount,
+    });
   })
 );
 
@@ -422,14 +1413,14 @@ router.get(
       };
       const docRef = await conversationsRef.add(convData);
       conversation = { id: docRef.id, ...convData };
+      await createInboxEntries(conversation, group.members || []);
     } else {
       const doc = snap.docs[0];
       conversation = { id: doc.id, ...doc.data() };
     }
     const name = await getConversationName(conversation, userId);
     const readDoc = await conversationsRef.doc(conversation.id).collection('participantReads').doc(userId).get();
-    const unreadCount = readDoc.exists ? (readDoc.data().unreadCount ?? 0) : 0;
-    return sendSuccess(res, { conversation: { ...conversation, name, unreadCount } });
+    return sendSuccess(res, { conversation: { ...conversation, name, ...getConversationPreferences(readDoc.data()) } });
   })
 );
 
@@ -451,6 +1442,9 @@ router.get(
     if (!connDoc.exists || connDoc.data().status !== CONNECTION_STATUS.ACCEPTED) {
       return sendError(res, 403, 'You must be connected to message this user');
     }
+    if (await isBlockedBetween(currentUserId, otherUserId)) {
+      return sendError(res, 403, 'You cannot message this user');
+    }
 
     const convId = buildPrivateConvId([currentUserId, otherUserId]);
     const convDoc = await conversationsRef.doc(convId).get();
@@ -469,13 +1463,13 @@ router.get(
       };
       await conversationsRef.doc(convId).set(convData);
       conversation = convData;
+      await createInboxEntries(conversation, convData.participantIds);
     } else {
       conversation = { id: convDoc.id, ...convDoc.data() };
     }
     const name = await getConversationName(conversation, currentUserId);
     const readDoc = await conversationsRef.doc(conversation.id).collection('participantReads').doc(currentUserId).get();
-    const unreadCount = readDoc.exists ? (readDoc.data().unreadCount ?? 0) : 0;
-    return sendSuccess(res, { conversation: { ...conversation, name, unreadCount } });
+    return sendSuccess(res, { conversation: { ...conversation, name, ...getConversationPreferences(readDoc.data()) } });
   })
 );
 
@@ -1,7 +1,9 @@
 // Connection request and relationship routes
 import express from 'express';
 import { firestore } from '../config/firebaseAdmin.js';
-import { requireAuth } from '../middleware/auth.js';
+import { requireAuth, requireVerifiedEmail } from '../middleware/auth.js';
+import { createRateLimiter } from '../middleware/rateLimit.js';
+import { isBlockedBetween } from '../services/blockService.js';
 
 const router = express.Router();
 const connectionsRef = firestore.collection('connections');
@@ -17,14 +19,32 @@ const CONNECTION_STATUS = {
 
 const buildConnectionId = (a, b) => [a, b].sort().join('_');
 
+// Per-user cap on outgoing connection requests to limit spam
+const connectionRequestRateLimit = createRateLimiter({
+  name: 'connection-request',
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 30,
+  keyBy: 'uid',
+  message: 'Too many connection requests. Please try again later.',
+});
+
 // Send connection request
-router.post('/request', requireAuth, async (req, res) => {
+router.post('/request', requireAuth, requireVerifiedEmail, connectionRequestRateLimit, async (req, res) => {
   try {
     const fromUserId = req.user.uid;
     const { toUserId } = req.body || {};
     if (!toUserId) return res.status(400).json({ error: 'toUserId is required' });
     if (toUserId === fromUserId) return res.status(400).json({ error: 'Cannot connect to yourself' });
 
+    // Students can only connect within their own institution
+    const toUserSnap = await usersRef.doc(toUserId).get();
+    if (!toUserSnap.exists || !req.tenant.includes(toUserSnap.data())) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (await isBlockedBetween(fromUserId, toUserId)) {
+      return res.status(403).json({ error: 'You cannot connect with this user' });
+    }
+
     const connectionId = buildConnectionId(fromUserId, toUserId);
     const docRef = connectionsRef.doc(connectionId);
     const snap = await docRef.get();
@@ -2,9 +2,13 @@
 import express from 'express';
 import { firestore } from '../config/firebaseAdmin.js';
 import { FieldValue } from 'firebase-admin/firestore';
-import { requireAuth, requireAdmin } from '../middleware/auth.js';
+import { requireAuth, requirePermission, requireVerifiedEmail } from '../middleware/auth.js';
+import { PERMISSIONS, hasPermission } from '../lib/permissions.js';
 import { asyncHandler, sendSuccess, sendError } from '../middleware/errorHandler.js';
 import { validateBody, validateQuery, validateParams } from '../middleware/validation.js';
+import { getDocTenantId } from '../lib/tenantScope.js';
+import { recordAudit } from '../services/auditService.js';
+import { screenContentForModeration, CASE_TARGET } from '../services/moderationService.js';
 // AI service client used for event/community recommendations.
 import { runAiGraph } from '../services/aiServiceClient.js';
 
@@ -13,28 +17,17 @@ const eventsRef = firestore.collection('events');
 const profilesRef = firestore.collection('profiles');
 const usersRef = firestore.collection('users');
 
-/** Emit socket event to a specific user's sockets (JWT-derived userId only) */
-const emitToUser = (io, userSockets, userId, eventName, payload) => {
-  const sids = userSockets?.get(userId);
-  if (sids && sids.size > 0) {
-    for (const sid of sids) {
-      io.to(sid).emit(eventName, payload);
-    }
-  }
-};
-
-/** Emit to all connected users (for event broadcasts) */
-const emitToAllUsers = (io, eventName, payload) => {
-  if (!io?.userSockets) return;
-  for (const userId of io.userSockets.keys()) {
-    emitToUser(io, io.userSockets, userId, eventName, payload);
-  }
+/** Emit to every connected user in the event's tenant, plus admins (for event broadcasts) */
+const emitToTenant = (io, tenantId, eventName, payload) => {
+  if (!io) return;
+  io.to(`tenant:${getDocTenantId({ tenantId })}`).to('admins').emit(eventName, payload);
 };
 
 const EVENT_STATUS = {
   PENDING: 'pending',
   APPROVED: 'approved',
   REJECTED: 'rejected',
+  HIDDEN: 'hidden', // taken down by a moderation case; approving it again restores it
 };
 
 // Normalize topics: lowercase, trim, filter empty
@@ -59,7 +52,7 @@ router.post('/recommendations',
     // Build AI input using body with fallbacks from authenticated user.
     const { userId, tenantId, interests, location, limit } = req.body || {};
     const resolvedUserId = userId || req.user.uid;
-    const resolvedTenantId = tenantId || req.user?.data?.tenantId || null;
+    const resolvedTenantId = req.tenant.resolve(tenantId);
 
     try {
       // AI-driven events/communities call.
@@ -90,6 +83,7 @@ router.post('/recommendations',
 // Create an event (students create with status=pending, admins create with status=approved)
 router.post('/',
   requireAuth,
+  requireVerifiedEmail,
   validateBody({
     title: { type: 'string', required: true, maxLength: 200 },
     aim: { type: 'string', required: true, maxLength: 500 },
@@ -101,31 +95,36 @@ router.post('/',
   asyncHandler(async (req, res) => {
     const { title, aim, topics, startTime, endTime, location } = req.body;
     const userId = req.user.uid;
-    const userRole = req.user.role || 'user';
-    const isAdmin = userRole === 'admin';
+    // Moderators' and admins' events skip the approval queue
+    const canApprove = hasPermission(req.user, PERMISSIONS.EVENTS_APPROVE);
 
     // Validate dates
     const startDate = new Date(startTime);
     const endDate = new Date(endTime);
 
     if (isNaN(startDate.getTime())) {
-      return sendError(res, 'Invalid startTime', 400);
+      return sendError(res, 400, 'Invalid startTime');
     }
     if (isNaN(endDate.getTime())) {
-      return sendError(res, 'Invalid endTime', 400);
+      return sendError(res, 400, 'Invalid endTime');
     }
     if (endDate <= startDate) {
-      return sendError(res, 'endTime must be after startTime', 400);
+      return sendError(res, 400, 'endTime must be after startTime');
     }
 
     // Normalize topics
     const normalizedTopics = normalizeTopics(topics);
     if (normalizedTopics.length === 0) {
-      return sendError(res, 'At least one topic is required', 400);
+      return sendError(res, 400, 'At least one topic is required');
+    }
+
+    // Events belong to one institution; admins must pick it via X-Tenant-Id
+    if (req.tenant.isGlobal) {
+      return sendError(res, 400, 'Select a tenant (X-Tenant-Id header) to create an event');
     }
 
     const now = new Date().toISOString();
-    const eventData = {
+    const eventData = req.tenant.stamp({
       title: title.trim(),
       aim: aim.trim(),
       topics: normalizedTopics,
@@ -133,17 +132,26 @@ router.post('/',
       endTime: endDate.toISOString(),
       location: location.trim(),
       createdBy: userId,
-      createdByRole: isAdmin ? 'admin' : 'student',
-      status: isAdmin ? EVENT_STATUS.APPROVED : EVENT_STATUS.PENDING,
+      createdByRole: req.user.isAdmin ? 'admin' : 'student',
+      status: canApprove ? EVENT_STATUS.APPROVED : EVENT_STATUS.PENDING,
       attendees: [],
       attendeesCount: 0,
       createdAt: now,
       updatedAt: now,
-    };
+    });
 
     const docRef = await eventsRef.add(eventData);
     const eventId = docRef.id;
 
+    // Screened in the background; a flagged event becomes a moderation case
+    screenContentForModeration({
+      userId,
+      tenantId: eventData.tenantId,
+      content: `${eventData.title}\n${eventData.aim}`,
+      targetType: CASE_TARGET.EVENT,
+      targetId: eventId,
+    });
+
     // Emit real-time notification to all connected users (JWT-derived identities only)
     const io = req.app.get('io');
     if (io?.userSockets) {
@@ -162,7 +170,7 @@ router.post('/',
         startsAt: eventData.startTime,
         createdByName,
       };
-      emitToAllUsers(io, 'event:created', payload);
+      emitToTenant(io, eventData.tenantId, 'event:created', payload);
     }
 
     return sendSuccess(res, { id: eventId, ...eventData }, 201);
@@ -181,8 +189,7 @@ router.get('/',
     const limitNum = Number(limit);
     const offsetNum = Number(offset);
 
-    const snapshot = await eventsRef
-      .where('status', '==', EVENT_STATUS.APPROVED)
+    const snapshot = await req.tenant.apply(eventsRef.where('status', '==', EVENT_STATUS.APPROVED))
       .orderBy('startTime', 'asc')
       .get();
 
@@ -212,15 +219,17 @@ router.get('/:id',
     const doc = await eventsRef.doc(id).get();
 
     if (!doc.exists) {
-      return sendError(res, 'Event not found', 404);
+      return sendError(res, 404, 'Event not found');
     }
 
     const data = doc.data();
+    if (!req.tenant.includes(data)) {
+      return sendError(res, 404, 'Event not found');
+    }
     
     // Students can only see approved events
-    const userRole = req.user.role || 'user';
-    if (userRole !== 'admin' && data.status !== EVENT_STATUS.APPROVED) {
-      return sendError(res, 'Event not found', 404);
+    if (!hasPermission(req.user, PERMISSIONS.EVENTS_APPROVE) && data.status !== EVENT_STATUS.APPROVED) {
+      return sendError(res, 404, 'Event not found');
     }
 
     return sendSuccess(res, { id: doc.id, ...data });
@@ -230,7 +239,7 @@ router.get('/:id',
 // Admin routes - list pending events
 router.get('/admin/pending',
   requireAuth,
-  requireAdmin,
+  requirePermission(PERMISSIONS.EVENTS_APPROVE),
   validateQuery({
     limit: { type: 'number', min: 1, max: 100 },
     offset: { type: 'number', min: 0 },
@@ -240,8 +249,7 @@ router.get('/admin/pending',
     const limitNum = Number(limit);
     const offsetNum = Number(offset);
 
-    const snapshot = await eventsRef
-      .where('status', '==', EVENT_STATUS.PENDING)
+    const snapshot = await req.tenant.apply(eventsRef.where('status', '==', EVENT_STATUS.PENDING))
       .orderBy('createdAt', 'desc')
       .get();
 
@@ -260,7 +268,7 @@ router.get('/admin/pending',
 // Admin routes - list all events by status
 router.get('/admin/all',
   requireAuth,
-  requireAdmin,
+  requirePermission(PERMISSIONS.EVENTS_APPROVE),
   validateQuery({
     status: { 
       type: 'string', 
@@ -274,7 +282,7 @@ router.get('/admin/all',
     const limitNum = Number(limit);
     const offsetNum = Number(offset);
 
-    let query = eventsRef.orderBy('createdAt', 'desc');
+    let query = req.tenant.apply(eventsRef).orderBy('createdAt', 'desc');
     if (status) {
       query = query.where('status', '==', status);
     }
@@ -295,15 +303,15 @@ router.get('/admin/all',
 // Admin: Approve an event
 router.patch('/:id/approve',
   requireAuth,
-  requireAdmin,
+  requirePermission(PERMISSIONS.EVENTS_APPROVE),
   validateParams({ id: { required: true } }),
   asyncHandler(async (req, res) => {
     const { id } = req.params;
     const docRef = eventsRef.doc(id);
     const doc = await docRef.get();
 
-    if (!doc.exists) {
-      return sendError(res, 'Event not found', 404);
+    if (!doc.exists || !req.tenant.includes(doc.data())) {
+      return sendError(res, 404, 'Event not found');
     }
 
     const data = doc.data();
@@ -312,6 +320,15 @@ router.patch('/:id/approve',
       updatedAt: new Date().toISOString(),
     });
 
+    await recordAudit(req, {
+      action: 'event.approve',
+      targetType: 'event',
+      targetId: id,
+      tenantId: data.tenantId || null,
+      before: { status: data.status },
+      after: { status: EVENT_STATUS.APPROVED },
+    });
+
     const io = req.app.get('io');
     if (io?.userSockets) {
       const payload = {
@@ -321,7 +338,7 @@ router.patch('/:id/approve',
         startsAt: data.startTime,
         updatedFields: { status: EVENT_STATUS.APPROVED },
       };
-      emitToAllUsers(io, 'event:updated', payload);
+      emitToTenant(io, data.tenantId, 'event:updated', payload);
     }
 
     return sendSuccess(res, { id, status: EVENT_STATUS.APPROVED });
@@ -331,7 +348,7 @@ router.patch('/:id/approve',
 // Admin: Reject an event
 router.patch('/:id/reject',
   requireAuth,
-  requireAdmin,
+  requirePermission(PERMISSIONS.EVENTS_APPROVE),
   validateParams({ id: { required: true } }),
   validateBody({
     reason: { type: 'string', maxLength: 500 },
@@ -342,12 +359,13 @@ router.patch('/:id/reject',
     const docRef = eventsRef.doc(id);
     const doc = await docRef.get();
 
-    if (!doc.exists) {
-      return sendError(res, 'Event not found', 404);
+    if (!doc.exists || !req.tenant.includes(doc.data())) {
+      return sendError(res, 404, 'Event not found');
     }
 
     const updateData = {
       status: EVENT_STATUS.REJECTED,
+      rejectedAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
     };
 
@@ -358,6 +376,15 @@ router.patch('/:id/reject',
     const data = doc.data();
     await docRef.update(updateData);
 
+    await recordAudit(req, {
+      action: 'event.reject',
+      targetType: 'event',
+      targetId: id,
+      tenantId: data.tenantId || null,
+      before: { status: data.status, rejectionReason: data.rejectionReason },
+      after: updateData,
+    });
+
     const io = req.app.get('io');
     if (io?.userSockets) {
       const payload = {
@@ -367,7 +394,7 @@ router.patch('/:id/reject',
         startsAt: data.startTime,
         updatedFields: { status: EVENT_STATUS.REJECTED, ...(updateData.rejectionReason && { rejectionReason: updateData.rejectionReason }) },
       };
-      emitToAllUsers(io, 'event:updated', payload);
+      emitToTenant(io, data.tenantId, 'event:updated', payload);
     }
 
     return sendSuccess(res, { id, status: EVENT_STATUS.REJECTED });
@@ -384,13 +411,13 @@ router.post('/:id/rsvp',
     const docRef = eventsRef.doc(id);
     const doc = await docRef.get();
 
-    if (!doc.exists) {
-      return sendError(res, 'Event not found', 404);
+    if (!doc.exists || !req.tenant.includes(doc.data())) {
+      return sendError(res, 404, 'Event not found');
     }
 
     const data = doc.data();
     if (data.status !== EVENT_STATUS.APPROVED) {
-      return sendError(res, 'Only approved events can be RSVP\'d to', 400);
+      return sendError(res, 400, 'Only approved events can be RSVP\'d to');
     }
 
     const attendees = data.attendees || [];
@@ -413,7 +440,7 @@ router.post('/:id/rsvp',
         startsAt: data.startTime,
         updatedFields: { attendees: 'added' },
       };
-      emitToAllUsers(io, 'event:updated', payload);
+      emitToTenant(io, data.tenantId, 'event:updated', payload);
     }
 
     return sendSuccess(res, { id, message: 'Successfully RSVP\'d to event', isRSVPd: true });
@@ -430,8 +457,8 @@ router.post('/:id/withdraw',
     const docRef = eventsRef.doc(id);
     const doc = await docRef.get();
 
-    if (!doc.exists) {
-      return sendError(res, 'Event not found', 404);
+    if (!doc.exists || !req.tenant.includes(doc.data())) {
+      return sendError(res, 404, 'Event not found');
     }
 
     const data = doc.data();
@@ -455,7 +482,7 @@ router.post('/:id/withdraw',
         startsAt: data.startTime,
         updatedFields: { attendees: 'removed' },
       };
-      emitToAllUsers(io, 'event:updated', payload);
+      emitToTenant(io, data.tenantId, 'event:updated', payload);
     }
 
     return sendSuccess(res, { id, message: 'Successfully withdrew RSVP', isRSVPd: false });
@@ -514,10 +541,9 @@ router.get('/recommended',
     const profile = profileSnap.data();
     const userInterests = (profile.interests || []).map(i => (i || '').toLowerCase().trim()).filter(Boolean);
 
-    // Get all approved upcoming events
+    // Get all approved upcoming events in the user's institution
     const now = new Date();
-    const snapshot = await eventsRef
-      .where('status', '==', EVENT_STATUS.APPROVED)
+    const snapshot = await req.tenant.apply(eventsRef.where('status', '==', EVENT_STATUS.APPROVED))
       .get();
 
     const allEvents = snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
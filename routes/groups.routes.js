@@ -2,9 +2,13 @@
 import express from 'express';
 import { firestore } from '../config/firebaseAdmin.js';
 import { FieldValue } from 'firebase-admin/firestore';
-import { requireAuth, requireAdmin } from '../middleware/auth.js';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS, hasPermission } from '../lib/permissions.js';
 import { asyncHandler, sendSuccess, sendError } from '../middleware/errorHandler.js';
 import { validateBody, validateQuery, validateParams } from '../middleware/validation.js';
+import { recordAudit } from '../services/auditService.js';
+import { syncCommunityMembership } from '../services/chatService.js';
+import { screenContentForModeration, CASE_TARGET } from '../services/moderationService.js';
 // AI service client used for community recommendations.
 import { runAiGraph } from '../services/aiServiceClient.js';
 
@@ -16,6 +20,7 @@ const GROUP_STATUS = {
   PENDING: 'pending',
   APPROVED: 'approved',
   REJECTED: 'rejected',
+  HIDDEN: 'hidden', // taken down by a moderation case; approving it again restores it
 };
 
 const GROUP_TYPE = {
@@ -25,6 +30,13 @@ const GROUP_TYPE = {
   OFFICIAL: 'official',
 };
 
+// Staff with groups:manage can edit any group in their scope; society leads only groups they created or lead
+const canManageGroup = (user, group) => {
+  if (hasPermission(user, PERMISSIONS.GROUPS_MANAGE)) return true;
+  if (!hasPermission(user, PERMISSIONS.GROUPS_MANAGE_OWN)) return false;
+  return group.createdBy === user.uid || (group.leads || []).includes(user.uid);
+};
+
 // Normalize topics: lowercase, trim, filter empty
 const normalizeTopics = (topics) => {
   if (!Array.isArray(topics)) return [];
@@ -47,7 +59,7 @@ router.post('/recommendations',
     // Build AI input using body with fallbacks from authenticated user.
     const { userId, tenantId, interests, location, limit } = req.body || {};
     const resolvedUserId = userId || req.user.uid;
-    const resolvedTenantId = tenantId || req.user?.data?.tenantId || null;
+    const resolvedTenantId = req.tenant.resolve(tenantId);
 
     try {
       // AI-driven events/communities call.
@@ -91,38 +103,52 @@ router.post('/',
   asyncHandler(async (req, res) => {
     const { title, aim, topics, type } = req.body;
     const userId = req.user.uid;
-    const userRole = req.user.role || 'user';
-    const isAdmin = userRole === 'admin';
+    // Moderators' and admins' groups skip the approval queue
+    const canApprove = hasPermission(req.user, PERMISSIONS.GROUPS_APPROVE);
 
-    // Admins can create official groups, students cannot
-    if (type === GROUP_TYPE.OFFICIAL && !isAdmin) {
-      return sendError(res, 'Only admins can create official groups', 403);
+    // Only staff who can manage any group may create official groups
+    if (type === GROUP_TYPE.OFFICIAL && !hasPermission(req.user, PERMISSIONS.GROUPS_MANAGE)) {
+      return sendError(res, 403, 'You do not have permission to create official groups');
     }
 
     // Normalize topics
     const normalizedTopics = normalizeTopics(topics);
     if (normalizedTopics.length === 0) {
-      return sendError(res, 'At least one topic is required', 400);
+      return sendError(res, 400, 'At least one topic is required');
+    }
+
+    // Groups belong to one institution; admins must pick it via X-Tenant-Id
+    if (req.tenant.isGlobal) {
+      return sendError(res, 400, 'Select a tenant (X-Tenant-Id header) to create a group');
     }
 
     const now = new Date().toISOString();
-    const groupData = {
+    const groupData = req.tenant.stamp({
       title: title.trim(),
       aim: aim.trim(),
       topics: normalizedTopics,
       type,
       createdBy: userId,
-      createdByRole: isAdmin ? 'admin' : 'student',
-      status: isAdmin ? GROUP_STATUS.APPROVED : GROUP_STATUS.PENDING,
+      createdByRole: req.user.isAdmin ? 'admin' : 'student',
+      status: canApprove ? GROUP_STATUS.APPROVED : GROUP_STATUS.PENDING,
       members: [],
       membersCount: 0,
       createdAt: now,
       updatedAt: now,
-    };
+    });
 
     const docRef = await groupsRef.add(groupData);
-    
-    return sendSuccess(res, { id: docRef.id, ...groupData }, isAdmin ? 201 : 201);
+
+    // Screened in the background; a flagged group becomes a moderation case
+    screenContentForModeration({
+      userId,
+      tenantId: groupData.tenantId,
+      content: `${groupData.title}\n${groupData.aim}`,
+      targetType: CASE_TARGET.GROUP,
+      targetId: docRef.id,
+    });
+
+    return sendSuccess(res, { id: docRef.id, ...groupData }, 201);
   })
 );
 
@@ -143,7 +169,7 @@ router.get('/',
     const offsetNum = Number(offset);
     const userRole = req.user.role || 'user';
 
-    let query = groupsRef.where('status', '==', GROUP_STATUS.APPROVED);
+    let query = req.tenant.apply(groupsRef.where('status', '==', GROUP_STATUS.APPROVED));
 
     if (type) {
       query = query.where('type', '==', type);
@@ -172,15 +198,17 @@ router.get('/:id',
     const doc = await groupsRef.doc(id).get();
 
     if (!doc.exists) {
-      return sendError(res, 'Group not found', 404);
+      return sendError(res, 404, 'Group not found');
     }
 
     const data = doc.data();
+    if (!req.tenant.includes(data)) {
+      return sendError(res, 404, 'Group not found');
+    }
     
     // Students can only see approved groups
-    const userRole = req.user.role || 'user';
-    if (userRole !== 'admin' && data.status !== GROUP_STATUS.APPROVED) {
-      return sendError(res, 'Group not found', 404);
+    if (!hasPermission(req.user, PERMISSIONS.GROUPS_APPROVE) && data.status !== GROUP_STATUS.APPROVED) {
+      return sendError(res, 404, 'Group not found');
     }
 
     return sendSuccess(res, { id: doc.id, ...data });
@@ -190,7 +218,7 @@ router.get('/:id',
 // Admin routes - list pending groups
 router.get('/admin/pending',
   requireAuth,
-  requireAdmin,
+  requirePermission(PERMISSIONS.GROUPS_APPROVE),
   validateQuery({
     limit: { type: 'number', min: 1, max: 100 },
     offset: { type: 'number', min: 0 },
@@ -200,8 +228,7 @@ router.get('/admin/pending',
     const limitNum = Number(limit);
     const offsetNum = Number(offset);
 
-    const snapshot = await groupsRef
-      .where('status', '==', GROUP_STATUS.PENDING)
+    const snapshot = await req.tenant.apply(groupsRef.where('status', '==', GROUP_STATUS.PENDING))
       .orderBy('createdAt', 'desc')
       .get();
 
@@ -220,7 +247,7 @@ router.get('/admin/pending',
 // Admin routes - list all groups by status
 router.get('/admin/all',
   requireAuth,
-  requireAdmin,
+  requirePermission(PERMISSIONS.GROUPS_APPROVE),
   validateQuery({
     status: { 
       type: 'string', 
@@ -234,7 +261,7 @@ router.get('/admin/all',
     const limitNum = Number(limit);
     const offsetNum = Number(offset);
 
-    let query = groupsRef.orderBy('createdAt', 'desc');
+    let query = req.tenant.apply(groupsRef).orderBy('createdAt', 'desc');
     if (status) {
       query = query.where('status', '==', status);
     }
@@ -255,22 +282,32 @@ router.get('/admin/all',
 // Admin: Approve a group
 router.patch('/:id/approve',
   requireAuth,
-  requireAdmin,
+  requirePermission(PERMISSIONS.GROUPS_APPROVE),
   validateParams({ id: { required: true } }),
   asyncHandler(async (req, res) => {
     const { id } = req.params;
     const docRef = groupsRef.doc(id);
     const doc = await docRef.get();
 
-    if (!doc.exists) {
-      return sendError(res, 'Group not found', 404);
+    if (!doc.exists || !req.tenant.includes(doc.data())) {
+      return sendError(res, 404, 'Group not found');
     }
 
+    const data = doc.data();
     await docRef.update({
       status: GROUP_STATUS.APPROVED,
       updatedAt: new Date().toISOString(),
     });
 
+    await recordAudit(req, {
+      action: 'group.approve',
+      targetType: 'group',
+      targetId: id,
+      tenantId: data.tenantId || null,
+      before: { status: data.status },
+      after: { status: GROUP_STATUS.APPROVED },
+    });
+
     return sendSuccess(res, { id, status: GROUP_STATUS.APPROVED });
   })
 );
@@ -278,7 +315,7 @@ router.patch('/:id/approve',
 // Admin: Reject a group
 router.patch('/:id/reject',
   requireAuth,
-  requireAdmin,
+  requirePermission(PERMISSIONS.GROUPS_APPROVE),
   validateParams({ id: { required: true } }),
   validateBody({
     reason: { type: 'string', maxLength: 500 },
@@ -289,12 +326,13 @@ router.patch('/:id/reject',
     const docRef = groupsRef.doc(id);
     const doc = await docRef.get();
 
-    if (!doc.exists) {
-      return sendError(res, 'Group not found', 404);
+    if (!doc.exists || !req.tenant.includes(doc.data())) {
+      return sendError(res, 404, 'Group not found');
     }
 
     const updateData = {
       status: GROUP_STATUS.REJECTED,
+      rejectedAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
     };
 
@@ -302,12 +340,131 @@ router.patch('/:id/reject',
       updateData.rejectionReason = reason.trim();
     }
 
+    const data = doc.data();
     await docRef.update(updateData);
 
+    await recordAudit(req, {
+      action: 'group.reject',
+      targetType: 'group',
+      targetId: id,
+      tenantId: data.tenantId || null,
+      before: { status: data.status, rejectionReason: data.rejectionReason },
+      after: updateData,
+    });
+
     return sendSuccess(res, { id, status: GROUP_STATUS.REJECTED });
   })
 );
 
+// Update a group's details (group managers and society leads of the group)
+router.patch('/:id',
+  requireAuth,
+  validateParams({ id: { required: true } }),
+  validateBody({
+    title: { type: 'string', maxLength: 200 },
+    aim: { type: 'string', maxLength: 500 },
+    topics: { type: 'array', minItems: 1 },
+    leads: { type: 'array', maxItems: 20 },
+  }),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { title, aim, topics, leads } = req.body;
+    const docRef = groupsRef.doc(id);
+    const doc = await docRef.get();
+
+    if (!doc.exists || !req.tenant.includes(doc.data())) {
+      return sendError(res, 404, 'Group not found');
+    }
+
+    const data = doc.data();
+    if (!canManageGroup(req.user, data)) {
+      return sendError(res, 403, 'You do not have permission to manage this group');
+    }
+    // Leads decide who can manage the group, so only full group managers may change them
+    if (leads !== undefined && !hasPermission(req.user, PERMISSIONS.GROUPS_MANAGE)) {
+      return sendError(res, 403, 'You do not have permission to change group leads');
+    }
+
+    const updateData = { updatedAt: new Date().toISOString() };
+    if (title !== undefined) updateData.title = title.trim();
+    if (aim !== undefined) updateData.aim = aim.trim();
+    if (topics !== undefined) {
+      const normalizedTopics = normalizeTopics(topics);
+      if (normalizedTopics.length === 0) {
+        return sendError(res, 400, 'At least one topic is required');
+      }
+      updateData.topics = normalizedTopics;
+    }
+    if (leads !== undefined) {
+      updateData.leads = [...new Set(leads.filter((uid) => typeof uid === 'string' && uid))];
+    }
+
+    await docRef.update(updateData);
+
+    await recordAudit(req, {
+      action: 'group.update',
+      targetType: 'group',
+      targetId: id,
+      tenantId: data.tenantId || null,
+      before: Object.fromEntries(Object.keys(updateData).map((field) => [field, data[field]])),
+      after: updateData,
+    });
+
+    if (updateData.title !== undefined || updateData.aim !== undefined) {
+      const updated = { ...data, ...updateData };
+      screenContentForModeration({
+        userId: req.user.uid,
+        tenantId: data.tenantId || null,
+        content: `${updated.title}\n${updated.aim}`,
+        targetType: CASE_TARGET.GROUP,
+        targetId: id,
+      });
+    }
+
+    return sendSuccess(res, { id, ...data, ...updateData });
+  })
+);
+
+// Remove a member from a group (group managers and society leads of the group)
+router.delete('/:id/members/:memberId',
+  requireAuth,
+  validateParams({ id: { required: true }, memberId: { required: true } }),
+  asyncHandler(async (req, res) => {
+    const { id, memberId } = req.params;
+    const docRef = groupsRef.doc(id);
+    const doc = await docRef.get();
+
+    if (!doc.exists || !req.tenant.includes(doc.data())) {
+      return sendError(res, 404, 'Group not found');
+    }
+
+    const data = doc.data();
+    if (!canManageGroup(req.user, data)) {
+      return sendError(res, 403, 'You do not have permission to manage this group');
+    }
+    if (!(data.members || []).includes(memberId)) {
+      return sendError(res, 404, 'Member not found');
+    }
+
+    await docRef.update({
+      members: FieldValue.arrayRemove(memberId),
+      membersCount: FieldValue.increment(-1),
+      updatedAt: new Date().toISOString(),
+    });
+    await syncCommunityMembership(id, memberId, false);
+
+    await recordAudit(req, {
+      action: 'group.member_remove',
+      targetType: 'group',
+      targetId: id,
+      tenantId: data.tenantId || null,
+      metadata: { memberId },
+    });
+
+    return sendSuccess(res, { id, memberId, message: 'Member removed' });
+  })
+);
+
 // Join a group
 router.post('/:id/join',
   requireAuth,
@@ -318,13 +475,13 @@ router.post('/:id/join',
     const docRef = groupsRef.doc(id);
     const doc = await docRef.get();
 
-    if (!doc.exists) {
-      return sendError(res, 'Group not found', 404);
+    if (!doc.exists || !req.tenant.includes(doc.data())) {
+      return sendError(res, 404, 'Group not found');
     }
 
     const data = doc.data();
     if (data.status !== GROUP_STATUS.APPROVED) {
-      return sendError(res, 'Only approved groups can be joined', 400);
+      return sendError(res, 400, 'Only approved groups can be joined');
     }
 
     const members = data.members || [];
@@ -337,6 +494,7 @@ router.post('/:id/join',
       membersCount: FieldValue.increment(1),
       updatedAt: new Date().toISOString(),
     });
+    await syncCommunityMembership(id, userId, true);
 
     return sendSuccess(res, { id, message: 'Successfully joined group', isMember: true });
   })
@@ -352,8 +510,8 @@ router.post('/:id/leave',
     const docRef = groupsRef.doc(id);
     const doc = await docRef.get();
 
-    if (!doc.exists) {
-      return sendError(res, 'Group not found', 404);
+    if (!doc.exists || !req.tenant.includes(doc.data())) {
+      return sendError(res, 404, 'Group not found');
     }
 
     const data = doc.data();
@@ -367,6 +525,7 @@ router.post('/:id/leave',
       membersCount: FieldValue.increment(-1),
       updatedAt: new Date().toISOString(),
     });
+    await syncCommunityMembership(id, userId, false);
 
     return sendSuccess(res, { id, message: 'Successfully left group', isMember: false });
   })
@@ -425,9 +584,8 @@ router.get('/recommended',
     const userInterests = (profile.interests || []).map(i => (i || '').toLowerCase().trim()).filter(Boolean);
     const userMajor = (profile.major || '').toLowerCase().trim();
 
-    // Get all approved groups
-    const snapshot = await groupsRef
-      .where('status', '==', GROUP_STATUS.APPROVED)
+    // Get all approved groups in the user's institution
+    const snapshot = await req.tenant.apply(groupsRef.where('status', '==', GROUP_STATUS.APPROVED))
       .get();
 
     const allGroups = snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
@@ -7,11 +7,21 @@ import express from "express";
 import { requireAuth } from "../middleware/auth.js";
 import { validateBody } from "../middleware/validation.js";
 import { asyncHandler } from "../middleware/errorHandler.js";
+import { createRateLimiter } from "../middleware/rateLimit.js";
 import { handleHelpAIRequest } from "../controllers/helpAI.controller.js";
 // NOTE: Help AI uses the internal help controller (not the campusconnect-ai /run-graph service).
 
 const router = express.Router();
 
+// Per-user cap on AI questions (each one is a paid Perplexity call)
+const helpAIRateLimit = createRateLimiter({
+  name: "help-ai",
+  windowMs: 10 * 60 * 1000, // 10 minutes
+  max: 20,
+  keyBy: "uid",
+  message: "Too many requests. Please wait a moment and try again.",
+});
+
 /**
  * POST /api/help/ai
  * Ask a question to the AI help assistant
@@ -27,6 +37,7 @@ const router = express.Router();
 router.post(
   "/",
   requireAuth,
+  helpAIRateLimit,
   (req, res, next) => {
     // Debug logging in development
     if (process.env.NODE_ENV === "development") {
@@ -1,9 +1,11 @@
 // Help center and journey tracking routes
 import express from 'express';
 import { firestore } from '../config/firebaseAdmin.js';
-import { requireAuth, requireAdmin } from '../middleware/auth.js';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS } from '../lib/permissions.js';
 import { asyncHandler, sendSuccess, sendError } from '../middleware/errorHandler.js';
 import { validateBody, validateParams } from '../middleware/validation.js';
+import { recordAudit } from '../services/auditService.js';
 
 const router = express.Router();
 const helpCategoriesRef = firestore.collection('helpCategories');
@@ -68,7 +70,7 @@ router.post('/journeys',
 // Admin: Create a help category
 router.post('/admin/categories',
   requireAuth,
-  requireAdmin,
+  requirePermission(PERMISSIONS.HELP_MANAGE),
   validateBody({
     id: { type: 'string', required: true, minLength: 1, maxLength: 50 },
     label: { type: 'string', required: true, minLength: 1, maxLength: 100 },
@@ -108,6 +110,7 @@ router.post('/admin/categories',
     };
 
     await helpCategoriesRef.doc(id).set(categoryData);
+    await recordAudit(req, { action: 'help_category.create', targetType: 'helpCategory', targetId: id, tenantId: null, after: categoryData });
     return sendSuccess(res, { id, ...categoryData }, 201);
   })
 );
@@ -115,7 +118,7 @@ router.post('/admin/categories',
 // Admin: Update a help category
 router.patch('/admin/categories/:id',
   requireAuth,
-  requireAdmin,
+  requirePermission(PERMISSIONS.HELP_MANAGE),
   validateParams({ id: { required: true } }),
   validateBody({
     label: { type: 'string', required: false, minLength: 1, maxLength: 100 },
@@ -141,6 +144,14 @@ router.patch('/admin/categories/:id',
     };
 
     await docRef.update(updateData);
+    await recordAudit(req, {
+      action: 'help_category.update',
+      targetType: 'helpCategory',
+      targetId: id,
+      tenantId: null,
+      before: Object.fromEntries(Object.keys(updates).map((field) => [field, doc.data()[field]])),
+      after: updates,
+    });
     return sendSuccess(res, { id, ...updateData });
   })
 );
@@ -148,7 +159,7 @@ router.patch('/admin/categories/:id',
 // Admin: Delete a help category
 router.delete('/admin/categories/:id',
   requireAuth,
-  requireAdmin,
+  requirePermission(PERMISSIONS.HELP_MANAGE),
   validateParams({ id: { required: true } }),
   asyncHandler(async (req, res) => {
     const { id } = req.params;
@@ -160,6 +171,7 @@ router.delete('/admin/categories/:id',
     }
 
     await docRef.delete();
+    await recordAudit(req, { action: 'help_category.delete', targetType: 'helpCategory', targetId: id, tenantId: null, before: doc.data() });
     return sendSuccess(res, { id, message: 'Category deleted' });
   })
 );
@@ -167,7 +179,7 @@ router.delete('/admin/categories/:id',
 // Admin: Get help journey events (analytics)
 router.get('/admin/journeys',
   requireAuth,
-  requireAdmin,
+  requirePermission(PERMISSIONS.ANALYTICS_READ),
   asyncHandler(async (req, res) => {
     const { limit = 100, categoryId, step, userId } = req.query;
     let query = helpJourneysRef.orderBy('createdAt', 'desc').limit(Number(limit));
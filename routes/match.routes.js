@@ -3,6 +3,7 @@ import express from 'express';
 import { firestore } from '../config/firebaseAdmin.js';
 import { requireAuth } from '../middleware/auth.js';
 import { haversineDistance } from '../utils/geo.js';
+import { getBlockedUserIds, isBlockedBetween } from '../services/blockService.js';
 
 const router = express.Router();
 const profilesRef = firestore.collection('profiles');
@@ -59,9 +60,13 @@ router.get('/recommendations', requireAuth, async (req, res) => {
 
     const userProfile = userSnap.data();
 
-    const snapshot = await profilesRef.limit(50).get();
+    // Candidates come from the caller's institution only
+    const [snapshot, blockedIds] = await Promise.all([
+      req.tenant.apply(profilesRef).limit(50).get(),
+      getBlockedUserIds(uid),
+    ]);
     const candidates = snapshot.docs
-      .filter((d) => d.id !== uid)
+      .filter((d) => d.id !== uid && !blockedIds.has(d.id))
       .map((d) => ({ id: d.id, ...d.data() }));
 
     const scored = candidates.map((cand) => {
@@ -103,6 +108,14 @@ router.post('/confirm', requireAuth, async (req, res) => {
       return res.status(400).json({ error: 'Cannot match with yourself' });
     }
 
+    const targetSnap = await profilesRef.doc(userId).get();
+    if (!targetSnap.exists || !req.tenant.includes(targetSnap.data())) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (await isBlockedBetween(uid, userId)) {
+      return res.status(403).json({ error: 'You cannot match with this user' });
+    }
+
     const matchId = buildMatchId(uid, userId);
     const now = new Date().toISOString();
 
@@ -24,7 +24,7 @@ router.post('/step',
     // Build AI input using request body with fallbacks from authenticated user.
     const { userId, tenantId, formData } = req.body || {};
     const resolvedUserId = userId || req.user.uid;
-    const resolvedTenantId = tenantId || req.user?.data?.tenantId || null;
+    const resolvedTenantId = req.tenant.resolve(tenantId);
 
     try {
       // AI-driven onboarding call.
@@ -1,20 +1,33 @@
 /**
  * Safety AI routes.
  * Purpose: Student-facing content moderation (messages/profile/icebreakers) via campusconnect-ai /run-graph.
- * Connection: Calls runAiGraph() which talks to the external AI service.
+ * Connection: Calls checkContentSafety() (services/safetyService.js), which runs the safety graph on the external AI service.
+ * Unsafe results open or add to the caller's moderation case (services/moderationService.js).
  */
 
 import express from 'express';
 import { requireAuth } from '../middleware/auth.js';
 import { asyncHandler, sendSuccess, sendError } from '../middleware/errorHandler.js';
 import { validateBody } from '../middleware/validation.js';
-import { runAiGraph } from '../services/aiServiceClient.js';
+import { createRateLimiter } from '../middleware/rateLimit.js';
+import { checkContentSafety } from '../services/safetyService.js';
+import { flagForModeration, CASE_SOURCE, CASE_TARGET } from '../services/moderationService.js';
 
 const router = express.Router();
 
+// Per-user cap on safety checks to protect the AI service
+const safetyCheckRateLimit = createRateLimiter({
+  name: 'safety-check',
+  windowMs: 60 * 1000,
+  max: 60,
+  keyBy: 'uid',
+  message: 'Too many safety checks. Please try again later.',
+});
+
 // AI safety check (student-facing) → graph: safety.
 router.post('/check',
   requireAuth,
+  safetyCheckRateLimit,
   validateBody({
     userId: { type: 'string', required: false },
     tenantId: { type: 'string', required: false },
@@ -25,28 +38,31 @@ router.post('/check',
     // Build AI input using request body with fallbacks from authenticated user.
     const { userId, tenantId, content, contentType } = req.body || {};
     const resolvedUserId = userId || req.user.uid;
-    const resolvedTenantId = tenantId || req.user?.data?.tenantId || null;
+    const resolvedTenantId = req.tenant.resolve(tenantId);
 
     try {
-      // AI-driven safety call.
-      const aiResponse = await runAiGraph({
-        graph: 'safety',
-        input: {
-          user_id: resolvedUserId,
-          tenant_id: resolvedTenantId,
-          content,
-          content_type: contentType,
-        },
+      // AI-driven safety call, mapped into a frontend-friendly structure.
+      const mapped = await checkContentSafety({
+        userId: resolvedUserId,
+        tenantId: resolvedTenantId,
+        content,
+        contentType,
       });
 
-      // Map AI response into frontend-friendly structure.
-      const mapped = {
-        safe: aiResponse?.data?.safe ?? true,
-        recommendedAction: aiResponse?.data?.recommended_action ?? aiResponse?.data?.recommendedAction ?? 'allow',
-        flags: aiResponse?.data?.flags ?? [],
-        confidence: aiResponse?.data?.confidence ?? null,
-        raw: aiResponse,
-      };
+      // Keyed by the caller so repeated unsafe checks add to their one active case
+      if (mapped.safe === false) {
+        await flagForModeration({
+          source: CASE_SOURCE.SAFETY_CHECK,
+          targetType: CASE_TARGET.CONTENT,
+          targetId: req.user.uid,
+          subjectUserId: req.user.uid,
+          tenantId: resolvedTenantId,
+          content,
+          context: { contentType },
+          flags: mapped.flags,
+          confidence: mapped.confidence,
+        });
+      }
 
       return sendSuccess(res, mapped);
     } catch (err) {
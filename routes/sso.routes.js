@@ -0,0 +1,127 @@
+// University single sign-on (OIDC) routes, mounted under /api/auth/sso
+import express from 'express';
+import { createRateLimiter } from '../middleware/rateLimit.js';
+import { createSession } from '../services/sessionService.js';
+import { getAccount } from '../lib/user-helpers.js';
+import { getActiveSuspension, suspensionErrorBody, SUSPENSION_MODE } from '../services/enforcementService.js';
+import {
+  startSsoLogin,
+  completeSsoLogin,
+  createLoginCode,
+  redeemLoginCode,
+} from '../services/ssoService.js';
+
+const router = express.Router();
+
+const sendError = (res, status, message) => res.status(status).json({ success: false, error: message });
+
+const ssoRateLimit = createRateLimiter({
+  name: 'sso',
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30,
+  keyBy: 'ip',
+  message: 'Too many sign-in attempts. Please try again later.',
+});
+
+// Public URL of this API, used to build the callback registered with the identity provider.
+// Set SSO_CALLBACK_BASE_URL in production so the Host header cannot influence it.
+const getCallbackUrl = (req, tenantId) => {
+  const base = (process.env.SSO_CALLBACK_BASE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+  return `${base}/api/auth/sso/${encodeURIComponent(tenantId)}/callback`;
+};
+
+// Frontend page that finishes the login; without it the callback answers with JSON (API clients, local testing)
+const getAppRedirectUrl = () => process.env.SSO_APP_REDIRECT_URL || null;
+
+const redirectToApp = (res, params) => {
+  const url = new URL(getAppRedirectUrl());
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return res.redirect(url.toString());
+};
+
+// Same response shape as /api/auth/login, and like it refuses fully suspended accounts
+const issueSession = async (req, res, account, { deviceId, deviceName } = {}) => {
+  const suspension = getActiveSuspension((await getAccount(account.uid))?.data);
+  if (suspension?.mode === SUSPENSION_MODE.FULL) {
+    return res.status(403).json(suspensionErrorBody(suspension));
+  }
+
+  const session = await createSession({
+    uid: account.uid,
+    email: account.email,
+    role: account.role,
+    deviceId,
+    deviceName,
+    ip: req.ip || null,
+    userAgent: req.get('user-agent') || null,
+  });
+  return res.json({
+    success: true,
+    token: session.token,
+    refreshToken: session.refreshToken,
+    user: {
+      uid: account.uid,
+      email: account.email,
+      role: account.role,
+      emailVerified: true,
+      tenantId: account.tenantId,
+    },
+  });
+};
+
+// Redirect the browser to the university's identity provider
+router.get('/:tenant/start', ssoRateLimit, async (req, res) => {
+  try {
+    const { tenant } = req.params;
+    const authorizationUrl = await startSsoLogin(tenant, getCallbackUrl(req, tenant));
+    return res.redirect(authorizationUrl);
+  } catch (err) {
+    if (err.status) return sendError(res, err.status, err.message);
+    console.error('SSO start error:', err);
+    return sendError(res, 500, 'Failed to start single sign-on');
+  }
+});
+
+// Identity provider redirects back here with ?code&state
+router.get('/:tenant/callback', ssoRateLimit, async (req, res) => {
+  const { tenant } = req.params;
+  const { code, state, error, error_description: errorDescription } = req.query;
+
+  try {
+    if (error) {
+      const idpError = new Error(errorDescription || `Identity provider returned ${error}`);
+      idpError.status = 401;
+      throw idpError;
+    }
+
+    const account = await completeSsoLogin(tenant, { code, state });
+    console.log(`✅ SSO login for ${account.email} (tenant: ${tenant}${account.created ? ', new account' : ''})`);
+
+    if (getAppRedirectUrl()) {
+      return redirectToApp(res, { code: await createLoginCode(account) });
+    }
+    return await issueSession(req, res, account);
+  } catch (err) {
+    if (!err.status) console.error('SSO callback error:', err);
+    const message = err.status ? err.message : 'Single sign-on failed';
+    if (getAppRedirectUrl()) return redirectToApp(res, { error: message });
+    return sendError(res, err.status || 500, message);
+  }
+});
+
+// Exchange the one-time code from the app redirect for a token pair
+router.post('/exchange', ssoRateLimit, async (req, res) => {
+  try {
+    const { code, deviceId, deviceName } = req.body || {};
+    if (!code) return sendError(res, 400, 'code is required');
+
+    const account = await redeemLoginCode(code);
+    return await issueSession(req, res, account, { deviceId, deviceName });
+  } catch (err) {
+    if (err.status) return sendError(res, err.status, err.message);
+    console.error('SSO exchange error:', err);
+    return sendError(res, 500, 'Failed to complete single sign-on');
+  }
+});
+
+export default router;
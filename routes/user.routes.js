@@ -3,6 +3,12 @@ import express from 'express';
 import geohash from 'ngeohash';
 import { firestore } from '../config/firebaseAdmin.js';
 import { requireAuth, requireOwnership } from '../middleware/auth.js';
+import { createRateLimiter } from '../middleware/rateLimit.js';
+import { blockUser, unblockUser, getBlockedUserIds, listBlocks } from '../services/blockService.js';
+import { createReport, REPORT_REASONS, MAX_REPORT_DETAILS_LENGTH } from '../services/reportService.js';
+import { screenContentForModeration, listUserWarnings, CASE_TARGET } from '../services/moderationService.js';
+import { listStrikes } from '../services/enforcementService.js';
+import { requestAccountDeletion, exportUserData, MAX_DELETION_REASON_LENGTH } from '../services/userDataService.js';
 import { haversineDistance, pointInsideGeofence as checkPointInsideGeofence, isValidCoordinate } from '../utils/geo.js';
 
 const router = express.Router();
@@ -12,6 +18,24 @@ const matchesRef = firestore.collection('matches');
 const adminRef = firestore.collection('admin');
 const connectionsRef = firestore.collection('connections');
 
+// Per-user cap on reports to keep the moderation queue usable
+const reportRateLimit = createRateLimiter({
+  name: 'user-report',
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 10,
+  keyBy: 'uid',
+  message: 'Too many reports. Please try again later.',
+});
+
+// Exports read every collection, so keep them occasional
+const exportRateLimit = createRateLimiter({
+  name: 'user-export',
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 3,
+  keyBy: 'uid',
+  message: 'Too many data exports. Please try again later.',
+});
+
 // Default geofence settings (fallback)
 const DEFAULT_GEOFENCE = {
   enabled: true,
@@ -75,9 +99,10 @@ const sanitizeProfile = (profile) => {
 router.get('/me', requireAuth, async (req, res) => {
   try {
     const uid = req.user.uid;
-    const [userSnap, profileSnap] = await Promise.all([
+    const [userSnap, profileSnap, blocks] = await Promise.all([
       usersRef.doc(uid).get(),
       profilesRef.doc(uid).get(),
+      listBlocks(uid),
     ]);
 
     const userData = userSnap.exists ? { uid, ...userSnap.data() } : null;
@@ -87,6 +112,8 @@ router.get('/me', requireAuth, async (req, res) => {
       success: true,
       user: userData,
       profile: profileData,
+      blockedUserIds: blocks.map((b) => b.blockedId),
+      suspension: req.user.suspension || null, // restricted mode in force (full suspensions are refused by requireAuth)
     });
   } catch (err) {
     console.error('Get me error:', err);
@@ -111,6 +138,7 @@ router.get('/me/settings', requireAuth, async (req, res) => {
       profileVisible: settings.privacy?.profileVisible ?? true,
       showLocation: settings.privacy?.showLocation ?? false,
       showEmail: settings.privacy?.showEmail ?? false,
+      readReceipts: settings.privacy?.readReceipts ?? true,
     };
     return res.json({
       success: true,
@@ -181,6 +209,94 @@ router.get('/me/connections', requireAuth, async (req, res) => {
   }
 });
 
+// Get users the current user has blocked (basic profile info, most recent first)
+router.get('/me/blocks', requireAuth, async (req, res) => {
+  try {
+    const blocks = await listBlocks(req.user.uid);
+    if (blocks.length === 0) return res.json({ success: true, blocks: [] });
+
+    const profileSnaps = await firestore.getAll(...blocks.map((b) => profilesRef.doc(b.blockedId)));
+    const result = blocks.map((block, index) => {
+      const data = profileSnaps[index].exists ? profileSnaps[index].data() : {};
+      return {
+        userId: block.blockedId,
+        name: data.name || data.displayName || '',
+        avatarUrl: data.avatarUrl || data.photoURL || '',
+        blockedAt: block.createdAt,
+      };
+    });
+
+    return res.json({ success: true, blocks: result });
+  } catch (err) {
+    console.error('Get blocks error:', err);
+    return res.status(500).json({ success: false, error: 'Failed to load blocked users' });
+  }
+});
+
+// Get warnings moderators have issued to the current user (most recent first)
+router.get('/me/warnings', requireAuth, async (req, res) => {
+  try {
+    const warnings = await listUserWarnings(req.user.uid);
+    return res.json({ success: true, warnings });
+  } catch (err) {
+    console.error('Get warnings error:', err);
+    return res.status(500).json({ success: false, error: 'Failed to load warnings' });
+  }
+});
+
+// Get the current user's strikes (most recent first; withdrawn strikes are left out)
+router.get('/me/strikes', requireAuth, async (req, res) => {
+  try {
+    const strikes = await listStrikes(req.user.uid);
+    return res.json({
+      success: true,
+      strikes: strikes.map(({ id, reason, createdAt }) => ({ id, reason, createdAt })),
+    });
+  } catch (err) {
+    console.error('Get strikes error:', err);
+    return res.status(500).json({ success: false, error: 'Failed to load strikes' });
+  }
+});
+
+// Download everything stored about the current user as a JSON file
+router.get('/me/export', requireAuth, exportRateLimit, async (req, res) => {
+  try {
+    const data = await exportUserData(req.user.uid);
+    res.setHeader('Content-Disposition', `attachment; filename="campusconnect-export-${req.user.uid}.json"`);
+    return res.type('application/json').send(JSON.stringify(data, null, 2));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Export user data error:', err);
+    return res.status(500).json({ success: false, error: 'Failed to export data' });
+  }
+});
+
+// Ask for the current account to be deleted. It is disabled and signed out
+// straight away; staff review the request before everything is erased.
+router.post('/me/deletion-request', requireAuth, async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+    if (reason !== undefined && (typeof reason !== 'string' || reason.length > MAX_DELETION_REASON_LENGTH)) {
+      return res.status(400).json({ error: `reason must be text of at most ${MAX_DELETION_REASON_LENGTH} characters` });
+    }
+
+    let request;
+    try {
+      request = await requestAccountDeletion(req.user.uid, { reason, io: req.app.get('io') });
+    } catch (err) {
+      if (err.status) return res.status(err.status).json({ error: err.message });
+      throw err;
+    }
+    return res.status(202).json({
+      success: true,
+      deletionRequest: { status: request.status, requestedAt: request.requestedAt },
+    });
+  } catch (err) {
+    console.error('Deletion request error:', err);
+    return res.status(500).json({ success: false, error: 'Failed to request account deletion' });
+  }
+});
+
 // Update current user settings (notifications, privacy)
 router.patch('/me/settings', requireAuth, async (req, res) => {
   try {
@@ -206,6 +322,7 @@ router.patch('/me/settings', requireAuth, async (req, res) => {
         profileVisible: typeof privacy.profileVisible === 'boolean' ? privacy.profileVisible : (existingPriv.profileVisible ?? true),
         showLocation: typeof privacy.showLocation === 'boolean' ? privacy.showLocation : (existingPriv.showLocation ?? false),
         showEmail: typeof privacy.showEmail === 'boolean' ? privacy.showEmail : (existingPriv.showEmail ?? false),
+        readReceipts: typeof privacy.readReceipts === 'boolean' ? privacy.readReceipts : (existingPriv.readReceipts ?? true),
       };
     }
     if (typeof notifications !== 'object' && typeof privacy !== 'object') {
@@ -232,7 +349,8 @@ router.get('/', requireAuth, async (req, res) => {
     // Fetch profiles (with reasonable max limit for filtering)
     // In production, consider cursor-based pagination for better performance
     const maxFetch = 200; // Reasonable limit for small-to-medium campuses
-    const snapshot = await profilesRef.limit(maxFetch).get();
+    // Directory only lists people from the caller's institution
+    const snapshot = await req.tenant.apply(profilesRef).limit(maxFetch).get();
 
     const allProfiles = [];
     snapshot.forEach((doc) => {
@@ -359,16 +477,19 @@ router.patch('/:id/location', requireAuth, requireOwnership('id'), async (req, r
     const nearbyHashes = [centerHash, ...geohash.neighbors(centerHash)];
     const suggestions = [];
 
+    // Only students from the same institution are suggested
     const candidateSnaps = await Promise.all(
       nearbyHashes.map((h) =>
-        profilesRef
-          .where('locationEnabled', '==', true)
-          .where('geohash', '==', h)
-          .get()
+        req.tenant.apply(
+          profilesRef
+            .where('locationEnabled', '==', true)
+            .where('geohash', '==', h)
+        ).get()
       )
     );
 
-    const seenIds = new Set([userId]);
+    // Blocked users (either direction) are never suggested to each other
+    const seenIds = new Set([userId, ...(await getBlockedUserIds(userId))]);
     for (const snap of candidateSnaps) {
       for (const doc of snap.docs) {
         const otherUserId = doc.id;
@@ -470,13 +591,86 @@ router.patch('/:id/location', requireAuth, requireOwnership('id'), async (req, r
   }
 });
 
+// Block a user (hides each from the other; see services/blockService.js)
+router.post('/:id/block', requireAuth, async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const blockedId = req.params.id;
+    if (blockedId === uid) return res.status(400).json({ error: 'Cannot block yourself' });
+
+    const userSnap = await usersRef.doc(blockedId).get();
+    if (!userSnap.exists || !req.tenant.includes(userSnap.data())) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { block } = await blockUser(uid, blockedId);
+    return res.json({ success: true, userId: blockedId, blocked: true, blockedAt: block.createdAt });
+  } catch (err) {
+    console.error('Block user error:', err);
+    return res.status(500).json({ error: 'Failed to block user' });
+  }
+});
+
+// Unblock a user
+router.delete('/:id/block', requireAuth, async (req, res) => {
+  try {
+    await unblockUser(req.user.uid, req.params.id);
+    return res.json({ success: true, userId: req.params.id, blocked: false });
+  } catch (err) {
+    console.error('Unblock user error:', err);
+    return res.status(500).json({ error: 'Failed to unblock user' });
+  }
+});
+
+// Report a user to moderators (optionally a message they sent, and block them at the same time)
+router.post('/:id/report', requireAuth, reportRateLimit, async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const reportedUserId = req.params.id;
+    const { reason, details, messageId, block } = req.body || {};
+
+    if (typeof reason !== 'string' || !REPORT_REASONS.includes(reason)) {
+      return res.status(400).json({ error: `reason must be one of: ${REPORT_REASONS.join(', ')}` });
+    }
+    if (details !== undefined && (typeof details !== 'string' || details.length > MAX_REPORT_DETAILS_LENGTH)) {
+      return res.status(400).json({ error: `details must be text of at most ${MAX_REPORT_DETAILS_LENGTH} characters` });
+    }
+    if (messageId !== undefined && (typeof messageId !== 'string' || !messageId)) {
+      return res.status(400).json({ error: 'messageId must be a message ID' });
+    }
+
+    const userSnap = await usersRef.doc(reportedUserId).get();
+    if (!userSnap.exists || !req.tenant.includes(userSnap.data())) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    let report;
+    try {
+      report = await createReport({ reporterId: uid, reportedUserId, reason, details, messageId });
+    } catch (err) {
+      if (err.status) return res.status(err.status).json({ error: err.message });
+      throw err;
+    }
+    if (block === true) await blockUser(uid, reportedUserId);
+
+    return res.status(201).json({
+      success: true,
+      report: { id: report.id, reason: report.reason, status: report.status, createdAt: report.createdAt },
+      blocked: block === true,
+    });
+  } catch (err) {
+    console.error('Report user error:', err);
+    return res.status(500).json({ error: 'Failed to report user' });
+  }
+});
+
 // Get profile by user id
 router.get('/:id/profile', requireAuth, async (req, res) => {
   try {
     const userId = req.params.id;
     const profileSnap = await profilesRef.doc(userId).get();
 
-    if (!profileSnap.exists) {
+    if (!profileSnap.exists || !req.tenant.includes(profileSnap.data())) {
       return res.status(404).json({ success: false, error: 'Profile not found' });
     }
 
@@ -499,7 +693,9 @@ router.get('/:id', requireAuth, async (req, res) => {
       profilesRef.doc(userId).get(),
     ]);
 
-    if (!userSnap.exists) return res.status(404).json({ success: false, error: 'User not found' });
+    if (!userSnap.exists || !req.tenant.includes(userSnap.data())) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
 
     return res.json({
       success: true,
@@ -517,6 +713,7 @@ router.put('/:id', requireAuth, requireOwnership('id'), async (req, res) => {
   try {
     const userId = req.params.id;
     const profileData = sanitizeProfile(req.body || {});
+    const previous = (await profilesRef.doc(userId).get()).data() || {};
 
     await profilesRef.doc(userId).set(
       {
@@ -526,6 +723,18 @@ router.put('/:id', requireAuth, requireOwnership('id'), async (req, res) => {
       { merge: true }
     );
 
+    // A changed bio is screened in the background and may become a moderation case
+    if (profileData.bio && profileData.bio !== previous.bio) {
+      screenContentForModeration({
+        userId,
+        tenantId: req.tenant.id,
+        content: profileData.bio,
+        targetType: CASE_TARGET.PROFILE,
+        targetId: userId,
+        context: { field: 'bio' },
+      });
+    }
+
     return res.json({ success: true, profile: profileData });
   } catch (err) {
     console.error('Update profile error:', err);
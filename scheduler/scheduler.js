@@ -0,0 +1,159 @@
+/**
+ * Scheduler - background jobs run on an interval inside the API process
+ *
+ * schedulerLeases/{job} (backend-only):
+ *   { holder, expiresAt, lastRunAt, lastStatus }
+ *
+ * Every instance checks its jobs once a minute. A job runs when intervalMs has
+ * passed since lastRunAt and no other instance holds its lease, so running
+ * several replicas doesn't run a job several times. A lease expires after
+ * leaseMs in case its holder dies mid-run; a run that is still working renews
+ * it as it goes (renewLease). Runs started by hand take the same lease
+ * (acquireLease/renewLease/releaseLease) but don't move lastRunAt.
+ *
+ * Set SCHEDULER_ENABLED=false to run no jobs in this process (e.g. when the
+ * CLI scripts run them from cron instead).
+ */
+import os from 'os';
+import crypto from 'crypto';
+import { firestore } from '../config/firebaseAdmin.js';
+import { runRetention, RETENTION_TRIGGER } from '../services/retentionService.js';
+
+const leasesRef = firestore.collection('schedulerLeases');
+
+const TICK_MS = 60 * 1000;
+const DEFAULT_LEASE_MS = 15 * 60 * 1000;
+
+// Identifies this process as a lease holder
+const HOLDER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+export const JOB_NAME = {
+  RETENTION: 'retention',
+};
+
+const JOBS = [
+  {
+    name: JOB_NAME.RETENTION,
+    intervalMs: () => (Number(process.env.RETENTION_INTERVAL_MINUTES) || 60) * 60 * 1000,
+    run: (renew) => runRetention({ trigger: RETENTION_TRIGGER.SCHEDULE, renewLease: renew }),
+    summarize: (report) => Object.entries(report.rules)
+      .filter(([, result]) => result.enabled)
+      .map(([rule, result]) => `${rule}=${result.error ? 'error' : result.removed}`)
+      .join(' '),
+  },
+];
+
+let timer = null;
+const running = new Set();
+
+/**
+ * Take a job's lease unless another run holds it. Runs started outside the
+ * schedule (admin API, CLI) take it too so they never overlap a scheduled one
+ * @param {string} name - One of JOB_NAME
+ * @param {Object} [options]
+ * @param {number} [options.now] - Epoch ms
+ * @param {number} [options.intervalMs] - Also refuse if the job last ran less than this long ago
+ * @param {number} [options.leaseMs] - How long the lease lasts if it is never released
+ * @returns {Promise<boolean>} - Whether the lease was taken
+ */
+export const acquireLease = (name, { now = Date.now(), intervalMs = 0, leaseMs = DEFAULT_LEASE_MS } = {}) =>
+  firestore.runTransaction(async (transaction) => {
+    const ref = leasesRef.doc(name);
+    const doc = await transaction.get(ref);
+    const lease = doc.exists ? doc.data() : {};
+    if (lease.lastRunAt && now - new Date(lease.lastRunAt).getTime() < intervalMs) return false;
+    if (lease.holder && lease.holder !== HOLDER_ID && new Date(lease.expiresAt).getTime() > now) return false;
+
+    transaction.set(ref, {
+      holder: HOLDER_ID,
+      expiresAt: new Date(now + leaseMs).toISOString(),
+    }, { merge: true });
+    return true;
+  });
+
+/**
+ * Push back the expiry of a lease this process holds, so a long run keeps it
+ * @param {string} name - One of JOB_NAME
+ * @param {Object} [options] - { now (epoch ms), leaseMs }
+ * @returns {Promise<boolean>} - false when the lease expired and someone else took it
+ */
+export const renewLease = (name, { now = Date.now(), leaseMs = DEFAULT_LEASE_MS } = {}) =>
+  firestore.runTransaction(async (transaction) => {
+    const ref = leasesRef.doc(name);
+    const doc = await transaction.get(ref);
+    if (!doc.exists || doc.data().holder !== HOLDER_ID) return false;
+
+    transaction.update(ref, { expiresAt: new Date(now + leaseMs).toISOString() });
+    return true;
+  });
+
+/**
+ * Give back a lease taken with acquireLease
+ * @param {string} name - One of JOB_NAME
+ * @param {Object} [options] - Scheduled runs pass { ranAt (epoch ms), status } so
+ *   the next one is due intervalMs later
+ */
+export const releaseLease = (name, { ranAt, status } = {}) =>
+  firestore.runTransaction(async (transaction) => {
+    const ref = leasesRef.doc(name);
+    const doc = await transaction.get(ref);
+    // Our lease expired and someone else has it now
+    if (doc.exists && doc.data().holder && doc.data().holder !== HOLDER_ID) return;
+
+    transaction.set(ref, {
+      holder: null,
+      expiresAt: null,
+      ...(ranAt ? { lastRunAt: new Date(ranAt).toISOString(), lastStatus: status } : {}),
+    }, { merge: true });
+  });
+
+const runJob = async (job) => {
+  if (running.has(job.name)) return;
+  running.add(job.name);
+  const startedAt = Date.now();
+  const leaseMs = job.leaseMs || DEFAULT_LEASE_MS;
+  try {
+    const leased = await acquireLease(job.name, { now: startedAt, intervalMs: job.intervalMs(), leaseMs });
+    if (!leased) return;
+    let status = 'completed';
+    try {
+      const result = await job.run(() => renewLease(job.name, { leaseMs }));
+      console.log(`⏰ Job ${job.name} finished in ${Date.now() - startedAt}ms ${job.summarize?.(result) || ''}`);
+    } catch (err) {
+      status = 'failed';
+      console.error(`❌ Job ${job.name} failed:`, err);
+    }
+    await releaseLease(job.name, { ranAt: startedAt, status });
+  } catch (err) {
+    console.error(`❌ Scheduler could not run ${job.name}:`, err);
+  } finally {
+    running.delete(job.name);
+  }
+};
+
+const tick = () => JOBS.forEach((job) => runJob(job));
+
+/**
+ * Start checking for due jobs (called once the server is listening)
+ */
+export const startScheduler = () => {
+  if (process.env.SCHEDULER_ENABLED === 'false') {
+    console.log('⏰ Scheduler disabled (SCHEDULER_ENABLED=false)');
+    return;
+  }
+  if (timer) return;
+  timer = setInterval(tick, TICK_MS);
+  // Never keep the process alive just for the scheduler
+  timer.unref?.();
+  tick();
+};
+
+/**
+ * Stop checking for due jobs; runs already started finish
+ */
+export const stopScheduler = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+export default { JOB_NAME, acquireLease, renewLease, releaseLease, startScheduler, stopScheduler };
@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+/**
+ * Tenant Backfill Script
+ *
+ * Stamps tenantId on documents created before tenant isolation existed:
+ * - users: tenant resolved from the email domain, else "default"
+ * - profiles: tenant of the matching user
+ * - groups / events: tenant of the creator (createdBy), else "default"
+ *
+ * Tenant-scoped queries filter on tenantId, so legacy documents stay invisible
+ * to students until this has been run.
+ *
+ * Usage:
+ *   node scripts/backfillTenantIds.js [--dry-run]
+ */
+
+import 'dotenv/config';
+import { firestore } from '../config/firebaseAdmin.js';
+import { resolveTenantForEmail } from '../services/tenantService.js';
+import { DEFAULT_TENANT_ID } from '../lib/tenantScope.js';
+
+const BATCH_SIZE = 400;
+const dryRun = process.argv.includes('--dry-run');
+
+/**
+ * Write updates in batches (Firestore allows 500 writes per batch)
+ */
+const commitUpdates = async (updates) => {
+  if (dryRun) return;
+  for (let i = 0; i < updates.length; i += BATCH_SIZE) {
+    const batch = firestore.batch();
+    updates.slice(i, i + BATCH_SIZE).forEach(({ ref, tenantId }) => {
+      batch.update(ref, { tenantId });
+    });
+    await batch.commit();
+  }
+};
+
+/**
+ * Resolve and stamp tenants on users; returns uid -> tenantId for every user
+ */
+const backfillUsers = async () => {
+  const snap = await firestore.collection('users').get();
+  const tenantByUid = new Map();
+  const updates = [];
+
+  for (const doc of snap.docs) {
+    const data = doc.data();
+    let tenantId = data.tenantId;
+    if (!tenantId) {
+      const tenant = await resolveTenantForEmail(data.email);
+      tenantId = tenant?.id || DEFAULT_TENANT_ID;
+      updates.push({ ref: doc.ref, tenantId });
+    }
+    tenantByUid.set(doc.id, tenantId);
+  }
+
+  await commitUpdates(updates);
+  return { tenantByUid, updated: updates.length, total: snap.size };
+};
+
+/**
+ * Stamp tenants on a collection using the owner field to look up the user's tenant
+ */
+const backfillCollection = async (collectionName, ownerField, tenantByUid) => {
+  const snap = await firestore.collection(collectionName).get();
+  const updates = snap.docs
+    .filter((doc) => !doc.data().tenantId)
+    .map((doc) => {
+      const ownerId = ownerField ? doc.data()[ownerField] : doc.id;
+      return { ref: doc.ref, tenantId: tenantByUid.get(ownerId) || DEFAULT_TENANT_ID };
+    });
+
+  await commitUpdates(updates);
+  return { updated: updates.length, total: snap.size };
+};
+
+const backfillTenantIds = async () => {
+  console.log(`🏫 Backfilling tenantId${dryRun ? ' (dry run)' : ''}...\n`);
+
+  const users = await backfillUsers();
+  const results = {
+    users: { updated: users.updated, total: users.total },
+    profiles: await backfillCollection('profiles', null, users.tenantByUid),
+    groups: await backfillCollection('groups', 'createdBy', users.tenantByUid),
+    events: await backfillCollection('events', 'createdBy', users.tenantByUid),
+  };
+
+  console.log('='.repeat(60));
+  console.log('📊 BACKFILL SUMMARY');
+  console.log('='.repeat(60));
+  Object.entries(results).forEach(([name, { updated, total }]) => {
+    console.log(`${name.padEnd(10)} ${updated} of ${total} updated`);
+  });
+  console.log('='.repeat(60));
+
+  return results;
+};
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  backfillTenantIds()
+    .then(() => {
+      console.log('\n✅ Script completed successfully');
+      process.exit(0);
+    })
+    .catch((err) => {
+      console.error('\n❌ Script failed:', err);
+      process.exit(1);
+    });
+}
+
+export { backfillTenantIds };
@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+/**
+ * Mock OIDC Provider
+ *
+ * Minimal OpenID Connect identity provider for testing university SSO locally.
+ * Serves discovery, JWKS, an authorize endpoint that signs in a fixed user
+ * without a login page, and a token endpoint that checks PKCE and issues a
+ * signed ID token.
+ *
+ * Usage:
+ *   MOCK_OIDC_EMAIL=student@uel.ac.uk node scripts/mockOidcProvider.js
+ *
+ * Then point a tenant at it (PATCH /api/admin/tenants/:tenantId):
+ *   { "sso": { "enabled": true, "issuer": "http://localhost:4010", "clientId": "campusconnect" } }
+ * and open http://localhost:5001/api/auth/sso/<tenantId>/start in a browser.
+ *
+ * Environment:
+ *   MOCK_OIDC_PORT           - Port (default 4010)
+ *   MOCK_OIDC_CLIENT_ID      - Expected client_id (default "campusconnect")
+ *   MOCK_OIDC_CLIENT_SECRET  - Expected client secret (optional; unchecked if unset)
+ *   MOCK_OIDC_EMAIL          - Email of the signed-in user (default student@university.edu)
+ *   MOCK_OIDC_NAME           - Display name (default "Test Student")
+ *   MOCK_OIDC_SUB            - Subject identifier (default derived from the email)
+ *
+ * The user can also be chosen per login with ?login_hint=<email> on the authorize URL.
+ */
+
+import express from 'express';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+const PORT = Number(process.env.MOCK_OIDC_PORT || 4010);
+const ISSUER = `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'campusconnect';
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || null;
+const DEFAULT_EMAIL = process.env.MOCK_OIDC_EMAIL || 'student@university.edu';
+const DEFAULT_NAME = process.env.MOCK_OIDC_NAME || 'Test Student';
+
+const KEY_ID = 'mock-key-1';
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const publicJwk = { ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' };
+
+// Authorization codes issued by /authorize, redeemed once by /token
+const codes = new Map();
+
+const subjectFor = (email) =>
+  process.env.MOCK_OIDC_SUB || crypto.createHash('sha256').update(email).digest('hex').slice(0, 24);
+
+const readClientCredentials = (req) => {
+  const header = req.get('authorization') || '';
+  if (header.startsWith('Basic ')) {
+    const [id, secret] = Buffer.from(header.slice(6), 'base64').toString().split(':').map(decodeURIComponent);
+    return { clientId: id, clientSecret: secret };
+  }
+  return { clientId: req.body.client_id, clientSecret: req.body.client_secret };
+};
+
+const createMockOidcApp = () => {
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+  app.use(express.json());
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer: ISSUER,
+      authorization_endpoint: `${ISSUER}/authorize`,
+      token_endpoint: `${ISSUER}/token`,
+      jwks_uri: `${ISSUER}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      code_challenge_methods_supported: ['S256'],
+      token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [publicJwk] });
+  });
+
+  // Signs in immediately and redirects back with a code (no login page)
+  app.get('/authorize', (req, res) => {
+    const { client_id: clientId, redirect_uri: redirectUri, state, nonce, code_challenge: codeChallenge } = req.query;
+    if (clientId !== CLIENT_ID) return res.status(400).send('Unknown client_id');
+    if (!redirectUri) return res.status(400).send('redirect_uri is required');
+
+    const email = (req.query.login_hint || DEFAULT_EMAIL).toLowerCase();
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, { email, nonce, redirectUri, codeChallenge, expiresAt: Date.now() + 60 * 1000 });
+
+    const url = new URL(redirectUri);
+    url.searchParams.set('code', code);
+    if (state) url.searchParams.set('state', state);
+    console.log(`🔑 Mock login for ${email}`);
+    return res.redirect(url.toString());
+  });
+
+  app.post('/token', (req, res) => {
+    const { grant_type: grantType, code, redirect_uri: redirectUri, code_verifier: codeVerifier } = req.body;
+    const { clientId, clientSecret } = readClientCredentials(req);
+
+    if (grantType !== 'authorization_code') return res.status(400).json({ error: 'unsupported_grant_type' });
+    if (clientId !== CLIENT_ID || (CLIENT_SECRET && clientSecret !== CLIENT_SECRET)) {
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+
+    const entry = codes.get(code);
+    codes.delete(code);
+    if (!entry || entry.expiresAt < Date.now() || entry.redirectUri !== redirectUri) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+    if (entry.codeChallenge) {
+      const challenge = crypto.createHash('sha256').update(codeVerifier || '').digest('base64url');
+      if (challenge !== entry.codeChallenge) {
+        return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+      }
+    }
+
+    const idToken = jwt.sign({
+      sub: subjectFor(entry.email),
+      email: entry.email,
+      email_verified: true,
+      name: entry.email === DEFAULT_EMAIL ? DEFAULT_NAME : entry.email.split('@')[0],
+      nonce: entry.nonce,
+    }, privateKey, {
+      algorithm: 'RS256',
+      keyid: KEY_ID,
+      issuer: ISSUER,
+      audience: CLIENT_ID,
+      expiresIn: '5m',
+    });
+
+    return res.json({
+      access_token: crypto.randomBytes(16).toString('hex'),
+      token_type: 'Bearer',
+      expires_in: 300,
+      id_token: idToken,
+    });
+  });
+
+  return app;
+};
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  createMockOidcApp().listen(PORT, () => {
+    console.log(`🧪 Mock OIDC provider running at ${ISSUER} (client_id: ${CLIENT_ID}, user: ${DEFAULT_EMAIL})`);
+  });
+}
+
+export { createMockOidcApp };
@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+/**
+ * Retention Run Script
+ *
+ * Applies the data retention policy (admin/retention, see
+ * services/retentionService.js) once and prints the run report. The report is
+ * also stored in retentionRuns like scheduled runs.
+ *
+ * Usage:
+ *   node scripts/runRetention.js [--dry-run] [--rule=staleLocation,messages]
+ */
+
+import 'dotenv/config';
+import { runRetention, RETENTION_RULE, RETENTION_TRIGGER } from '../services/retentionService.js';
+import { JOB_NAME, acquireLease, renewLease, releaseLease } from '../scheduler/scheduler.js';
+
+const RULES = Object.values(RETENTION_RULE);
+const dryRun = process.argv.includes('--dry-run');
+const ruleArg = process.argv.find((arg) => arg.startsWith('--rule='));
+const rules = ruleArg ? ruleArg.slice('--rule='.length).split(',').filter(Boolean) : undefined;
+
+const runRetentionScript = async () => {
+  const unknown = (rules || []).filter((rule) => !RULES.includes(rule));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown rule ${unknown.join(', ')}; expected one of: ${RULES.join(', ')}`);
+  }
+
+  if (!(await acquireLease(JOB_NAME.RETENTION))) {
+    throw new Error('A retention run is already in progress');
+  }
+  console.log(`🧹 Applying retention policy${dryRun ? ' (dry run)' : ''}...\n`);
+  let report;
+  try {
+    report = await runRetention({ trigger: RETENTION_TRIGGER.CLI, dryRun, rules, renewLease: () => renewLease(JOB_NAME.RETENTION) });
+  } finally {
+    await releaseLease(JOB_NAME.RETENTION);
+  }
+
+  console.log('='.repeat(60));
+  console.log('📊 RETENTION SUMMARY');
+  console.log('='.repeat(60));
+  Object.entries(report.rules).forEach(([rule, result]) => {
+    let line = 'off';
+    if (result.error) line = `failed: ${result.error}`;
+    else if (result.enabled) line = `${dryRun ? result.matched : result.removed} ${dryRun ? 'would be removed' : 'removed'} (before ${result.cutoff})`;
+    console.log(`${rule.padEnd(20)} ${line}`);
+  });
+  console.log('='.repeat(60));
+  console.log(`Report ${report.id}: ${report.status} in ${report.durationMs}ms`);
+
+  return report;
+};
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runRetentionScript()
+    .then((report) => {
+      if (report.status !== 'completed') {
+        console.error('\n⚠️  Some rules failed; see the summary above');
+        process.exit(1);
+      }
+      console.log('\n✅ Script completed successfully');
+      process.exit(0);
+    })
+    .catch((err) => {
+      console.error('\n❌ Script failed:', err);
+      process.exit(1);
+    });
+}
+
+export { runRetentionScript };
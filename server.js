@@ -8,7 +8,10 @@ import express from 'express';
 import cors from 'cors';
 import { createServer } from 'http';
 import initializeSocket from './socket/socketConfig.js';
+import { startScheduler } from './scheduler/scheduler.js';
+import { warmChatSearchIndex } from './services/chatSearchService.js';
 import authRoutes from './routes/auth.routes.js';
+import ssoRoutes from './routes/sso.routes.js';
 import userRoutes from './routes/user.routes.js';
 import matchRoutes from './routes/match.routes.js';
 import connectionsRoutes from './routes/connections.routes.js';
@@ -105,6 +108,7 @@ app.get('/api/test', (req, res) => {
 });
 
 // API Routes
+app.use('/api/auth/sso', ssoRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/match', matchRoutes);
@@ -156,4 +160,8 @@ httpServer.listen(PORT, () => {
   
   Environment: ${process.env.NODE_ENV || 'development'}
   `);
+
+  // Background jobs (data retention)
+  startScheduler();
+  warmChatSearchIndex();
 });
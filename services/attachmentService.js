@@ -0,0 +1,321 @@
+/**
+ * Chat attachments - upload checks, image thumbnails and signed download URLs
+ *
+ * Metadata lives in chatAttachments/{id} (backend-only):
+ *   { conversationId, uploaderId, messageId, fileName, contentType, size,
+ *     key, thumbnailKey, width, height, createdAt }
+ * Bytes live in the attachment storage (services/attachmentStorage.js).
+ *
+ * Files are uploaded to a conversation first, then attached to a message by id.
+ * Download URLs are signed for one user and expire; the download route also
+ * re-checks that the user can still access the conversation.
+ */
+import crypto from 'crypto';
+import sharp from 'sharp';
+import { firestore } from '../config/firebaseAdmin.js';
+import { getAttachmentStorage } from './attachmentStorage.js';
+
+const attachmentsRef = firestore.collection('chatAttachments');
+
+export const MAX_ATTACHMENTS_PER_MESSAGE = 10;
+const DEFAULT_MAX_MB = 10;
+const DEFAULT_URL_TTL_SECONDS = 15 * 60;
+const THUMBNAIL_SIZE = 320;
+const THUMBNAIL_CONTENT_TYPE = 'image/webp';
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+const DEFAULT_ALLOWED_TYPES = [
+  ...IMAGE_TYPES,
+  'application/pdf',
+  'text/plain',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+];
+
+const attachmentError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/** Largest accepted upload in bytes (ATTACHMENT_MAX_MB, default 10) */
+export const getMaxAttachmentBytes = () => (Number(process.env.ATTACHMENT_MAX_MB) || DEFAULT_MAX_MB) * 1024 * 1024;
+
+const getAllowedTypes = () =>
+  process.env.ATTACHMENT_ALLOWED_TYPES
+    ? process.env.ATTACHMENT_ALLOWED_TYPES.split(',').map((t) => t.trim().toLowerCase()).filter(Boolean)
+    : DEFAULT_ALLOWED_TYPES;
+
+const getUrlTtlSeconds = () => Number(process.env.ATTACHMENT_URL_TTL_SECONDS) || DEFAULT_URL_TTL_SECONDS;
+
+const getSigningSecret = () => {
+  const secret = process.env.ATTACHMENT_URL_SECRET || process.env.JWT_SECRET;
+  if (!secret) throw new Error('ATTACHMENT_URL_SECRET (or JWT_SECRET) is missing');
+  return secret;
+};
+
+// Leading bytes of each type, so a renamed executable cannot pass as a PDF or image
+const isZip = (b) => b.subarray(0, 4).equals(Buffer.from([0x50, 0x4b, 0x03, 0x04]));
+const FILE_SIGNATURES = {
+  'image/jpeg': (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff,
+  'image/png': (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  'image/gif': (b) => b.subarray(0, 4).toString('latin1') === 'GIF8',
+  'image/webp': (b) => b.subarray(0, 4).toString('latin1') === 'RIFF' && b.subarray(8, 12).toString('latin1') === 'WEBP',
+  'application/pdf': (b) => b.subarray(0, 5).toString('latin1') === '%PDF-',
+  'text/plain': (b) => !b.includes(0),
+};
+
+const matchesFileSignature = (contentType, buffer) => {
+  if (FILE_SIGNATURES[contentType]) return FILE_SIGNATURES[contentType](buffer);
+  // Office Open XML documents are zip archives
+  if (contentType.startsWith('application/vnd.openxmlformats-officedocument.')) return isZip(buffer);
+  return true;
+};
+
+const sanitizeFileName = (name) => {
+  const base = String(name || '').split(/[\\/]/).pop().replace(/[\u0000-\u001f\u007f"]/g, '').trim();
+  return (base || 'file').slice(0, 200);
+};
+
+// EXIF orientation is applied before measuring and resizing
+const createThumbnail = async (buffer) => {
+  const image = sharp(buffer).rotate();
+  const metadata = await image.metadata();
+  const thumbnail = await image
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: 75 })
+    .toBuffer();
+  const oriented = metadata.autoOrient || metadata;
+  return { thumbnail, width: oriented.width || null, height: oriented.height || null };
+};
+
+/**
+ * Store an uploaded file for a conversation (not yet attached to a message)
+ * @param {Object} params
+ * @param {string} params.conversationId
+ * @param {string} params.uploaderId
+ * @param {Object} params.file - Multer file: { buffer, originalname, mimetype, size }
+ * @returns {Promise<Object>} - Attachment record with id
+ * @throws {Error} with status 400/413/415 when the file is rejected
+ */
+export const createAttachment = async ({ conversationId, uploaderId, file }) => {
+  if (!file?.buffer?.length) throw attachmentError('A file is required (multipart field "file")');
+
+  const contentType = String(file.mimetype || '').split(';')[0].trim().toLowerCase();
+  if (!getAllowedTypes().includes(contentType)) {
+    throw attachmentError(`File type ${contentType || 'unknown'} is not allowed`, 415);
+  }
+  if (file.buffer.length > getMaxAttachmentBytes()) {
+    throw attachmentError(`Files must be at most ${getMaxAttachmentBytes() / 1024 / 1024} MB`, 413);
+  }
+  if (!matchesFileSignature(contentType, file.buffer)) {
+    throw attachmentError(`File content does not match type ${contentType}`, 415);
+  }
+
+  let image = null;
+  if (IMAGE_TYPES.includes(contentType)) {
+    try {
+      image = await createThumbnail(file.buffer);
+    } catch (err) {
+      throw attachmentError('Image could not be read');
+    }
+  }
+
+  const docRef = attachmentsRef.doc();
+  const storage = getAttachmentStorage();
+  const key = `${conversationId}/${docRef.id}/original`;
+  const thumbnailKey = image ? `${conversationId}/${docRef.id}/thumbnail` : null;
+
+  await storage.put(key, file.buffer, { contentType });
+  if (image) await storage.put(thumbnailKey, image.thumbnail, { contentType: THUMBNAIL_CONTENT_TYPE });
+
+  const attachment = {
+    conversationId,
+    uploaderId,
+    messageId: null,
+    fileName: sanitizeFileName(file.originalname),
+    contentType,
+    size: file.buffer.length,
+    key,
+    thumbnailKey,
+    width: image?.width ?? null,
+    height: image?.height ?? null,
+    createdAt: new Date().toISOString(),
+  };
+  await docRef.set(attachment);
+  return { id: docRef.id, ...attachment };
+};
+
+/**
+ * Get an attachment record
+ * @param {string} attachmentId
+ * @returns {Promise<Object|null>}
+ */
+export const getAttachment = async (attachmentId) => {
+  const doc = await attachmentsRef.doc(attachmentId).get();
+  return doc.exists ? { id: doc.id, ...doc.data() } : null;
+};
+
+/**
+ * What a message stores about each attachment (no storage keys)
+ * @param {Object} attachment - Attachment record
+ * @returns {Object}
+ */
+export const toMessageAttachment = (attachment) => ({
+  id: attachment.id,
+  fileName: attachment.fileName,
+  contentType: attachment.contentType,
+  size: attachment.size,
+  width: attachment.width ?? null,
+  height: attachment.height ?? null,
+  hasThumbnail: !!attachment.thumbnailKey,
+});
+
+/**
+ * Attach uploaded files to a new message. Each must be the sender's own, unattached upload in the same conversation.
+ * @param {string[]} attachmentIds
+ * @param {Object} params - { conversationId, uploaderId, messageId }
+ * @returns {Promise<Object[]>} - Message attachment summaries, in the given order
+ */
+export const claimAttachments = async (attachmentIds, { conversationId, uploaderId, messageId }) => {
+  const ids = [...new Set(attachmentIds)];
+  if (ids.length === 0) return [];
+  if (ids.length > MAX_ATTACHMENTS_PER_MESSAGE) {
+    throw attachmentError(`A message can have at most ${MAX_ATTACHMENTS_PER_MESSAGE} attachments`);
+  }
+
+  return firestore.runTransaction(async (tx) => {
+    const refs = ids.map((id) => attachmentsRef.doc(String(id)));
+    const snaps = await Promise.all(refs.map((ref) => tx.get(ref)));
+
+    const attachments = snaps.map((snap) => {
+      const data = snap.exists ? snap.data() : null;
+      if (!data || data.conversationId !== conversationId || data.uploaderId !== uploaderId) {
+        throw attachmentError(`Attachment ${snap.id} not found`, 404);
+      }
+      if (data.messageId) throw attachmentError(`Attachment ${snap.id} is already attached to a message`, 409);
+      return { id: snap.id, ...data };
+    });
+
+    refs.forEach((ref) => tx.update(ref, { messageId }));
+    return attachments.map(toMessageAttachment);
+  });
+};
+
+// Delete the stored files and records matched by a query
+const removeAttachments = async (query) => {
+  const snapshot = await query.get();
+  const storage = getAttachmentStorage();
+  await Promise.all(
+    snapshot.docs.map(async (doc) => {
+      const { key, thumbnailKey } = doc.data();
+      await storage.remove(key);
+      if (thumbnailKey) await storage.remove(thumbnailKey);
+      await doc.ref.delete();
+    })
+  );
+  return snapshot.size;
+};
+
+/**
+ * Remove a message's files and their records (used when the message is deleted)
+ * @param {string} messageId
+ * @returns {Promise<number>} - Number of attachments removed
+ */
+export const deleteMessageAttachments = (messageId) =>
+  removeAttachments(attachmentsRef.where('messageId', '==', messageId));
+
+/**
+ * Remove every file a user uploaded, sent or not (account erasure)
+ * @param {string} uploaderId
+ * @returns {Promise<number>} - Number of attachments removed
+ */
+export const deleteUploaderAttachments = (uploaderId) =>
+  removeAttachments(attachmentsRef.where('uploaderId', '==', uploaderId));
+
+/**
+ * Remove every file in a conversation (used when the conversation is deleted)
+ * @param {string} conversationId
+ * @returns {Promise<number>} - Number of attachments removed
+ */
+export const deleteConversationAttachments = (conversationId) =>
+  removeAttachments(attachmentsRef.where('conversationId', '==', conversationId));
+
+const signDownload = (attachmentId, variant, uid, expires) =>
+  crypto.createHmac('sha256', getSigningSecret()).update(`${attachmentId}:${variant}:${uid}:${expires}`).digest('base64url');
+
+/**
+ * Build download URLs for one user (relative to the API origin)
+ * @param {Object} attachment - Attachment record or message attachment summary
+ * @param {string} uid - User the URLs are issued to
+ * @returns {{ url: string, thumbnailUrl: string|null, urlExpiresAt: string }}
+ */
+export const signAttachmentUrls = (attachment, uid) => {
+  const expires = Math.floor(Date.now() / 1000) + getUrlTtlSeconds();
+  const build = (variant) => {
+    const params = new URLSearchParams({
+      variant,
+      uid,
+      expires: String(expires),
+      sig: signDownload(attachment.id, variant, uid, expires),
+    });
+    return `/api/chat/attachments/${encodeURIComponent(attachment.id)}/download?${params.toString()}`;
+  };
+  const hasThumbnail = attachment.hasThumbnail ?? !!attachment.thumbnailKey;
+  return {
+    url: build('original'),
+    thumbnailUrl: hasThumbnail ? build('thumbnail') : null,
+    urlExpiresAt: new Date(expires * 1000).toISOString(),
+  };
+};
+
+/**
+ * Check a download URL's signature and expiry
+ * @param {Object} params - { attachmentId, variant, uid, expires, sig }
+ * @returns {boolean}
+ */
+export const verifyDownloadSignature = ({ attachmentId, variant, uid, expires, sig }) => {
+  if (!uid || !sig || !/^\d+$/.test(String(expires || ''))) return false;
+  if (Number(expires) < Math.floor(Date.now() / 1000)) return false;
+  const expected = Buffer.from(signDownload(attachmentId, variant, uid, expires));
+  const given = Buffer.from(String(sig));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+/**
+ * Open a stored file for streaming
+ * @param {Object} attachment - Attachment record
+ * @param {'original'|'thumbnail'} variant
+ * @returns {{ stream: Readable, contentType: string, size: number|null }|null} - null when the variant does not exist
+ */
+export const openAttachment = (attachment, variant) => {
+  const key = variant === 'thumbnail' ? attachment.thumbnailKey : attachment.key;
+  if (!key) return null;
+  return {
+    stream: getAttachmentStorage().createReadStream(key),
+    contentType: variant === 'thumbnail' ? THUMBNAIL_CONTENT_TYPE : attachment.contentType,
+    size: variant === 'thumbnail' ? null : attachment.size,
+  };
+};
+
+/**
+ * Whether a content type is shown inline by browsers (images); everything else downloads
+ * @param {string} contentType
+ * @returns {boolean}
+ */
+export const isInlineType = (contentType) => IMAGE_TYPES.includes(contentType) || contentType === THUMBNAIL_CONTENT_TYPE;
+
+export default {
+  createAttachment,
+  getAttachment,
+  toMessageAttachment,
+  claimAttachments,
+  deleteMessageAttachments,
+  deleteUploaderAttachments,
+  deleteConversationAttachments,
+  signAttachmentUrls,
+  verifyDownloadSignature,
+  openAttachment,
+  isInlineType,
+};
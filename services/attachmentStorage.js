@@ -0,0 +1,79 @@
+/**
+ * Attachment storage - where chat attachment bytes live
+ *
+ * Storage interface:
+ *   put(key, buffer, { contentType }) => Promise<void>
+ *   createReadStream(key) => Readable
+ *   remove(key) => Promise<void>
+ *
+ * Keys are relative paths such as "<conversationId>/<attachmentId>/original".
+ * ATTACHMENT_STORAGE selects the backend; only 'local' exists today, and an
+ * S3-compatible store can be added to STORAGE_BACKENDS with the same interface.
+ */
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Local filesystem storage (single host, or a shared volume across replicas)
+ * @param {Object} options - { root }
+ * @returns {Object} - Attachment storage
+ */
+export const createLocalStorage = ({ root }) => {
+  const baseDir = path.resolve(root);
+
+  // Keys never escape the storage directory
+  const resolveKey = (key) => {
+    const filePath = path.resolve(baseDir, key);
+    if (!filePath.startsWith(`${baseDir}${path.sep}`)) throw new Error(`Invalid storage key: ${key}`);
+    return filePath;
+  };
+
+  return {
+    async put(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+    createReadStream(key) {
+      return fs.createReadStream(resolveKey(key));
+    },
+    async remove(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    },
+  };
+};
+
+const STORAGE_BACKENDS = {
+  local: () => createLocalStorage({ root: process.env.ATTACHMENT_STORAGE_DIR || 'uploads' }),
+};
+
+let defaultStorage = null;
+
+/**
+ * Shared attachment storage, chosen by ATTACHMENT_STORAGE (default 'local')
+ * @returns {Object} - Attachment storage
+ */
+export const getAttachmentStorage = () => {
+  if (defaultStorage) return defaultStorage;
+  const backend = process.env.ATTACHMENT_STORAGE || 'local';
+  const create = STORAGE_BACKENDS[backend];
+  if (!create) {
+    throw new Error(`Unknown ATTACHMENT_STORAGE "${backend}" (available: ${Object.keys(STORAGE_BACKENDS).join(', ')})`);
+  }
+  defaultStorage = create();
+  return defaultStorage;
+};
+
+/**
+ * Replace the shared storage (e.g. a bucket-backed store configured at startup)
+ * @param {Object} storage - Attachment storage
+ */
+export const setAttachmentStorage = (storage) => {
+  defaultStorage = storage;
+};
+
+export default {
+  createLocalStorage,
+  getAttachmentStorage,
+  setAttachmentStorage,
+};
@@ -0,0 +1,174 @@
+/**
+ * Audit log for privileged actions (admin and staff)
+ *
+ * Entries live in auditLog/{id} (backend-only) and are append-only: this
+ * module only ever adds documents, and firestore.rules denies client access.
+ *   { action, actorUid, actorEmail, actorType, targetType, targetId, tenantId,
+ *     changes: { field: { from, to } }, metadata, ip, userAgent, createdAt }
+ *
+ * Routes record after the change has been written:
+ *
+ *   await recordAudit(req, { action: 'user.role_change', targetType: 'user', targetId: uid, before, after });
+ */
+import { firestore } from '../config/firebaseAdmin.js';
+
+const auditLogRef = firestore.collection('auditLog');
+
+// Never copied into the log, only marked as changed
+const REDACTED_FIELDS = ['password', 'secret', 'pendingSecret', 'recoveryCodeHashes', 'refreshToken', 'token'];
+// Bookkeeping fields that change on every write
+const IGNORED_FIELDS = ['updatedAt', 'updatedBy'];
+const REDACTED = '[redacted]';
+
+export const MAX_AUDIT_PAGE_SIZE = 500;
+export const MAX_AUDIT_EXPORT_SIZE = 5000;
+
+// Firestore Timestamps and Dates become ISO strings so entries read the same in JSON and CSV
+const toPlainValue = (value) => {
+  if (value === undefined) return null;
+  if (value && typeof value.toDate === 'function') return value.toDate().toISOString();
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(toPlainValue);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, toPlainValue(v)]));
+  }
+  return value;
+};
+
+/**
+ * Field-level diff between two snapshots of a record
+ * @param {Object|null} before
+ * @param {Object|null} after
+ * @returns {Object} - { field: { from, to } } for every field that changed
+ */
+export const diffRecords = (before, after) => {
+  const from = before || {};
+  const to = after || {};
+  const changes = {};
+
+  new Set([...Object.keys(from), ...Object.keys(to)]).forEach((field) => {
+    if (IGNORED_FIELDS.includes(field)) return;
+    const oldValue = toPlainValue(from[field]);
+    const newValue = toPlainValue(to[field]);
+    if (JSON.stringify(oldValue) === JSON.stringify(newValue)) return;
+    changes[field] = REDACTED_FIELDS.includes(field)
+      ? { from: REDACTED, to: REDACTED }
+      : { from: oldValue, to: newValue };
+  });
+
+  return changes;
+};
+
+/**
+ * Append an audit entry for a privileged action.
+ * Failures are logged rather than thrown: the action itself has already happened.
+ * @param {Object} req - Express request (actor, tenant scope, IP and user agent come from here)
+ * @param {Object} entry
+ * @param {string} entry.action - e.g. 'user.role_change', 'event.approve'
+ * @param {string} entry.targetType - e.g. 'user', 'event', 'settings'
+ * @param {string} entry.targetId
+ * @param {Object} [entry.before] - Record before the change (omit for creations)
+ * @param {Object} [entry.after] - Record after the change (omit for deletions)
+ * @param {string} [entry.tenantId] - Tenant of the target (defaults to the request's tenant scope)
+ * @param {Object} [entry.metadata] - Extra context, e.g. { reason }
+ * @returns {Promise<string|null>} - Entry id, or null if it could not be written
+ */
+export const recordAudit = async (req, { action, targetType, targetId, before = null, after = null, tenantId, metadata = null }) => {
+  const entry = {
+    action,
+    actorUid: req.user?.uid || null,
+    actorEmail: req.user?.email || null,
+    actorType: req.user?.isAdmin ? 'admin' : 'staff',
+    targetType,
+    targetId: targetId != null ? String(targetId) : null,
+    tenantId: tenantId !== undefined ? tenantId : (req.tenant?.id || null),
+    changes: diffRecords(before, after),
+    metadata: metadata ? toPlainValue(metadata) : null,
+    ip: req.ip || null,
+    userAgent: req.get?.('user-agent') || null,
+    createdAt: new Date().toISOString(),
+  };
+
+  try {
+    const docRef = await auditLogRef.add(entry);
+    return docRef.id;
+  } catch (err) {
+    console.error(`❌ Failed to write audit entry for ${action} on ${targetType}/${targetId}:`, err);
+    return null;
+  }
+};
+
+/**
+ * List audit entries, newest first
+ * @param {Object} filters
+ * @param {string} [filters.actorUid]
+ * @param {string} [filters.targetType]
+ * @param {string} [filters.targetId]
+ * @param {string} [filters.action]
+ * @param {string} [filters.tenantId]
+ * @param {string} [filters.from] - ISO date/time, inclusive
+ * @param {string} [filters.to] - ISO date/time, inclusive
+ * @param {number} [filters.limit]
+ * @param {string} [filters.cursor] - Id of the last entry of the previous page
+ * @returns {Promise<{ entries: Object[], nextCursor: string|null }>}
+ */
+export const listAuditEntries = async ({
+  actorUid,
+  targetType,
+  targetId,
+  action,
+  tenantId,
+  from,
+  to,
+  limit = 50,
+  cursor,
+} = {}) => {
+  let query = auditLogRef;
+  if (actorUid) query = query.where('actorUid', '==', actorUid);
+  if (targetType) query = query.where('targetType', '==', targetType);
+  if (targetId) query = query.where('targetId', '==', targetId);
+  if (action) query = query.where('action', '==', action);
+  if (tenantId) query = query.where('tenantId', '==', tenantId);
+  if (from) query = query.where('createdAt', '>=', new Date(from).toISOString());
+  if (to) query = query.where('createdAt', '<=', new Date(to).toISOString());
+  query = query.orderBy('createdAt', 'desc');
+
+  if (cursor) {
+    const cursorDoc = await auditLogRef.doc(cursor).get();
+    if (cursorDoc.exists) query = query.startAfter(cursorDoc);
+  }
+
+  const snapshot = await query.limit(limit).get();
+  const entries = snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+  return {
+    entries,
+    nextCursor: entries.length === limit ? entries[entries.length - 1].id : null,
+  };
+};
+
+const CSV_COLUMNS = ['id', 'createdAt', 'action', 'actorUid', 'actorEmail', 'actorType', 'targetType', 'targetId', 'tenantId', 'ip', 'userAgent', 'changes', 'metadata'];
+
+// Quote every cell, and defuse values a spreadsheet would run as a formula
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '""';
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return `"${text.replace(/"/g, '""')}"`;
+};
+
+/**
+ * Render audit entries as CSV (changes and metadata as JSON cells)
+ * @param {Object[]} entries
+ * @returns {string}
+ */
+export const formatAuditCsv = (entries) => [
+  CSV_COLUMNS.join(','),
+  ...entries.map((entry) => CSV_COLUMNS.map((column) => csvCell(entry[column])).join(',')),
+].join('\r\n');
+
+export default {
+  diffRecords,
+  recordAudit,
+  listAuditEntries,
+  formatAuditCsv,
+};
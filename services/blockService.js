@@ -0,0 +1,98 @@
+/**
+ * User blocks
+ *
+ * blocks/{blockerId}_{blockedId} (backend-only): { blockerId, blockedId, createdAt }
+ *
+ * A block works both ways: neither user can send the other a connection
+ * request, start or continue a 1:1 conversation, add the other to a group, or
+ * see the other in match recommendations and proximity suggestions. Only the
+ * blocker can lift it. The blocked user is not notified, and refusals use
+ * neutral messages ("You cannot message this user").
+ */
+import { firestore } from '../config/firebaseAdmin.js';
+
+const blocksRef = firestore.collection('blocks');
+const connectionsRef = firestore.collection('connections');
+
+const blockRef = (blockerId, blockedId) => blocksRef.doc(`${blockerId}_${blockedId}`);
+
+/**
+ * Block a user. Pending connection requests between the two are withdrawn;
+ * accepted connections stay so that unblocking restores them.
+ * @param {string} blockerId
+ * @param {string} blockedId
+ * @returns {Promise<{ block: Object, created: boolean }>}
+ */
+export const blockUser = async (blockerId, blockedId) => {
+  const ref = blockRef(blockerId, blockedId);
+  const existing = await ref.get();
+  if (existing.exists) return { block: existing.data(), created: false };
+
+  const block = { blockerId, blockedId, createdAt: new Date().toISOString() };
+  await ref.set(block);
+
+  const connectionRef = connectionsRef.doc([blockerId, blockedId].sort().join('_'));
+  const connection = await connectionRef.get();
+  if (connection.exists && connection.data().status === 'pending') await connectionRef.delete();
+
+  return { block, created: true };
+};
+
+/**
+ * Lift a block
+ * @param {string} blockerId
+ * @param {string} blockedId
+ * @returns {Promise<boolean>} - Whether there was a block to lift
+ */
+export const unblockUser = async (blockerId, blockedId) => {
+  const ref = blockRef(blockerId, blockedId);
+  const existing = await ref.get();
+  if (!existing.exists) return false;
+  await ref.delete();
+  return true;
+};
+
+/**
+ * Whether either user has blocked the other
+ * @param {string} userA
+ * @param {string} userB
+ * @returns {Promise<boolean>}
+ */
+export const isBlockedBetween = async (userA, userB) => {
+  const [ab, ba] = await firestore.getAll(blockRef(userA, userB), blockRef(userB, userA));
+  return ab.exists || ba.exists;
+};
+
+/**
+ * Users hidden from this user: everyone they blocked and everyone who blocked them
+ * @param {string} userId
+ * @returns {Promise<Set<string>>}
+ */
+export const getBlockedUserIds = async (userId) => {
+  const [blocking, blockedBy] = await Promise.all([
+    blocksRef.where('blockerId', '==', userId).get(),
+    blocksRef.where('blockedId', '==', userId).get(),
+  ]);
+  return new Set([
+    ...blocking.docs.map((doc) => doc.data().blockedId),
+    ...blockedBy.docs.map((doc) => doc.data().blockerId),
+  ]);
+};
+
+/**
+ * Users this user has blocked, most recent first
+ * @param {string} userId
+ * @returns {Promise<Array<{ blockedId: string, createdAt: string }>>}
+ */
+export const listBlocks = async (userId) => {
+  const snapshot = await blocksRef.where('blockerId', '==', userId).orderBy('createdAt', 'desc').get();
+  return snapshot.docs.map((doc) => ({ blockedId: doc.data().blockedId, createdAt: doc.data().createdAt }));
+};
+
+export default {
+  blockUser,
+  unblockUser,
+  isBlockedBetween,
+  getBlockedUserIds,
+  listBlocks,
+};
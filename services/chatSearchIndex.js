@@ -0,0 +1,183 @@
+/**
+ * Chat search index - inverted index over message text
+ *
+ * Index interface:
+ *   upsert({ id, conversationId, senderId, content, createdAt }) => Promise<void>
+ *   remove(messageId) => Promise<void>
+ *   search({ terms, phrases, conversationIds, senderId, from, to, limit, offset })
+ *     => Promise<{ results: [{ messageId, conversationId, createdAt }], total }>
+ *   warm() => Promise<void> (optional; prepare the index before first use)
+ *
+ * Results are newest first. Every term must match, and each phrase (array of
+ * terms) must appear as consecutive words. CHAT_SEARCH_BACKEND selects the
+ * backend; only 'memory' exists today, and an external engine (Elasticsearch,
+ * Typesense...) can be added to SEARCH_BACKENDS with the same interface.
+ */
+import { firestore } from '../config/firebaseAdmin.js';
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+// Lowercase and strip accents so "Café" matches "cafe"
+const normalizeWord = (word) => word.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+
+/**
+ * Split text into normalised words with their position in the original string
+ * @param {string} text
+ * @returns {Array<{ term: string, start: number, end: number }>}
+ */
+export const tokenize = (text) =>
+  [...String(text || '').matchAll(WORD_PATTERN)].map((match) => ({
+    term: normalizeWord(match[0]),
+    start: match.index,
+    end: match.index + match[0].length,
+  }));
+
+const hasPhrase = (positions, phrase) =>
+  (positions.get(phrase[0]) || []).some((start) =>
+    phrase.every((term, offset) => (positions.get(term) || []).includes(start + offset)));
+
+/**
+ * In-memory index (single process). Built from the messages collection by
+ * warm() or the first search, then kept current by upsert/remove. It holds the
+ * text of every message in this process and isn't shared between replicas.
+ * @param {Object} options - { load: async () => messages[] }
+ * @returns {Object} - Chat search index
+ */
+export const createMemorySearchIndex = ({ load } = {}) => {
+  const postings = new Map(); // term -> Set(messageId)
+  const documents = new Map(); // messageId -> { conversationId, senderId, createdAt, positions: Map(term -> [index]) }
+
+  const removeDocument = (messageId) => {
+    const doc = documents.get(messageId);
+    if (!doc) return;
+    doc.positions.forEach((_, term) => {
+      const ids = postings.get(term);
+      ids.delete(messageId);
+      if (ids.size === 0) postings.delete(term);
+    });
+    documents.delete(messageId);
+  };
+
+  const addDocument = ({ id, conversationId, senderId, content, createdAt }) => {
+    removeDocument(id);
+    const positions = new Map();
+    tokenize(content).forEach(({ term }, index) => {
+      if (!positions.has(term)) positions.set(term, []);
+      positions.get(term).push(index);
+    });
+    if (positions.size === 0) return;
+    documents.set(id, { conversationId, senderId, createdAt, positions });
+    positions.forEach((_, term) => {
+      if (!postings.has(term)) postings.set(term, new Set());
+      postings.get(term).add(id);
+    });
+  };
+
+  // Writes never wait for the initial build: until it finishes they are queued
+  // and replayed on top of it, so none are lost or overwritten by it
+  let ready = null;
+  let loaded = false;
+  let queued = [];
+  const ensureLoaded = () => {
+    if (!ready) {
+      ready = (async () => {
+        const messages = load ? await load() : [];
+        messages.forEach(addDocument);
+        loaded = true;
+        queued.forEach((write) => write());
+        queued = [];
+        console.log(`🔎 Chat search index built (${documents.size} messages)`);
+      })().catch((err) => {
+        ready = null;
+        throw err;
+      });
+    }
+    return ready;
+  };
+
+  const write = (apply) => {
+    if (loaded) apply();
+    else queued.push(apply);
+  };
+
+  return {
+    async warm() {
+      await ensureLoaded();
+    },
+    async upsert(message) {
+      write(() => addDocument(message));
+    },
+    async remove(messageId) {
+      write(() => removeDocument(messageId));
+    },
+    async search({ terms, phrases = [], conversationIds, senderId, from, to, limit = 20, offset = 0 }) {
+      await ensureLoaded();
+      const required = [...new Set([...terms, ...phrases.flat()])];
+      if (required.length === 0) return { results: [], total: 0 };
+
+      // Walk the rarest term's postings and check the rest against each document
+      const lists = required.map((term) => postings.get(term) || new Set());
+      lists.sort((a, b) => a.size - b.size);
+      const allowed = conversationIds ? new Set(conversationIds) : null;
+
+      const matches = [];
+      lists[0].forEach((messageId) => {
+        const doc = documents.get(messageId);
+        if (allowed && !allowed.has(doc.conversationId)) return;
+        if (senderId && doc.senderId !== senderId) return;
+        if (from && doc.createdAt < from) return;
+        if (to && doc.createdAt > to) return;
+        if (!required.every((term) => doc.positions.has(term))) return;
+        if (!phrases.every((phrase) => hasPhrase(doc.positions, phrase))) return;
+        matches.push({ messageId, conversationId: doc.conversationId, createdAt: doc.createdAt });
+      });
+
+      matches.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+      return { results: matches.slice(offset, offset + limit), total: matches.length };
+    },
+  };
+};
+
+// Every message that still has text (tombstones, attachment-only and system messages are skipped)
+const loadAllMessages = async () => {
+  const snapshot = await firestore.collection('messages').select('conversationId', 'senderId', 'content', 'createdAt', 'deleted', 'type').get();
+  return snapshot.docs
+    .map((doc) => ({ id: doc.id, ...doc.data() }))
+    .filter((message) => !message.deleted && message.content && message.type !== 'system');
+};
+
+const SEARCH_BACKENDS = {
+  memory: () => createMemorySearchIndex({ load: loadAllMessages }),
+};
+
+let defaultIndex = null;
+
+/**
+ * Shared search index, chosen by CHAT_SEARCH_BACKEND (default 'memory')
+ * @returns {Object} - Chat search index
+ */
+export const getChatSearchIndex = () => {
+  if (defaultIndex) return defaultIndex;
+  const backend = process.env.CHAT_SEARCH_BACKEND || 'memory';
+  const create = SEARCH_BACKENDS[backend];
+  if (!create) {
+    throw new Error(`Unknown CHAT_SEARCH_BACKEND "${backend}" (available: ${Object.keys(SEARCH_BACKENDS).join(', ')})`);
+  }
+  defaultIndex = create();
+  return defaultIndex;
+};
+
+/**
+ * Replace the shared index (e.g. an external search engine configured at startup)
+ * @param {Object} index - Chat search index
+ */
+export const setChatSearchIndex = (index) => {
+  defaultIndex = index;
+};
+
+export default {
+  tokenize,
+  createMemorySearchIndex,
+  getChatSearchIndex,
+  setChatSearchIndex,
+};
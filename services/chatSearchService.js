@@ -0,0 +1,180 @@
+/**
+ * Chat search - full-text search over the messages a user can read
+ *
+ * Query syntax: words must all appear (any order); "quoted words" must appear
+ * together in that order. Matching ignores case and accents.
+ *
+ * chat.routes keeps the index current: indexMessage after a message is sent or
+ * edited, unindexMessage after it is deleted. Index failures are logged, never
+ * thrown, because the message itself has already been saved.
+ */
+import { firestore } from '../config/firebaseAdmin.js';
+import { tokenize, getChatSearchIndex } from './chatSearchIndex.js';
+import { listUserConversations } from './chatService.js';
+
+const messagesRef = firestore.collection('messages');
+
+export const MAX_SEARCH_QUERY_LENGTH = 200;
+export const MAX_SEARCH_PAGE_SIZE = 50;
+
+const SNIPPET_LENGTH = 160;
+const SNIPPET_LEAD = 40; // characters of context kept before the first match
+const ELLIPSIS = '…';
+
+const searchError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Split a search query into free terms and quoted phrases
+ * @param {string} query - e.g. 'lab "problem sheet 3"'
+ * @returns {{ terms: string[], phrases: string[][] }}
+ */
+export const parseSearchQuery = (query) => {
+  const terms = [];
+  const phrases = [];
+  const text = String(query || '').replace(/"([^"]*)"/g, (_, phrase) => {
+    const words = tokenize(phrase).map((t) => t.term);
+    if (words.length > 1) phrases.push(words);
+    else terms.push(...words);
+    return ' ';
+  });
+  terms.push(...tokenize(text).map((t) => t.term));
+  return { terms: [...new Set(terms)], phrases };
+};
+
+/**
+ * Cut a snippet around the first match and locate every matching word in it
+ * @param {string} content - Message text
+ * @param {string[]} words - Normalised query words
+ * @returns {{ snippet: string, highlights: Array<{ start: number, end: number }> }} - Offsets into snippet
+ */
+export const buildSnippet = (content, words) => {
+  const matches = tokenize(content).filter((token) => words.includes(token.term));
+
+  let start = 0;
+  let end = content.length;
+  if (content.length > SNIPPET_LENGTH) {
+    start = Math.max(0, (matches[0]?.start ?? 0) - SNIPPET_LEAD);
+    // Start on a word boundary
+    if (start > 0) {
+      const space = content.lastIndexOf(' ', start);
+      start = space >= 0 && start - space <= 15 ? space + 1 : start;
+    }
+    end = Math.min(content.length, start + SNIPPET_LENGTH);
+  }
+
+  const prefix = start > 0 ? ELLIPSIS : '';
+  const snippet = `${prefix}${content.slice(start, end)}${end < content.length ? ELLIPSIS : ''}`;
+  const highlights = matches
+    .filter((m) => m.start >= start && m.end <= end)
+    .map((m) => ({ start: m.start - start + prefix.length, end: m.end - start + prefix.length }));
+  return { snippet, highlights };
+};
+
+/**
+ * Add or refresh a message in the search index
+ * @param {Object} message - { id, conversationId, senderId, content, createdAt }
+ */
+export const indexMessage = async (message) => {
+  try {
+    if (!message.content || message.deleted) {
+      await getChatSearchIndex().remove(message.id);
+      return;
+    }
+    await getChatSearchIndex().upsert({
+      id: message.id,
+      conversationId: message.conversationId,
+      senderId: message.senderId,
+      content: message.content,
+      createdAt: message.createdAt,
+    });
+  } catch (err) {
+    console.error(`❌ Failed to index message ${message.id}:`, err);
+  }
+};
+
+/**
+ * Build the search index in the background (called once the server is
+ * listening) so the first search doesn't wait for it
+ */
+export const warmChatSearchIndex = () => {
+  const index = getChatSearchIndex();
+  if (!index.warm) return;
+  index.warm().catch((err) => {
+    console.error('❌ Failed to build chat search index (retried on the next search):', err);
+  });
+};
+
+/**
+ * Remove a message from the search index
+ * @param {string} messageId
+ */
+export const unindexMessage = async (messageId) => {
+  try {
+    await getChatSearchIndex().remove(messageId);
+  } catch (err) {
+    console.error(`❌ Failed to unindex message ${messageId}:`, err);
+  }
+};
+
+// A bare date as the upper bound covers that whole day
+const toUpperBound = (to) =>
+  (/^\d{4}-\d{2}-\d{2}$/.test(to) ? new Date(`${to}T23:59:59.999Z`) : new Date(to)).toISOString();
+
+/**
+ * Search the messages a user can read, newest first
+ * @param {Object} params
+ * @param {string} params.userId - Searching user (only their conversations are searched)
+ * @param {string} params.query - Search text
+ * @param {string} [params.conversationId] - Restrict to one conversation (must be accessible)
+ * @param {string} [params.senderId]
+ * @param {string} [params.from] - ISO date/time, inclusive
+ * @param {string} [params.to] - ISO date/time, inclusive (a bare date includes that day)
+ * @param {number} [params.limit]
+ * @param {number} [params.offset]
+ * @returns {Promise<{ results: Array<{ message, snippet, highlights }>, total: number, conversations: Object }>}
+ *   conversations maps the ids in results to their conversation documents
+ */
+export const searchMessages = async ({ userId, query, conversationId, senderId, from, to, limit = 20, offset = 0 }) => {
+  const { terms, phrases } = parseSearchQuery(query);
+  if (terms.length === 0 && phrases.length === 0) throw searchError('Search query must contain letters or numbers');
+
+  const accessible = await listUserConversations(userId);
+  const conversations = Object.fromEntries(accessible.map((c) => [c.id, c]));
+  if (conversationId && !conversations[conversationId]) throw searchError('Access denied', 403);
+
+  const { results, total } = await getChatSearchIndex().search({
+    terms,
+    phrases,
+    conversationIds: conversationId ? [conversationId] : Object.keys(conversations),
+    senderId,
+    from: from ? new Date(from).toISOString() : undefined,
+    to: to ? toUpperBound(to) : undefined,
+    limit,
+    offset,
+  });
+
+  // Read the current text from Firestore; skip anything deleted since it was indexed
+  const docs = results.length > 0 ? await firestore.getAll(...results.map((r) => messagesRef.doc(r.messageId))) : [];
+  const words = [...new Set([...terms, ...phrases.flat()])];
+  const hits = docs
+    .filter((doc) => doc.exists && !doc.data().deleted && doc.data().content)
+    .map((doc) => {
+      const message = { id: doc.id, ...doc.data() };
+      return { message, ...buildSnippet(message.content, words) };
+    });
+
+  return { results: hits, total, conversations };
+};
+
+export default {
+  parseSearchQuery,
+  buildSnippet,
+  indexMessage,
+  unindexMessage,
+  warmChatSearchIndex,
+  searchMessages,
+};
@@ -2,12 +2,41 @@
  * Chat service - shared logic for conversation access and helpers
  */
 import { firestore } from '../config/firebaseAdmin.js';
+import { FieldValue } from 'firebase-admin/firestore';
 import { getUserProfile } from '../lib/user-helpers.js';
+import {
+  createInboxEntries,
+  recordInboxMessage,
+  syncInboxUserState,
+  removeInboxEntries,
+} from './inboxService.js';
+import { isBlockedBetween } from './blockService.js';
 
 const conversationsRef = firestore.collection('conversations');
+const messagesRef = firestore.collection('messages');
 const groupsRef = firestore.collection('groups');
+const profilesRef = firestore.collection('profiles');
+const connectionsRef = firestore.collection('connections');
 
 const CONVERSATION_TYPE = { COMMUNITY: 'community', PRIVATE: 'private' };
+const CONNECTION_STATUS = { ACCEPTED: 'accepted' };
+
+export const MAX_GROUP_PARTICIPANTS = 25;
+export const MESSAGE_TYPE = { SYSTEM: 'system' };
+export const SYSTEM_ACTION = {
+  CREATED: 'created',
+  RENAMED: 'renamed',
+  AVATAR_CHANGED: 'avatar_changed',
+  ADDED: 'added',
+  REMOVED: 'removed',
+  LEFT: 'left',
+};
+
+const chatServiceError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
 
 /**
  * Get participant user IDs for a conversation (for unread increments)
@@ -43,6 +72,37 @@ export const canAccessConversation = async (conversation, userId) => {
   return (conversation.participantIds || []).includes(userId);
 };
 
+/**
+ * List every conversation a user can access: private ones they take part in and
+ * the community conversations of approved groups they are a member of
+ * @param {string} userId
+ * @returns {Promise<Object[]>} - Conversations (unsorted)
+ */
+export const listUserConversations = async (userId) => {
+  const privateSnap = await conversationsRef
+    .where('type', '==', CONVERSATION_TYPE.PRIVATE)
+    .where('participantIds', 'array-contains', userId)
+    .get();
+
+  const groupsSnap = await groupsRef
+    .where('members', 'array-contains', userId)
+    .where('status', '==', 'approved')
+    .get();
+  const groupIds = groupsSnap.docs.map((d) => d.id);
+
+  const communityDocs = [];
+  // Firestore 'in' limit is 10, batch if needed
+  for (let i = 0; i < groupIds.length; i += 10) {
+    const snap = await conversationsRef
+      .where('type', '==', CONVERSATION_TYPE.COMMUNITY)
+      .where('communityId', 'in', groupIds.slice(i, i + 10))
+      .get();
+    communityDocs.push(...snap.docs);
+  }
+
+  return [...privateSnap.docs, ...communityDocs].map((d) => ({ id: d.id, ...d.data() }));
+};
+
 /**
  * Get conversation by ID (for socket join verification)
  * @param {string} conversationId
@@ -53,3 +113,470 @@ export const getConversationById = async (conversationId) => {
   if (!doc.exists) return null;
   return { id: doc.id, ...doc.data() };
 };
+
+/**
+ * Check whether two users have an accepted connection
+ * @param {string} userA
+ * @param {string} userB
+ * @returns {Promise<boolean>}
+ */
+export const areConnected = async (userA, userB) => {
+  const connDoc = await connectionsRef.doc([userA, userB].sort().join('_')).get();
+  return connDoc.exists && connDoc.data().status === CONNECTION_STATUS.ACCEPTED;
+};
+
+/**
+ * Group conversations are private conversations with a name, an owner and a
+ * changeable member list. Older multi-person conversations (ID made of the
+ * joined UIDs, no isGroup flag) count as groups too.
+ * @param {Object} conversation
+ * @returns {boolean}
+ */
+export const isGroupConversation = (conversation) =>
+  conversation.type === CONVERSATION_TYPE.PRIVATE &&
+  (conversation.isGroup === true || (conversation.participantIds || []).length > 2);
+
+/**
+ * Owner of a group conversation. Older groups have no ownerId; their creator is
+ * the first participant.
+ * @param {Object} conversation
+ * @returns {string|null}
+ */
+export const getConversationOwnerId = (conversation) =>
+  conversation.ownerId || (conversation.participantIds || [])[0] || null;
+
+const displayNameOf = async (userId) => {
+  const profile = await getUserProfile(userId);
+  return profile?.displayName || profile?.name || userId.slice(0, 8);
+};
+
+const describeSystemEvent = async ({ action, actorId, userIds = [], name }) => {
+  const actor = await displayNameOf(actorId);
+  const others = (await Promise.all(userIds.map(displayNameOf))).join(', ');
+  switch (action) {
+    case SYSTEM_ACTION.CREATED: return name ? `${actor} created the group "${name}"` : `${actor} created the group`;
+    case SYSTEM_ACTION.RENAMED: return name ? `${actor} renamed the group to "${name}"` : `${actor} removed the group name`;
+    case SYSTEM_ACTION.AVATAR_CHANGED: return `${actor} changed the group photo`;
+    case SYSTEM_ACTION.ADDED: return `${actor} added ${others}`;
+    case SYSTEM_ACTION.REMOVED: return `${actor} removed ${others}`;
+    case SYSTEM_ACTION.LEFT: return others ? `${actor} left the group; ${others} is now the owner` : `${actor} left the group`;
+    default: return '';
+  }
+};
+
+/**
+ * Post a system message announcing a change to a group conversation. It updates
+ * the conversation preview and counts as unread for everyone but the actor.
+ * @param {Object} conversation - Conversation after the change
+ * @param {Object} event
+ * @param {string} event.action - One of SYSTEM_ACTION
+ * @param {string} event.actorId - User who made the change
+ * @param {string[]} [event.userIds] - Users the change applies to (added, removed, or the new owner when the owner left)
+ * @param {string} [event.name] - New group name (created, renamed)
+ * @returns {Promise<Object>} - Stored message
+ */
+export const postSystemMessage = async (conversation, { action, actorId, userIds = [], name = null }) => {
+  const now = new Date().toISOString();
+  const messageRef = messagesRef.doc();
+  const messageData = {
+    conversationId: conversation.id,
+    senderId: actorId,
+    type: MESSAGE_TYPE.SYSTEM,
+    system: { action, actorId, userIds, ...(name !== null && { name }) },
+    content: await describeSystemEvent({ action, actorId, userIds, name }),
+    createdAt: now,
+  };
+
+  const batch = firestore.batch();
+  batch.set(messageRef, messageData);
+  batch.update(conversationsRef.doc(conversation.id), {
+    lastMessage: messageData.content.slice(0, 100),
+    lastMessageId: messageRef.id,
+    lastMessageAt: now,
+    updatedAt: now,
+  });
+  (conversation.participantIds || [])
+    .filter((uid) => uid !== actorId)
+    .forEach((uid) => {
+      batch.set(
+        conversationsRef.doc(conversation.id).collection('participantReads').doc(uid),
+        { unreadCount: FieldValue.increment(1) },
+        { merge: true }
+      );
+    });
+  await batch.commit();
+
+  const updated = { ...conversation, lastMessage: messageData.content.slice(0, 100), lastMessageId: messageRef.id, lastMessageAt: now };
+  await recordInboxMessage(updated, conversation.participantIds || [], actorId);
+
+  return { id: messageRef.id, ...messageData };
+};
+
+// Load a group conversation inside a transaction and check the caller may manage it
+const loadGroupForUpdate = async (transaction, conversationId, userId, { ownerOnly }) => {
+  const convRef = conversationsRef.doc(conversationId);
+  const convDoc = await transaction.get(convRef);
+  if (!convDoc.exists) throw chatServiceError('Conversation not found', 404);
+  const conversation = { id: convDoc.id, ...convDoc.data() };
+  if (!(conversation.participantIds || []).includes(userId)) throw chatServiceError('Access denied', 403);
+  if (!isGroupConversation(conversation)) throw chatServiceError('Only group conversations can be changed', 400);
+  if (ownerOnly && getConversationOwnerId(conversation) !== userId) {
+    throw chatServiceError('Only the group owner can do this', 403);
+  }
+  return { convRef, conversation };
+};
+
+/**
+ * Whether a block stops this user posting in a conversation: 1:1 conversations
+ * end when either side blocks the other, groups are unaffected
+ * @param {Object} conversation
+ * @param {string} userId
+ * @returns {Promise<boolean>}
+ */
+export const isBlockedFromConversation = async (conversation, userId) => {
+  if (conversation.type !== CONVERSATION_TYPE.PRIVATE || isGroupConversation(conversation)) return false;
+  const otherId = (conversation.participantIds || []).find((uid) => uid !== userId);
+  return !!otherId && isBlockedBetween(userId, otherId);
+};
+
+/**
+ * Rename a group or change its avatar (owner only)
+ * @param {string} conversationId
+ * @param {string} userId - Acting user
+ * @param {Object} changes - { name?, avatarUrl? } (null or '' clears)
+ * @returns {Promise<{ conversation: Object, changed: string[] }>} - Updated conversation and changed fields
+ */
+export const updateGroupDetails = async (conversationId, userId, changes) =>
+  firestore.runTransaction(async (transaction) => {
+    const { convRef, conversation } = await loadGroupForUpdate(transaction, conversationId, userId, { ownerOnly: true });
+    const update = {};
+    ['name', 'avatarUrl'].forEach((field) => {
+      if (changes[field] === undefined) return;
+      const value = changes[field] || null;
+      if (value !== (conversation[field] || null)) update[field] = value;
+    });
+    const changed = Object.keys(update);
+    if (changed.length === 0) return { conversation, changed };
+
+    update.updatedAt = new Date().toISOString();
+    transaction.update(convRef, update);
+    return { conversation: { ...conversation, ...update }, changed };
+  });
+
+/**
+ * Add participants to a group (owner only). Each new participant must have an
+ * accepted connection with the owner.
+ * @param {string} conversationId
+ * @param {string} userId - Acting user
+ * @param {string[]} newUserIds
+ * @returns {Promise<{ conversation: Object, added: string[] }>}
+ */
+export const addGroupParticipants = async (conversationId, userId, newUserIds) => {
+  const candidates = [...new Set(newUserIds)].filter((uid) => uid && uid !== userId);
+  const connected = await Promise.all(candidates.map((uid) => areConnected(userId, uid)));
+  if (connected.includes(false)) {
+    throw chatServiceError('You can only add people you are connected with', 403);
+  }
+  const blocked = await Promise.all(candidates.map((uid) => isBlockedBetween(userId, uid)));
+  if (blocked.includes(true)) {
+    throw chatServiceError('You cannot add one or more of these users', 403);
+  }
+
+  const result = await firestore.runTransaction(async (transaction) => {
+    const { convRef, conversation } = await loadGroupForUpdate(transaction, conversationId, userId, { ownerOnly: true });
+    const current = conversation.participantIds || [];
+    const added = candidates.filter((uid) => !current.includes(uid));
+    if (added.length === 0) return { conversation, added };
+    if (current.length + added.length > MAX_GROUP_PARTICIPANTS) {
+      throw chatServiceError(`Group conversations can have at most ${MAX_GROUP_PARTICIPANTS} participants`);
+    }
+
+    const update = {
+      participantIds: [...current, ...added],
+      isGroup: true,
+      ownerId: getConversationOwnerId(conversation),
+      updatedAt: new Date().toISOString(),
+    };
+    transaction.update(convRef, update);
+    return { conversation: { ...conversation, ...update }, added };
+  });
+  await createInboxEntries(result.conversation, result.added);
+  return result;
+};
+
+/**
+ * Remove a participant from a group (owner only; owners leave with leaveGroup)
+ * @param {string} conversationId
+ * @param {string} userId - Acting user
+ * @param {string} removedUserId
+ * @returns {Promise<{ conversation: Object }>}
+ */
+export const removeGroupParticipant = async (conversationId, userId, removedUserId) => {
+  const result = await firestore.runTransaction(async (transaction) => {
+    const { convRef, conversation } = await loadGroupForUpdate(transaction, conversationId, userId, { ownerOnly: true });
+    if (removedUserId === userId) throw chatServiceError('Use leave to remove yourself from the group');
+    if (!(conversation.participantIds || []).includes(removedUserId)) {
+      throw chatServiceError('User is not a participant', 404);
+    }
+
+    const update = {
+      participantIds: conversation.participantIds.filter((uid) => uid !== removedUserId),
+      isGroup: true,
+      ownerId: getConversationOwnerId(conversation),
+      updatedAt: new Date().toISOString(),
+    };
+    transaction.update(convRef, update);
+    return { conversation: { ...conversation, ...update } };
+  });
+  await removeInboxEntries(conversationId, [removedUserId]);
+  return result;
+};
+
+/**
+ * Leave a group. When the owner leaves, the longest-standing remaining
+ * participant becomes the owner.
+ * @param {string} conversationId
+ * @param {string} userId
+ * @returns {Promise<{ conversation: Object, newOwnerId: string|null }>} - newOwnerId is set when ownership passed on
+ */
+export const leaveGroup = async (conversationId, userId) => {
+  const result = await firestore.runTransaction(async (transaction) => {
+    const { convRef, conversation } = await loadGroupForUpdate(transaction, conversationId, userId, { ownerOnly: false });
+    const remaining = conversation.participantIds.filter((uid) => uid !== userId);
+    const ownerId = getConversationOwnerId(conversation);
+    const newOwnerId = ownerId === userId ? (remaining[0] || null) : null;
+
+    const update = {
+      participantIds: remaining,
+      isGroup: true,
+      ownerId: newOwnerId || (ownerId === userId ? null : ownerId),
+      updatedAt: new Date().toISOString(),
+    };
+    transaction.update(convRef, update);
+    return { conversation: { ...conversation, ...update }, newOwnerId };
+  });
+  await removeInboxEntries(conversationId, [userId]);
+  return result;
+};
+
+/**
+ * Whether a user shares read receipts (profiles/{uid}.settings.privacy.readReceipts, on by default)
+ * @param {string} userId
+ * @returns {Promise<boolean>}
+ */
+export const sharesReadReceipts = async (userId) => {
+  const snap = await profilesRef.doc(userId).get();
+  return !snap.exists || snap.data().settings?.privacy?.readReceipts !== false;
+};
+
+/**
+ * Record that a user has received a conversation's messages up to now (called when they fetch messages)
+ * @param {string} conversationId
+ * @param {string} userId
+ * @returns {Promise<void>}
+ */
+export const markConversationDelivered = async (conversationId, userId) => {
+  await conversationsRef.doc(conversationId).collection('participantReads').doc(userId).set(
+    { lastDeliveredAt: new Date().toISOString() },
+    { merge: true }
+  );
+};
+
+/**
+ * Move a user's read position forward to a message (the latest one if none is given).
+ * participantReads/{uid} keeps { unreadCount, lastReadMessageId, lastReadMessageAt, lastReadAt, lastDeliveredAt };
+ * lastReadMessageAt is the read message's createdAt, lastReadAt is when it was read.
+ * @param {Object} conversation - Conversation document (with id)
+ * @param {string} userId
+ * @param {string|null} messageId
+ * @returns {Promise<{ lastReadMessageId: string|null, lastReadAt: string|null, unreadCount: number, advanced: boolean }>}
+ */
+export const markConversationRead = async (conversation, userId, messageId = null) => {
+  const readRef = conversationsRef.doc(conversation.id).collection('participantReads').doc(userId);
+
+  let target = null;
+  if (messageId) {
+    const doc = await messagesRef.doc(messageId).get();
+    if (!doc.exists || doc.data().conversationId !== conversation.id) throw chatServiceError('Message not found', 404);
+    target = { id: doc.id, ...doc.data() };
+  } else {
+    const latest = await messagesRef
+      .where('conversationId', '==', conversation.id)
+      .orderBy('createdAt', 'desc')
+      .limit(1)
+      .get();
+    if (!latest.empty) target = { id: latest.docs[0].id, ...latest.docs[0].data() };
+  }
+
+  const current = (await readRef.get()).data() || {};
+  if (!target) {
+    await readRef.set({ unreadCount: 0 }, { merge: true });
+    await syncInboxUserState(conversation.id, userId, { ...current, unreadCount: 0 });
+    return { lastReadMessageId: current.lastReadMessageId || null, lastReadAt: current.lastReadAt || null, unreadCount: 0, advanced: false };
+  }
+
+  // Never move the read position backwards
+  if (current.lastReadMessageAt && current.lastReadMessageAt >= target.createdAt) {
+    return {
+      lastReadMessageId: current.lastReadMessageId,
+      lastReadAt: current.lastReadAt,
+      unreadCount: current.unreadCount ?? 0,
+      advanced: false,
+    };
+  }
+
+  // Messages from others after the read position stay unread
+  const after = messagesRef
+    .where('conversationId', '==', conversation.id)
+    .where('createdAt', '>', target.createdAt);
+  const [totalAfter, ownAfter] = await Promise.all([
+    after.count().get(),
+    after.where('senderId', '==', userId).count().get(),
+  ]);
+  const unreadCount = Math.max(0, totalAfter.data().count - ownAfter.data().count);
+
+  const now = new Date().toISOString();
+  const readState = {
+    unreadCount,
+    lastReadMessageId: target.id,
+    lastReadMessageAt: target.createdAt,
+    lastReadAt: now,
+    lastDeliveredAt: now,
+  };
+  await readRef.set(readState, { merge: true });
+  await syncInboxUserState(conversation.id, userId, { ...current, ...readState });
+
+  return { lastReadMessageId: target.id, lastReadAt: now, unreadCount, advanced: true };
+};
+
+/**
+ * Delivery and seen state for the viewer's own messages.
+ * A message is delivered to a participant once they fetched or read past it, and seen once they read past it.
+ * Participants who turned read receipts off never appear in seenBy.
+ * @param {Object} conversation - Conversation document (with id)
+ * @param {string} viewerId
+ * @param {Object[]} messages - Messages with id, senderId, createdAt
+ * @returns {Promise<Object>} - messageId -> { status: 'sent'|'delivered'|'seen', deliveredTo: string[], seenBy: { userId, readAt }[] }
+ */
+export const getReadReceipts = async (conversation, viewerId, messages) => {
+  const own = messages.filter((m) => m.senderId === viewerId && !m.deleted && m.type !== MESSAGE_TYPE.SYSTEM);
+  if (own.length === 0) return {};
+
+  const [participants, readsSnap] = await Promise.all([
+    getParticipantsForConversation(conversation),
+    conversationsRef.doc(conversation.id).collection('participantReads').get(),
+  ]);
+  const reads = new Map(readsSnap.docs.map((doc) => [doc.id, doc.data()]));
+  const recipients = participants.filter((uid) => uid !== viewerId && reads.has(uid));
+
+  const readers = recipients.filter((uid) => reads.get(uid).lastReadMessageAt);
+  const sharing = await Promise.all(readers.map(sharesReadReceipts));
+  const visibleReaders = new Set(readers.filter((uid, i) => sharing[i]));
+
+  return Object.fromEntries(own.map((message) => {
+    const deliveredTo = recipients.filter((uid) => {
+      const read = reads.get(uid);
+      return (read.lastDeliveredAt || '') >= message.createdAt || (read.lastReadMessageAt || '') >= message.createdAt;
+    });
+    const seenBy = recipients
+      .filter((uid) => visibleReaders.has(uid) && reads.get(uid).lastReadMessageAt >= message.createdAt)
+      .map((uid) => ({ userId: uid, readAt: reads.get(uid).lastReadAt }));
+    const status = seenBy.length > 0 ? 'seen' : deliveredTo.length > 0 ? 'delivered' : 'sent';
+    return [message.id, { status, deliveredTo, seenBy }];
+  }));
+};
+
+/**
+ * A user's view of a conversation from their participantReads doc: unread count
+ * and preferences. Mutes with a mutedUntil in the past have expired.
+ * @param {Object|undefined} readData - participantReads/{uid} data
+ * @param {string} [now] - ISO time to evaluate mutes at
+ * @returns {{ unreadCount: number, muted: boolean, mutedUntil: string|null, archived: boolean, pinned: boolean, pinnedAt: string|null }}
+ */
+export const getConversationPreferences = (readData, now = new Date().toISOString()) => {
+  const data = readData || {};
+  const muted = data.muted === true && (!data.mutedUntil || data.mutedUntil > now);
+  return {
+    unreadCount: data.unreadCount ?? 0,
+    muted,
+    mutedUntil: muted ? data.mutedUntil || null : null,
+    archived: data.archived === true,
+    pinned: !!data.pinnedAt,
+    pinnedAt: data.pinnedAt || null,
+  };
+};
+
+/**
+ * Update a user's preferences for a conversation
+ * @param {string} conversationId
+ * @param {string} userId
+ * @param {Object} changes
+ * @param {boolean} [changes.muted] - Mute or unmute
+ * @param {string|null} [changes.mutedUntil] - ISO time the mute ends (omit or null to mute until turned off)
+ * @param {boolean} [changes.archived]
+ * @param {boolean} [changes.pinned]
+ * @returns {Promise<Object>} - Preferences as returned by getConversationPreferences
+ */
+export const updateConversationPreferences = async (conversationId, userId, { muted, mutedUntil, archived, pinned }) => {
+  const readRef = conversationsRef.doc(conversationId).collection('participantReads').doc(userId);
+  const now = new Date().toISOString();
+  const update = {};
+
+  if (muted === true) {
+    if (mutedUntil && new Date(mutedUntil).toISOString() <= now) throw chatServiceError('mutedUntil must be in the future');
+    update.muted = true;
+    update.mutedUntil = mutedUntil ? new Date(mutedUntil).toISOString() : null;
+  } else if (muted === false) {
+    update.muted = false;
+    update.mutedUntil = null;
+  }
+  if (archived !== undefined) {
+    update.archived = archived;
+    update.archivedAt = archived ? now : null;
+  }
+  if (pinned !== undefined) {
+    const current = (await readRef.get()).data() || {};
+    update.pinnedAt = pinned ? current.pinnedAt || now : null;
+  }
+
+  await readRef.set(update, { merge: true });
+  const readData = (await readRef.get()).data();
+  await syncInboxUserState(conversationId, userId, readData);
+  return getConversationPreferences(readData, now);
+};
+
+/**
+ * Participants who should be notified about a new message: everyone except the
+ * sender and those who muted the conversation
+ * @param {string} conversationId
+ * @param {string[]} participantIds
+ * @param {string} senderId
+ * @returns {Promise<string[]>}
+ */
+export const getNotificationRecipients = async (conversationId, participantIds, senderId) => {
+  const recipients = participantIds.filter((uid) => uid !== senderId);
+  if (recipients.length === 0) return [];
+  const readsRef = conversationsRef.doc(conversationId).collection('participantReads');
+  const docs = await firestore.getAll(...recipients.map((uid) => readsRef.doc(uid)));
+  const now = new Date().toISOString();
+  return recipients.filter((uid, i) => !getConversationPreferences(docs[i].data(), now).muted);
+};
+
+/**
+ * Keep a member's inbox in step with a community group's membership
+ * (call after they join, leave or are removed)
+ * @param {string} communityId - Group ID
+ * @param {string} userId
+ * @param {boolean} isMember - Membership after the change
+ */
+export const syncCommunityMembership = async (communityId, userId, isMember) => {
+  const snap = await conversationsRef
+    .where('type', '==', CONVERSATION_TYPE.COMMUNITY)
+    .where('communityId', '==', communityId)
+    .limit(1)
+    .get();
+  if (snap.empty) return;
+  const conversation = { id: snap.docs[0].id, ...snap.docs[0].data() };
+  if (isMember) await createInboxEntries(conversation, [userId]);
+  else await removeInboxEntries(conversation.id, [userId]);
+};
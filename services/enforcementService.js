@@ -0,0 +1,223 @@
+/**
+ * Account enforcement - strikes and temporary suspensions
+ *
+ * userStrikes/{id} (backend-only):
+ *   { userId, tenantId, reason, caseId, issuedBy, revokedAt, revokedBy, createdAt }
+ * userSuspensions/{id} (backend-only):
+ *   { userId, tenantId, mode, reason, caseId, startsAt, endsAt, issuedBy,
+ *     liftedAt, liftedBy, createdAt, updatedAt }
+ *
+ * A strike is a recorded rule violation; it has no effect by itself but shows
+ * moderators the user's history. A suspension restricts the account until
+ * endsAt (or until lifted when endsAt is null):
+ *   full           - every authenticated request and socket connection is refused
+ *   chat_read_only - chats can be read but not written to
+ * The active suspension is copied to users/{uid}.suspension so requireAuth and
+ * the Socket.io handshake can check it without another read; it stops applying
+ * at endsAt with no clean-up needed. A user has at most one active suspension:
+ * a new one replaces it.
+ */
+import { firestore } from '../config/firebaseAdmin.js';
+import { FieldValue } from 'firebase-admin/firestore';
+import { getDocTenantId } from '../lib/tenantScope.js';
+
+const usersRef = firestore.collection('users');
+const strikesRef = firestore.collection('userStrikes');
+const suspensionsRef = firestore.collection('userSuspensions');
+
+export const SUSPENSION_MODE = {
+  FULL: 'full',
+  CHAT_READ_ONLY: 'chat_read_only',
+};
+
+export const MAX_ENFORCEMENT_REASON_LENGTH = 1000;
+// Longest temporary suspension; leave durationHours out for an open-ended one
+export const MAX_SUSPENSION_HOURS = 24 * 365;
+
+const enforcementError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * The suspension in force for an account, if any
+ * @param {Object} accountData - users/{uid} document data
+ * @param {Date} [now]
+ * @returns {Object|null} - { id, mode, reason, startsAt, endsAt }
+ */
+export const getActiveSuspension = (accountData, now = new Date()) => {
+  const suspension = accountData?.suspension;
+  if (!suspension?.mode) return null;
+  if (suspension.endsAt && new Date(suspension.endsAt) <= now) return null;
+  return suspension;
+};
+
+/**
+ * Error body for a request refused by a suspension
+ * @param {Object} suspension - From getActiveSuspension
+ * @returns {Object}
+ */
+export const suspensionErrorBody = (suspension) => {
+  const full = suspension.mode === SUSPENSION_MODE.FULL;
+  const until = suspension.endsAt ? ` until ${suspension.endsAt}` : '';
+  return {
+    success: false,
+    error: full ? `Account suspended${until}` : `Your account is restricted${until}`,
+    code: full ? 'ACCOUNT_SUSPENDED' : 'ACCOUNT_RESTRICTED',
+    suspension: {
+      mode: suspension.mode,
+      reason: suspension.reason,
+      startsAt: suspension.startsAt,
+      endsAt: suspension.endsAt,
+    },
+  };
+};
+
+const loadUser = async (userId) => {
+  const doc = await usersRef.doc(userId).get();
+  if (!doc.exists) throw enforcementError('User not found', 404);
+  return doc.data();
+};
+
+/**
+ * Record a strike against a user
+ * @param {string} userId
+ * @param {Object} strike - { reason, issuedBy, caseId? }
+ * @returns {Promise<Object>} - The strike with id
+ */
+export const issueStrike = async (userId, { reason, issuedBy, caseId = null }) => {
+  const user = await loadUser(userId);
+  const strike = {
+    userId,
+    tenantId: getDocTenantId(user),
+    reason: reason.trim(),
+    caseId,
+    issuedBy,
+    revokedAt: null,
+    revokedBy: null,
+    createdAt: new Date().toISOString(),
+  };
+  const docRef = await strikesRef.add(strike);
+  await usersRef.doc(userId).update({ strikeCount: FieldValue.increment(1) });
+  return { id: docRef.id, ...strike };
+};
+
+/**
+ * Withdraw a strike issued in error
+ * @param {string} userId
+ * @param {string} strikeId
+ * @param {string} revokedBy
+ * @returns {Promise<Object>} - The revoked strike
+ */
+export const revokeStrike = async (userId, strikeId, revokedBy) => {
+  const ref = strikesRef.doc(strikeId);
+  const doc = await ref.get();
+  if (!doc.exists || doc.data().userId !== userId) throw enforcementError('Strike not found', 404);
+  if (doc.data().revokedAt) throw enforcementError('Strike was already revoked', 409);
+
+  const update = { revokedAt: new Date().toISOString(), revokedBy };
+  await ref.update(update);
+  await usersRef.doc(userId).update({ strikeCount: FieldValue.increment(-1) });
+  return { id: doc.id, ...doc.data(), ...update };
+};
+
+/**
+ * A user's strikes, newest first
+ * @param {string} userId
+ * @param {Object} [options] - { includeRevoked }
+ * @returns {Promise<Object[]>}
+ */
+export const listStrikes = async (userId, { includeRevoked = false } = {}) => {
+  const snapshot = await strikesRef.where('userId', '==', userId).orderBy('createdAt', 'desc').get();
+  return snapshot.docs
+    .map((doc) => ({ id: doc.id, ...doc.data() }))
+    .filter((strike) => includeRevoked || !strike.revokedAt);
+};
+
+/**
+ * Suspend a user, replacing any suspension already in force
+ * @param {string} userId
+ * @param {Object} params
+ * @param {string} params.mode - One of SUSPENSION_MODE
+ * @param {string} params.reason - Shown to the user
+ * @param {number} [params.durationHours] - Omit for a suspension that lasts until lifted
+ * @param {string} params.issuedBy
+ * @param {string} [params.caseId] - Moderation case that led to it
+ * @returns {Promise<Object>} - The suspension with id
+ */
+export const suspendUser = async (userId, { mode, reason, durationHours, issuedBy, caseId = null }) => {
+  if (!Object.values(SUSPENSION_MODE).includes(mode)) {
+    throw enforcementError(`mode must be one of: ${Object.values(SUSPENSION_MODE).join(', ')}`);
+  }
+  const user = await loadUser(userId);
+  const now = new Date();
+  const suspension = {
+    userId,
+    tenantId: getDocTenantId(user),
+    mode,
+    reason: reason.trim(),
+    caseId,
+    startsAt: now.toISOString(),
+    endsAt: durationHours ? new Date(now.getTime() + durationHours * 60 * 60 * 1000).toISOString() : null,
+    issuedBy,
+    liftedAt: null,
+    liftedBy: null,
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString(),
+  };
+
+  const docRef = suspensionsRef.doc();
+  const batch = firestore.batch();
+  const current = getActiveSuspension(user, now);
+  if (current) {
+    batch.update(suspensionsRef.doc(current.id), { liftedAt: suspension.startsAt, liftedBy: issuedBy, updatedAt: suspension.startsAt });
+  }
+  batch.set(docRef, suspension);
+  batch.update(usersRef.doc(userId), {
+    suspension: { id: docRef.id, mode, reason: suspension.reason, startsAt: suspension.startsAt, endsAt: suspension.endsAt },
+  });
+  await batch.commit();
+  return { id: docRef.id, ...suspension };
+};
+
+/**
+ * End a user's suspension early
+ * @param {string} userId
+ * @param {string} liftedBy
+ * @returns {Promise<Object>} - The lifted suspension
+ */
+export const liftSuspension = async (userId, liftedBy) => {
+  const user = await loadUser(userId);
+  const current = getActiveSuspension(user);
+  if (!current) throw enforcementError('User is not suspended', 404);
+
+  const now = new Date().toISOString();
+  const batch = firestore.batch();
+  batch.update(suspensionsRef.doc(current.id), { liftedAt: now, liftedBy, updatedAt: now });
+  batch.update(usersRef.doc(userId), { suspension: null });
+  await batch.commit();
+  return { ...current, liftedAt: now, liftedBy };
+};
+
+/**
+ * A user's suspensions, newest first
+ * @param {string} userId
+ * @returns {Promise<Object[]>}
+ */
+export const listSuspensions = async (userId) => {
+  const snapshot = await suspensionsRef.where('userId', '==', userId).orderBy('createdAt', 'desc').get();
+  return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+};
+
+export default {
+  SUSPENSION_MODE,
+  getActiveSuspension,
+  suspensionErrorBody,
+  issueStrike,
+  revokeStrike,
+  listStrikes,
+  suspendUser,
+  liftSuspension,
+  listSuspensions,
+};
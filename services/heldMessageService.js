@@ -0,0 +1,169 @@
+/**
+ * Held messages - chat messages waiting for a moderator after safety screening
+ *
+ * heldMessages/{messageId} (backend-only), keyed by the message ID reserved at
+ * send time so attachments stay claimed for it:
+ *   { conversationId, senderId, tenantId, message: { content, replyToId?, threadId?,
+ *     attachments? }, safety: { flags, confidence, recommendedAction }, status,
+ *     reviewNote, reviewedBy, reviewedAt, createdAt, updatedAt }
+ *
+ * Nothing reaches the conversation while a message is 'pending'. Approving
+ * delivers it as if it had just been sent; rejecting discards it and its files.
+ */
+import { firestore } from '../config/firebaseAdmin.js';
+import { canAccessConversation, getConversationById, isBlockedFromConversation } from './chatService.js';
+import { deleteMessageAttachments } from './attachmentService.js';
+import { deliverMessage } from './messageDeliveryService.js';
+
+const heldMessagesRef = firestore.collection('heldMessages');
+
+export const HELD_MESSAGE_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+};
+
+export const MAX_HELD_MESSAGE_PAGE_SIZE = 100;
+
+const heldMessageError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Put a screened message in the review queue
+ * @param {Object} params
+ * @param {string} params.messageId - Reserved message ID
+ * @param {string|null} params.tenantId - Sender's tenant
+ * @param {Object} params.messageData - Message as it would be stored ({ conversationId, senderId, content, ... })
+ * @param {Object} params.screening - Result of screenChatMessage
+ * @returns {Promise<Object>} - Held message with id
+ */
+export const holdMessage = async ({ messageId, tenantId, messageData, screening }) => {
+  const { conversationId, senderId, createdAt, ...message } = messageData;
+  const held = {
+    conversationId,
+    senderId,
+    tenantId: tenantId || null,
+    message,
+    safety: {
+      flags: screening.flags,
+      confidence: screening.confidence,
+      recommendedAction: screening.recommendedAction,
+    },
+    status: HELD_MESSAGE_STATUS.PENDING,
+    reviewNote: null,
+    reviewedBy: null,
+    reviewedAt: null,
+    createdAt,
+    updatedAt: createdAt,
+  };
+  await heldMessagesRef.doc(messageId).set(held);
+  return { id: messageId, ...held };
+};
+
+/**
+ * Get a held message by id
+ * @param {string} heldMessageId
+ * @returns {Promise<Object|null>}
+ */
+export const getHeldMessage = async (heldMessageId) => {
+  const doc = await heldMessagesRef.doc(heldMessageId).get();
+  return doc.exists ? { id: doc.id, ...doc.data() } : null;
+};
+
+/**
+ * List held messages, newest first
+ * @param {Object} filters
+ * @param {string} [filters.status]
+ * @param {string} [filters.tenantId]
+ * @param {string} [filters.conversationId]
+ * @param {string} [filters.senderId]
+ * @param {number} [filters.limit]
+ * @param {string} [filters.cursor] - Id of the last held message of the previous page
+ * @returns {Promise<{ heldMessages: Object[], nextCursor: string|null }>}
+ */
+export const listHeldMessages = async ({ status, tenantId, conversationId, senderId, limit = 50, cursor } = {}) => {
+  let query = heldMessagesRef;
+  if (tenantId) query = query.where('tenantId', '==', tenantId);
+  if (status) query = query.where('status', '==', status);
+  if (conversationId) query = query.where('conversationId', '==', conversationId);
+  if (senderId) query = query.where('senderId', '==', senderId);
+  query = query.orderBy('createdAt', 'desc');
+
+  if (cursor) {
+    const cursorDoc = await heldMessagesRef.doc(cursor).get();
+    if (cursorDoc.exists) query = query.startAfter(cursorDoc);
+  }
+
+  const snapshot = await query.limit(limit).get();
+  const heldMessages = snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+  return {
+    heldMessages,
+    nextCursor: heldMessages.length === limit ? heldMessages[heldMessages.length - 1].id : null,
+  };
+};
+
+// Move a pending message to its review outcome; only one moderator can win
+const settleHeldMessage = (heldMessageId, status, { reviewerId, note }) =>
+  firestore.runTransaction(async (transaction) => {
+    const ref = heldMessagesRef.doc(heldMessageId);
+    const doc = await transaction.get(ref);
+    if (!doc.exists) throw heldMessageError('Held message not found', 404);
+    const held = { id: doc.id, ...doc.data() };
+    if (held.status !== HELD_MESSAGE_STATUS.PENDING) throw heldMessageError(`Message was already ${held.status}`, 409);
+
+    const now = new Date().toISOString();
+    const update = { status, reviewNote: (note || '').trim() || null, reviewedBy: reviewerId, reviewedAt: now, updatedAt: now };
+    transaction.update(ref, update);
+    return { ...held, ...update };
+  });
+
+/**
+ * Approve a held message and deliver it now. The sender must still be able to
+ * post in the conversation.
+ * @param {string} heldMessageId
+ * @param {Object} review - { reviewerId, note?, io? }
+ * @returns {Promise<{ heldMessage: Object, message: Object }>}
+ */
+export const approveHeldMessage = async (heldMessageId, { reviewerId, note, io }) => {
+  const pending = await getHeldMessage(heldMessageId);
+  if (!pending) throw heldMessageError('Held message not found', 404);
+  const conversation = await getConversationById(pending.conversationId);
+  if (!conversation || !(await canAccessConversation(conversation, pending.senderId))
+    || (await isBlockedFromConversation(conversation, pending.senderId))) {
+    throw heldMessageError('The sender can no longer post in this conversation; reject the message instead', 409);
+  }
+
+  const heldMessage = await settleHeldMessage(heldMessageId, HELD_MESSAGE_STATUS.APPROVED, { reviewerId, note });
+  const message = await deliverMessage(io, conversation, heldMessageId, {
+    conversationId: heldMessage.conversationId,
+    senderId: heldMessage.senderId,
+    ...heldMessage.message,
+    heldAt: heldMessage.createdAt,
+    createdAt: heldMessage.reviewedAt,
+  });
+  return { heldMessage, message };
+};
+
+/**
+ * Reject a held message; its attachments are deleted
+ * @param {string} heldMessageId
+ * @param {Object} review - { reviewerId, note? }
+ * @returns {Promise<Object>} - The rejected held message
+ */
+export const rejectHeldMessage = async (heldMessageId, { reviewerId, note }) => {
+  const heldMessage = await settleHeldMessage(heldMessageId, HELD_MESSAGE_STATUS.REJECTED, { reviewerId, note });
+  await deleteMessageAttachments(heldMessageId);
+  return heldMessage;
+};
+
+export default {
+  HELD_MESSAGE_STATUS,
+  holdMessage,
+  getHeldMessage,
+  listHeldMessages,
+  approveHeldMessage,
+  rejectHeldMessage,
+};
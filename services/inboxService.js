@@ -0,0 +1,224 @@
+/**
+ * Inbox - per-user conversation index for paginated listing
+ *
+ * inboxEntries/{uid}_{conversationId} (backend-only) is a denormalised copy of
+ * each conversation a user can access, so a page of the conversation list is a
+ * single indexed query:
+ *   { userId, conversationId, type, communityId, isGroup, name, avatarUrl, ownerId,
+ *     participantIds, lastMessage, lastMessageId, lastMessageAt, createdAt,
+ *     unreadCount, muted, mutedUntil, archived, pinned, pinnedAt, updatedAt }
+ *
+ * participantReads/{uid} stays the source of truth for read state and
+ * preferences; entries mirror it. Entries are written when conversations are
+ * created, messaged or changed and when members join or leave. Users whose
+ * inbox predates the index get it built once, from their conversations, on
+ * first listing (inboxState/{uid} records the build).
+ */
+import { firestore } from '../config/firebaseAdmin.js';
+import { FieldValue } from 'firebase-admin/firestore';
+
+const inboxEntriesRef = firestore.collection('inboxEntries');
+const inboxStateRef = firestore.collection('inboxState');
+const conversationsRef = firestore.collection('conversations');
+
+// Bump to rebuild every inbox on next listing after a change to the entry shape
+const INBOX_VERSION = 1;
+// Firestore allows 500 writes per batch
+const BATCH_SIZE = 400;
+
+export const MAX_INBOX_PAGE_SIZE = 100;
+
+const inboxError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const entryRef = (userId, conversationId) => inboxEntriesRef.doc(`${userId}_${conversationId}`);
+
+// Conversation fields shared by every participant's entry
+const summarizeConversation = (conversation) => ({
+  conversationId: conversation.id,
+  type: conversation.type,
+  communityId: conversation.communityId || null,
+  isGroup: conversation.isGroup === true,
+  name: conversation.name || null,
+  avatarUrl: conversation.avatarUrl || null,
+  ownerId: conversation.ownerId || null,
+  participantIds: conversation.participantIds || [],
+  lastMessage: conversation.lastMessage ?? null,
+  lastMessageId: conversation.lastMessageId || null,
+  lastMessageAt: conversation.lastMessageAt || conversation.createdAt,
+  createdAt: conversation.createdAt || null,
+});
+
+// The user's own state, copied from participantReads/{uid}
+const userStateFrom = (readData) => {
+  const data = readData || {};
+  return {
+    unreadCount: data.unreadCount ?? 0,
+    muted: data.muted === true,
+    mutedUntil: data.mutedUntil || null,
+    archived: data.archived === true,
+    pinned: !!data.pinnedAt,
+    pinnedAt: data.pinnedAt || null,
+  };
+};
+
+const commitInChunks = async (items, write) => {
+  for (let i = 0; i < items.length; i += BATCH_SIZE) {
+    const batch = firestore.batch();
+    items.slice(i, i + BATCH_SIZE).forEach((item) => write(batch, item));
+    await batch.commit();
+  }
+};
+
+/**
+ * Create (or fully rewrite) entries for users who just gained access to a conversation
+ * @param {Object} conversation - Conversation document with id
+ * @param {string[]} userIds
+ */
+export const createInboxEntries = async (conversation, userIds) => {
+  if (userIds.length === 0) return;
+  const readsRef = conversationsRef.doc(conversation.id).collection('participantReads');
+  const readDocs = await firestore.getAll(...userIds.map((uid) => readsRef.doc(uid)));
+  const summary = summarizeConversation(conversation);
+  const now = new Date().toISOString();
+  await commitInChunks(userIds.map((uid, i) => [uid, readDocs[i].data()]), (batch, [uid, readData]) => {
+    batch.set(entryRef(uid, conversation.id), { userId: uid, ...summary, ...userStateFrom(readData), updatedAt: now });
+  });
+};
+
+/**
+ * Copy changed conversation details (name, avatar, members, latest message preview) into entries
+ * @param {Object} conversation - Conversation after the change
+ * @param {string[]} userIds - Current participants
+ */
+export const refreshInboxEntries = async (conversation, userIds) => {
+  const summary = summarizeConversation(conversation);
+  const now = new Date().toISOString();
+  await commitInChunks(userIds, (batch, uid) => {
+    batch.set(entryRef(uid, conversation.id), { userId: uid, ...summary, updatedAt: now }, { merge: true });
+  });
+};
+
+/**
+ * Record a new message: refresh every entry and count it as unread for everyone but the sender
+ * @param {Object} conversation - Conversation with the new lastMessage/lastMessageId/lastMessageAt
+ * @param {string[]} userIds - Current participants
+ * @param {string} senderId
+ */
+export const recordInboxMessage = async (conversation, userIds, senderId) => {
+  const summary = summarizeConversation(conversation);
+  const now = new Date().toISOString();
+  await commitInChunks(userIds, (batch, uid) => {
+    batch.set(entryRef(uid, conversation.id), {
+      userId: uid,
+      ...summary,
+      ...(uid !== senderId && { unreadCount: FieldValue.increment(1) }),
+      updatedAt: now,
+    }, { merge: true });
+  });
+};
+
+/**
+ * Mirror a user's read state and preferences after participantReads/{uid} changed
+ * @param {string} conversationId
+ * @param {string} userId
+ * @param {Object} readData - participantReads/{uid} data after the change
+ */
+export const syncInboxUserState = async (conversationId, userId, readData) => {
+  await entryRef(userId, conversationId).set(
+    { ...userStateFrom(readData), updatedAt: new Date().toISOString() },
+    { merge: true }
+  );
+};
+
+/**
+ * Remove entries for users who lost access to a conversation
+ * @param {string} conversationId
+ * @param {string[]} userIds
+ */
+export const removeInboxEntries = async (conversationId, userIds) => {
+  await commitInChunks(userIds, (batch, uid) => batch.delete(entryRef(uid, conversationId)));
+};
+
+/**
+ * Remove every user's entry for a conversation (when the conversation is deleted)
+ * @param {string} conversationId
+ */
+export const removeConversationInboxEntries = async (conversationId) => {
+  const snap = await inboxEntriesRef.where('conversationId', '==', conversationId).get();
+  await commitInChunks(snap.docs, (batch, doc) => batch.delete(doc.ref));
+};
+
+/**
+ * Build a user's inbox from scratch if it predates the index
+ * @param {string} userId
+ * @param {Function} loadConversations - async () => every conversation the user can access
+ */
+export const ensureInboxBuilt = async (userId, loadConversations) => {
+  const state = await inboxStateRef.doc(userId).get();
+  if (state.exists && state.data().version === INBOX_VERSION) return;
+
+  const conversations = await loadConversations();
+  const existing = await inboxEntriesRef.where('userId', '==', userId).get();
+  const current = new Set(conversations.map((c) => c.id));
+  await commitInChunks(existing.docs.filter((doc) => !current.has(doc.data().conversationId)), (batch, doc) => batch.delete(doc.ref));
+  for (const conversation of conversations) {
+    await createInboxEntries(conversation, [userId]);
+  }
+  await inboxStateRef.doc(userId).set({ version: INBOX_VERSION, builtAt: new Date().toISOString() });
+};
+
+// Cursors are opaque to clients: the sort key of the last entry on the page
+const encodeCursor = (entry) =>
+  Buffer.from(JSON.stringify([entry.pinned, entry.lastMessageAt, entry.conversationId])).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const values = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (Array.isArray(values) && values.length === 3 && typeof values[0] === 'boolean'
+      && typeof values[1] === 'string' && typeof values[2] === 'string') return values;
+  } catch {
+    // fall through
+  }
+  throw inboxError('Invalid cursor');
+};
+
+/**
+ * One page of a user's inbox: pinned first, then by latest message
+ * @param {string} userId
+ * @param {Object} options
+ * @param {boolean} [options.archived] - List archived conversations instead of the inbox
+ * @param {number} [options.limit]
+ * @param {string} [options.cursor] - nextCursor from the previous page
+ * @returns {Promise<{ entries: Object[], nextCursor: string|null }>}
+ */
+export const listInbox = async (userId, { archived = false, limit = 50, cursor } = {}) => {
+  let query = inboxEntriesRef
+    .where('userId', '==', userId)
+    .where('archived', '==', archived)
+    .orderBy('pinned', 'desc')
+    .orderBy('lastMessageAt', 'desc')
+    .orderBy('conversationId', 'desc');
+  if (cursor) query = query.startAfter(...decodeCursor(cursor));
+
+  const snapshot = await query.limit(limit + 1).get();
+  const entries = snapshot.docs.slice(0, limit).map((doc) => doc.data());
+  return {
+    entries,
+    nextCursor: snapshot.docs.length > limit ? encodeCursor(entries[entries.length - 1]) : null,
+  };
+};
+
+export default {
+  createInboxEntries,
+  refreshInboxEntries,
+  recordInboxMessage,
+  syncInboxUserState,
+  removeInboxEntries,
+  removeConversationInboxEntries,
+  ensureInboxBuilt,
+  listInbox,
+};
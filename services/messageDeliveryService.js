@@ -0,0 +1,203 @@
+/**
+ * Message delivery - everything that happens once a chat message is accepted or removed
+ *
+ * deliverMessage stores the message, indexes it for search, bumps its thread,
+ * updates the conversation preview, unread counts and inboxes, then tells
+ * clients over Socket.io (chat:new-message / chat:thread-updated in the
+ * conversation room, chat:notification to each recipient who hasn't muted it).
+ * Used by POST /api/chat/conversations/:id/messages and by moderators approving
+ * a held message.
+ *
+ * retractMessage is the reverse for a sender deleting their message or a
+ * moderator hiding it. purgeMessage and purgeConversation delete outright,
+ * leaving nothing behind and telling no one, for account erasure and
+ * retention clean-up.
+ */
+import { firestore } from '../config/firebaseAdmin.js';
+import { FieldValue } from 'firebase-admin/firestore';
+import { getUserProfile } from '../lib/user-helpers.js';
+import { getParticipantsForConversation, getNotificationRecipients } from './chatService.js';
+import { recordInboxMessage, refreshInboxEntries, removeConversationInboxEntries } from './inboxService.js';
+import { indexMessage, unindexMessage } from './chatSearchService.js';
+import { deleteMessageAttachments, deleteConversationAttachments } from './attachmentService.js';
+
+const conversationsRef = firestore.collection('conversations');
+const messagesRef = firestore.collection('messages');
+
+// Conversation list preview for a message that only has attachments
+export const ATTACHMENT_MESSAGE_PREVIEW = 'Sent an attachment';
+// Conversation list preview when the latest message is deleted
+export const DELETED_MESSAGE_PREVIEW = 'Message deleted';
+
+/**
+ * Store and deliver a new message
+ * @param {Object} io - Socket.io server (optional; nothing is emitted without it)
+ * @param {Object} conversation - Conversation document with id
+ * @param {string} messageId - Reserved message ID (attachments are already claimed for it)
+ * @param {Object} messageData - { conversationId, senderId, content, replyToId?, threadId?, attachments?, createdAt }
+ * @returns {Promise<Object>} - Stored message with id
+ */
+export const deliverMessage = async (io, conversation, messageId, messageData) => {
+  const { id } = conversation;
+  const { senderId, content, threadId, createdAt: now } = messageData;
+
+  await messagesRef.doc(messageId).set(messageData);
+  const message = { id: messageId, ...messageData };
+  await indexMessage(message);
+
+  let threadRoot = null;
+  if (threadId) {
+    const rootRef = messagesRef.doc(threadId);
+    await rootRef.update({ replyCount: FieldValue.increment(1), lastReplyAt: now });
+    threadRoot = (await rootRef.get()).data();
+  }
+
+  // Update conversation lastMessage
+  const preview = content.slice(0, 100) || ATTACHMENT_MESSAGE_PREVIEW;
+  const lastMessageUpdate = {
+    lastMessage: preview,
+    lastMessageId: messageId,
+    lastMessageAt: now,
+    updatedAt: now,
+  };
+  await conversationsRef.doc(id).update(lastMessageUpdate);
+
+  // Increment unread for all participants except sender
+  const participants = await getParticipantsForConversation(conversation);
+  const participantReadsRef = conversationsRef.doc(id).collection('participantReads');
+  await Promise.all(
+    participants
+      .filter((uid) => uid !== senderId)
+      .map((uid) =>
+        participantReadsRef.doc(uid).set(
+          { unreadCount: FieldValue.increment(1) },
+          { merge: true }
+        )
+      )
+  );
+  await recordInboxMessage({ ...conversation, ...lastMessageUpdate }, participants, senderId);
+
+  if (!io) return message;
+  const senderProfile = await getUserProfile(senderId);
+  const senderName = senderProfile?.displayName || senderProfile?.name || 'Unknown';
+
+  // Emit via Socket.io for real-time delivery
+  if (io.emitToConversation) {
+    io.emitToConversation(id, 'chat:new-message', { ...message, senderName });
+    if (threadRoot) {
+      io.emitToConversation(id, 'chat:thread-updated', {
+        conversationId: id,
+        threadId,
+        replyCount: threadRoot.replyCount || 0,
+        lastReplyAt: threadRoot.lastReplyAt,
+      });
+    }
+  }
+
+  // Notify participants wherever they are in the app, unless they muted the conversation
+  if (io.emitToUser) {
+    const recipients = await getNotificationRecipients(id, participants, senderId);
+    recipients.forEach((uid) => io.emitToUser(uid, 'chat:notification', {
+      conversationId: id,
+      messageId,
+      senderId,
+      senderName,
+      preview,
+      createdAt: now,
+    }));
+  }
+
+  return message;
+};
+
+/**
+ * Replace a message with a tombstone (deleted: true, no content) that keeps its
+ * place in the history; the text, its edit history and its attachments are removed.
+ * Emits chat:message-deleted.
+ * @param {Object} io - Socket.io server (optional)
+ * @param {Object} conversation - Conversation document with id
+ * @param {string} messageId
+ * @param {Object} [options] - { moderated: true when a moderator hid the message }
+ * @returns {Promise<string>} - deletedAt
+ */
+export const retractMessage = async (io, conversation, messageId, { moderated = false } = {}) => {
+  const { id } = conversation;
+  const messageRef = messagesRef.doc(messageId);
+  const now = new Date().toISOString();
+  const editsSnap = await messageRef.collection('edits').get();
+  const batch = firestore.batch();
+  editsSnap.docs.forEach((doc) => batch.delete(doc.ref));
+  batch.update(messageRef, {
+    content: '',
+    attachments: [],
+    deleted: true,
+    deletedAt: now,
+    ...(moderated && { removedByModeration: true }),
+  });
+  if (conversation.lastMessageId === messageId) {
+    batch.update(conversationsRef.doc(id), { lastMessage: DELETED_MESSAGE_PREVIEW, updatedAt: now });
+  }
+  await batch.commit();
+  if (conversation.lastMessageId === messageId) {
+    const participants = await getParticipantsForConversation(conversation);
+    await refreshInboxEntries({ ...conversation, lastMessage: DELETED_MESSAGE_PREVIEW }, participants);
+  }
+  await deleteMessageAttachments(messageId);
+  await unindexMessage(messageId);
+
+  if (io?.emitToConversation) {
+    io.emitToConversation(id, 'chat:message-deleted', {
+      id: messageId,
+      conversationId: id,
+      deletedAt: now,
+      ...(moderated && { removedByModeration: true }),
+    });
+  }
+  return now;
+};
+
+/**
+ * Delete a message with its edit history, files and search entry. The
+ * conversation preview is not touched.
+ * @param {string} messageId
+ */
+export const purgeMessage = async (messageId) => {
+  const messageRef = messagesRef.doc(messageId);
+  const editsSnap = await messageRef.collection('edits').get();
+  const batch = firestore.batch();
+  editsSnap.docs.forEach((doc) => batch.delete(doc.ref));
+  batch.delete(messageRef);
+  await batch.commit();
+  await deleteMessageAttachments(messageId);
+  await unindexMessage(messageId);
+};
+
+/**
+ * Delete a conversation with all its messages, files, read state and inbox entries
+ * @param {string} conversationId
+ * @returns {Promise<number>} - Number of messages deleted
+ */
+export const purgeConversation = async (conversationId) => {
+  const messagesSnap = await messagesRef.where('conversationId', '==', conversationId).get();
+  for (const doc of messagesSnap.docs) await purgeMessage(doc.id);
+  // Files uploaded but never sent
+  await deleteConversationAttachments(conversationId);
+
+  const convRef = conversationsRef.doc(conversationId);
+  const readsSnap = await convRef.collection('participantReads').get();
+  const batch = firestore.batch();
+  readsSnap.docs.forEach((doc) => batch.delete(doc.ref));
+  batch.delete(convRef);
+  await batch.commit();
+  await removeConversationInboxEntries(conversationId);
+  return messagesSnap.size;
+};
+
+export default {
+  ATTACHMENT_MESSAGE_PREVIEW,
+  DELETED_MESSAGE_PREVIEW,
+  deliverMessage,
+  retractMessage,
+  purgeMessage,
+  purgeConversation,
+};
@@ -0,0 +1,526 @@
+/**
+ * Moderation cases - one queue for everything that needs a moderator
+ *
+ * moderationCases/{id} (backend-only):
+ *   { tenantId, source, targetType, targetId, subjectUserId, content, context,
+ *     flags, confidence, reportIds, reportCount, status, assigneeId, assignedAt,
+ *     notes: [{ id, authorId, text, createdAt }], resolution: { actions, note,
+ *     resolvedBy, resolvedAt, applied, appliedAt }, createdAt, updatedAt,
+ *     subjectErased? (set with subjectUserId cleared when the subject's account is erased) }
+ *
+ * Cases are opened by chat screening (warned and held messages), user reports,
+ * background screening of profile bios and event/group descriptions, and
+ * unsafe /api/safety/check results. A target has at most one active case:
+ * new reports and flags for it are added to that case.
+ *
+ * A moderator claims a case (in_review), adds notes and resolves it with any
+ * of warn, hide_content, strike and suspend_user (services/enforcementService.js),
+ * or with none to dismiss it.
+ * Resolving settles the linked reports, and a held message is delivered
+ * unless its content is hidden.
+ */
+import crypto from 'crypto';
+import { firestore } from '../config/firebaseAdmin.js';
+import { FieldValue } from 'firebase-admin/firestore';
+import { checkContentSafety, getChatSafetyPolicy, SAFETY_ACTION } from './safetyService.js';
+import { getConversationById } from './chatService.js';
+import { retractMessage } from './messageDeliveryService.js';
+import { approveHeldMessage, rejectHeldMessage } from './heldMessageService.js';
+import { issueStrike, suspendUser, SUSPENSION_MODE } from './enforcementService.js';
+
+const casesRef = firestore.collection('moderationCases');
+const warningsRef = firestore.collection('userWarnings');
+const reportsRef = firestore.collection('reports');
+
+export const CASE_STATUS = {
+  OPEN: 'open',
+  IN_REVIEW: 'in_review',
+  RESOLVED: 'resolved',
+  DISMISSED: 'dismissed',
+};
+export const CASE_SOURCE = {
+  CHAT_SCREENING: 'chat_screening',
+  CONTENT_SCREENING: 'content_screening',
+  SAFETY_CHECK: 'safety_check',
+  USER_REPORT: 'user_report',
+};
+export const CASE_TARGET = {
+  MESSAGE: 'message',
+  HELD_MESSAGE: 'held_message',
+  PROFILE: 'profile',
+  EVENT: 'event',
+  GROUP: 'group',
+  USER: 'user',
+  CONTENT: 'content', // free text from /api/safety/check, not stored anywhere else; targetId is the author
+};
+export const RESOLUTION_ACTION = {
+  WARN: 'warn',
+  HIDE_CONTENT: 'hide_content',
+  STRIKE: 'strike',
+  SUSPEND_USER: 'suspend_user',
+};
+
+export const MAX_CASE_PAGE_SIZE = 100;
+export const MAX_CASE_NOTE_LENGTH = 2000;
+
+const ACTIVE_STATUSES = [CASE_STATUS.OPEN, CASE_STATUS.IN_REVIEW];
+const MAX_CASE_CONTENT_LENGTH = 5000;
+
+const moderationError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const isActive = (moderationCase) => ACTIVE_STATUSES.includes(moderationCase.status);
+
+/**
+ * Open a case, or add to the target's active case
+ * @param {Object} params
+ * @param {string} params.source - One of CASE_SOURCE
+ * @param {string} params.targetType - One of CASE_TARGET
+ * @param {string|null} params.targetId - null opens a case that nothing else is added to
+ * @param {string|null} params.subjectUserId - User responsible for the content
+ * @param {string|null} params.tenantId
+ * @param {string} [params.content] - Snapshot of the flagged text
+ * @param {Object} [params.context] - e.g. { conversationId, messageId, field }
+ * @param {Array} [params.flags] - AI safety flags
+ * @param {number} [params.confidence]
+ * @param {string} [params.reportId] - Report that raised the case
+ * @returns {Promise<Object>} - The case with id
+ */
+export const openCase = async ({
+  source,
+  targetType,
+  targetId,
+  subjectUserId,
+  tenantId,
+  content = '',
+  context = {},
+  flags = [],
+  confidence = null,
+  reportId = null,
+}) => {
+  const now = new Date().toISOString();
+  const moderationCase = {
+    tenantId: tenantId || null,
+    source,
+    targetType,
+    targetId: targetId || null,
+    subjectUserId: subjectUserId || null,
+    content: String(content || '').slice(0, MAX_CASE_CONTENT_LENGTH),
+    context,
+    flags,
+    confidence,
+    reportIds: reportId ? [reportId] : [],
+    reportCount: reportId ? 1 : 0,
+    status: CASE_STATUS.OPEN,
+    assigneeId: null,
+    assignedAt: null,
+    notes: [],
+    resolution: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  // Look up and create in one transaction so concurrent flags of a target share a case
+  const { ref, created } = await firestore.runTransaction(async (transaction) => {
+    if (targetId) {
+      const existing = await transaction.get(casesRef
+        .where('targetType', '==', targetType)
+        .where('targetId', '==', targetId)
+        .where('status', 'in', ACTIVE_STATUSES)
+        .limit(1));
+      if (!existing.empty) {
+        const existingRef = existing.docs[0].ref;
+        transaction.update(existingRef, {
+          ...(flags.length > 0 && { flags: FieldValue.arrayUnion(...flags) }),
+          ...(reportId && { reportIds: FieldValue.arrayUnion(reportId), reportCount: FieldValue.increment(1) }),
+          updatedAt: now,
+        });
+        return { ref: existingRef, created: false };
+      }
+    }
+
+    const newRef = casesRef.doc();
+    transaction.create(newRef, moderationCase);
+    return { ref: newRef, created: true };
+  });
+
+  if (created) return { id: ref.id, ...moderationCase };
+  return { id: ref.id, ...(await ref.get()).data() };
+};
+
+/**
+ * openCase for callers whose own work has already succeeded: failures are logged, not thrown
+ * @param {Object} params - As for openCase
+ * @returns {Promise<Object|null>}
+ */
+export const flagForModeration = async (params) => {
+  try {
+    return await openCase(params);
+  } catch (err) {
+    console.error(`❌ Failed to open moderation case for ${params.targetType}/${params.targetId}:`, err);
+    return null;
+  }
+};
+
+/**
+ * Screen user-written text (profile bio, event or group description) and open a
+ * case if the AI flags it. Runs only for tenants that screen chat, never throws,
+ * and the content stays visible until a moderator hides it.
+ * @param {Object} params
+ * @param {string} params.userId - Author
+ * @param {string|null} params.tenantId
+ * @param {string} params.content
+ * @param {string} params.targetType - CASE_TARGET.PROFILE, EVENT or GROUP
+ * @param {string} params.targetId
+ * @param {Object} [params.context] - e.g. { field: 'bio' }
+ * @returns {Promise<Object|null>} - The case, if one was opened
+ */
+export const screenContentForModeration = async ({ userId, tenantId, content, targetType, targetId, context = {} }) => {
+  try {
+    if (!content || !content.trim()) return null;
+    const policy = await getChatSafetyPolicy(tenantId);
+    if (policy.action === SAFETY_ACTION.ALLOW) return null;
+
+    const result = await checkContentSafety({ userId, tenantId, content, contentType: targetType });
+    if (result.safe !== false) return null;
+    return await openCase({
+      source: CASE_SOURCE.CONTENT_SCREENING,
+      targetType,
+      targetId,
+      subjectUserId: userId,
+      tenantId,
+      content,
+      context,
+      flags: result.flags,
+      confidence: result.confidence,
+    });
+  } catch (err) {
+    console.error(`❌ Content screening failed for ${targetType}/${targetId}:`, err.message);
+    return null;
+  }
+};
+
+/**
+ * Get a case by id
+ * @param {string} caseId
+ * @returns {Promise<Object|null>}
+ */
+export const getCase = async (caseId) => {
+  const doc = await casesRef.doc(caseId).get();
+  return doc.exists ? { id: doc.id, ...doc.data() } : null;
+};
+
+/**
+ * List cases, newest first
+ * @param {Object} filters
+ * @param {string} [filters.status]
+ * @param {string} [filters.source]
+ * @param {string} [filters.targetType]
+ * @param {string|null} [filters.assigneeId] - null lists unassigned cases
+ * @param {string} [filters.subjectUserId]
+ * @param {string} [filters.tenantId]
+ * @param {number} [filters.limit]
+ * @param {string} [filters.cursor] - Id of the last case of the previous page
+ * @returns {Promise<{ cases: Object[], nextCursor: string|null }>}
+ */
+export const listCases = async ({ status, source, targetType, assigneeId, subjectUserId, tenantId, limit = 50, cursor } = {}) => {
+  let query = casesRef;
+  if (tenantId) query = query.where('tenantId', '==', tenantId);
+  if (status) query = query.where('status', '==', status);
+  if (source) query = query.where('source', '==', source);
+  if (targetType) query = query.where('targetType', '==', targetType);
+  if (assigneeId !== undefined) query = query.where('assigneeId', '==', assigneeId);
+  if (subjectUserId) query = query.where('subjectUserId', '==', subjectUserId);
+  query = query.orderBy('createdAt', 'desc');
+
+  if (cursor) {
+    const cursorDoc = await casesRef.doc(cursor).get();
+    if (cursorDoc.exists) query = query.startAfter(cursorDoc);
+  }
+
+  const snapshot = await query.limit(limit).get();
+  const cases = snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+  return {
+    cases,
+    nextCursor: cases.length === limit ? cases[cases.length - 1].id : null,
+  };
+};
+
+// Read-modify-write a case in a transaction
+const updateCase = (caseId, change) =>
+  firestore.runTransaction(async (transaction) => {
+    const ref = casesRef.doc(caseId);
+    const doc = await transaction.get(ref);
+    if (!doc.exists) throw moderationError('Case not found', 404);
+    const moderationCase = { id: doc.id, ...doc.data() };
+    const update = { ...change(moderationCase), updatedAt: new Date().toISOString() };
+    transaction.update(ref, update);
+    return { ...moderationCase, ...update };
+  });
+
+/**
+ * Claim a case for review
+ * @param {string} caseId
+ * @param {string} moderatorId
+ * @param {Object} [options] - { force: take over a case someone else claimed }
+ * @returns {Promise<Object>} - The updated case
+ */
+export const claimCase = (caseId, moderatorId, { force = false } = {}) =>
+  updateCase(caseId, (moderationCase) => {
+    if (!isActive(moderationCase)) throw moderationError(`Case is already ${moderationCase.status}`, 409);
+    if (moderationCase.assigneeId && moderationCase.assigneeId !== moderatorId && !force) {
+      throw moderationError('Case is claimed by another moderator', 409);
+    }
+    return { status: CASE_STATUS.IN_REVIEW, assigneeId: moderatorId, assignedAt: new Date().toISOString() };
+  });
+
+/**
+ * Give a claimed case back to the queue (assignee only)
+ * @param {string} caseId
+ * @param {string} moderatorId
+ * @returns {Promise<Object>} - The updated case
+ */
+export const releaseCase = (caseId, moderatorId) =>
+  updateCase(caseId, (moderationCase) => {
+    if (!isActive(moderationCase)) throw moderationError(`Case is already ${moderationCase.status}`, 409);
+    if (moderationCase.assigneeId !== moderatorId) throw moderationError('Only the assignee can release this case', 403);
+    return { status: CASE_STATUS.OPEN, assigneeId: null, assignedAt: null };
+  });
+
+/**
+ * Add a note to a case
+ * @param {string} caseId
+ * @param {string} authorId
+ * @param {string} text
+ * @returns {Promise<Object>} - The new note
+ */
+export const addCaseNote = async (caseId, authorId, text) => {
+  const note = { id: crypto.randomUUID(), authorId, text: text.trim(), createdAt: new Date().toISOString() };
+  await updateCase(caseId, () => ({ notes: FieldValue.arrayUnion(note) }));
+  return note;
+};
+
+// Deliver or discard the held message a case is about, and tell its sender
+const settleHeldMessageCase = async (moderationCase, { hide, moderatorId, note, io }) => {
+  const review = { reviewerId: moderatorId, note };
+  let heldMessage;
+  if (hide) {
+    heldMessage = await rejectHeldMessage(moderationCase.targetId, review);
+  } else {
+    try {
+      ({ heldMessage } = await approveHeldMessage(moderationCase.targetId, { ...review, io }));
+    } catch (err) {
+      // The sender can no longer post there, so the message can only be discarded
+      if (err.status !== 409) throw err;
+      heldMessage = await rejectHeldMessage(moderationCase.targetId, review);
+    }
+  }
+  io?.emitToUser?.(heldMessage.senderId, 'chat:message-reviewed', {
+    id: heldMessage.id,
+    conversationId: heldMessage.conversationId,
+    status: heldMessage.status,
+    reviewedAt: heldMessage.reviewedAt,
+  });
+};
+
+// Hide the content a case is about
+const hideCaseContent = async (moderationCase, { io }) => {
+  const { targetType, targetId, context } = moderationCase;
+  const messageId = targetType === CASE_TARGET.MESSAGE ? targetId : context?.messageId;
+
+  if (messageId && (targetType === CASE_TARGET.MESSAGE || targetType === CASE_TARGET.USER)) {
+    const message = (await firestore.collection('messages').doc(messageId).get()).data();
+    const conversation = message && (await getConversationById(message.conversationId));
+    if (conversation && !message.deleted) await retractMessage(io, conversation, messageId, { moderated: true });
+  } else if (targetType === CASE_TARGET.PROFILE) {
+    await firestore.collection('profiles').doc(targetId).set(
+      { bio: '', bioHiddenAt: new Date().toISOString(), updatedAt: new Date().toISOString() },
+      { merge: true }
+    );
+  } else if (targetType === CASE_TARGET.EVENT || targetType === CASE_TARGET.GROUP) {
+    // Hidden events and groups drop out of every student listing (they only show 'approved')
+    const ref = firestore.collection(targetType === CASE_TARGET.EVENT ? 'events' : 'groups').doc(targetId);
+    const doc = await ref.get();
+    if (doc.exists && doc.data().status !== 'hidden') {
+      await ref.update({ status: 'hidden', hiddenFromStatus: doc.data().status, updatedAt: new Date().toISOString() });
+    }
+  }
+};
+
+// Record a warning the user can see and tell their connected clients
+const warnUser = async (moderationCase, { note, io }) => {
+  const warning = {
+    userId: moderationCase.subjectUserId,
+    caseId: moderationCase.id,
+    tenantId: moderationCase.tenantId,
+    reason: (note || '').trim() || null,
+    targetType: moderationCase.targetType,
+    createdAt: new Date().toISOString(),
+  };
+  const docRef = await warningsRef.add(warning);
+  io?.emitToUser?.(warning.userId, 'moderation:warning', { id: docRef.id, reason: warning.reason, createdAt: warning.createdAt });
+};
+
+const canHide = (moderationCase) => {
+  const { targetType, context } = moderationCase;
+  if (targetType === CASE_TARGET.CONTENT) return false;
+  if (targetType === CASE_TARGET.USER) return !!context?.messageId;
+  return true;
+};
+
+/**
+ * Resolve a case. With no actions it is dismissed. If an action fails, the same
+ * moderator can resolve it again to finish.
+ * @param {string} caseId
+ * @param {Object} resolution
+ * @param {string} resolution.moderatorId
+ * @param {string[]} resolution.actions - Any of RESOLUTION_ACTION
+ * @param {string} [resolution.note] - Shown to the user with a warning, strike or suspension
+ * @param {Object} [resolution.suspension] - { mode, durationHours? } for suspend_user (default: full, until lifted)
+ * @param {Object} [resolution.io] - Socket.io server
+ * @returns {Promise<Object>} - The resolved case
+ */
+export const resolveCase = async (caseId, { moderatorId, actions = [], note, suspension = {}, io }) => {
+  const current = await getCase(caseId);
+  if (!current) throw moderationError('Case not found', 404);
+  const needsSubject = [RESOLUTION_ACTION.WARN, RESOLUTION_ACTION.STRIKE, RESOLUTION_ACTION.SUSPEND_USER]
+    .some((action) => actions.includes(action));
+  if (needsSubject && !current.subjectUserId) throw moderationError('This case has no user to warn, strike or suspend');
+  const needsReason = actions.includes(RESOLUTION_ACTION.STRIKE) || actions.includes(RESOLUTION_ACTION.SUSPEND_USER);
+  if (needsReason && !(note || '').trim()) throw moderationError('A note is required to strike or suspend a user; it is shown to them');
+  if (actions.includes(RESOLUTION_ACTION.HIDE_CONTENT) && !canHide(current)) {
+    throw moderationError('This case has no stored content to hide');
+  }
+
+  // Settle the case first so two moderators can't both apply actions. Until
+  // resolution.appliedAt is set the same moderator can resolve again, e.g. after
+  // an action failed; steps already in resolution.applied are not repeated
+  const isUnfinished = (latest) => latest.resolution?.appliedAt === null && latest.resolution.resolvedBy === moderatorId;
+  const status = actions.length > 0 ? CASE_STATUS.RESOLVED : CASE_STATUS.DISMISSED;
+  const moderationCase = await updateCase(caseId, (latest) => {
+    if (!isActive(latest) && !isUnfinished(latest)) throw moderationError(`Case is already ${latest.status}`, 409);
+    if (latest.assigneeId && latest.assigneeId !== moderatorId) {
+      throw moderationError('Case is claimed by another moderator', 409);
+    }
+    return {
+      status,
+      assigneeId: moderatorId,
+      resolution: {
+        actions,
+        note: (note || '').trim() || null,
+        resolvedBy: moderatorId,
+        resolvedAt: new Date().toISOString(),
+        applied: isUnfinished(latest) ? latest.resolution.applied || [] : [],
+        appliedAt: null,
+      },
+    };
+  });
+
+  const ref = casesRef.doc(caseId);
+  const applied = new Set(moderationCase.resolution.applied);
+  const step = async (name, apply) => {
+    if (applied.has(name)) return;
+    await apply();
+    await ref.update({ 'resolution.applied': FieldValue.arrayUnion(name) });
+    applied.add(name);
+  };
+
+  const hide = actions.includes(RESOLUTION_ACTION.HIDE_CONTENT);
+  if (moderationCase.targetType === CASE_TARGET.HELD_MESSAGE) {
+    // A held message goes out now unless its content is hidden
+    await step('held_message', () => settleHeldMessageCase(moderationCase, { hide, moderatorId, note, io }));
+  } else if (hide) {
+    await step(RESOLUTION_ACTION.HIDE_CONTENT, () => hideCaseContent(moderationCase, { io }));
+  }
+  if (actions.includes(RESOLUTION_ACTION.WARN)) {
+    await step(RESOLUTION_ACTION.WARN, () => warnUser(moderationCase, { note, io }));
+  }
+  if (actions.includes(RESOLUTION_ACTION.STRIKE)) {
+    await step(RESOLUTION_ACTION.STRIKE, () => issueStrike(moderationCase.subjectUserId, { reason: note, issuedBy: moderatorId, caseId }));
+  }
+  if (actions.includes(RESOLUTION_ACTION.SUSPEND_USER)) {
+    await step(RESOLUTION_ACTION.SUSPEND_USER, () => suspendUser(moderationCase.subjectUserId, {
+      mode: suspension.mode || SUSPENSION_MODE.FULL,
+      reason: note,
+      durationHours: suspension.durationHours,
+      issuedBy: moderatorId,
+      caseId,
+    }));
+    // Reconnecting sockets pick up the suspension in the handshake
+    io?.disconnectUser?.(moderationCase.subjectUserId);
+  }
+
+  if (moderationCase.reportIds.length > 0) {
+    const now = new Date().toISOString();
+    const batch = firestore.batch();
+    moderationCase.reportIds.forEach((reportId) => batch.update(reportsRef.doc(reportId), {
+      status,
+      resolutionNote: moderationCase.resolution.note,
+      reviewedBy: moderatorId,
+      reviewedAt: now,
+      updatedAt: now,
+    }));
+    await batch.commit();
+  }
+
+  const appliedAt = new Date().toISOString();
+  await ref.update({ 'resolution.applied': [...applied], 'resolution.appliedAt': appliedAt });
+  moderationCase.resolution = { ...moderationCase.resolution, applied: [...applied], appliedAt };
+  return moderationCase;
+};
+
+/**
+ * Close the active case for a target that was dealt with outside the case
+ * (e.g. a held message approved from /api/admin/held-messages)
+ * @param {string} targetType
+ * @param {string} targetId
+ * @param {Object} resolution - { moderatorId, actions, note }
+ * @returns {Promise<void>}
+ */
+export const closeCasesForTarget = async (targetType, targetId, { moderatorId, actions = [], note }) => {
+  const snapshot = await casesRef
+    .where('targetType', '==', targetType)
+    .where('targetId', '==', targetId)
+    .where('status', 'in', ACTIVE_STATUSES)
+    .get();
+  const now = new Date().toISOString();
+  await Promise.all(snapshot.docs.map((doc) => doc.ref.update({
+    status: actions.length > 0 ? CASE_STATUS.RESOLVED : CASE_STATUS.DISMISSED,
+    resolution: { actions, note: (note || '').trim() || null, resolvedBy: moderatorId, resolvedAt: now, applied: [], appliedAt: now },
+    updatedAt: now,
+  })));
+};
+
+/**
+ * Warnings a user has received, newest first
+ * @param {string} userId
+ * @returns {Promise<Object[]>}
+ */
+export const listUserWarnings = async (userId) => {
+  const snapshot = await warningsRef.where('userId', '==', userId).orderBy('createdAt', 'desc').get();
+  return snapshot.docs.map((doc) => {
+    const { reason, targetType, createdAt } = doc.data();
+    return { id: doc.id, reason, targetType, createdAt };
+  });
+};
+
+export default {
+  CASE_STATUS,
+  CASE_SOURCE,
+  CASE_TARGET,
+  RESOLUTION_ACTION,
+  openCase,
+  flagForModeration,
+  screenContentForModeration,
+  getCase,
+  listCases,
+  claimCase,
+  releaseCase,
+  addCaseNote,
+  resolveCase,
+  closeCasesForTarget,
+  listUserWarnings,
+};
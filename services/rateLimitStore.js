@@ -0,0 +1,100 @@
+/**
+ * Rate limit stores - fixed-window hit counters shared by the rate-limit middleware
+ *
+ * Store interface:
+ *   increment(key, windowMs) => Promise<{ count: number, resetAt: number }>
+ *   reset(key) => Promise<void>
+ */
+import Redis from 'ioredis';
+
+/**
+ * In-memory store (single process). Expired windows are swept periodically so the map does not grow forever.
+ * @param {Object} options - { sweepIntervalMs }
+ * @returns {Object} - Rate limit store
+ */
+export const createMemoryStore = ({ sweepIntervalMs = 60 * 1000 } = {}) => {
+  const hits = new Map();
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(key);
+    }
+  }, sweepIntervalMs);
+  // Never keep the process alive just for the sweeper
+  sweep.unref?.();
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      let entry = hits.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        hits.set(key, entry);
+      }
+      entry.count += 1;
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+    async reset(key) {
+      hits.delete(key);
+    },
+  };
+};
+
+// INCR + PEXPIRE on first hit, atomically, returning the count and remaining TTL
+const INCREMENT_SCRIPT = `
+local count = redis.call('INCR', KEYS[1])
+if count == 1 then redis.call('PEXPIRE', KEYS[1], ARGV[1]) end
+local ttl = redis.call('PTTL', KEYS[1])
+if ttl < 0 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+  ttl = tonumber(ARGV[1])
+end
+return { count, ttl }
+`;
+
+/**
+ * Redis-compatible store (Redis, Valkey, KeyDB...) shared across replicas and restarts.
+ * @param {Object} client - ioredis client (or any client exposing eval/del with the same signature)
+ * @param {Object} options - { prefix }
+ * @returns {Object} - Rate limit store
+ */
+export const createRedisStore = (client, { prefix = 'ratelimit:' } = {}) => ({
+  async increment(key, windowMs) {
+    const [count, ttl] = await client.eval(INCREMENT_SCRIPT, 1, `${prefix}${key}`, windowMs);
+    return { count: Number(count), resetAt: Date.now() + Number(ttl) };
+  },
+  async reset(key) {
+    await client.del(`${prefix}${key}`);
+  },
+});
+
+let defaultStore = null;
+
+/**
+ * Shared store used when a limiter is not given one.
+ * Uses Redis when RATE_LIMIT_REDIS_URL is set, otherwise falls back to memory.
+ * @returns {Object} - Rate limit store
+ */
+export const getDefaultRateLimitStore = () => {
+  if (defaultStore) return defaultStore;
+
+  const redisUrl = process.env.RATE_LIMIT_REDIS_URL;
+  if (redisUrl) {
+    const client = new Redis(redisUrl, { maxRetriesPerRequest: 1, enableOfflineQueue: false });
+    client.on('error', (err) => {
+      console.error('Rate limit Redis error:', err.message);
+    });
+    defaultStore = createRedisStore(client);
+    console.log('🚦 Rate limiting backed by Redis');
+  } else {
+    defaultStore = createMemoryStore();
+  }
+  return defaultStore;
+};
+
+export default {
+  createMemoryStore,
+  createRedisStore,
+  getDefaultRateLimitStore,
+};
@@ -0,0 +1,186 @@
+/**
+ * User reports - the moderation queue for reported users
+ *
+ * reports/{id} (backend-only):
+ *   { reporterId, reportedUserId, tenantId, reason, details, conversationId,
+ *     messageId, evidence: { content, createdAt } | null, status, resolutionNote,
+ *     caseId, reviewedBy, reviewedAt, createdAt, updatedAt }
+ *
+ * Reports start 'open'. Each one is added to the moderation case for the
+ * reported message (or the reported user when no message is given), and
+ * resolving that case settles the report; staff with content:moderate can
+ * also mark a report 'resolved' or 'dismissed' directly from
+ * /api/admin/reports. A reported message is copied into evidence so later
+ * edits or deletion don't hide it from moderators.
+ */
+import { firestore } from '../config/firebaseAdmin.js';
+import { getDocTenantId } from '../lib/tenantScope.js';
+import { canAccessConversation } from './chatService.js';
+import { flagForModeration, CASE_SOURCE, CASE_TARGET } from './moderationService.js';
+
+const reportsRef = firestore.collection('reports');
+const usersRef = firestore.collection('users');
+const messagesRef = firestore.collection('messages');
+const conversationsRef = firestore.collection('conversations');
+
+export const REPORT_REASONS = ['harassment', 'spam', 'inappropriate', 'impersonation', 'safety', 'other'];
+export const REPORT_STATUS = {
+  OPEN: 'open',
+  RESOLVED: 'resolved',
+  DISMISSED: 'dismissed',
+};
+
+export const MAX_REPORT_DETAILS_LENGTH = 2000;
+export const MAX_REPORT_PAGE_SIZE = 100;
+
+const reportError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// The reported message, if the reporter can see it and the reported user sent it
+const loadEvidence = async (messageId, reporterId, reportedUserId) => {
+  const messageDoc = await messagesRef.doc(messageId).get();
+  if (!messageDoc.exists || messageDoc.data().senderId !== reportedUserId) {
+    throw reportError('messageId must be a message sent by the reported user');
+  }
+  const message = messageDoc.data();
+  const convDoc = await conversationsRef.doc(message.conversationId).get();
+  if (!convDoc.exists || !(await canAccessConversation({ id: convDoc.id, ...convDoc.data() }, reporterId))) {
+    throw reportError('messageId must be a message sent by the reported user');
+  }
+  return {
+    conversationId: message.conversationId,
+    evidence: { content: message.content || '', createdAt: message.createdAt },
+  };
+};
+
+/**
+ * File a report against a user
+ * @param {Object} params
+ * @param {string} params.reporterId
+ * @param {string} params.reportedUserId
+ * @param {string} params.reason - One of REPORT_REASONS
+ * @param {string} [params.details]
+ * @param {string} [params.messageId] - Message being reported (its conversation is recorded too)
+ * @returns {Promise<Object>} - The report with id
+ */
+export const createReport = async ({ reporterId, reportedUserId, reason, details, messageId }) => {
+  if (reporterId === reportedUserId) throw reportError('You cannot report yourself');
+  if (!REPORT_REASONS.includes(reason)) throw reportError(`reason must be one of: ${REPORT_REASONS.join(', ')}`);
+
+  const reportedDoc = await usersRef.doc(reportedUserId).get();
+  if (!reportedDoc.exists) throw reportError('User not found', 404);
+
+  const context = messageId
+    ? await loadEvidence(messageId, reporterId, reportedUserId)
+    : { conversationId: null, evidence: null };
+
+  const now = new Date().toISOString();
+  const report = {
+    reporterId,
+    reportedUserId,
+    tenantId: getDocTenantId(reportedDoc.data()),
+    reason,
+    details: (details || '').trim(),
+    conversationId: context.conversationId,
+    messageId: messageId || null,
+    evidence: context.evidence,
+    status: REPORT_STATUS.OPEN,
+    resolutionNote: null,
+    reviewedBy: null,
+    reviewedAt: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+  const docRef = await reportsRef.add(report);
+
+  const moderationCase = await flagForModeration({
+    source: CASE_SOURCE.USER_REPORT,
+    targetType: messageId ? CASE_TARGET.MESSAGE : CASE_TARGET.USER,
+    targetId: messageId || reportedUserId,
+    subjectUserId: reportedUserId,
+    tenantId: report.tenantId,
+    content: context.evidence?.content || report.details,
+    context: { conversationId: context.conversationId, messageId: messageId || null, reason },
+    reportId: docRef.id,
+  });
+  report.caseId = moderationCase?.id || null;
+  if (report.caseId) await docRef.update({ caseId: report.caseId });
+  return { id: docRef.id, ...report };
+};
+
+/**
+ * Get a report by id
+ * @param {string} reportId
+ * @returns {Promise<Object|null>}
+ */
+export const getReport = async (reportId) => {
+  const doc = await reportsRef.doc(reportId).get();
+  return doc.exists ? { id: doc.id, ...doc.data() } : null;
+};
+
+/**
+ * List reports, newest first
+ * @param {Object} filters
+ * @param {string} [filters.status]
+ * @param {string} [filters.reason]
+ * @param {string} [filters.reportedUserId]
+ * @param {string} [filters.tenantId]
+ * @param {number} [filters.limit]
+ * @param {string} [filters.cursor] - Id of the last report of the previous page
+ * @returns {Promise<{ reports: Object[], nextCursor: string|null }>}
+ */
+export const listReports = async ({ status, reason, reportedUserId, tenantId, limit = 50, cursor } = {}) => {
+  let query = reportsRef;
+  if (tenantId) query = query.where('tenantId', '==', tenantId);
+  if (status) query = query.where('status', '==', status);
+  if (reason) query = query.where('reason', '==', reason);
+  if (reportedUserId) query = query.where('reportedUserId', '==', reportedUserId);
+  query = query.orderBy('createdAt', 'desc');
+
+  if (cursor) {
+    const cursorDoc = await reportsRef.doc(cursor).get();
+    if (cursorDoc.exists) query = query.startAfter(cursorDoc);
+  }
+
+  const snapshot = await query.limit(limit).get();
+  const reports = snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+  return {
+    reports,
+    nextCursor: reports.length === limit ? reports[reports.length - 1].id : null,
+  };
+};
+
+/**
+ * Record a moderator's review of a report
+ * @param {string} reportId
+ * @param {Object} review
+ * @param {string} review.status - One of REPORT_STATUS ('open' reopens)
+ * @param {string} [review.note]
+ * @param {string} review.reviewerId
+ * @returns {Promise<Object>} - The updated report
+ */
+export const reviewReport = async (reportId, { status, note, reviewerId }) => {
+  const now = new Date().toISOString();
+  const reopened = status === REPORT_STATUS.OPEN;
+  const update = {
+    status,
+    resolutionNote: reopened ? null : (note || '').trim() || null,
+    reviewedBy: reopened ? null : reviewerId,
+    reviewedAt: reopened ? null : now,
+    updatedAt: now,
+  };
+  await reportsRef.doc(reportId).update(update);
+  return getReport(reportId);
+};
+
+export default {
+  REPORT_REASONS,
+  REPORT_STATUS,
+  createReport,
+  getReport,
+  listReports,
+  reviewReport,
+};
@@ -0,0 +1,322 @@
+/**
+ * Data retention - clearing out data once it is no longer needed
+ *
+ * admin/retention holds the policy; each rule is a maximum age, or null to keep
+ * that data forever:
+ *   { staleLocationMinutes, helpJourneyDays, messageDays, rejectedSubmissionDays,
+ *     updatedAt, updatedBy }
+ * retentionRuns/{id} (backend-only) is the report of each run:
+ *   { trigger, triggeredBy, dryRun, policy, rules: { [rule]: { enabled, cutoff,
+ *     matched, removed, error? } }, status, startedAt, finishedAt, durationMs }
+ *
+ * Rules:
+ *   staleLocation       - profile coordinates (locationLat/Lng, geohash) not
+ *                         updated for staleLocationMinutes, or with no valid
+ *                         locationUpdatedAt, are cleared
+ *   helpJourneys        - help journey events older than helpJourneyDays are deleted
+ *   messages            - chat messages older than messageDays are deleted with
+ *                         their edits and files
+ *   rejectedSubmissions - events and groups rejected more than
+ *                         rejectedSubmissionDays ago are deleted (with a
+ *                         group's community chat)
+ *
+ * Runs come from the scheduler (scheduler/scheduler.js), the CLI
+ * (scripts/runRetention.js) or POST /api/admin/retention/run. A dry run counts
+ * what would be removed without changing anything. Each rule runs on its own,
+ * so one failing doesn't stop the others. Every run holds the scheduler's lease
+ * and renews it before each rule and batch; if the lease was lost the rules
+ * left are recorded as failed instead of running alongside another run.
+ */
+import { firestore } from '../config/firebaseAdmin.js';
+import { getParticipantsForConversation } from './chatService.js';
+import { refreshInboxEntries } from './inboxService.js';
+import { purgeMessage, purgeConversation } from './messageDeliveryService.js';
+
+const policyRef = firestore.collection('admin').doc('retention');
+const runsRef = firestore.collection('retentionRuns');
+const profilesRef = firestore.collection('profiles');
+const messagesRef = firestore.collection('messages');
+const conversationsRef = firestore.collection('conversations');
+
+export const RETENTION_RULE = {
+  STALE_LOCATION: 'staleLocation',
+  HELP_JOURNEYS: 'helpJourneys',
+  MESSAGES: 'messages',
+  REJECTED_SUBMISSIONS: 'rejectedSubmissions',
+};
+
+export const RETENTION_TRIGGER = {
+  SCHEDULE: 'schedule',
+  CLI: 'cli',
+  ADMIN: 'admin',
+};
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Policy field, its unit and accepted range for each rule
+export const RETENTION_POLICY_FIELDS = {
+  staleLocationMinutes: { rule: RETENTION_RULE.STALE_LOCATION, unitMs: MINUTE_MS, min: 5, max: 60 * 24 * 30 },
+  helpJourneyDays: { rule: RETENTION_RULE.HELP_JOURNEYS, unitMs: DAY_MS, min: 1, max: 3650 },
+  messageDays: { rule: RETENTION_RULE.MESSAGES, unitMs: DAY_MS, min: 1, max: 3650 },
+  rejectedSubmissionDays: { rule: RETENTION_RULE.REJECTED_SUBMISSIONS, unitMs: DAY_MS, min: 1, max: 3650 },
+};
+
+// Nothing is removed until an admin sets a rule
+export const DEFAULT_RETENTION_POLICY = {
+  staleLocationMinutes: null,
+  helpJourneyDays: null,
+  messageDays: null,
+  rejectedSubmissionDays: null,
+};
+
+export const MAX_RETENTION_RUN_PAGE_SIZE = 100;
+
+// Firestore allows 500 writes per batch
+const BATCH_SIZE = 400;
+
+/**
+ * The retention policy, with defaults for rules an admin hasn't set
+ * @returns {Promise<Object>}
+ */
+export const getRetentionPolicy = async () => {
+  const doc = await policyRef.get();
+  return { ...DEFAULT_RETENTION_POLICY, ...(doc.exists ? doc.data() : {}) };
+};
+
+/**
+ * Whether a value is accepted for a policy field (null turns the rule off)
+ * @param {string} field - Key of RETENTION_POLICY_FIELDS
+ * @param {*} value
+ * @returns {boolean}
+ */
+export const isValidRetentionValue = (field, value) => {
+  const { min, max } = RETENTION_POLICY_FIELDS[field];
+  return value === null || (Number.isInteger(value) && value >= min && value <= max);
+};
+
+/**
+ * Change some of the retention rules
+ * @param {Object} changes - Policy fields to set
+ * @param {string} updatedBy
+ * @returns {Promise<{ before: Object, policy: Object }>}
+ */
+export const updateRetentionPolicy = async (changes, updatedBy) => {
+  const before = await getRetentionPolicy();
+  const update = {
+    ...Object.fromEntries(Object.keys(RETENTION_POLICY_FIELDS).filter((f) => f in changes).map((f) => [f, changes[f]])),
+    updatedAt: new Date().toISOString(),
+    updatedBy,
+  };
+  await policyRef.set(update, { merge: true });
+  return { before, policy: { ...before, ...update } };
+};
+
+// Work through a query's matches a batch at a time; handle() must stop them matching
+const drainQuery = async (query, handle, keepLease) => {
+  let removed = 0;
+  for (;;) {
+    await keepLease();
+    const snapshot = await query.limit(BATCH_SIZE).get();
+    if (snapshot.empty) return removed;
+    await handle(snapshot.docs);
+    removed += snapshot.size;
+  }
+};
+
+const deleteBatch = async (docs) => {
+  const batch = firestore.batch();
+  docs.forEach((doc) => batch.delete(doc.ref));
+  await batch.commit();
+};
+
+// locationUpdatedAt is an ISO string when the API sets it but a Timestamp when
+// the migration scripts did; anything else gives NaN
+const locationUpdatedAtMs = (value) => {
+  if (typeof value?.toMillis === 'function') return value.toMillis();
+  return typeof value === 'string' ? new Date(value).getTime() : NaN;
+};
+
+const clearStaleLocations = async (cutoff, dryRun, keepLease) => {
+  // A range query only matches one of those types, so check every profile that
+  // has coordinates; coordinates without a usable locationUpdatedAt are stale too
+  const cutoffMs = new Date(cutoff).getTime();
+  const query = profilesRef.where('locationLat', '!=', null).orderBy('locationLat').limit(BATCH_SIZE);
+  let matched = 0;
+  let last = null;
+  for (;;) {
+    await keepLease();
+    const snapshot = await (last ? query.startAfter(last) : query).get();
+    if (snapshot.empty) break;
+    last = snapshot.docs[snapshot.docs.length - 1];
+
+    const stale = snapshot.docs.filter((doc) => !(locationUpdatedAtMs(doc.data().locationUpdatedAt) >= cutoffMs));
+    matched += stale.length;
+    if (!dryRun && stale.length > 0) {
+      const batch = firestore.batch();
+      stale.forEach((doc) => batch.update(doc.ref, {
+        locationLat: null,
+        locationLng: null,
+        locationText: '',
+        geohash: null,
+        locationUpdatedAt: null,
+      }));
+      await batch.commit();
+    }
+    if (snapshot.size < BATCH_SIZE) break;
+  }
+  return { matched, removed: dryRun ? 0 : matched };
+};
+
+const purgeHelpJourneys = async (cutoff, dryRun, keepLease) => {
+  const query = firestore.collection('helpJourneys').where('createdAt', '<', cutoff);
+  if (dryRun) return { matched: (await query.count().get()).data().count, removed: 0 };
+
+  const removed = await drainQuery(query, deleteBatch, keepLease);
+  return { matched: removed, removed };
+};
+
+// Conversations whose preview shows a purged message show nothing instead
+const clearPurgedPreviews = async (conversationIds, purgedIds) => {
+  for (const conversationId of conversationIds) {
+    const convDoc = await conversationsRef.doc(conversationId).get();
+    if (!convDoc.exists || !purgedIds.has(convDoc.data().lastMessageId)) continue;
+    const update = { lastMessage: null, lastMessageId: null };
+    await convDoc.ref.update(update);
+    const conversation = { id: convDoc.id, ...convDoc.data(), ...update };
+    await refreshInboxEntries(conversation, await getParticipantsForConversation(conversation));
+  }
+};
+
+const purgeMessages = async (cutoff, dryRun, keepLease) => {
+  const query = messagesRef.where('createdAt', '<', cutoff);
+  if (dryRun) return { matched: (await query.count().get()).data().count, removed: 0 };
+
+  const conversationIds = new Set();
+  const purgedIds = new Set();
+  const removed = await drainQuery(query, async (docs) => {
+    for (const doc of docs) {
+      await purgeMessage(doc.id);
+      conversationIds.add(doc.data().conversationId);
+      purgedIds.add(doc.id);
+    }
+  }, keepLease);
+  await clearPurgedPreviews(conversationIds, purgedIds);
+  return { matched: removed, removed };
+};
+
+const purgeRejectedSubmissions = async (cutoff, dryRun, keepLease) => {
+  // Submissions rejected before rejectedAt was recorded go by their last update
+  const rejectedBefore = async (collection) => (await firestore.collection(collection)
+    .where('status', '==', 'rejected')
+    .get()).docs.filter((doc) => (doc.data().rejectedAt || doc.data().updatedAt || doc.data().createdAt) < cutoff);
+
+  const events = await rejectedBefore('events');
+  const groups = await rejectedBefore('groups');
+  const matched = events.length + groups.length;
+  if (dryRun) return { matched, removed: 0 };
+
+  for (const group of groups) {
+    await keepLease();
+    const chats = await conversationsRef
+      .where('type', '==', 'community')
+      .where('communityId', '==', group.id)
+      .get();
+    for (const chat of chats.docs) await purgeConversation(chat.id);
+  }
+  for (let i = 0; i < matched; i += BATCH_SIZE) {
+    await keepLease();
+    await deleteBatch([...events, ...groups].slice(i, i + BATCH_SIZE));
+  }
+  return { matched, removed: matched, events: events.length, groups: groups.length };
+};
+
+const RULE_HANDLERS = {
+  [RETENTION_RULE.STALE_LOCATION]: clearStaleLocations,
+  [RETENTION_RULE.HELP_JOURNEYS]: purgeHelpJourneys,
+  [RETENTION_RULE.MESSAGES]: purgeMessages,
+  [RETENTION_RULE.REJECTED_SUBMISSIONS]: purgeRejectedSubmissions,
+};
+
+/**
+ * Apply the retention policy and store a report of the run
+ * @param {Object} [options]
+ * @param {string} [options.trigger] - One of RETENTION_TRIGGER
+ * @param {string} [options.triggeredBy] - Staff uid for runs started from the API
+ * @param {boolean} [options.dryRun] - Count without changing anything
+ * @param {string[]} [options.rules] - Only these rules (default: all enabled ones)
+ * @param {Function} [options.renewLease] - Extends the caller's lease; resolves false once it is lost
+ * @returns {Promise<Object>} - The run report with id
+ */
+export const runRetention = async ({ trigger = RETENTION_TRIGGER.SCHEDULE, triggeredBy = null, dryRun = false, rules, renewLease } = {}) => {
+  const started = new Date();
+  const policy = await getRetentionPolicy();
+  const results = {};
+
+  let leaseLost = false;
+  const keepLease = async () => {
+    if (!leaseLost && (!renewLease || await renewLease())) return;
+    leaseLost = true;
+    throw new Error('Retention lease lost to another run');
+  };
+
+  for (const [field, { rule, unitMs }] of Object.entries(RETENTION_POLICY_FIELDS)) {
+    if (rules && !rules.includes(rule)) continue;
+    const maxAge = policy[field];
+    if (maxAge === null || maxAge === undefined) {
+      results[rule] = { enabled: false };
+      continue;
+    }
+    const cutoff = new Date(started.getTime() - maxAge * unitMs).toISOString();
+    try {
+      await keepLease();
+      results[rule] = { enabled: true, cutoff, ...(await RULE_HANDLERS[rule](cutoff, dryRun, keepLease)) };
+    } catch (err) {
+      console.error(`❌ Retention rule ${rule} failed:`, err);
+      results[rule] = { enabled: true, cutoff, error: err.message };
+    }
+  }
+
+  const finished = new Date();
+  const report = {
+    trigger,
+    triggeredBy,
+    dryRun,
+    policy: Object.fromEntries(Object.keys(RETENTION_POLICY_FIELDS).map((field) => [field, policy[field] ?? null])),
+    rules: results,
+    status: Object.values(results).some((result) => result.error) ? 'completed_with_errors' : 'completed',
+    startedAt: started.toISOString(),
+    finishedAt: finished.toISOString(),
+    durationMs: finished.getTime() - started.getTime(),
+  };
+  const docRef = await runsRef.add(report);
+  return { id: docRef.id, ...report };
+};
+
+/**
+ * Reports of past runs, newest first
+ * @param {Object} [options] - { limit, cursor (id of the last run of the previous page) }
+ * @returns {Promise<{ runs: Object[], nextCursor: string|null }>}
+ */
+export const listRetentionRuns = async ({ limit = 20, cursor } = {}) => {
+  let query = runsRef.orderBy('startedAt', 'desc');
+  if (cursor) {
+    const cursorDoc = await runsRef.doc(cursor).get();
+    if (cursorDoc.exists) query = query.startAfter(cursorDoc);
+  }
+
+  const snapshot = await query.limit(limit).get();
+  const runs = snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+  return { runs, nextCursor: runs.length === limit ? runs[runs.length - 1].id : null };
+};
+
+export default {
+  RETENTION_RULE,
+  RETENTION_TRIGGER,
+  DEFAULT_RETENTION_POLICY,
+  getRetentionPolicy,
+  isValidRetentionValue,
+  updateRetentionPolicy,
+  runRetention,
+  listRetentionRuns,
+};
@@ -0,0 +1,132 @@
+/**
+ * Content safety - the AI `safety` graph and the chat screening policy
+ *
+ * Each tenant chooses what happens to a chat message the AI flags as unsafe
+ * (tenants/{id}.chatSafety.action):
+ *   allow - no screening (the default)
+ *   warn  - deliver it, and tell the sender it was flagged
+ *   hold  - keep it from the conversation until a moderator approves it
+ *   block - reject it
+ * and what happens when the AI service can't be reached (chatSafety.failMode):
+ *   open  - deliver unscreened (the default)
+ *   closed - refuse the message until the service is back
+ * CHAT_SAFETY_ACTION and CHAT_SAFETY_FAIL_MODE set the defaults for tenants
+ * without their own setting.
+ */
+import { runAiGraph } from './aiServiceClient.js';
+import { getTenant } from './tenantService.js';
+
+export const SAFETY_ACTION = {
+  ALLOW: 'allow',
+  WARN: 'warn',
+  HOLD: 'hold',
+  BLOCK: 'block',
+};
+export const SAFETY_FAIL_MODE = { OPEN: 'open', CLOSED: 'closed' };
+
+const SAFETY_ACTIONS = Object.values(SAFETY_ACTION);
+const SAFETY_FAIL_MODES = Object.values(SAFETY_FAIL_MODE);
+
+const safetyError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Run content through the AI safety graph
+ * @param {Object} params - { userId, tenantId, content, contentType }
+ * @returns {Promise<{ safe: boolean, recommendedAction: string, flags: Array, confidence: number|null, raw: Object }>}
+ * @throws {Error} when the AI service fails or times out
+ */
+export const checkContentSafety = async ({ userId, tenantId, content, contentType }) => {
+  const aiResponse = await runAiGraph({
+    graph: 'safety',
+    input: {
+      user_id: userId,
+      tenant_id: tenantId,
+      content,
+      content_type: contentType,
+    },
+  });
+
+  return {
+    safe: aiResponse?.data?.safe ?? true,
+    recommendedAction: aiResponse?.data?.recommended_action ?? aiResponse?.data?.recommendedAction ?? 'allow',
+    flags: aiResponse?.data?.flags ?? [],
+    confidence: aiResponse?.data?.confidence ?? null,
+    raw: aiResponse,
+  };
+};
+
+/**
+ * Whether a value is a valid chatSafety setting for a tenant
+ * @param {Object} value - { action, failMode? }
+ * @returns {boolean}
+ */
+export const isValidChatSafetyPolicy = (value) =>
+  !!value && typeof value === 'object' && !Array.isArray(value)
+  && SAFETY_ACTIONS.includes(value.action)
+  && (value.failMode === undefined || value.failMode === null || SAFETY_FAIL_MODES.includes(value.failMode));
+
+/**
+ * Screening policy for a tenant's chat messages
+ * @param {string|null} tenantId
+ * @returns {Promise<{ action: string, failMode: string }>}
+ */
+export const getChatSafetyPolicy = async (tenantId) => {
+  const envAction = process.env.CHAT_SAFETY_ACTION;
+  const envFailMode = process.env.CHAT_SAFETY_FAIL_MODE;
+  const defaults = {
+    action: SAFETY_ACTIONS.includes(envAction) ? envAction : SAFETY_ACTION.ALLOW,
+    failMode: SAFETY_FAIL_MODES.includes(envFailMode) ? envFailMode : SAFETY_FAIL_MODE.OPEN,
+  };
+  const tenant = tenantId ? await getTenant(tenantId) : null;
+  const policy = tenant?.chatSafety;
+  if (!isValidChatSafetyPolicy(policy)) return defaults;
+  return { action: policy.action, failMode: policy.failMode || defaults.failMode };
+};
+
+/**
+ * Screen a chat message against its tenant's policy
+ * @param {Object} params
+ * @param {string} params.userId - Sender
+ * @param {string|null} params.tenantId - Sender's tenant
+ * @param {string} params.content - Message text (empty text is not screened)
+ * @returns {Promise<{ action: string, screened: boolean, flags: Array, confidence: number|null, recommendedAction: string|null }>}
+ *   action is what to do with the message: allow, warn, hold or block
+ * @throws {Error} 503 when the AI service is unavailable and the policy fails closed
+ */
+export const screenChatMessage = async ({ userId, tenantId, content }) => {
+  const unscreened = { action: SAFETY_ACTION.ALLOW, screened: false, flags: [], confidence: null, recommendedAction: null };
+  const policy = await getChatSafetyPolicy(tenantId);
+  if (policy.action === SAFETY_ACTION.ALLOW || !content) return unscreened;
+
+  let result;
+  try {
+    result = await checkContentSafety({ userId, tenantId, content, contentType: 'message' });
+  } catch (err) {
+    console.error('❌ Chat safety screening unavailable:', err.message);
+    if (policy.failMode === SAFETY_FAIL_MODE.CLOSED) {
+      throw safetyError('Messages cannot be checked right now. Please try again shortly.', 503);
+    }
+    return unscreened;
+  }
+
+  return {
+    action: result.safe === false ? policy.action : SAFETY_ACTION.ALLOW,
+    screened: true,
+    flags: result.flags,
+    confidence: result.confidence,
+    recommendedAction: result.recommendedAction,
+  };
+};
+
+export default {
+  SAFETY_ACTION,
+  SAFETY_FAIL_MODE,
+  checkContentSafety,
+  isValidChatSafetyPolicy,
+  getChatSafetyPolicy,
+  screenChatMessage,
+};
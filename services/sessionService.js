@@ -0,0 +1,337 @@
+/**
+ * Session service - refresh-token rotation and server-side session revocation
+ */
+import crypto from 'crypto';
+import { firestore } from '../config/firebaseAdmin.js';
+import { signToken } from '../utils/jwt.js';
+import { getAccount } from '../lib/user-helpers.js';
+import { getActiveSuspension, SUSPENSION_MODE } from './enforcementService.js';
+
+const sessionsRef = firestore.collection('sessions');
+
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || '30');
+const REFRESH_TOKEN_TTL_MS = REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000;
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+const generateSecret = () => crypto.randomBytes(48).toString('base64url');
+
+// Refresh tokens are opaque "<sessionId>.<secret>" strings; only the secret hash is stored.
+const buildRefreshToken = (sessionId, secret) => `${sessionId}.${secret}`;
+
+const parseRefreshToken = (refreshToken) => {
+  if (typeof refreshToken !== 'string') return null;
+  const dot = refreshToken.indexOf('.');
+  if (dot <= 0 || dot === refreshToken.length - 1) return null;
+  return { sessionId: refreshToken.slice(0, dot), secret: refreshToken.slice(dot + 1) };
+};
+
+const sessionError = (message, status = 401) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const isExpired = (session) => !session.expiresAt || new Date(session.expiresAt).getTime() <= Date.now();
+
+// lastSeenAt is only written when older than this, so authenticated requests do not all cost a write
+const LAST_SEEN_UPDATE_INTERVAL_MS = 5 * 60 * 1000;
+
+const resolveAccountRole = (account) => (account.type === 'admin' ? 'admin' : (account.data.role || 'user'));
+
+// Access-token claims for a session; mfa is only present once the second factor was given
+const buildTokenPayload = ({ uid, email, role, sessionId, mfa }) => ({
+  uid,
+  email,
+  role,
+  sid: sessionId,
+  ...(mfa && { mfa: true }),
+});
+
+/**
+ * Create a new session for a device and issue its first token pair.
+ * An existing active session for the same device is revoked and replaced.
+ * @param {Object} params - { uid, email, role, deviceId, deviceName, ip, userAgent, mfa }
+ * @returns {Promise<{ token: string, refreshToken: string, sessionId: string }>}
+ */
+export const createSession = async ({
+  uid,
+  email,
+  role,
+  deviceId = null,
+  deviceName = null,
+  ip = null,
+  userAgent = null,
+  mfa = false,
+}) => {
+  if (deviceId) {
+    const existingSnap = await sessionsRef
+      .where('uid', '==', uid)
+      .where('deviceId', '==', deviceId)
+      .where('revoked', '==', false)
+      .get();
+    await Promise.all(existingSnap.docs.map((doc) => revokeSession(doc.id, 'replaced')));
+  }
+
+  const sessionRef = sessionsRef.doc();
+  const secret = generateSecret();
+  const now = new Date();
+
+  await sessionRef.set({
+    uid,
+    email: email || '',
+    deviceId,
+    deviceName: deviceName || null,
+    userAgent: userAgent || null,
+    ip: ip || null,
+    refreshTokenHash: hashSecret(secret),
+    previousRefreshTokenHash: null,
+    revoked: false,
+    revokedAt: null,
+    revokedReason: null,
+    mfa: mfa === true,
+    createdAt: now.toISOString(),
+    lastRefreshedAt: now.toISOString(),
+    lastSeenAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS).toISOString(),
+  });
+
+  return {
+    token: signToken(buildTokenPayload({ uid, email, role, sessionId: sessionRef.id, mfa })),
+    refreshToken: buildRefreshToken(sessionRef.id, secret),
+    sessionId: sessionRef.id,
+  };
+};
+
+/**
+ * Exchange a refresh token for a new token pair (rotation).
+ * Presenting an already-rotated refresh token revokes the whole session (replay detection).
+ * @param {string} refreshToken
+ * @param {Object} client - { ip, userAgent } of the refreshing device
+ * @returns {Promise<{ token: string, refreshToken: string, sessionId: string, user: Object }>}
+ * @throws {Error} with status 401/403 when the token or account is not usable (with `suspension` for a full suspension)
+ */
+export const rotateRefreshToken = async (refreshToken, { ip = null, userAgent = null } = {}) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) throw sessionError('Invalid refresh token');
+
+  const { sessionId, secret } = parsed;
+  const sessionRef = sessionsRef.doc(sessionId);
+  const presentedHash = hashSecret(secret);
+  const nextSecret = generateSecret();
+
+  const session = await firestore.runTransaction(async (tx) => {
+    const snap = await tx.get(sessionRef);
+    if (!snap.exists) throw sessionError('Invalid refresh token');
+    const data = snap.data();
+
+    if (data.revoked) throw sessionError('Session revoked');
+    if (isExpired(data)) throw sessionError('Session expired');
+
+    if (data.refreshTokenHash !== presentedHash) {
+      if (data.previousRefreshTokenHash === presentedHash) {
+        // A rotated token was used again: assume it leaked and kill the session.
+        tx.update(sessionRef, {
+          revoked: true,
+          revokedAt: new Date().toISOString(),
+          revokedReason: 'refresh_token_reuse',
+        });
+        return { ...data, reused: true };
+      }
+      throw sessionError('Invalid refresh token');
+    }
+
+    const now = new Date().toISOString();
+    tx.update(sessionRef, {
+      refreshTokenHash: hashSecret(nextSecret),
+      previousRefreshTokenHash: presentedHash,
+      lastRefreshedAt: now,
+      lastSeenAt: now,
+      ...(ip && { ip }),
+      ...(userAgent && { userAgent }),
+    });
+    return data;
+  });
+
+  if (session.reused) {
+    console.warn(`⚠️ Refresh token reuse detected for session ${sessionId} (uid: ${session.uid})`);
+    throw sessionError('Session revoked');
+  }
+
+  // Re-read the account so role changes and disables take effect on refresh
+  const account = await getAccount(session.uid);
+  if (!account) throw sessionError('Account not found', 404);
+  if (account.data.disabled) {
+    await revokeSession(sessionId, 'account_disabled');
+    throw sessionError('Account disabled', 403);
+  }
+  const suspension = getActiveSuspension(account.data);
+  if (suspension?.mode === SUSPENSION_MODE.FULL) {
+    await revokeSession(sessionId, 'account_suspended');
+    const error = sessionError('Account suspended', 403);
+    error.suspension = suspension;
+    throw error;
+  }
+
+  const role = resolveAccountRole(account);
+  const email = account.data.email || session.email;
+
+  return {
+    token: signToken(buildTokenPayload({ uid: session.uid, email, role, sessionId, mfa: session.mfa })),
+    refreshToken: buildRefreshToken(sessionId, nextSecret),
+    sessionId,
+    user: { uid: session.uid, email, role },
+  };
+};
+
+/**
+ * Mark a session as having passed the second factor (e.g. right after 2FA enrolment) and issue a new access token.
+ * @param {string} sessionId
+ * @param {Object} claims - { uid, email, role }
+ * @returns {Promise<string>} - Access token carrying the mfa claim
+ */
+export const elevateSession = async (sessionId, { uid, email, role }) => {
+  await sessionsRef.doc(sessionId).update({ mfa: true });
+  return signToken(buildTokenPayload({ uid, email, role, sessionId, mfa: true }));
+};
+
+/**
+ * Drop the second-factor flag from every active session of a user (e.g. 2FA turned off)
+ * @param {string} uid
+ * @returns {Promise<void>}
+ */
+export const clearSessionsMfa = async (uid) => {
+  const snap = await sessionsRef
+    .where('uid', '==', uid)
+    .where('revoked', '==', false)
+    .get();
+  if (snap.empty) return;
+
+  const batch = firestore.batch();
+  snap.docs.forEach((doc) => batch.update(doc.ref, { mfa: false }));
+  await batch.commit();
+};
+
+/**
+ * Revoke a single session. Access tokens bound to it stop working immediately.
+ * @param {string} sessionId
+ * @param {string} reason
+ * @returns {Promise<boolean>} false if the session does not exist
+ */
+export const revokeSession = async (sessionId, reason = 'logout') => {
+  const sessionRef = sessionsRef.doc(sessionId);
+  const snap = await sessionRef.get();
+  if (!snap.exists) return false;
+  if (snap.data().revoked) return true;
+
+  await sessionRef.update({
+    revoked: true,
+    revokedAt: new Date().toISOString(),
+    revokedReason: reason,
+  });
+  return true;
+};
+
+/**
+ * Revoke every active session for a user (e.g. account disabled by an admin).
+ * @param {string} uid
+ * @param {string} reason
+ * @returns {Promise<string[]>} IDs of the sessions that were revoked
+ */
+export const revokeAllSessions = async (uid, reason = 'revoked') => {
+  const snap = await sessionsRef
+    .where('uid', '==', uid)
+    .where('revoked', '==', false)
+    .get();
+  if (snap.empty) return [];
+
+  const revokedAt = new Date().toISOString();
+  const batch = firestore.batch();
+  snap.docs.forEach((doc) => {
+    batch.update(doc.ref, { revoked: true, revokedAt, revokedReason: reason });
+  });
+  await batch.commit();
+  return snap.docs.map((doc) => doc.id);
+};
+
+/**
+ * Get a session if it exists, belongs to the user, and is neither revoked nor expired.
+ * @param {string} sessionId
+ * @param {string} uid
+ * @returns {Promise<Object|null>}
+ */
+export const getActiveSession = async (sessionId, uid) => {
+  if (!sessionId) return null;
+  const snap = await sessionsRef.doc(sessionId).get();
+  if (!snap.exists) return null;
+  const data = snap.data();
+  if (data.uid !== uid || data.revoked || isExpired(data)) return null;
+  return { id: snap.id, ...data };
+};
+
+/**
+ * Check that a session exists, belongs to the user, and is neither revoked nor expired.
+ * @param {string} sessionId
+ * @param {string} uid
+ * @returns {Promise<boolean>}
+ */
+export const isSessionActive = async (sessionId, uid) => {
+  const session = await getActiveSession(sessionId, uid);
+  return !!session;
+};
+
+/**
+ * Record activity on a session (last-seen time and IP), throttled to one write per interval.
+ * @param {Object} session - Session returned by getActiveSession
+ * @param {Object} client - { ip }
+ * @returns {Promise<void>}
+ */
+export const touchSession = async (session, { ip = null } = {}) => {
+  const lastSeen = session.lastSeenAt ? new Date(session.lastSeenAt).getTime() : 0;
+  const ipChanged = ip && ip !== session.ip;
+  if (!ipChanged && Date.now() - lastSeen < LAST_SEEN_UPDATE_INTERVAL_MS) return;
+
+  await sessionsRef.doc(session.id).update({
+    lastSeenAt: new Date().toISOString(),
+    ...(ip && { ip }),
+  });
+};
+
+/**
+ * List a user's active sessions, most recently seen first (no token hashes).
+ * @param {string} uid
+ * @returns {Promise<Array>}
+ */
+export const listActiveSessions = async (uid) => {
+  const snap = await sessionsRef
+    .where('uid', '==', uid)
+    .where('revoked', '==', false)
+    .get();
+
+  return snap.docs
+    .map((doc) => ({ id: doc.id, ...doc.data() }))
+    .filter((session) => !isExpired(session))
+    .map((session) => ({
+      id: session.id,
+      deviceId: session.deviceId || null,
+      deviceName: session.deviceName || null,
+      userAgent: session.userAgent || null,
+      ip: session.ip || null,
+      createdAt: session.createdAt,
+      lastSeenAt: session.lastSeenAt || session.lastRefreshedAt || session.createdAt,
+      expiresAt: session.expiresAt,
+    }))
+    .sort((a, b) => (b.lastSeenAt || '').localeCompare(a.lastSeenAt || ''));
+};
+
+export default {
+  createSession,
+  rotateRefreshToken,
+  elevateSession,
+  clearSessionsMfa,
+  revokeSession,
+  revokeAllSessions,
+  getActiveSession,
+  isSessionActive,
+  touchSession,
+  listActiveSessions,
+};
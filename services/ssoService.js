@@ -0,0 +1,388 @@
+/**
+ * Single sign-on via a university's OpenID Connect identity provider (authorization-code flow with PKCE)
+ *
+ * Per-tenant config lives on the tenant doc (tenants/{tenantId}.sso):
+ *   { enabled, issuer, clientId, scopes?, claims?: { subject, email, name } }
+ * The client secret is read from SSO_CLIENT_SECRET_<TENANT_ID> (e.g. SSO_CLIENT_SECRET_UEL) and is never stored.
+ *
+ * Login state lives in ssoStates/{state} and one-time app codes in ssoLoginCodes/{codeHash} (backend-only).
+ */
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { firebaseAuth, firestore } from '../config/firebaseAdmin.js';
+import { getTenant, resolveTenantForEmail } from './tenantService.js';
+import { resolveExpectedRole, resolveRoleFromEmail, syncRoleToAllSources } from '../utils/roleResolver.js';
+import { getDocTenantId } from '../lib/tenantScope.js';
+
+const ssoStatesRef = firestore.collection('ssoStates');
+const ssoLoginCodesRef = firestore.collection('ssoLoginCodes');
+const usersRef = firestore.collection('users');
+const profilesRef = firestore.collection('profiles');
+
+const STATE_TTL_MS = 10 * 60 * 1000;
+const LOGIN_CODE_TTL_MS = 60 * 1000;
+const DISCOVERY_CACHE_TTL_MS = 60 * 60 * 1000;
+const DEFAULT_SCOPES = ['openid', 'email', 'profile'];
+const DEFAULT_CLAIMS = { subject: 'sub', email: 'email', name: 'name' };
+// Allowed difference between our clock and the identity provider's when checking exp/iat
+const CLOCK_TOLERANCE_SECONDS = 60;
+
+const discoveryCache = new Map(); // issuer -> { config, loadedAt }
+const jwksCache = new Map(); // jwks_uri -> { keys, loadedAt }
+
+const ssoError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const randomToken = () => crypto.randomBytes(32).toString('base64url');
+
+const getClientSecret = (tenantId) =>
+  process.env[`SSO_CLIENT_SECRET_${tenantId.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`] || null;
+
+/**
+ * Load a tenant's SSO config
+ * @param {string} tenantId
+ * @returns {Promise<Object>} - { tenant, issuer, clientId, clientSecret, scopes, claims }
+ * @throws {Error} with status 404 when the tenant has no enabled SSO
+ */
+export const getSsoConfig = async (tenantId) => {
+  const tenant = await getTenant(tenantId);
+  const sso = tenant?.sso;
+  if (!sso?.enabled || !sso.issuer || !sso.clientId) {
+    throw ssoError('Single sign-on is not available for this university', 404);
+  }
+  return {
+    tenant,
+    issuer: sso.issuer.replace(/\/+$/, ''),
+    clientId: sso.clientId,
+    clientSecret: getClientSecret(tenant.id),
+    scopes: Array.isArray(sso.scopes) && sso.scopes.length > 0 ? sso.scopes : DEFAULT_SCOPES,
+    claims: { ...DEFAULT_CLAIMS, ...(sso.claims || {}) },
+  };
+};
+
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options);
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const message = data.error_description || data.error || `HTTP ${response.status}`;
+    throw ssoError(`Identity provider request failed: ${message}`, 502);
+  }
+  return data;
+};
+
+const getDiscovery = async (issuer) => {
+  const cached = discoveryCache.get(issuer);
+  if (cached && Date.now() - cached.loadedAt < DISCOVERY_CACHE_TTL_MS) return cached.config;
+
+  const config = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+  if ((config.issuer || '').replace(/\/+$/, '') !== issuer) {
+    throw ssoError('Identity provider issuer does not match configuration', 502);
+  }
+  discoveryCache.set(issuer, { config, loadedAt: Date.now() });
+  return config;
+};
+
+// Find the signing key for an ID token; refetch the JWKS once if the key ID is unknown (key rotation)
+const getSigningKey = async (jwksUri, kid) => {
+  const findKey = (keys) => keys.find((k) => (!kid || k.kid === kid) && (!k.use || k.use === 'sig'));
+
+  let cached = jwksCache.get(jwksUri);
+  let key = cached && Date.now() - cached.loadedAt < DISCOVERY_CACHE_TTL_MS ? findKey(cached.keys) : null;
+  if (!key) {
+    const { keys = [] } = await fetchJson(jwksUri);
+    cached = { keys, loadedAt: Date.now() };
+    jwksCache.set(jwksUri, cached);
+    key = findKey(keys);
+  }
+  if (!key) throw ssoError('Identity provider signing key not found', 502);
+  return crypto.createPublicKey({ key, format: 'jwk' });
+};
+
+const verifyIdToken = async (idToken, { discovery, issuer, clientId, nonce }) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) throw ssoError('Invalid ID token from identity provider', 401);
+
+  const key = await getSigningKey(discovery.jwks_uri, decoded.header.kid);
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512', 'PS256'],
+      issuer: [issuer, `${issuer}/`],
+      audience: clientId,
+      clockTolerance: CLOCK_TOLERANCE_SECONDS,
+    });
+  } catch (err) {
+    throw ssoError(`Invalid ID token from identity provider: ${err.message}`, 401);
+  }
+  if (claims.nonce !== nonce) throw ssoError('Invalid ID token from identity provider: nonce mismatch', 401);
+  return claims;
+};
+
+/**
+ * Start an SSO login: store the state/nonce/PKCE verifier and build the provider's authorization URL
+ * @param {string} tenantId
+ * @param {string} callbackUrl - Our /callback URL, as registered with the identity provider
+ * @returns {Promise<string>} - URL to redirect the browser to
+ */
+export const startSsoLogin = async (tenantId, callbackUrl) => {
+  const config = await getSsoConfig(tenantId);
+  const discovery = await getDiscovery(config.issuer);
+
+  const state = randomToken();
+  const nonce = randomToken();
+  const codeVerifier = randomToken();
+  const now = Date.now();
+
+  await ssoStatesRef.doc(hash(state)).set({
+    tenantId: config.tenant.id,
+    nonce,
+    codeVerifier,
+    callbackUrl,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + STATE_TTL_MS).toISOString(),
+  });
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: config.clientId,
+    redirect_uri: callbackUrl,
+    scope: config.scopes.join(' '),
+    state,
+    nonce,
+    code_challenge: crypto.createHash('sha256').update(codeVerifier).digest('base64url'),
+    code_challenge_method: 'S256',
+  });
+  return `${discovery.authorization_endpoint}?${params.toString()}`;
+};
+
+// Read and delete the login state in one step so it can only be used once
+const consumeState = async (state, tenantId) => {
+  const docRef = ssoStatesRef.doc(hash(state));
+  const data = await firestore.runTransaction(async (tx) => {
+    const snap = await tx.get(docRef);
+    if (!snap.exists) return null;
+    tx.delete(docRef);
+    return snap.data();
+  });
+
+  if (!data || data.tenantId !== tenantId || new Date(data.expiresAt).getTime() <= Date.now()) {
+    throw ssoError('SSO login expired or invalid. Please try again.', 400);
+  }
+  return data;
+};
+
+const exchangeCode = async ({ discovery, clientId, clientSecret, code, callbackUrl, codeVerifier }) => {
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: callbackUrl,
+    client_id: clientId,
+    code_verifier: codeVerifier,
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+  if (clientSecret) {
+    headers.Authorization = `Basic ${Buffer.from(`${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`).toString('base64')}`;
+  }
+  return fetchJson(discovery.token_endpoint, { method: 'POST', headers, body });
+};
+
+/**
+ * Map identity-provider claims to CampusConnect identity fields
+ * @param {Object} claims - Verified ID token claims
+ * @param {Object} mapping - { subject, email, name } claim names
+ * @returns {{ subject: string, email: string, emailVerified: boolean, name: string }}
+ */
+export const mapClaims = (claims, mapping = DEFAULT_CLAIMS) => {
+  const email = String(claims[mapping.email] || '').trim().toLowerCase();
+  const name = claims[mapping.name]
+    || [claims.given_name, claims.family_name].filter(Boolean).join(' ')
+    || email.split('@')[0]
+    || '';
+  return {
+    subject: String(claims[mapping.subject] || ''),
+    email,
+    // University IdPs vouch for their own addresses unless they explicitly say otherwise
+    emailVerified: claims.email_verified !== false,
+    name,
+  };
+};
+
+// Find the Firebase user for an SSO identity: by linked subject first, then by email, else create one
+const findOrCreateAuthUser = async ({ issuer, subject, email, name }) => {
+  const linked = await usersRef
+    .where('sso.issuer', '==', issuer)
+    .where('sso.subject', '==', subject)
+    .limit(1)
+    .get();
+  if (!linked.empty) return { uid: linked.docs[0].id, created: false };
+
+  try {
+    const existing = await firebaseAuth.getUserByEmail(email);
+    return { uid: existing.uid, created: false };
+  } catch (err) {
+    if (err.code !== 'auth/user-not-found') throw err;
+  }
+
+  const created = await firebaseAuth.createUser({ email, emailVerified: true, displayName: name || undefined });
+  return { uid: created.uid, created: true };
+};
+
+/**
+ * Create or update the CampusConnect account for a verified SSO identity (just-in-time provisioning)
+ * @param {Object} params - { tenantId, issuer, identity: mapClaims() result }
+ * @returns {Promise<{ uid: string, email: string, role: string, tenantId: string, created: boolean }>}
+ */
+export const provisionSsoUser = async ({ tenantId, issuer, identity }) => {
+  const { subject, email, emailVerified, name } = identity;
+  if (!subject || !email) throw ssoError('Identity provider did not return an email address', 400);
+  if (!emailVerified) throw ssoError('Your university email address is not verified', 403);
+
+  // The address must belong to the university that authenticated it
+  const emailTenant = await resolveTenantForEmail(email);
+  if (emailTenant?.id !== tenantId) {
+    throw ssoError('This email address does not belong to this university', 403);
+  }
+
+  // Admin accounts must use password + 2FA, never SSO
+  const adminError = () => ssoError('Admin accounts must sign in with a password and two-factor authentication', 403);
+  if (resolveRoleFromEmail(email) === 'admin') throw adminError();
+
+  const { uid, created } = await findOrCreateAuthUser({ issuer, subject, email, name });
+
+  const role = await resolveExpectedRole(uid, email);
+  if (role === 'admin') {
+    throw adminError();
+  }
+
+  const [userSnap, profileSnap] = await Promise.all([usersRef.doc(uid).get(), profilesRef.doc(uid).get()]);
+  if (userSnap.exists && userSnap.data().tenantId && getDocTenantId(userSnap.data()) !== tenantId) {
+    throw ssoError('This account belongs to a different university', 403);
+  }
+  if (userSnap.exists && userSnap.data().disabled) {
+    throw ssoError('Account disabled', 403);
+  }
+
+  const now = new Date().toISOString();
+  const displayName = name || email.split('@')[0];
+
+  await usersRef.doc(uid).set({
+    ...(!userSnap.exists && { name: displayName, role: 'user', createdAt: now }),
+    email,
+    tenantId,
+    emailVerified: true,
+    sso: { issuer, subject, tenantId, lastLoginAt: now },
+    updatedAt: now,
+  }, { merge: true });
+
+  if (!profileSnap.exists) {
+    await profilesRef.doc(uid).set({
+      uid,
+      tenantId,
+      name: displayName,
+      major: '',
+      year: null,
+      interests: [],
+      bio: '',
+      avatarUrl: '',
+      locationEnabled: false,
+      updatedAt: now,
+    });
+  }
+
+  if (created) {
+    await syncRoleToAllSources(firebaseAuth, uid, email, role);
+  }
+
+  return { uid, email, role, tenantId, created };
+};
+
+/**
+ * Finish an SSO login from the identity provider's redirect
+ * @param {string} tenantId
+ * @param {Object} params - { code, state } from the callback query
+ * @returns {Promise<Object>} - Provisioned account (see provisionSsoUser)
+ */
+export const completeSsoLogin = async (tenantId, { code, state }) => {
+  if (!code || !state) throw ssoError('Missing code or state', 400);
+
+  const loginState = await consumeState(state, tenantId);
+  const config = await getSsoConfig(tenantId);
+  const discovery = await getDiscovery(config.issuer);
+
+  const tokens = await exchangeCode({
+    discovery,
+    clientId: config.clientId,
+    clientSecret: config.clientSecret,
+    code,
+    callbackUrl: loginState.callbackUrl,
+    codeVerifier: loginState.codeVerifier,
+  });
+  if (!tokens.id_token) throw ssoError('Identity provider did not return an ID token', 502);
+
+  const claims = await verifyIdToken(tokens.id_token, {
+    discovery,
+    issuer: config.issuer,
+    clientId: config.clientId,
+    nonce: loginState.nonce,
+  });
+
+  return provisionSsoUser({
+    tenantId,
+    issuer: config.issuer,
+    identity: mapClaims(claims, config.claims),
+  });
+};
+
+/**
+ * Issue a one-time code the app exchanges for tokens, so tokens never appear in a redirect URL
+ * @param {Object} account - { uid, email, role, tenantId }
+ * @returns {Promise<string>}
+ */
+export const createLoginCode = async ({ uid, email, role, tenantId }) => {
+  const code = randomToken();
+  const now = Date.now();
+  await ssoLoginCodesRef.doc(hash(code)).set({
+    uid,
+    email,
+    role,
+    tenantId,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + LOGIN_CODE_TTL_MS).toISOString(),
+  });
+  return code;
+};
+
+/**
+ * Redeem a one-time login code (single use)
+ * @param {string} code
+ * @returns {Promise<Object>} - { uid, email, role, tenantId }
+ * @throws {Error} with status 401 when the code is unknown, used or expired
+ */
+export const redeemLoginCode = async (code) => {
+  const docRef = ssoLoginCodesRef.doc(hash(String(code)));
+  const data = await firestore.runTransaction(async (tx) => {
+    const snap = await tx.get(docRef);
+    if (!snap.exists) return null;
+    tx.delete(docRef);
+    return snap.data();
+  });
+
+  if (!data || new Date(data.expiresAt).getTime() <= Date.now()) {
+    throw ssoError('Invalid or expired login code', 401);
+  }
+  return data;
+};
+
+export default {
+  getSsoConfig,
+  startSsoLogin,
+  completeSsoLogin,
+  mapClaims,
+  provisionSsoUser,
+  createLoginCode,
+  redeemLoginCode,
+};
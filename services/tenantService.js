@@ -0,0 +1,206 @@
+/**
+ * Tenant registry - maps campus email domains to tenants (institutions)
+ *
+ * Tenants live in tenants/{tenantId}: { name, domains: string[], registrationEnabled, sso?, chatSafety?, createdAt, updatedAt }.
+ * sso holds the university's OIDC settings (see services/ssoService.js); chatSafety the
+ * chat screening policy (see services/safetyService.js).
+ * TENANT_DOMAINS (e.g. "uel=uel.ac.uk,uel=student.uel.ac.uk") seeds extra mappings; Firestore wins on conflicts.
+ */
+import { firestore } from '../config/firebaseAdmin.js';
+
+const tenantsRef = firestore.collection('tenants');
+
+// Tenants change rarely; cache the full registry briefly to keep registration cheap
+const CACHE_TTL_MS = 60 * 1000;
+let cache = { tenants: null, loadedAt: 0 };
+
+const DOMAIN_PATTERN = /^(?!-)[a-z0-9-]+(\.[a-z0-9-]+)+$/;
+
+/**
+ * Normalize a domain for storage and comparison (lowercase, no leading "@" or dots)
+ * @param {string} domain
+ * @returns {string}
+ */
+export const normalizeDomain = (domain) =>
+  (typeof domain === 'string' ? domain.trim().toLowerCase().replace(/^@/, '').replace(/^\.+|\.+$/g, '') : '');
+
+/**
+ * Check that a string looks like an email domain (e.g. uel.ac.uk)
+ * @param {string} domain
+ * @returns {boolean}
+ */
+export const isValidDomain = (domain) => DOMAIN_PATTERN.test(normalizeDomain(domain));
+
+const parseEnvTenants = () => {
+  const byId = {};
+  (process.env.TENANT_DOMAINS || '')
+    .split(',')
+    .map((pair) => pair.trim())
+    .filter(Boolean)
+    .forEach((pair) => {
+      const [tenantId, domain] = pair.split('=').map((part) => (part || '').trim());
+      const normalized = normalizeDomain(domain);
+      if (!tenantId || !normalized) return;
+      byId[tenantId] = byId[tenantId] || { id: tenantId, name: tenantId, domains: [], registrationEnabled: true, source: 'env' };
+      byId[tenantId].domains.push(normalized);
+    });
+  return Object.values(byId);
+};
+
+const loadTenants = async () => {
+  if (cache.tenants && Date.now() - cache.loadedAt < CACHE_TTL_MS) return cache.tenants;
+
+  const snap = await tenantsRef.get();
+  const stored = snap.docs.map((doc) => ({ id: doc.id, ...doc.data(), source: 'firestore' }));
+  const storedIds = new Set(stored.map((t) => t.id));
+  const tenants = [...stored, ...parseEnvTenants().filter((t) => !storedIds.has(t.id))];
+
+  cache = { tenants, loadedAt: Date.now() };
+  return tenants;
+};
+
+const invalidateCache = () => {
+  cache = { tenants: null, loadedAt: 0 };
+};
+
+/**
+ * List every tenant in the registry
+ * @returns {Promise<Array>}
+ */
+export const listTenants = async () => loadTenants();
+
+/**
+ * Get a tenant by ID
+ * @param {string} tenantId
+ * @returns {Promise<Object|null>}
+ */
+export const getTenant = async (tenantId) => {
+  const tenants = await loadTenants();
+  return tenants.find((t) => t.id === tenantId) || null;
+};
+
+/**
+ * Resolve the tenant that owns an email address. Subdomains match their parent (student.uel.ac.uk → uel.ac.uk).
+ * @param {string} email
+ * @returns {Promise<Object|null>} - Tenant, or null if the domain is unknown or closed to registration
+ */
+export const resolveTenantForEmail = async (email) => {
+  const domain = normalizeDomain((email || '').split('@')[1]);
+  if (!domain) return null;
+
+  const tenants = await loadTenants();
+  let best = null;
+  let bestLength = 0;
+  for (const tenant of tenants) {
+    if (tenant.registrationEnabled === false) continue;
+    for (const tenantDomain of tenant.domains || []) {
+      const matches = domain === tenantDomain || domain.endsWith(`.${tenantDomain}`);
+      // Prefer the most specific domain when several tenants could match
+      if (matches && tenantDomain.length > bestLength) {
+        best = tenant;
+        bestLength = tenantDomain.length;
+      }
+    }
+  }
+  return best;
+};
+
+// Throws a 409 if any domain is already owned by another tenant
+const assertDomainsAvailable = async (tenantId, domains) => {
+  const tenants = await loadTenants();
+  for (const tenant of tenants) {
+    if (tenant.id === tenantId) continue;
+    const clash = domains.find((d) => (tenant.domains || []).includes(d));
+    if (clash) {
+      const error = new Error(`Domain ${clash} already belongs to tenant ${tenant.id}`);
+      error.status = 409;
+      throw error;
+    }
+  }
+};
+
+/**
+ * Create or update a tenant
+ * @param {string} tenantId
+ * @param {Object} data - { name?, domains?, registrationEnabled?, sso?, chatSafety? }
+ * @param {string} actorUid - Admin making the change
+ * @returns {Promise<Object>} - Saved tenant
+ */
+export const saveTenant = async (tenantId, data, actorUid) => {
+  const docRef = tenantsRef.doc(tenantId);
+  const existing = await docRef.get();
+  const now = new Date().toISOString();
+  const update = { updatedAt: now, updatedBy: actorUid };
+
+  if (data.name !== undefined) update.name = data.name.trim();
+  if (data.registrationEnabled !== undefined) update.registrationEnabled = data.registrationEnabled;
+  if (data.sso !== undefined) {
+    update.sso = {
+      enabled: data.sso.enabled,
+      issuer: (data.sso.issuer || '').trim().replace(/\/+$/, ''),
+      clientId: (data.sso.clientId || '').trim(),
+      scopes: data.sso.scopes || null,
+      claims: data.sso.claims || null,
+    };
+  }
+  if (data.chatSafety !== undefined) {
+    update.chatSafety = { action: data.chatSafety.action, failMode: data.chatSafety.failMode || null };
+  }
+  if (data.domains !== undefined) {
+    update.domains = [...new Set(data.domains.map(normalizeDomain).filter(Boolean))];
+    await assertDomainsAvailable(tenantId, update.domains);
+  }
+
+  if (!existing.exists) {
+    Object.assign(update, {
+      name: update.name || tenantId,
+      domains: update.domains || [],
+      registrationEnabled: update.registrationEnabled ?? true,
+      createdAt: now,
+      createdBy: actorUid,
+    });
+  }
+
+  await docRef.set(update, { merge: true });
+  invalidateCache();
+  const saved = await docRef.get();
+  return { id: tenantId, ...saved.data() };
+};
+
+/**
+ * Add a domain to a tenant
+ * @param {string} tenantId
+ * @param {string} domain
+ * @param {string} actorUid
+ * @returns {Promise<Object|null>} - Updated tenant, or null if the tenant does not exist
+ */
+export const addTenantDomain = async (tenantId, domain, actorUid) => {
+  const tenant = await getTenant(tenantId);
+  if (!tenant) return null;
+  return saveTenant(tenantId, { domains: [...(tenant.domains || []), domain] }, actorUid);
+};
+
+/**
+ * Remove a domain from a tenant (existing users keep their tenantId)
+ * @param {string} tenantId
+ * @param {string} domain
+ * @param {string} actorUid
+ * @returns {Promise<Object|null>} - Updated tenant, or null if the tenant does not exist
+ */
+export const removeTenantDomain = async (tenantId, domain, actorUid) => {
+  const tenant = await getTenant(tenantId);
+  if (!tenant) return null;
+  const normalized = normalizeDomain(domain);
+  return saveTenant(tenantId, { domains: (tenant.domains || []).filter((d) => d !== normalized) }, actorUid);
+};
+
+export default {
+  normalizeDomain,
+  isValidDomain,
+  listTenants,
+  getTenant,
+  resolveTenantForEmail,
+  saveTenant,
+  addTenantDomain,
+  removeTenantDomain,
+};
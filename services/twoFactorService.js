@@ -0,0 +1,274 @@
+/**
+ * Two-factor authentication (TOTP, RFC 6238) for admin accounts
+ *
+ * State lives in twoFactor/{uid} (backend-only):
+ *   { enabled, secret, pendingSecret, recoveryCodeHashes: string[], lastUsedStep, enabledAt, updatedAt }
+ * Recovery codes are single-use and only their hashes are stored.
+ */
+import crypto from 'crypto';
+import { firestore } from '../config/firebaseAdmin.js';
+import { signToken, verifyToken } from '../utils/jwt.js';
+
+const twoFactorRef = firestore.collection('twoFactor');
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'CampusConnect';
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Accept the previous and next step as well, to tolerate clock drift between server and authenticator
+const TOTP_WINDOW = 1;
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_PURPOSE = '2fa_login';
+const CHALLENGE_EXPIRES_IN = '5m';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const twoFactorError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = input.replace(/=+$/, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 secret');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+const currentStep = () => Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+
+const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+const codesMatch = (a, b) => a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+/**
+ * Find the time step a TOTP code belongs to
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number} lastUsedStep - Steps at or before this were already used (replay protection)
+ * @returns {number|null} - Matched step, or null if the code is invalid
+ */
+const matchCodeStep = (secret, code, lastUsedStep = -1) => {
+  const normalized = String(code || '').replace(/\s+/g, '');
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) return null;
+
+  const now = currentStep();
+  for (let step = now - TOTP_WINDOW; step <= now + TOTP_WINDOW; step++) {
+    if (step > lastUsedStep && codesMatch(generateCode(secret, step), normalized)) return step;
+  }
+  return null;
+};
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(String(code || '').replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+
+// Recovery codes look like "a1b2c-3d4e5" so they are easy to read out and type
+const generateRecoveryCodes = () =>
+  Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+const buildOtpauthUrl = (secret, accountName) => {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Get a user's 2FA status (never includes the secret)
+ * @param {string} uid
+ * @returns {Promise<{ enabled: boolean, enabledAt: string|null, recoveryCodesRemaining: number }>}
+ */
+export const getTwoFactorStatus = async (uid) => {
+  const snap = await twoFactorRef.doc(uid).get();
+  const data = snap.exists ? snap.data() : {};
+  return {
+    enabled: data.enabled === true,
+    enabledAt: data.enabledAt || null,
+    recoveryCodesRemaining: (data.recoveryCodeHashes || []).length,
+  };
+};
+
+/**
+ * Check whether 2FA is enabled for a user
+ * @param {string} uid
+ * @returns {Promise<boolean>}
+ */
+export const isTwoFactorEnabled = async (uid) => (await getTwoFactorStatus(uid)).enabled;
+
+/**
+ * Start enrolment: generate a new secret that becomes active once a code from it is verified
+ * @param {string} uid
+ * @param {string} email - Shown as the account name in the authenticator app
+ * @returns {Promise<{ secret: string, otpauthUrl: string }>}
+ */
+export const startEnrollment = async (uid, email) => {
+  if (await isTwoFactorEnabled(uid)) {
+    throw twoFactorError('Two-factor authentication is already enabled', 409);
+  }
+
+  const secret = base32Encode(crypto.randomBytes(20));
+  await twoFactorRef.doc(uid).set({
+    enabled: false,
+    pendingSecret: secret,
+    updatedAt: new Date().toISOString(),
+  }, { merge: true });
+
+  return { secret, otpauthUrl: buildOtpauthUrl(secret, email || uid) };
+};
+
+/**
+ * Finish enrolment with a code from the authenticator app
+ * @param {string} uid
+ * @param {string} code
+ * @returns {Promise<{ recoveryCodes: string[] }>} - Plain recovery codes, shown to the user once
+ */
+export const confirmEnrollment = async (uid, code) => {
+  const docRef = twoFactorRef.doc(uid);
+  const recoveryCodes = generateRecoveryCodes();
+
+  await firestore.runTransaction(async (tx) => {
+    const snap = await tx.get(docRef);
+    const data = snap.exists ? snap.data() : {};
+    if (data.enabled) throw twoFactorError('Two-factor authentication is already enabled', 409);
+    if (!data.pendingSecret) throw twoFactorError('Start two-factor setup first');
+
+    const step = matchCodeStep(data.pendingSecret, code);
+    if (step === null) throw twoFactorError('Invalid verification code');
+
+    const now = new Date().toISOString();
+    tx.set(docRef, {
+      enabled: true,
+      secret: data.pendingSecret,
+      pendingSecret: null,
+      recoveryCodeHashes: recoveryCodes.map(hashRecoveryCode),
+      lastUsedStep: step,
+      enabledAt: now,
+      updatedAt: now,
+    });
+  });
+
+  return { recoveryCodes };
+};
+
+/**
+ * Check a second factor: a TOTP code, or a recovery code (which is consumed)
+ * @param {string} uid
+ * @param {Object} factor - { code?, recoveryCode? }
+ * @returns {Promise<{ method: 'totp'|'recovery', recoveryCodesRemaining: number }>}
+ * @throws {Error} with status 401 when the factor is wrong
+ */
+export const verifySecondFactor = async (uid, { code, recoveryCode } = {}) => {
+  if (!code && !recoveryCode) throw twoFactorError('code or recoveryCode is required');
+  const docRef = twoFactorRef.doc(uid);
+
+  return firestore.runTransaction(async (tx) => {
+    const snap = await tx.get(docRef);
+    const data = snap.exists ? snap.data() : {};
+    if (!data.enabled) throw twoFactorError('Two-factor authentication is not enabled');
+
+    const hashes = data.recoveryCodeHashes || [];
+    const now = new Date().toISOString();
+
+    if (code) {
+      const step = matchCodeStep(data.secret, code, data.lastUsedStep ?? -1);
+      if (step === null) throw twoFactorError('Invalid verification code', 401);
+      tx.update(docRef, { lastUsedStep: step, updatedAt: now });
+      return { method: 'totp', recoveryCodesRemaining: hashes.length };
+    }
+
+    const hash = hashRecoveryCode(recoveryCode);
+    if (!hashes.includes(hash)) throw twoFactorError('Invalid recovery code', 401);
+    const remaining = hashes.filter((h) => h !== hash);
+    tx.update(docRef, { recoveryCodeHashes: remaining, updatedAt: now });
+    return { method: 'recovery', recoveryCodesRemaining: remaining.length };
+  });
+};
+
+/**
+ * Turn 2FA off after checking a current factor
+ * @param {string} uid
+ * @param {Object} factor - { code?, recoveryCode? }
+ * @returns {Promise<void>}
+ */
+export const disableTwoFactor = async (uid, factor) => {
+  await verifySecondFactor(uid, factor);
+  await twoFactorRef.doc(uid).delete();
+};
+
+/**
+ * Issue a short-lived challenge token after a correct password, exchanged for a session once the second factor is given
+ * @param {Object} params - { uid, email, role, deviceId, deviceName }
+ * @returns {string}
+ */
+export const createLoginChallenge = ({ uid, email, role, deviceId = null, deviceName = null }) =>
+  signToken({ purpose: CHALLENGE_PURPOSE, uid, email, role, deviceId, deviceName }, { expiresIn: CHALLENGE_EXPIRES_IN });
+
+/**
+ * Decode a login challenge token
+ * @param {string} challengeToken
+ * @returns {Object} - { uid, email, role, deviceId, deviceName }
+ * @throws {Error} with status 401 when the challenge is invalid or expired
+ */
+export const verifyLoginChallenge = (challengeToken) => {
+  let decoded;
+  try {
+    decoded = verifyToken(challengeToken);
+  } catch (err) {
+    throw twoFactorError('Invalid or expired challenge', 401);
+  }
+  if (decoded.purpose !== CHALLENGE_PURPOSE) throw twoFactorError('Invalid or expired challenge', 401);
+  return decoded;
+};
+
+export default {
+  getTwoFactorStatus,
+  isTwoFactorEnabled,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  disableTwoFactor,
+  createLoginChallenge,
+  verifyLoginChallenge,
+};
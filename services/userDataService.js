@@ -0,0 +1,435 @@
+/**
+ * Personal data - account deletion requests, erasure and export
+ *
+ * deletion_requests/{uid}:
+ *   { uid, email, name, tenantId, reason, status, requestedAt, reviewedBy,
+ *     reviewedAt, reviewNote, erasure }
+ *
+ * A user asks for deletion with POST /api/users/me/deletion-request. Their
+ * account is disabled and signed out straight away, and staff approve (erase
+ * everything) or reject (re-enable the account) the request.
+ *
+ * Erasure removes what belongs to the user and unlinks them from what belongs
+ * to others:
+ * - conversations stay for the other participants: their messages become
+ *   tombstones, their reactions are removed and they leave groups
+ * - events and groups they created stay for the people using them, with
+ *   createdBy cleared; reports they filed stay with reporterId cleared
+ * - reports about them stay, and moderation cases about them stay with
+ *   subjectUserId cleared
+ * - everything else keyed to them is deleted, then the profile, the users
+ *   document and the Firebase Auth account
+ * The audit log is kept: entries are immutable and record staff actions.
+ * What was removed is summarised on the request (erasure).
+ */
+import { firestore, firebaseAuth } from '../config/firebaseAdmin.js';
+import { FieldValue } from 'firebase-admin/firestore';
+import { getDocTenantId } from '../lib/tenantScope.js';
+import {
+  listUserConversations,
+  isGroupConversation,
+  leaveGroup,
+  syncCommunityMembership,
+  getParticipantsForConversation,
+} from './chatService.js';
+import { refreshInboxEntries } from './inboxService.js';
+import { unindexMessage } from './chatSearchService.js';
+import { deleteUploaderAttachments } from './attachmentService.js';
+import { revokeAllSessions } from './sessionService.js';
+import { DELETED_MESSAGE_PREVIEW } from './messageDeliveryService.js';
+
+const deletionRequestsRef = firestore.collection('deletion_requests');
+const usersRef = firestore.collection('users');
+const profilesRef = firestore.collection('profiles');
+const conversationsRef = firestore.collection('conversations');
+const messagesRef = firestore.collection('messages');
+const groupsRef = firestore.collection('groups');
+const eventsRef = firestore.collection('events');
+
+export const DELETION_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+};
+
+export const MAX_DELETION_REASON_LENGTH = 1000;
+export const MAX_DELETION_REQUEST_PAGE_SIZE = 100;
+
+// Firestore allows 500 writes per batch
+const BATCH_SIZE = 400;
+
+const userDataError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Apply a write to each document in chunks; returns how many were written
+const writeInChunks = async (docs, write) => {
+  for (let i = 0; i < docs.length; i += BATCH_SIZE) {
+    const batch = firestore.batch();
+    docs.slice(i, i + BATCH_SIZE).forEach((doc) => write(batch, doc));
+    await batch.commit();
+  }
+  return docs.length;
+};
+
+const deleteDocs = (docs) => writeInChunks(docs, (batch, doc) => batch.delete(doc.ref));
+
+const deleteWhere = async (collection, field, value) =>
+  deleteDocs((await firestore.collection(collection).where(field, '==', value).get()).docs);
+
+// Documents from several queries, each once
+const queryUnion = async (queries) => {
+  const snapshots = await Promise.all(queries.map((query) => query.get()));
+  const docs = new Map();
+  snapshots.forEach((snapshot) => snapshot.docs.forEach((doc) => docs.set(doc.ref.path, doc)));
+  return [...docs.values()];
+};
+
+/**
+ * Ask for an account to be deleted. The account is disabled and signed out until staff review it.
+ * @param {string} uid
+ * @param {Object} [options] - { reason, io }
+ * @returns {Promise<Object>} - The deletion request
+ */
+export const requestAccountDeletion = async (uid, { reason, io } = {}) => {
+  const userDoc = await usersRef.doc(uid).get();
+  if (!userDoc.exists) throw userDataError('User not found', 404);
+  const existing = await deletionRequestsRef.doc(uid).get();
+  if (existing.exists && existing.data().status === DELETION_STATUS.PENDING) {
+    throw userDataError('A deletion request is already pending', 409);
+  }
+
+  const user = userDoc.data();
+  const now = new Date().toISOString();
+  const request = {
+    uid,
+    email: user.email || null,
+    name: user.name || null,
+    tenantId: getDocTenantId(user),
+    reason: (reason || '').trim() || null,
+    status: DELETION_STATUS.PENDING,
+    requestedAt: now,
+    reviewedBy: null,
+    reviewedAt: null,
+    reviewNote: null,
+    erasure: null,
+  };
+
+  const batch = firestore.batch();
+  batch.set(deletionRequestsRef.doc(uid), request);
+  batch.update(usersRef.doc(uid), { disabled: true, updatedAt: now });
+  batch.set(profilesRef.doc(uid), { disabled: true, updatedAt: now }, { merge: true });
+  await batch.commit();
+
+  const revokedIds = await revokeAllSessions(uid, 'deletion_requested');
+  revokedIds.forEach((sessionId) => io?.disconnectSession?.(sessionId));
+  return request;
+};
+
+/**
+ * Get a deletion request
+ * @param {string} uid
+ * @returns {Promise<Object|null>}
+ */
+export const getDeletionRequest = async (uid) => {
+  const doc = await deletionRequestsRef.doc(uid).get();
+  return doc.exists ? doc.data() : null;
+};
+
+/**
+ * List deletion requests, oldest first so the queue is worked in order
+ * @param {Object} filters
+ * @param {string} [filters.status] - Defaults to pending
+ * @param {string} [filters.tenantId]
+ * @param {number} [filters.limit]
+ * @param {string} [filters.cursor] - uid of the last request of the previous page
+ * @returns {Promise<{ deletionRequests: Object[], nextCursor: string|null }>}
+ */
+export const listDeletionRequests = async ({ status = DELETION_STATUS.PENDING, tenantId, limit = 50, cursor } = {}) => {
+  let query = deletionRequestsRef.where('status', '==', status);
+  if (tenantId) query = query.where('tenantId', '==', tenantId);
+  query = query.orderBy('requestedAt', 'asc');
+
+  if (cursor) {
+    const cursorDoc = await deletionRequestsRef.doc(cursor).get();
+    if (cursorDoc.exists) query = query.startAfter(cursorDoc);
+  }
+
+  const snapshot = await query.limit(limit).get();
+  const deletionRequests = snapshot.docs.map((doc) => doc.data());
+  return {
+    deletionRequests,
+    nextCursor: deletionRequests.length === limit ? deletionRequests[deletionRequests.length - 1].uid : null,
+  };
+};
+
+// Move a pending request to its outcome; only one reviewer can win. An approval
+// whose erasure didn't finish (erasure still null) can be approved again to retry it
+const settleDeletionRequest = (uid, status, { reviewerId, note }) =>
+  firestore.runTransaction(async (transaction) => {
+    const ref = deletionRequestsRef.doc(uid);
+    const doc = await transaction.get(ref);
+    if (!doc.exists) throw userDataError('Deletion request not found', 404);
+    const current = doc.data();
+    const retry = status === DELETION_STATUS.APPROVED && current.status === DELETION_STATUS.APPROVED && !current.erasure;
+    if (current.status !== DELETION_STATUS.PENDING && !retry) throw userDataError(`Request was already ${current.status}`, 409);
+
+    const update = { status, reviewedBy: reviewerId, reviewedAt: new Date().toISOString(), reviewNote: (note || '').trim() || null };
+    transaction.update(ref, update);
+    return { ...current, ...update };
+  });
+
+/**
+ * Reject a deletion request and re-enable the account
+ * @param {string} uid
+ * @param {Object} review - { reviewerId, note? }
+ * @returns {Promise<Object>} - The rejected request
+ */
+export const rejectAccountDeletion = async (uid, review) => {
+  const request = await settleDeletionRequest(uid, DELETION_STATUS.REJECTED, review);
+  const now = new Date().toISOString();
+  const batch = firestore.batch();
+  batch.update(usersRef.doc(uid), { disabled: false, updatedAt: now });
+  batch.set(profilesRef.doc(uid), { disabled: false, updatedAt: now }, { merge: true });
+  await batch.commit();
+  return request;
+};
+
+// Take the user's reactions off the messages of a conversation they stay visible in
+const removeReactions = async (conversationId, uid) => {
+  const messages = (await messagesRef.where('conversationId', '==', conversationId).get()).docs
+    .filter((doc) => Object.values(doc.data().reactions || {}).some((userIds) => userIds.includes(uid)));
+  return writeInChunks(messages, (batch, doc) => {
+    const reactions = {};
+    Object.entries(doc.data().reactions).forEach(([emoji, userIds]) => {
+      const remaining = userIds.filter((id) => id !== uid);
+      if (remaining.length > 0) reactions[emoji] = remaining;
+    });
+    batch.update(doc.ref, { reactions });
+  });
+};
+
+// Blank the user's remaining messages, keeping their place in threads
+const tombstoneMessages = async (uid) => {
+  const messages = (await messagesRef.where('senderId', '==', uid).get()).docs;
+  const now = new Date().toISOString();
+  for (const message of messages) {
+    await deleteDocs((await message.ref.collection('edits').get()).docs);
+    await unindexMessage(message.id);
+  }
+  await writeInChunks(messages, (batch, doc) => batch.update(doc.ref, {
+    content: '',
+    attachments: [],
+    deleted: true,
+    deletedAt: doc.data().deletedAt || now,
+    senderErased: true,
+  }));
+
+  // Conversation previews showing one of these messages
+  const messageIds = new Set(messages.map((doc) => doc.id));
+  const conversationIds = [...new Set(messages.map((doc) => doc.data().conversationId))];
+  for (const conversationId of conversationIds) {
+    const convDoc = await conversationsRef.doc(conversationId).get();
+    if (!convDoc.exists || !messageIds.has(convDoc.data().lastMessageId)) continue;
+    await convDoc.ref.update({ lastMessage: DELETED_MESSAGE_PREVIEW, updatedAt: now });
+    const conversation = { id: convDoc.id, ...convDoc.data(), lastMessage: DELETED_MESSAGE_PREVIEW };
+    const participants = await getParticipantsForConversation(conversation);
+    await refreshInboxEntries(conversation, participants.filter((id) => id !== uid));
+  }
+  return messages.length;
+};
+
+// Take the user out of groups and events, and clear them as creator of the ones they made
+const unlinkCommunities = async (uid) => {
+  const now = new Date().toISOString();
+  const memberOf = (await groupsRef.where('members', 'array-contains', uid).get()).docs;
+  await writeInChunks(memberOf, (batch, doc) => batch.update(doc.ref, {
+    members: FieldValue.arrayRemove(uid),
+    membersCount: FieldValue.increment(-1),
+    updatedAt: now,
+  }));
+  for (const doc of memberOf) await syncCommunityMembership(doc.id, uid, false);
+
+  const ledGroups = (await groupsRef.where('leads', 'array-contains', uid).get()).docs;
+  await writeInChunks(ledGroups, (batch, doc) => batch.update(doc.ref, { leads: FieldValue.arrayRemove(uid), updatedAt: now }));
+
+  const attending = (await eventsRef.where('attendees', 'array-contains', uid).get()).docs;
+  await writeInChunks(attending, (batch, doc) => batch.update(doc.ref, {
+    attendees: FieldValue.arrayRemove(uid),
+    attendeesCount: FieldValue.increment(-1),
+    updatedAt: now,
+  }));
+
+  const created = await queryUnion([groupsRef.where('createdBy', '==', uid), eventsRef.where('createdBy', '==', uid)]);
+  await writeInChunks(created, (batch, doc) => batch.update(doc.ref, { createdBy: null, updatedAt: now }));
+
+  return { groups: memberOf.length, events: attending.length, created: created.length };
+};
+
+/**
+ * Erase a user's data from every collection. Safe to run again if interrupted.
+ * @param {string} uid
+ * @returns {Promise<Object>} - Counts of what was removed
+ */
+export const eraseUserData = async (uid) => {
+  const summary = {};
+
+  // Conversations first, while group membership still lists the user's communities.
+  // They stay for the other participants, 1:1 ones included
+  const conversations = await listUserConversations(uid);
+  summary.conversations = conversations.length;
+  summary.reactions = 0;
+  for (const conversation of conversations) {
+    summary.reactions += await removeReactions(conversation.id, uid);
+    await conversationsRef.doc(conversation.id).collection('participantReads').doc(uid).delete();
+    if (isGroupConversation(conversation)) await leaveGroup(conversation.id, uid);
+  }
+  summary.messages = await tombstoneMessages(uid);
+  summary.attachments = await deleteUploaderAttachments(uid);
+  summary.heldMessages = await deleteWhere('heldMessages', 'senderId', uid);
+  summary.inboxEntries = await deleteWhere('inboxEntries', 'userId', uid);
+  await firestore.collection('inboxState').doc(uid).delete();
+
+  Object.assign(summary, await unlinkCommunities(uid));
+
+  summary.connections = await deleteDocs(await queryUnion([
+    firestore.collection('connections').where('fromUserId', '==', uid),
+    firestore.collection('connections').where('toUserId', '==', uid),
+  ]));
+  summary.threads = await deleteDocs((await firestore.collection('threads').where('userIds', 'array-contains', uid).get()).docs);
+  summary.matches = await deleteDocs((await firestore.collection('matches').where('users', 'array-contains', uid).get()).docs);
+  summary.blocks = await deleteDocs(await queryUnion([
+    firestore.collection('blocks').where('blockerId', '==', uid),
+    firestore.collection('blocks').where('blockedId', '==', uid),
+  ]));
+
+  // Reports and cases about the user stay as the moderation record
+  const filed = (await firestore.collection('reports').where('reporterId', '==', uid).get()).docs;
+  summary.reportsFiled = await writeInChunks(filed, (batch, doc) => batch.update(doc.ref, { reporterId: null }));
+  const cases = (await firestore.collection('moderationCases').where('subjectUserId', '==', uid).get()).docs;
+  summary.moderationCases = await writeInChunks(cases, (batch, doc) => batch.update(doc.ref, {
+    subjectUserId: null,
+    subjectErased: true,
+  }));
+  summary.warnings = await deleteWhere('userWarnings', 'userId', uid);
+  summary.strikes = await deleteWhere('userStrikes', 'userId', uid);
+  summary.suspensions = await deleteWhere('userSuspensions', 'userId', uid);
+
+  summary.helpJourneys = await deleteWhere('helpJourneys', 'userId', uid);
+  summary.sessions = await deleteWhere('sessions', 'uid', uid);
+  await firestore.collection('twoFactor').doc(uid).delete();
+
+  await profilesRef.doc(uid).delete();
+  await usersRef.doc(uid).delete();
+  try {
+    await firebaseAuth.deleteUser(uid);
+  } catch (err) {
+    if (err.code !== 'auth/user-not-found') throw err;
+  }
+  return summary;
+};
+
+/**
+ * Approve a deletion request and erase the account. If the erasure fails, approving again retries it.
+ * @param {string} uid
+ * @param {Object} review - { reviewerId, note? }
+ * @returns {Promise<Object>} - The approved request, with the erasure summary
+ */
+export const approveAccountDeletion = async (uid, review) => {
+  const request = await settleDeletionRequest(uid, DELETION_STATUS.APPROVED, review);
+  const erasure = await eraseUserData(uid);
+  // Keep the record that the request was carried out, without the personal details
+  const update = { email: null, name: null, reason: null, erasure, erasedAt: new Date().toISOString() };
+  await deletionRequestsRef.doc(uid).update(update);
+  return { ...request, ...update };
+};
+
+const docsData = (snapshot, omit = []) =>
+  snapshot.docs.map((doc) => {
+    const data = { id: doc.id, ...doc.data() };
+    omit.forEach((field) => delete data[field]);
+    return data;
+  });
+
+/**
+ * Everything stored about a user, for a data export (GDPR access/portability)
+ * @param {string} uid
+ * @returns {Promise<Object>}
+ */
+export const exportUserData = async (uid) => {
+  const collection = (name) => firestore.collection(name);
+  const [
+    userDoc, profileDoc, connectionsFrom, connectionsTo, matches, blocks, reports, warnings, strikes,
+    suspensions, messages, attachments, heldMessages, groups, events, helpJourneys, sessions, deletionRequest,
+  ] = await Promise.all([
+    usersRef.doc(uid).get(),
+    profilesRef.doc(uid).get(),
+    collection('connections').where('fromUserId', '==', uid).get(),
+    collection('connections').where('toUserId', '==', uid).get(),
+    collection('matches').where('users', 'array-contains', uid).get(),
+    collection('blocks').where('blockerId', '==', uid).get(),
+    collection('reports').where('reporterId', '==', uid).get(),
+    collection('userWarnings').where('userId', '==', uid).get(),
+    collection('userStrikes').where('userId', '==', uid).get(),
+    collection('userSuspensions').where('userId', '==', uid).get(),
+    messagesRef.where('senderId', '==', uid).get(),
+    collection('chatAttachments').where('uploaderId', '==', uid).get(),
+    collection('heldMessages').where('senderId', '==', uid).get(),
+    groupsRef.where('members', 'array-contains', uid).get(),
+    eventsRef.where('attendees', 'array-contains', uid).get(),
+    collection('helpJourneys').where('userId', '==', uid).get(),
+    collection('sessions').where('uid', '==', uid).get(),
+    deletionRequestsRef.doc(uid).get(),
+  ]);
+  if (!userDoc.exists) throw userDataError('User not found', 404);
+
+  const conversations = await listUserConversations(uid);
+  const messagesWithEdits = await Promise.all(messages.docs.map(async (doc) => ({
+    id: doc.id,
+    ...doc.data(),
+    edits: docsData(await doc.ref.collection('edits').get()),
+  })));
+
+  return {
+    exportedAt: new Date().toISOString(),
+    user: { uid, ...userDoc.data() },
+    profile: profileDoc.exists ? profileDoc.data() : null,
+    connections: [...docsData(connectionsFrom), ...docsData(connectionsTo)],
+    matches: docsData(matches),
+    blocks: docsData(blocks),
+    // Reports keep only what the user wrote, not the other person's message
+    reportsFiled: docsData(reports, ['evidence', 'resolutionNote', 'reviewedBy', 'caseId']),
+    warnings: docsData(warnings, ['caseId']),
+    strikes: docsData(strikes, ['caseId', 'issuedBy', 'revokedBy']),
+    suspensions: docsData(suspensions, ['caseId', 'issuedBy', 'liftedBy']),
+    conversations: conversations.map((c) => ({
+      id: c.id,
+      type: c.type,
+      name: c.name || null,
+      communityId: c.communityId || null,
+      participantIds: c.participantIds || [],
+      createdAt: c.createdAt,
+    })),
+    messages: messagesWithEdits,
+    attachments: docsData(attachments, ['key', 'thumbnailKey']),
+    heldMessages: docsData(heldMessages, ['safety', 'reviewedBy']),
+    groups: groups.docs.map((doc) => ({ id: doc.id, title: doc.data().title, joined: true })),
+    events: events.docs.map((doc) => ({ id: doc.id, title: doc.data().title, startTime: doc.data().startTime })),
+    helpJourneys: docsData(helpJourneys),
+    sessions: docsData(sessions, ['refreshTokenHash', 'previousRefreshTokenHash']),
+    deletionRequest: deletionRequest.exists ? deletionRequest.data() : null,
+  };
+};
+
+export default {
+  DELETION_STATUS,
+  requestAccountDeletion,
+  getDeletionRequest,
+  listDeletionRequests,
+  rejectAccountDeletion,
+  approveAccountDeletion,
+  eraseUserData,
+  exportUserData,
+};
@@ -1,6 +1,22 @@
 import { Server } from 'socket.io';
 import { verifyToken } from '../utils/jwt.js';
+import { isSessionActive } from '../services/sessionService.js';
 import { getConversationById, canAccessConversation } from '../services/chatService.js';
+import { getBlockedUserIds } from '../services/blockService.js';
+import { createMemoryStore } from '../services/rateLimitStore.js';
+import { getAccount } from '../lib/user-helpers.js';
+import { getDocTenantId } from '../lib/tenantScope.js';
+import { getActiveSuspension, suspensionErrorBody, SUSPENSION_MODE } from '../services/enforcementService.js';
+
+// Typing events each user may send per window (clients repeat them every few seconds)
+const TYPING_RATE_MAX = 20;
+const TYPING_RATE_WINDOW_MS = 10 * 1000;
+
+// How long a typing indicator lasts without a repeat from the client
+const getTypingTimeoutMs = () => {
+  const seconds = Number(process.env.CHAT_TYPING_TIMEOUT_SECONDS);
+  return (Number.isFinite(seconds) && seconds > 0 ? seconds : 6) * 1000;
+};
 
 /**
  * Initialize Socket.io server
@@ -41,30 +57,111 @@ export const initializeSocket = (httpServer) => {
 
   console.log('🔌 Socket.io initialized');
 
-  // Auth middleware: require valid JWT on connection
-  io.use((socket, next) => {
+  // Auth middleware: require valid JWT bound to an active session on connection
+  io.use(async (socket, next) => {
     const token = socket.handshake.auth?.token;
     if (!token) {
       return next(new Error('Authentication required'));
     }
+    let decoded;
     try {
-      const decoded = verifyToken(token);
-      socket.user = { uid: decoded.uid, email: decoded.email || '' };
-      return next();
+      decoded = verifyToken(token);
     } catch (err) {
       return next(new Error('Invalid or expired token'));
     }
+    let account;
+    let suspension;
+    try {
+      const sessionActive = await isSessionActive(decoded.sid, decoded.uid);
+      if (!sessionActive) {
+        return next(new Error('Session revoked or expired'));
+      }
+      account = await getAccount(decoded.uid);
+      if (!account || account.data.disabled) {
+        return next(new Error('Account disabled'));
+      }
+      suspension = getActiveSuspension(account.data);
+    } catch (err) {
+      console.error('Socket session check error:', err);
+      return next(new Error('Server error'));
+    }
+    if (suspension?.mode === SUSPENSION_MODE.FULL) {
+      // The client receives the same body as HTTP requests get, as connect_error's err.data
+      const { error, ...data } = suspensionErrorBody(suspension);
+      const err = new Error(error);
+      err.data = data;
+      return next(err);
+    }
+    const isAdmin = account.type === 'admin';
+    socket.user = {
+      uid: decoded.uid,
+      email: decoded.email || '',
+      sessionId: decoded.sid,
+      isAdmin,
+      // Admins are not tied to a tenant; they receive every tenant's broadcasts via the admins room
+      tenantId: isAdmin ? null : getDocTenantId(account.data),
+      suspension, // restricted mode in force at connection, or null
+    };
+    return next();
   });
 
+  // Disconnect every socket opened with a given session (called when the session is revoked)
+  io.disconnectSession = (sessionId) => {
+    if (!sessionId) return;
+    for (const socket of io.sockets.sockets.values()) {
+      if (socket.user?.sessionId === sessionId) {
+        socket.disconnect(true);
+      }
+    }
+  };
+
+  // Disconnect all of a user's sockets so they reconnect under their current account state (e.g. after a suspension)
+  io.disconnectUser = (userId) => {
+    if (!userId) return;
+    for (const socket of io.sockets.sockets.values()) {
+      if (socket.user?.uid === userId) {
+        socket.disconnect(true);
+      }
+    }
+  };
+
+  // Push to everyone who joined a conversation (sockets join conv:<id> via chat:join-conversation)
+  io.emitToConversation = (conversationId, eventName, payload) => {
+    if (!conversationId) return;
+    io.to(`conv:${conversationId}`).emit(eventName, payload);
+  };
+
+  // Take a user's sockets out of a conversation room (e.g. after they are removed from a group)
+  io.removeFromConversation = (conversationId, userId) => {
+    if (!conversationId || !userId) return;
+    for (const socket of io.sockets.sockets.values()) {
+      if (socket.user?.uid === userId) socket.leave(`conv:${conversationId}`);
+    }
+  };
+
+  // Typing indicators only reach this process's sockets, so their limit is kept in memory too
+  const typingLimits = createMemoryStore();
+
   // Track connected users
   const connectedUsers = new Map();
   const userSockets = new Map(); // userId -> Set(socketId)
   io.userSockets = userSockets;
 
+  // Push to every socket a user registered (see user:register)
+  io.emitToUser = (userId, eventName, payload) => {
+    for (const socketId of userSockets.get(userId) || []) {
+      io.to(socketId).emit(eventName, payload);
+    }
+  };
+
   // Connection event
   io.on('connection', (socket) => {
     console.log(`✅ User connected: ${socket.id} (uid: ${socket.user?.uid || '?'})`);
 
+    // Broadcasts never cross tenants: each socket joins its tenant room (admins join 'admins')
+    const tenantRoom = socket.user?.isAdmin ? 'admins' : `tenant:${socket.user?.tenantId}`;
+    socket.join(tenantRoom);
+
     // Store user info - userId comes from JWT only, never from client
     socket.on('user:register', (userData) => {
       const userId = socket.user?.uid;
@@ -86,22 +183,69 @@ export const initializeSocket = (httpServer) => {
       console.log(`👤 User registered: ${userData?.username || userId} (${socket.id})`);
 
       // Broadcast user online status
-      io.emit('user:status', {
+      io.to(tenantRoom).to('admins').emit('user:status', {
         userId,
         status: 'online',
       });
     });
 
-    // User typing event – use authenticated identity only
-    socket.on('chat:typing', (data) => {
+    // Typing indicators: conversationId -> timer that sends the automatic "stopped typing"
+    const typingTimers = new Map();
+
+    const emitTyping = (conversationId, isTyping) => {
       const user = connectedUsers.get(socket.id);
-      const userId = user?.userId ?? socket.user?.uid;
-      if (!userId) return;
-      socket.broadcast.emit('chat:user-typing', {
-        userId,
+      socket.to(`conv:${conversationId}`).emit('chat:user-typing', {
+        conversationId,
+        userId: socket.user.uid,
         username: user?.username ?? socket.user?.email ?? 'User',
-        isTyping: data?.isTyping ?? false,
+        isTyping,
       });
+    };
+
+    const stopTyping = (conversationId) => {
+      const timer = typingTimers.get(conversationId);
+      if (!timer) return;
+      clearTimeout(timer);
+      typingTimers.delete(conversationId);
+      emitTyping(conversationId, false);
+    };
+
+    // Chat: typing indicator, sent only to the conversation's room. Clients repeat
+    // { isTyping: true } while typing; the indicator clears itself after the timeout.
+    socket.on('chat:typing', async (data, callback) => {
+      const reply = (result) => {
+        if (typeof callback === 'function') callback(result);
+      };
+      const userId = socket.user?.uid;
+      if (!userId) return reply({ ok: false, error: 'Not authenticated' });
+      const conversationId = data?.conversationId;
+      if (!conversationId || typeof conversationId !== 'string') {
+        return reply({ ok: false, error: 'conversationId required' });
+      }
+
+      if (!data?.isTyping) {
+        stopTyping(conversationId);
+        return reply({ ok: true });
+      }
+      // A suspension that has ended since the connection no longer applies
+      if (getActiveSuspension({ suspension: socket.user.suspension })?.mode === SUSPENSION_MODE.CHAT_READ_ONLY) {
+        return reply({ ok: false, error: 'Your chat access is read-only' });
+      }
+
+      // Access was checked on chat:join-conversation; removed participants are taken out of the room
+      if (!socket.rooms.has(`conv:${conversationId}`)) {
+        return reply({ ok: false, error: 'Join the conversation first' });
+      }
+      const { count } = await typingLimits.increment(`typing:${userId}`, TYPING_RATE_WINDOW_MS);
+      if (count > TYPING_RATE_MAX) return reply({ ok: false, error: 'Too many typing events' });
+
+      const wasTyping = typingTimers.has(conversationId);
+      clearTimeout(typingTimers.get(conversationId));
+      const timeoutMs = getTypingTimeoutMs();
+      typingTimers.set(conversationId, setTimeout(() => stopTyping(conversationId), timeoutMs));
+      // Repeats only refresh the timer; others already see this user typing
+      if (!wasTyping) emitTyping(conversationId, true);
+      return reply({ ok: true, expiresInMs: timeoutMs });
     });
 
     // Chat: join conversation room (for real-time message delivery) – uses JWT-derived identity
@@ -141,43 +285,34 @@ export const initializeSocket = (httpServer) => {
     socket.on('chat:leave-conversation', (data) => {
       const conversationId = data?.conversationId;
       if (conversationId) {
+        stopTyping(conversationId);
         socket.leave(`conv:${conversationId}`);
       }
     });
 
-    // Send message event (legacy global chat) – use authenticated identity only
-    socket.on('chat:send-message', (message) => {
-      const user = connectedUsers.get(socket.id);
-      const userId = user?.userId ?? socket.user?.uid;
-      if (!userId) return;
-      const content = typeof message?.text === 'string' ? message.text : '';
-      if (!content.trim()) return;
-      io.emit('chat:new-message', {
-        id: Date.now(),
-        userId,
-        username: user?.username ?? socket.user?.email ?? 'User',
-        text: content,
-        timestamp: new Date().toISOString(),
-      });
-      console.log(`💬 Message from ${user?.username ?? userId}: ${content}`);
-    });
-
-    // Location update event (for GPS features) – uses user from JWT-derived registration
-    socket.on('location:update', (locationData) => {
+    // Location update event (for GPS features) – uses user from JWT-derived registration.
+    // Never sent to users on either side of a block.
+    socket.on('location:update', async (locationData) => {
       const user = connectedUsers.get(socket.id);
       if (!user?.userId) return;
       user.location = locationData;
-      socket.broadcast.emit('location:user-nearby', {
-        userId: user.userId,
-        username: user.username,
-        location: locationData,
-      });
+      try {
+        const blockedIds = await getBlockedUserIds(user.userId);
+        const blockedSockets = [...blockedIds].flatMap((uid) => [...(userSockets.get(uid) || [])]);
+        socket.to(tenantRoom).except(blockedSockets).emit('location:user-nearby', {
+          userId: user.userId,
+          username: user.username,
+          location: locationData,
+        });
+      } catch (err) {
+        console.error('location:update error:', err);
+      }
     });
 
     // Event update (real-time event notifications) – inject source from authenticated user
     socket.on('event:update', (eventData) => {
       const userId = socket.user?.uid;
-      io.emit('event:updated', {
+      io.to(tenantRoom).to('admins').emit('event:updated', {
         ...eventData,
         sourceUserId: userId ?? null,
       });
@@ -188,7 +323,7 @@ export const initializeSocket = (httpServer) => {
     socket.on('match:new', (matchData) => {
       const userId = socket.user?.uid;
       if (!userId) return;
-      io.emit('match:notification', {
+      io.to(tenantRoom).emit('match:notification', {
         matchId: matchData?.matchId ?? null,
         userId,
         message: 'You have a new match!',
@@ -198,12 +333,13 @@ export const initializeSocket = (httpServer) => {
     // Disconnect event
     socket.on('disconnect', () => {
       const user = connectedUsers.get(socket.id);
+      [...typingTimers.keys()].forEach(stopTyping);
       
       if (user) {
         console.log(`❌ User disconnected: ${user.username} (${socket.id})`);
         
         // Broadcast user offline status
-        io.emit('user:status', {
+        io.to(tenantRoom).to('admins').emit('user:status', {
           userId: user.userId,
           status: 'offline',
         });
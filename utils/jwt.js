@@ -2,12 +2,14 @@
 import jwt from 'jsonwebtoken';
 
 const getSecret = () => process.env.JWT_SECRET;
-const getExpiresIn = () => process.env.JWT_EXPIRES_IN || '7d';
+// Access tokens are short-lived; long-lived sessions are kept alive via refresh tokens (services/sessionService.js)
+const getExpiresIn = () => process.env.JWT_EXPIRES_IN || '15m';
 
-export const signToken = (payload) => {
+// options.expiresIn overrides the access-token lifetime (e.g. short-lived 2FA login challenges)
+export const signToken = (payload, { expiresIn } = {}) => {
   const secret = getSecret();
   if (!secret) throw new Error('JWT_SECRET is missing');
-  return jwt.sign(payload, secret, { expiresIn: getExpiresIn() });
+  return jwt.sign(payload, secret, { expiresIn: expiresIn || getExpiresIn() });
 };
 
 export const verifyToken = (token) => {
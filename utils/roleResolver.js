@@ -11,12 +11,19 @@
  */
 
 import admin, { firestore } from '../config/firebaseAdmin.js';
+import { resolveTenantForEmail } from '../services/tenantService.js';
 
 const adminEmails = (process.env.ADMIN_EMAILS || '')
   .split(',')
   .map((e) => e.trim().toLowerCase())
   .filter(Boolean);
 
+const roleResolverError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
 /**
  * Resolve role from ADMIN_EMAILS env var
  */
@@ -76,14 +83,18 @@ export const resolveExpectedRole = async (uid, email) => {
  * This should be called whenever a role is changed.
  * 
  * For admins: Creates in admins/ collection (no profile)
- * For users: Creates in users/ collection + profile
+ * For users: Creates in users/ collection + profile, in the tenant that owns
+ * the email domain. Throws a 403 (before writing anything) when no tenant
+ * does, so an account created outside /register can't sign in.
  * 
  * @param {Object} firebaseAuth - Firebase Admin Auth instance
  * @param {string} uid - User ID
  * @param {string} email - User email
  * @param {string} role - Role to enforce ('admin' or 'user')
+ * @param {Object} [options]
+ * @param {boolean} [options.emailVerified] - From the ID token when signing in; read from Firebase Auth otherwise
  */
-export const syncRoleToAllSources = async (firebaseAuth, uid, email, role) => {
+export const syncRoleToAllSources = async (firebaseAuth, uid, email, role, { emailVerified } = {}) => {
   const updates = [];
   
   // Determine if this is an admin
@@ -121,9 +132,14 @@ export const syncRoleToAllSources = async (firebaseAuth, uid, email, role) => {
       // Create/update user document
       const userRef = firestore.collection('users').doc(uid);
       const userSnap = await userRef.get();
-      const tenantId = email.match(/@([^.]+)/)?.[1] || 'default';
 
       if (!userSnap.exists) {
+        const tenant = await resolveTenantForEmail(email);
+        if (!tenant) throw roleResolverError('Sign-in is limited to supported campus email addresses', 403);
+        const tenantId = tenant.id;
+        // A user doc without the flag counts as a verified legacy account, so always write it
+        const verified = emailVerified ?? (await firebaseAuth.getUser(uid)).emailVerified === true;
+
         await userRef.set({
           uid,
           email,
@@ -131,6 +147,7 @@ export const syncRoleToAllSources = async (firebaseAuth, uid, email, role) => {
           name: email.split('@')[0],
           avatarUrl: '',
           role: 'user',
+          emailVerified: verified,
           createdAt: admin.firestore.Timestamp.now(),
           updatedAt: admin.firestore.Timestamp.now(),
           disabled: false,
@@ -140,6 +157,7 @@ export const syncRoleToAllSources = async (firebaseAuth, uid, email, role) => {
         // Create profile
         await firestore.collection('profiles').doc(uid).set({
           uid,
+          tenantId,
           displayName: email.split('@')[0],
           degree: 'Not specified',
           year: 'Not specified',
@@ -164,6 +182,7 @@ export const syncRoleToAllSources = async (firebaseAuth, uid, email, role) => {
       }
     }
   } catch (err) {
+    if (err.status) throw err;
     console.error(`❌ Failed to update Firestore for ${uid}:`, err.message);
     throw new Error(`Firestore update failed: ${err.message}`);
   }